@@ -199,14 +199,10 @@ generate_result_html() {
         
         # Determine environment from project_ref and get corresponding access token
         local access_token=""
-        if [ "$project_ref" = "${SUPABASE_PROD_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "prod")
-        elif [ "$project_ref" = "${SUPABASE_TEST_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "test")
-        elif [ "$project_ref" = "${SUPABASE_DEV_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "dev")
-        elif [ "$project_ref" = "${SUPABASE_BACKUP_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "backup")
+        local ref_env
+        ref_env=$(get_env_name_for_ref "$project_ref")
+        if [ -n "$ref_env" ]; then
+            access_token=$(get_env_access_token "$ref_env")
         fi
         
         if [ -z "$access_token" ]; then
@@ -267,14 +263,10 @@ generate_result_html() {
         
         # Determine environment from project_ref and get corresponding access token
         local access_token=""
-        if [ "$project_ref" = "${SUPABASE_PROD_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "prod")
-        elif [ "$project_ref" = "${SUPABASE_TEST_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "test")
-        elif [ "$project_ref" = "${SUPABASE_DEV_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "dev")
-        elif [ "$project_ref" = "${SUPABASE_BACKUP_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "backup")
+        local ref_env
+        ref_env=$(get_env_name_for_ref "$project_ref")
+        if [ -n "$ref_env" ]; then
+            access_token=$(get_env_access_token "$ref_env")
         fi
         
         if [ -z "$access_token" ]; then
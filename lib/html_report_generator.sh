@@ -315,3 +315,60 @@ format_migration_details() {
     echo "$details"
 }
 
+
+# Format the storage verification report (storage_verification.json written by
+# storage-migration.js --verify) as a details item: one line per bucket, then every mismatch
+format_storage_verification() {
+    local verification_file=$1
+
+    if [ ! -f "$verification_file" ] || ! command -v jq >/dev/null 2>&1 || ! jq empty "$verification_file" 2>/dev/null; then
+        return
+    fi
+
+    local result
+    result=$(jq -r 'if (.summary.bucketsMismatched + .summary.bucketsFailed) == 0 then "✅ Passed" else "❌ Failed" end' "$verification_file")
+
+    echo "<div class=\"details-item\"><div class=\"details-item-label\">Storage Verification: $result</div>"
+    echo "<div class=\"details-item-content\">"
+    jq -r '
+        (.summary | "\(.buckets) bucket(s), \(.objectsExpected) file(s) expected, \(.objectsInTarget) in target, \(.objectsHashed) checksum(s) compared<br>"),
+        (.buckets[] |
+            if .status == "error" then "✗ \(.bucket | @html): could not be listed - \(.error | @html)<br>"
+            else
+                "\(if .status == "ok" then "✓" else "✗" end) \(.bucket | @html): \(.expected.count) expected, \(.target.count) in target, \(.hashed) checksum(s) compared<br>",
+                (.missing[] | "&nbsp;&nbsp;missing: \(@html)<br>"),
+                (.sizeMismatches[] | "&nbsp;&nbsp;size differs: \(.path | @html) (\(.expected) B in source, \(.actual) B in target)<br>"),
+                (.hashMismatches[] | "&nbsp;&nbsp;checksum differs: \(.path | @html) (source \(.expected[0:12]), target \(.actual[0:12]))<br>"),
+                (.hashFailures[] | "&nbsp;&nbsp;could not hash: \(.path | @html)<br>"),
+                (if (.extra | length) > 0 then "&nbsp;&nbsp;\(.extra | length) file(s) only in target<br>" else empty end)
+            end)
+    ' "$verification_file"
+    echo "</div></div>"
+}
+
+# Format storage_policies.json (and the SQL it names) from a storage run with --policies as a details item
+format_storage_policies() {
+    local policies_file=$1
+    local sql_file=$2
+
+    if [ ! -f "$policies_file" ] || ! command -v jq >/dev/null 2>&1 || ! jq empty "$policies_file" 2>/dev/null; then
+        return
+    fi
+
+    local result
+    result=$(jq -r 'if .error then "❌ Failed" elif .sqlFile == null then "✅ No changes" elif .applied then "✅ Applied" else "ℹ️ Not applied" end' "$policies_file")
+
+    echo "<div class=\"details-item\"><div class=\"details-item-label\">Storage Policies: $result</div>"
+    echo "<div class=\"details-item-content\">"
+    jq -r '
+        "\(.create | length) created, \(.update | length) updated, \([.targetOnly[] | select(.dropped)] | length) dropped, \(.unchanged | length) unchanged<br>",
+        (.create[] | "+ storage.\(.table).\(.name | @html)<br>"),
+        (.update[] | "~ storage.\(.table).\(.name | @html) (\(.fields | join(", ")))<br>"),
+        (.targetOnly[] | "\(if .dropped then "-" else "○" end) storage.\(.table).\(.name | @html) (only in target\(if .dropped then ", dropped" else "" end))<br>"),
+        (if .error then "Error: \(.error | @html)<br>" else empty end)
+    ' "$policies_file"
+    if [ "$(jq -r '.sqlFile // empty' "$policies_file")" != "" ] && [ -f "$sql_file" ]; then
+        echo "<pre>$(sed -e 's/&/\&amp;/g' -e 's/</\&lt;/g' -e 's/>/\&gt;/g' "$sql_file")</pre>"
+    fi
+    echo "</div></div>"
+}
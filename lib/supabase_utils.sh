@@ -70,7 +70,76 @@ load_env() {
     return 0
 }
 
-# Normalize environment aliases to uppercase keys (PROD, TEST, DEV, BACKUP)
+SUPABASE_UTILS_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+
+# Environments registry shared with the Node utilities (utils/lib/environments.js).
+# Without environments.json (or without jq) the built-in prod/test/dev/backup aliases apply.
+get_environments_file() {
+    echo "${SUPABASE_ENVIRONMENTS_FILE:-$SUPABASE_UTILS_DIR/../environments.json}"
+}
+
+# True when the registry file exists. Exits when it exists but jq is missing: silently falling back
+# to the built-in environments would point scripts at the wrong projects.
+env_registry_available() {
+    local registry_file
+    registry_file="$(get_environments_file)"
+    [ -f "$registry_file" ] || return 1
+    if ! command -v jq >/dev/null 2>&1; then
+        log_error "jq is required to read the environments registry $registry_file. Install jq, or remove or rename the file to use the default environments."
+        exit 1
+    fi
+    return 0
+}
+
+# Apply a jq filter to the registry entry matching an environment name or alias (prints nothing if unknown)
+env_registry_lookup() {
+    local env="$1"
+    local filter="$2"
+    jq -r --arg env "$env" "first(.environments[] | select((.name | ascii_downcase) == \$env or (((.aliases // []) | map(ascii_downcase) | index(\$env)) != null))) | $filter" \
+        "$(get_environments_file)" 2>/dev/null
+}
+
+# Names of all configured environments, one per line
+list_env_names() {
+    if env_registry_available; then
+        jq -r '.environments[].name | ascii_downcase' "$(get_environments_file)" 2>/dev/null
+        return 0
+    fi
+    printf '%s\n' prod test dev backup
+}
+
+# Human-readable label of an environment (prints nothing if unknown)
+get_env_label() {
+    local env
+    env=$(printf '%s' "${1:-}" | tr '[:upper:]' '[:lower:]')
+    if env_registry_available; then
+        env_registry_lookup "$env" '.label // .name'
+        return 0
+    fi
+    case "$env" in
+        prod|production|main) echo "Production" ;;
+        test|staging) echo "Test/Staging" ;;
+        dev|develop) echo "Development" ;;
+        backup|bkup|bkp) echo "Backup" ;;
+    esac
+    return 0
+}
+
+# Find the environment whose project ref matches (prints nothing if none does)
+get_env_name_for_ref() {
+    local project_ref="${1:-}"
+    [ -z "$project_ref" ] && return 0
+    local env_name
+    while IFS= read -r env_name; do
+        if [ -n "$env_name" ] && [ "$(get_env_project_ref "$env_name")" = "$project_ref" ]; then
+            echo "$env_name"
+            return 0
+        fi
+    done < <(list_env_names)
+    return 0
+}
+
+# Normalize environment names and aliases to variable prefixes (PROD, TEST, DEV, BACKUP, CUSTOMER_X, ...)
 normalize_env_key() {
     local env="${1:-}"
     if [ -z "$env" ]; then
@@ -78,6 +147,10 @@ normalize_env_key() {
         return 0
     fi
     env=$(echo "$env" | tr '[:upper:]' '[:lower:]')
+    if env_registry_available; then
+        env_registry_lookup "$env" '(.key // .name) | ascii_upcase | gsub("[^A-Z0-9]+"; "_")'
+        return 0
+    fi
     case "$env" in
         prod|production|main)
             echo "PROD"
@@ -219,81 +292,41 @@ log_script_context() {
 # Get project reference by name
 get_project_ref() {
     local env_name=$1
-    local env_lc
-    env_lc=$(printf '%s' "$env_name" | tr '[:upper:]' '[:lower:]')
-    case $env_lc in
-        prod|production|main)
-            echo "$SUPABASE_PROD_PROJECT_REF"
-            ;;
-        test|staging)
-            echo "$SUPABASE_TEST_PROJECT_REF"
-            ;;
-        dev|develop)
-            echo "$SUPABASE_DEV_PROJECT_REF"
-            ;;
-        backup|bkup|bkp)
-            echo "$SUPABASE_BACKUP_PROJECT_REF"
-            ;;
-        *)
-            log_error "Unknown environment: $env_name"
-            log_info "Valid environments: prod, test, dev, backup"
-            exit 1
-            ;;
-    esac
+    local key
+    key=$(normalize_env_key "$env_name")
+    if [ -z "$key" ]; then
+        log_error "Unknown environment: $env_name"
+        log_info "Valid environments: $(list_env_names | paste -sd ',' - | sed 's/,/, /g')"
+        exit 1
+    fi
+    local ref_var="SUPABASE_${key}_PROJECT_REF"
+    echo "${!ref_var:-}"
 }
 
 # Get database password by environment name
 get_db_password() {
     local env_name=$1
-    local env_lc
-    env_lc=$(printf '%s' "$env_name" | tr '[:upper:]' '[:lower:]')
-    case $env_lc in
-        prod|production|main)
-            echo "$SUPABASE_PROD_DB_PASSWORD"
-            ;;
-        test|staging)
-            echo "$SUPABASE_TEST_DB_PASSWORD"
-            ;;
-        dev|develop)
-            echo "$SUPABASE_DEV_DB_PASSWORD"
-            ;;
-        backup|bkup|bkp)
-            echo "$SUPABASE_BACKUP_DB_PASSWORD"
-            ;;
-        *)
-            log_error "Unknown environment: $env_name"
-            exit 1
-            ;;
-    esac
+    local key
+    key=$(normalize_env_key "$env_name")
+    if [ -z "$key" ]; then
+        log_error "Unknown environment: $env_name"
+        exit 1
+    fi
+    local password_var="SUPABASE_${key}_DB_PASSWORD"
+    echo "${!password_var:-}"
 }
 
 # Get pooler hostname for a specific environment
 # This is the preferred method - uses POOLER_REGION directly from env vars
 # Format: {POOLER_REGION}.pooler.supabase.com
 get_pooler_host_for_env() {
-    local env_name=$1
-    local env_lc
-    env_lc=$(printf '%s' "$env_name" | tr '[:upper:]' '[:lower:]')
+    local env_name
+    env_name=$(normalize_env_key "${1:-}")
     
-    # Normalize environment name
-    case $env_lc in
-        prod|production|main)
-            env_name="PROD"
-            ;;
-        test|staging)
-            env_name="TEST"
-            ;;
-        dev|develop)
-            env_name="DEV"
-            ;;
-        backup|bkup|bkp)
-            env_name="BACKUP"
-            ;;
-        *)
-            # If it's not a recognized env name, return empty
-            return 1
-            ;;
-    esac
+    # If it's not a recognized env name, return empty
+    if [ -z "$env_name" ]; then
+        return 1
+    fi
     
     # Get pooler region from environment variable
     local pooler_region_var="SUPABASE_${env_name}_POOLER_REGION"
@@ -316,15 +349,7 @@ get_env_name_from_ref() {
     
     if [ ${#project_ref} -eq 20 ]; then
         # Try to match project_ref to an environment
-        if [ "$project_ref" = "${SUPABASE_PROD_PROJECT_REF:-}" ]; then
-            env_name="prod"
-        elif [ "$project_ref" = "${SUPABASE_TEST_PROJECT_REF:-}" ]; then
-            env_name="test"
-        elif [ "$project_ref" = "${SUPABASE_DEV_PROJECT_REF:-}" ]; then
-            env_name="dev"
-        elif [ "$project_ref" = "${SUPABASE_BACKUP_PROJECT_REF:-}" ]; then
-            env_name="backup"
-        fi
+        env_name=$(get_env_name_for_ref "$project_ref")
     fi
     
     echo "$env_name"
@@ -338,14 +363,10 @@ get_pooler_host_via_api() {
     local access_token=""
     if [ ${#project_ref} -eq 20 ]; then
         # Try to match project_ref to an environment
-        if [ "$project_ref" = "${SUPABASE_PROD_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "prod")
-        elif [ "$project_ref" = "${SUPABASE_TEST_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "test")
-        elif [ "$project_ref" = "${SUPABASE_DEV_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "dev")
-        elif [ "$project_ref" = "${SUPABASE_BACKUP_PROJECT_REF:-}" ]; then
-            access_token=$(get_env_access_token "backup")
+        local ref_env
+        ref_env=$(get_env_name_for_ref "$project_ref")
+        if [ -n "$ref_env" ]; then
+            access_token=$(get_env_access_token "$ref_env")
         fi
     fi
     
@@ -392,17 +413,9 @@ get_pooler_host() {
     
     # Try to determine from project ref by checking environment-specific pooler region
     # This is the most reliable method if configured in .env.local
-    if [ "$project_ref_or_env" = "$SUPABASE_PROD_PROJECT_REF" ] && [ -n "${SUPABASE_PROD_POOLER_REGION:-}" ]; then
-        echo "${SUPABASE_PROD_POOLER_REGION}.pooler.supabase.com"
-        return 0
-    elif [ "$project_ref_or_env" = "$SUPABASE_TEST_PROJECT_REF" ] && [ -n "${SUPABASE_TEST_POOLER_REGION:-}" ]; then
-        echo "${SUPABASE_TEST_POOLER_REGION}.pooler.supabase.com"
-        return 0
-    elif [ "$project_ref_or_env" = "$SUPABASE_DEV_PROJECT_REF" ] && [ -n "${SUPABASE_DEV_POOLER_REGION:-}" ]; then
-        echo "${SUPABASE_DEV_POOLER_REGION}.pooler.supabase.com"
-        return 0
-    elif [ "$project_ref_or_env" = "$SUPABASE_BACKUP_PROJECT_REF" ] && [ -n "${SUPABASE_BACKUP_POOLER_REGION:-}" ]; then
-        echo "${SUPABASE_BACKUP_POOLER_REGION}.pooler.supabase.com"
+    local ref_env
+    ref_env=$(get_env_name_for_ref "$project_ref_or_env")
+    if [ -n "$ref_env" ] && get_pooler_host_for_env "$ref_env" 2>/dev/null; then
         return 0
     fi
     
@@ -413,50 +426,18 @@ get_pooler_host() {
 
 # Retrieve pooler region for an environment (falls back to default shared region)
 get_pooler_region_for_env() {
-    local env_name=$1
-    local env_lc
-    env_lc=$(printf '%s' "$env_name" | tr '[:upper:]' '[:lower:]')
-    case $env_lc in
-        prod|production|main)
-            echo "${SUPABASE_PROD_POOLER_REGION:-aws-1-us-east-2}"
-            ;;
-        test|staging)
-            echo "${SUPABASE_TEST_POOLER_REGION:-aws-1-us-east-2}"
-            ;;
-        dev|develop)
-            echo "${SUPABASE_DEV_POOLER_REGION:-aws-1-us-east-2}"
-            ;;
-        backup|bkup|bkp)
-            echo "${SUPABASE_BACKUP_POOLER_REGION:-aws-1-us-east-2}"
-            ;;
-        *)
-            echo "aws-1-us-east-2"
-            ;;
-    esac
+    local key
+    key=$(normalize_env_key "${1:-}")
+    local region_var="SUPABASE_${key:-UNKNOWN}_POOLER_REGION"
+    echo "${!region_var:-aws-1-us-east-2}"
 }
 
 # Retrieve pooler port for an environment (defaults to 6543)
 get_pooler_port_for_env() {
-    local env_name=$1
-    local env_lc
-    env_lc=$(printf '%s' "$env_name" | tr '[:upper:]' '[:lower:]')
-    case $env_lc in
-        prod|production|main)
-            echo "${SUPABASE_PROD_POOLER_PORT:-6543}"
-            ;;
-        test|staging)
-            echo "${SUPABASE_TEST_POOLER_PORT:-6543}"
-            ;;
-        dev|develop)
-            echo "${SUPABASE_DEV_POOLER_PORT:-6543}"
-            ;;
-        backup|bkup|bkp)
-            echo "${SUPABASE_BACKUP_POOLER_PORT:-6543}"
-            ;;
-        *)
-            echo "6543"
-            ;;
-    esac
+    local key
+    key=$(normalize_env_key "${1:-}")
+    local port_var="SUPABASE_${key:-UNKNOWN}_POOLER_PORT"
+    echo "${!port_var:-6543}"
 }
 
 # Enumerate connection endpoints (host|port|label) to try for a project
@@ -823,9 +804,14 @@ get_connection_string_encoded() {
     fi
 }
 
-# Check if environment is production
+# Check if environment is production (registry entries marked "production": true)
 is_production() {
-    local env_name=$1
+    local env_name
+    env_name=$(printf '%s' "${1:-}" | tr '[:upper:]' '[:lower:]')
+    if env_registry_available; then
+        [ "$(env_registry_lookup "$env_name" '.production == true')" = "true" ]
+        return
+    fi
     case $env_name in
         prod|production|main)
             return 0
@@ -1027,21 +1013,25 @@ validate_environments() {
     source_lc=$(printf '%s' "$source" | tr '[:upper:]' '[:lower:]')
     target_lc=$(printf '%s' "$target" | tr '[:upper:]' '[:lower:]')
     
-    if [ "$source_lc" = "$target_lc" ]; then
-        log_error "Source and target environments cannot be the same!"
-        exit 1
-    fi
+    local source_key
+    local target_key
+    source_key=$(normalize_env_key "$source_lc")
+    target_key=$(normalize_env_key "$target_lc")
     
-    local valid_envs="prod test dev backup production staging develop main bkup bkp"
-    if ! echo "$valid_envs" | grep -q "\b${source_lc}\b"; then
+    if [ -z "$source_key" ]; then
         log_error "Invalid source environment: $source"
         exit 1
     fi
     
-    if ! echo "$valid_envs" | grep -q "\b${target_lc}\b"; then
+    if [ -z "$target_key" ]; then
         log_error "Invalid target environment: $target"
         exit 1
     fi
+    
+    if [ "$source_key" = "$target_key" ]; then
+        log_error "Source and target environments cannot be the same!"
+        exit 1
+    fi
 }
 
 # Get timestamp for logging
@@ -0,0 +1,59 @@
+#!/usr/bin/env bash
+
+# Thin wrapper that delegates auth config migration to the Node.js implementation.
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(cd "${SCRIPT_DIR}/../.." && pwd)"
+NODE_SCRIPT="${PROJECT_ROOT}/utils/auth-config-migrate.js"
+
+# Handle help flags before delegating to Node.js
+if [ "${1:-}" = "-h" ] || [ "${1:-}" = "--help" ]; then
+    cat <<EOF
+Usage: $(basename "$0") <source_env> <target_env> (--all | --groups=<group,...> | --keys=<key,...>) [--secrets-file=<path>] [--dry-run]
+
+Copies project auth settings (site URL, redirect URLs, OAuth providers, email templates, SMTP,
+JWT expiry, password policy, ...) from source to target through the Management API. Only the
+selected settings that differ are changed.
+
+Arguments:
+  source_env     Source environment (prod, test, dev, backup)
+  target_env     Target environment (prod, test, dev, backup)
+
+Options:
+  --all                     Apply every setting that differs
+  --groups=<group,...>      Apply the settings of these groups: urls, providers, email-templates,
+                            email, smtp, sms, jwt, password, mfa, hooks, rate-limits, security, other
+  --keys=<key,...>          Apply these settings (e.g. site_url,uri_allow_list)
+  --secrets-file=<path>     JSON object with values for secret settings (OAuth client secrets,
+                            smtp_pass, ...). Secrets are never copied from source; selected secrets
+                            without a value here keep their target value. A relative path is read
+                            from data/ (TOOL_UI_DATA_DIR); files elsewhere in the project are refused
+  --dry-run                 Show and record what would change without updating the target
+  -h, --help                Show this help message
+
+Examples:
+  # See what differs first
+  ./scripts/components/compare_auth_config.sh prod test
+
+  # Point test at its own URLs and copy the password policy and JWT expiry
+  $0 prod test --groups=password,jwt --dry-run
+  $0 prod test --keys=site_url,uri_allow_list
+
+  # Enable the same OAuth providers, with the target's own client secrets
+  $0 prod test --groups=providers --secrets-file=auth-secrets.test.json
+
+Requires SUPABASE_<ENV>_ACCESS_TOKEN. The target's settings before the change (secrets masked) and
+the applied changes are stored in: backups/auth_config_migration_<source>_to_<target>_<timestamp>/
+
+EOF
+    exit 0
+fi
+
+if ! command -v node >/dev/null 2>&1; then
+    echo "[ERROR] node command not found. Please install Node.js." >&2
+    exit 1
+fi
+
+exec node "$NODE_SCRIPT" apply "$@"
@@ -11,7 +11,7 @@ NODE_SCRIPT="${PROJECT_ROOT}/utils/auth-users-migrate.js"
 # Handle help flags before delegating to Node.js
 if [ "${1:-}" = "-h" ] || [ "${1:-}" = "--help" ]; then
     cat <<EOF
-Usage: $(basename "$0") <source_env> <target_env> [migration_dir] [--replace] [--increment]
+Usage: $(basename "$0") <source_env> <target_env> [migration_dir] [--replace] [--increment] [--anonymize[=<rules.json>]] [--auth-tables[=<table,...>]] [filters]
 
 Migrates authentication users and identities from source to target environment.
 
@@ -23,8 +23,30 @@ Arguments:
 Options:
   --replace      Replace all target auth users (destructive). Without this flag, runs in incremental/upsert mode.
   --increment    Explicitly request incremental mode (default behavior if --replace is not used)
+  --anonymize[=<rules.json>]
+                 Anonymize users before import: emails replaced (domain kept), phone numbers
+                 removed, personal metadata keys scrubbed, optionally one known password for
+                 everyone. Rules default to anonymize-rules.example.json; a relative rules path
+                 is read from data/ (TOOL_UI_DATA_DIR). The mapping to the original values is
+                 written to anonymization_map.csv in the migration directory (owner-only)
+  --auth-tables[=<table,...>]
+                 Also migrate other auth schema tables: sso_providers, sso_domains, saml_providers,
+                 mfa_factors, mfa_challenges, one_time_tokens (all without a list). Tables they
+                 depend on are added; user tables only copy rows of the selected users.
+                 With --anonymize, one_time_tokens are never copied and MFA factor names
+                 are cleared
   -h, --help     Show this help message
 
+Filters (migrate only some users; all given filters must match, comma-separated values are alternatives):
+  --domains=<a.com,b.com>         Email domain
+  --providers=<email,google>      Provider of any of the user's identities
+  --created-after=<date>          Created on or after this date/time (e.g. 2025-01-01)
+  --created-before=<date>         Created before this date/time
+  --users-file=<path>             Ids or emails listed in the file, one per line (# for comments)
+  --referenced-by=<[schema.]table.column,...>
+                                  Id appears in one of these source columns (e.g. orders.user_id)
+  Identities of the selected users are migrated with them.
+
 Default Behavior:
   By default, runs in incremental/upsert mode - existing auth users in target are preserved,
   and new users from source are added. Use --replace to clear target auth data first.
@@ -39,6 +61,17 @@ Examples:
   # Custom migration directory
   $0 dev test backups/custom_auth_migration --replace
 
+  # Seed test with the staff accounts and the customers that placed an order this year
+  $0 prod test --domains=example.com
+  $0 prod test --referenced-by=public.orders.customer_id --created-after=2025-01-01 --anonymize
+
+  # Keep TOTP and phone second factors
+  $0 prod test --auth-tables=mfa_factors
+
+  # Copy production users into test without their personal data
+  $0 prod test --anonymize
+  $0 prod test --anonymize=anonymize-rules.json
+
 Returns:
   0 on success, 1 on failure
 
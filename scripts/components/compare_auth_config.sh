@@ -0,0 +1,82 @@
+#!/bin/bash
+# Wrapper that invokes the Node-based auth config comparison (auth-config-migrate.js diff).
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(cd "$SCRIPT_DIR/../.." && pwd)"
+
+source "$PROJECT_ROOT/lib/logger.sh"
+source "$PROJECT_ROOT/lib/supabase_utils.sh"
+
+cd "$PROJECT_ROOT"
+if ! load_env >/dev/null 2>&1; then
+    log_error "Unable to load environment variables from .env.local"
+    exit 1
+fi
+
+usage() {
+    cat <<EOF
+Usage: $0 <source_env> <target_env> [output_dir]
+
+Compares the auth settings of two Supabase projects through the Management API: site URL,
+redirect URLs, providers, email templates, SMTP, JWT expiry, password policy and the rest.
+Secret values are masked. Generates JSON and HTML reports; neither project is changed.
+EOF
+    exit 1
+}
+
+if [ $# -lt 2 ]; then
+    usage
+fi
+
+SOURCE_ENV=$1
+TARGET_ENV=$2
+OUTPUT_DIR=${3:-"$PROJECT_ROOT/migration_plans"}
+
+if [ "$SOURCE_ENV" = "$TARGET_ENV" ]; then
+    log_error "Source and target environments must be different"
+    exit 1
+fi
+
+log_script_context "$(basename "$0")" "$SOURCE_ENV" "$TARGET_ENV"
+
+if ! command -v node >/dev/null 2>&1; then
+    log_error "Node.js is required to compare auth settings"
+    exit 1
+fi
+
+if ! command -v jq >/dev/null 2>&1; then
+    log_error "jq is required to parse comparison results"
+    exit 1
+fi
+
+mkdir -p "$OUTPUT_DIR"
+
+TIMESTAMP=$(date -u +%Y%m%dT%H%M%S)
+BASE_NAME="auth_config_diff_${SOURCE_ENV}_to_${TARGET_ENV}_${TIMESTAMP}"
+JSON_PATH="$OUTPUT_DIR/$BASE_NAME.json"
+HTML_PATH="$OUTPUT_DIR/$BASE_NAME.html"
+
+if ! node "$PROJECT_ROOT/utils/auth-config-migrate.js" diff "$SOURCE_ENV" "$TARGET_ENV" --output="$JSON_PATH" --html="$HTML_PATH"; then
+    log_error "Auth config comparison failed"
+    exit 1
+fi
+
+if [ ! -f "$JSON_PATH" ]; then
+    log_error "Comparison did not write a JSON diff"
+    exit 1
+fi
+
+SUMMARY=$(jq -c '.summary' "$JSON_PATH")
+
+log_success "Auth config comparison completed"
+log_info "JSON diff: $JSON_PATH"
+log_info "HTML report: $HTML_PATH"
+log_info "Summary: $SUMMARY"
+
+echo "AUTH_CONFIG_DIFF_JSON=$JSON_PATH"
+echo "AUTH_CONFIG_REPORT_HTML=$HTML_PATH"
+echo "AUTH_CONFIG_SUMMARY=$SUMMARY"
+
+exit 0
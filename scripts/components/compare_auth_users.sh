@@ -0,0 +1,88 @@
+#!/bin/bash
+# Wrapper that invokes the Node-based auth users comparison (auth-users-helper.js compare).
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(cd "$SCRIPT_DIR/../.." && pwd)"
+
+source "$PROJECT_ROOT/lib/logger.sh"
+source "$PROJECT_ROOT/lib/supabase_utils.sh"
+
+cd "$PROJECT_ROOT"
+if ! load_env >/dev/null 2>&1; then
+    log_error "Unable to load environment variables from .env.local"
+    exit 1
+fi
+
+usage() {
+    cat <<EOF
+Usage: $0 <source_env> <target_env> [output_dir]
+
+Compares auth users between two Supabase environments: users missing in target, target-only
+users, changed email/phone/metadata/confirmation/ban status, identity (provider) drift and MFA
+factor counts. Generates JSON and HTML reports; neither environment is changed.
+EOF
+    exit 1
+}
+
+if [ $# -lt 2 ]; then
+    usage
+fi
+
+SOURCE_ENV=$1
+TARGET_ENV=$2
+OUTPUT_DIR=${3:-"$PROJECT_ROOT/migration_plans"}
+
+if [ "$SOURCE_ENV" = "$TARGET_ENV" ]; then
+    log_error "Source and target environments must be different"
+    exit 1
+fi
+
+log_script_context "$(basename "$0")" "$SOURCE_ENV" "$TARGET_ENV"
+
+if ! command -v node >/dev/null 2>&1; then
+    log_error "Node.js is required to compare auth users"
+    exit 1
+fi
+
+if ! command -v jq >/dev/null 2>&1; then
+    log_error "jq is required to parse comparison results"
+    exit 1
+fi
+
+mkdir -p "$OUTPUT_DIR"
+
+TIMESTAMP=$(date -u +%Y%m%dT%H%M%S)
+BASE_NAME="auth_users_diff_${SOURCE_ENV}_to_${TARGET_ENV}_${TIMESTAMP}"
+JSON_PATH="$OUTPUT_DIR/$BASE_NAME.json"
+HTML_PATH="$OUTPUT_DIR/$BASE_NAME.html"
+
+# Exit code 2 only means that some source users are missing in target
+set +e
+node "$PROJECT_ROOT/utils/auth-users-helper.js" compare "$SOURCE_ENV" "$TARGET_ENV" --output="$JSON_PATH" --html="$HTML_PATH"
+NODE_EXIT_CODE=$?
+set -e
+
+if [ "$NODE_EXIT_CODE" -ne 0 ] && [ "$NODE_EXIT_CODE" -ne 2 ]; then
+    log_error "Auth users comparison failed (exit code $NODE_EXIT_CODE)"
+    exit 1
+fi
+
+if [ ! -f "$JSON_PATH" ]; then
+    log_error "Comparison did not write a JSON diff"
+    exit 1
+fi
+
+SUMMARY=$(jq -c '.summary' "$JSON_PATH")
+
+log_success "Auth users comparison completed"
+log_info "JSON diff: $JSON_PATH"
+log_info "HTML report: $HTML_PATH"
+log_info "Summary: $SUMMARY"
+
+echo "AUTH_USERS_DIFF_JSON=$JSON_PATH"
+echo "AUTH_USERS_REPORT_HTML=$HTML_PATH"
+echo "AUTH_USERS_SUMMARY=$SUMMARY"
+
+exit 0
@@ -75,39 +75,15 @@ fi
 
 log_script_context "$(basename "$0")" "$TEST_ENV"
 
-# Validate environment name (check if it's a valid environment)
+# Validate environment name against the environments registry
 # Note: validate_environments requires different source/target, so we validate manually
-valid_envs="prod test dev backup production staging develop main bkp bkup"
-env_check=$(printf '%s' "$TEST_ENV" | tr '[:upper:]' '[:lower:]')
-if ! echo "$valid_envs" | grep -q "\b${env_check}\b"; then
+ENV_PREFIX=$(normalize_env_key "$TEST_ENV")
+if [ -z "$ENV_PREFIX" ]; then
     log_error "Invalid environment: $TEST_ENV"
-    log_info "Valid environments: prod, test, dev, backup"
+    log_info "Valid environments: $(list_env_names | paste -sd ',' - | sed 's/,/, /g')"
     exit 1
 fi
-
-# Get environment-specific variables
-case $env_check in
-    prod|production|main)
-        ENV_PREFIX="PROD"
-        ENV_NAME="Production"
-        ;;
-    test|staging)
-        ENV_PREFIX="TEST"
-        ENV_NAME="Test/Staging"
-        ;;
-    dev|develop)
-        ENV_PREFIX="DEV"
-        ENV_NAME="Development"
-        ;;
-    backup|bkup|bkp)
-        ENV_PREFIX="BACKUP"
-        ENV_NAME="Backup"
-        ;;
-    *)
-        log_error "Unknown environment: $TEST_ENV"
-        exit 1
-        ;;
-esac
+ENV_NAME=$(get_env_label "$TEST_ENV")
 
 PROJECT_NAME_VAR="SUPABASE_${ENV_PREFIX}_PROJECT_NAME"
 PROJECT_REF_VAR="SUPABASE_${ENV_PREFIX}_PROJECT_REF"
@@ -0,0 +1,115 @@
+#!/bin/bash
+# Storage Restore Component Script
+# Uploads the files saved by a storage migration (<migration_dir>/storage_files/<bucket>/...)
+# back into an environment using the Node-based restore utility
+
+set -euo pipefail
+
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
+PROJECT_ROOT="$(cd "$SCRIPT_DIR/../.." && pwd)"
+cd "$PROJECT_ROOT"
+
+source "$PROJECT_ROOT/lib/logger.sh"
+source "$PROJECT_ROOT/lib/supabase_utils.sh"
+
+usage() {
+    cat <<EOF
+Usage: $0 <migration_dir> <target_env> [--bucket=<name>] [--prefix=<path>] [--concurrency=N] [--auto-confirm]
+
+Restores storage files from a storage migration backup into target_env. Buckets missing in the
+target are recreated with the settings recorded in the backup's storage_manifest.jsonl, and files
+are uploaded with their original content types, Cache-Control and user metadata. Existing files at
+the same path are overwritten.
+
+Arguments:
+  migration_dir      Migration directory of an earlier storage run (contains storage_files/)
+  target_env         Environment to restore into (prod, test, dev, backup)
+  --bucket=<name>    Restore only this bucket
+  --prefix=<path>    Restore only files whose path starts with <path> (e.g. avatars/2025/)
+  --concurrency=N    Number of files uploaded in parallel (default: 4, max: 32)
+  --auto-confirm     Skip the production confirmation prompt
+
+Examples:
+  $0 backups/storage_migration_prod_to_test_20250101_120000 test
+  $0 backups/storage_migration_prod_to_test_20250101_120000 test --bucket=avatars --prefix=2025/
+
+EOF
+    exit 1
+}
+
+MIGRATION_DIR=""
+TARGET_ENV=""
+RESTORE_ARGS=()
+AUTO_CONFIRM_COMPONENT="${AUTO_CONFIRM:-false}"
+
+for arg in "$@"; do
+    case "$arg" in
+        --bucket=*|--prefix=*|--concurrency=*)
+            RESTORE_ARGS+=("$arg")
+            ;;
+        --auto-confirm|--yes|-y)
+            AUTO_CONFIRM_COMPONENT="true"
+            ;;
+        -h|--help)
+            usage
+            ;;
+        --*)
+            log_error "Unknown option: $arg"
+            usage
+            ;;
+        *)
+            if [ -z "$MIGRATION_DIR" ]; then
+                MIGRATION_DIR="$arg"
+            elif [ -z "$TARGET_ENV" ]; then
+                TARGET_ENV="$arg"
+            else
+                usage
+            fi
+            ;;
+    esac
+done
+
+if [ -z "$MIGRATION_DIR" ] || [ -z "$TARGET_ENV" ]; then
+    usage
+fi
+
+if [ ! -d "$MIGRATION_DIR/storage_files" ]; then
+    log_error "No storage backup found in $MIGRATION_DIR (expected a storage_files/ folder)"
+    exit 1
+fi
+
+load_env
+
+if [ -z "$(normalize_env_key "$(printf '%s' "$TARGET_ENV" | tr '[:upper:]' '[:lower:]')")" ]; then
+    log_error "Invalid target environment: $TARGET_ENV"
+    exit 1
+fi
+
+log_script_context "$(basename "$0")" "$TARGET_ENV"
+
+if [ "$AUTO_CONFIRM_COMPONENT" != "true" ]; then
+    confirm_production_operation "Restore storage files from $MIGRATION_DIR" "$TARGET_ENV"
+fi
+
+if ! command -v node >/dev/null 2>&1; then
+    log_error "Node.js is required to restore storage"
+    exit 1
+fi
+
+LOG_FILE="${LOG_FILE:-$MIGRATION_DIR/restore.log}"
+log_to_file "$LOG_FILE" "Restoring storage from $MIGRATION_DIR into $TARGET_ENV"
+
+set +o pipefail
+node "$PROJECT_ROOT/utils/storage-restore.js" "$MIGRATION_DIR" "$TARGET_ENV" ${RESTORE_ARGS[@]+"${RESTORE_ARGS[@]}"} 2>&1 | tee -a "$LOG_FILE"
+NODE_EXIT_CODE=${PIPESTATUS[0]}
+set -o pipefail
+
+if [ "$NODE_EXIT_CODE" -ne 0 ]; then
+    log_error "Storage restore finished with errors (exit code $NODE_EXIT_CODE)"
+    log_to_file "$LOG_FILE" "Storage restore failed with exit code $NODE_EXIT_CODE"
+    exit 1
+fi
+
+log_success "Storage restore completed"
+log_to_file "$LOG_FILE" "Storage restore completed"
+exit 0
@@ -71,15 +71,25 @@ set -u
 
 log_script_context "$(basename "$0")" "prod" "test" "dev"
 
+# Environments to snapshot (from environments.json, or the built-in prod/test/dev/backup)
+ENV_NAMES=()
+while IFS= read -r env_entry; do
+    [ -n "$env_entry" ] && ENV_NAMES+=("$env_entry")
+done < <(list_env_names)
+
 # Check that at least one environment has an access token set
-PROD_TOKEN=$(get_env_access_token "prod")
-TEST_TOKEN=$(get_env_access_token "test")
-DEV_TOKEN=$(get_env_access_token "dev")
-BACKUP_TOKEN=$(get_env_access_token "backup")
+HAS_ACCESS_TOKEN=false
+TOKEN_VARS=""
+for env_entry in "${ENV_NAMES[@]}"; do
+    if [ -n "$(get_env_access_token "$env_entry")" ]; then
+        HAS_ACCESS_TOKEN=true
+    fi
+    TOKEN_VARS="${TOKEN_VARS:+$TOKEN_VARS, }SUPABASE_$(normalize_env_key "$env_entry")_ACCESS_TOKEN"
+done
 
-if [ -z "$PROD_TOKEN" ] && [ -z "$TEST_TOKEN" ] && [ -z "$DEV_TOKEN" ] && [ -z "$BACKUP_TOKEN" ]; then
+if [ "$HAS_ACCESS_TOKEN" != "true" ]; then
     log_error "No environment-specific access tokens found in .env.local"
-    log_error "Please set at least one of: SUPABASE_PROD_ACCESS_TOKEN, SUPABASE_TEST_ACCESS_TOKEN, SUPABASE_DEV_ACCESS_TOKEN, SUPABASE_BACKUP_ACCESS_TOKEN"
+    log_error "Please set at least one of: $TOKEN_VARS"
     exit 1
 fi
 
@@ -191,14 +201,10 @@ query_edge_functions_count() {
     
     # Determine environment from project_ref and get corresponding access token
     local access_token=""
-    if [ "$project_ref" = "${SUPABASE_PROD_PROJECT_REF:-}" ]; then
-        access_token="$PROD_TOKEN"
-    elif [ "$project_ref" = "${SUPABASE_TEST_PROJECT_REF:-}" ]; then
-        access_token="$TEST_TOKEN"
-    elif [ "$project_ref" = "${SUPABASE_DEV_PROJECT_REF:-}" ]; then
-        access_token="$DEV_TOKEN"
-    elif [ "$project_ref" = "${SUPABASE_BACKUP_PROJECT_REF:-}" ]; then
-        access_token="$BACKUP_TOKEN"
+    local ref_env
+    ref_env=$(get_env_name_for_ref "$project_ref")
+    if [ -n "$ref_env" ]; then
+        access_token=$(get_env_access_token "$ref_env")
     fi
     
     if [ -z "$access_token" ]; then
@@ -353,14 +359,10 @@ query_secrets_count() {
     
     # Determine environment from project_ref and get corresponding access token
     local access_token=""
-    if [ "$project_ref" = "${SUPABASE_PROD_PROJECT_REF:-}" ]; then
-        access_token="$PROD_TOKEN"
-    elif [ "$project_ref" = "${SUPABASE_TEST_PROJECT_REF:-}" ]; then
-        access_token="$TEST_TOKEN"
-    elif [ "$project_ref" = "${SUPABASE_DEV_PROJECT_REF:-}" ]; then
-        access_token="$DEV_TOKEN"
-    elif [ "$project_ref" = "${SUPABASE_BACKUP_PROJECT_REF:-}" ]; then
-        access_token="$BACKUP_TOKEN"
+    local ref_env
+    ref_env=$(get_env_name_for_ref "$project_ref")
+    if [ -n "$ref_env" ]; then
+        access_token=$(get_env_access_token "$ref_env")
     fi
     
     if [ -z "$access_token" ]; then
@@ -392,22 +394,7 @@ collect_env_snapshot() {
     
     # Get environment details
     local project_ref=$(get_project_ref "$env")
-    local project_name=""
-    # Try to get project name from environment variables
-    case $env in
-        prod)
-            project_name="${SUPABASE_PROD_PROJECT_NAME:-}"
-            ;;
-        test)
-            project_name="${SUPABASE_TEST_PROJECT_NAME:-}"
-            ;;
-        dev)
-            project_name="${SUPABASE_DEV_PROJECT_NAME:-}"
-            ;;
-        backup)
-            project_name="${SUPABASE_BACKUP_PROJECT_NAME:-}"
-            ;;
-    esac
+    local project_name=$(get_env_project_name "$env")
     local password=$(get_db_password "$env")
     local pooler_host=$(get_pooler_host_for_env "$env" 2>/dev/null || get_pooler_host "$project_ref")
     
@@ -544,90 +531,59 @@ collect_env_snapshot() {
     echo "$snapshot_json"
 }
 
-# Collect snapshots for all environments
+# Collect snapshots for all environments (one JSON file per environment in TEMP_DIR)
 log_info "Collecting snapshots for all environments..."
 log_info ""
 
-DEV_SNAPSHOT=$(collect_env_snapshot "dev" "Development")
-log_info ""
-
-TEST_SNAPSHOT=$(collect_env_snapshot "test" "Test/Staging")
-log_info ""
-
-PROD_SNAPSHOT=$(collect_env_snapshot "prod" "Production")
-log_info ""
-
-BACKUP_SNAPSHOT=$(collect_env_snapshot "backup" "Backup")
-log_info ""
+for env_entry in "${ENV_NAMES[@]}"; do
+    env_label=$(get_env_label "$env_entry")
+    collect_env_snapshot "$env_entry" "${env_label:-$env_entry}" > "$TEMP_DIR/snapshot_${env_entry}.json"
+    log_info ""
+done
 
 # Combine all snapshots into final JSON
 log_info "Generating final snapshot file..."
 
-# Validate snapshots are valid JSON before combining
 if command -v jq >/dev/null 2>&1; then
-    # Validate each snapshot
-    if ! echo "$DEV_SNAPSHOT" | jq empty 2>/dev/null; then
-        log_warning "DEV_SNAPSHOT is invalid JSON, using empty object"
-        DEV_SNAPSHOT='{"env":"dev","name":"Development","projectRef":"","projectName":"","timestamp":"","counts":{"tables":0,"views":0,"functions":0,"sequences":0,"indexes":0,"policies":0,"triggers":0,"types":0,"enums":0,"publicTables":0,"publicRows":0,"authUsers":0,"edgeFunctions":0,"buckets":0,"secrets":0,"totalRows":0,"storageObjects":0},"tableRows":[],"storageBucketObjects":[]}'
-    fi
-    if ! echo "$TEST_SNAPSHOT" | jq empty 2>/dev/null; then
-        log_warning "TEST_SNAPSHOT is invalid JSON, using empty object"
-        TEST_SNAPSHOT='{"env":"test","name":"Test/Staging","projectRef":"","projectName":"","timestamp":"","counts":{"tables":0,"views":0,"functions":0,"sequences":0,"indexes":0,"policies":0,"triggers":0,"types":0,"enums":0,"publicTables":0,"publicRows":0,"authUsers":0,"edgeFunctions":0,"buckets":0,"secrets":0,"totalRows":0,"storageObjects":0},"tableRows":[],"storageBucketObjects":[]}'
-    fi
-    if ! echo "$PROD_SNAPSHOT" | jq empty 2>/dev/null; then
-        log_warning "PROD_SNAPSHOT is invalid JSON, using empty object"
-        PROD_SNAPSHOT='{"env":"prod","name":"Production","projectRef":"","projectName":"","timestamp":"","counts":{"tables":0,"views":0,"functions":0,"sequences":0,"indexes":0,"policies":0,"triggers":0,"types":0,"enums":0,"publicTables":0,"publicRows":0,"authUsers":0,"edgeFunctions":0,"buckets":0,"secrets":0,"totalRows":0,"storageObjects":0},"tableRows":[],"storageBucketObjects":[]}'
-    fi
-    if ! echo "$BACKUP_SNAPSHOT" | jq empty 2>/dev/null; then
-        log_warning "BACKUP_SNAPSHOT is invalid JSON, using empty object"
-        BACKUP_SNAPSHOT='{"env":"backup","name":"Backup","projectRef":"","projectName":"","timestamp":"","counts":{"tables":0,"views":0,"functions":0,"sequences":0,"indexes":0,"policies":0,"triggers":0,"types":0,"enums":0,"publicTables":0,"publicRows":0,"authUsers":0,"edgeFunctions":0,"buckets":0,"secrets":0,"totalRows":0,"storageObjects":0},"tableRows":[],"storageBucketObjects":[]}'
-    fi
-    
-    # Use jq to safely combine the JSON objects
-    # Write snapshots to temp files first to avoid shell escaping issues
-    temp_dev=$(mktemp)
-    temp_test=$(mktemp)
-    temp_prod=$(mktemp)
-    temp_backup=$(mktemp)
-    echo "$DEV_SNAPSHOT" > "$temp_dev"
-    echo "$TEST_SNAPSHOT" > "$temp_test"
-    echo "$PROD_SNAPSHOT" > "$temp_prod"
-    echo "$BACKUP_SNAPSHOT" > "$temp_backup"
-    
+    # Validate each snapshot before combining
+    for env_entry in "${ENV_NAMES[@]}"; do
+        env_file="$TEMP_DIR/snapshot_${env_entry}.json"
+        if ! jq empty "$env_file" 2>/dev/null || [ ! -s "$env_file" ]; then
+            log_warning "Snapshot for $env_entry is invalid JSON, using empty object"
+            env_label=$(get_env_label "$env_entry")
+            echo "{\"env\":\"$env_entry\",\"name\":\"${env_label:-$env_entry}\",\"projectRef\":\"\",\"projectName\":\"\",\"timestamp\":\"\",\"counts\":{\"tables\":0,\"views\":0,\"functions\":0,\"sequences\":0,\"indexes\":0,\"policies\":0,\"triggers\":0,\"types\":0,\"enums\":0,\"publicTables\":0,\"publicRows\":0,\"authUsers\":0,\"edgeFunctions\":0,\"buckets\":0,\"secrets\":0,\"totalRows\":0,\"storageObjects\":0},\"tableRows\":[],\"storageBucketObjects\":[]}" > "$env_file"
+        fi
+    done
+
+    # Key each snapshot by its environment name, in registry order
+    snapshot_files=()
+    for env_entry in "${ENV_NAMES[@]}"; do
+        snapshot_files+=("$TEMP_DIR/snapshot_${env_entry}.json")
+    done
     jq -n \
         --arg timestamp "$TIMESTAMP" \
         --argjson generatedAt "$(date +%s)" \
-        --slurpfile dev "$temp_dev" \
-        --slurpfile test "$temp_test" \
-        --slurpfile prod "$temp_prod" \
-        --slurpfile backup "$temp_backup" \
         '{
             timestamp: $timestamp,
             generatedAt: $generatedAt,
-            environments: {
-                dev: $dev[0],
-                test: $test[0],
-                prod: $prod[0],
-                backup: $backup[0]
-            }
-        }' > "$SNAPSHOT_FILE"
-    
-    # Clean up temp files
-    rm -f "$temp_dev" "$temp_test" "$temp_prod" "$temp_backup"
+            environments: (reduce inputs as $snapshot ({}; .[$snapshot.env] = $snapshot))
+        }' "${snapshot_files[@]}" > "$SNAPSHOT_FILE"
 else
     # Fallback without jq
-    cat > "$SNAPSHOT_FILE" << EOF
-{
-    "timestamp": "$TIMESTAMP",
-    "generatedAt": $(date +%s),
-    "environments": {
-        "dev": $DEV_SNAPSHOT,
-        "test": $TEST_SNAPSHOT,
-        "prod": $PROD_SNAPSHOT,
-        "backup": $BACKUP_SNAPSHOT
-    }
-}
-EOF
+    {
+        echo "{"
+        echo "    \"timestamp\": \"$TIMESTAMP\","
+        echo "    \"generatedAt\": $(date +%s),"
+        echo "    \"environments\": {"
+        separator=""
+        for env_entry in "${ENV_NAMES[@]}"; do
+            printf '%s        "%s": %s' "$separator" "$env_entry" "$(cat "$TEMP_DIR/snapshot_${env_entry}.json")"
+            separator=$',\n'
+        done
+        echo ""
+        echo "    }"
+        echo "}"
+    } > "$SNAPSHOT_FILE"
 fi
 
 log_success "━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━"
@@ -644,8 +600,8 @@ if command -v jq >/dev/null 2>&1; then
     echo "Environment | Tables | Rows | Views | Functions | Auth Users | Edge Functions | Buckets | Objects | Secrets"
     echo "------------|--------|------|-------|-----------|------------|----------------|---------|---------|--------"
     
-    for env in dev test prod backup; do
-        env_data=$(jq -r ".environments.$env" "$SNAPSHOT_FILE" 2>/dev/null)
+    for env in "${ENV_NAMES[@]}"; do
+        env_data=$(jq -r --arg env "$env" '.environments[$env]' "$SNAPSHOT_FILE" 2>/dev/null)
         if [ "$env_data" != "null" ] && [ -n "$env_data" ]; then
             name=$(echo "$env_data" | jq -r '.name // "N/A"')
             tables=$(echo "$env_data" | jq -r '.counts.tables // 0')
@@ -306,14 +306,8 @@ get_buckets_count() {
     local env_name=$2
     
     # Get service role key for the environment
-    local env_lc=$(echo "$env_name" | tr '[:upper:]' '[:lower:]')
-    local env_key=""
-    case "$env_lc" in
-        prod|production|main) env_key="PROD" ;;
-        test|staging) env_key="TEST" ;;
-        dev|develop) env_key="DEV" ;;
-        backup|bkup|bkp) env_key="BACKUP" ;;
-    esac
+    local env_key
+    env_key=$(normalize_env_key "$env_name")
     
     if [ -z "$env_key" ]; then
         echo "N/A"
@@ -366,14 +360,8 @@ get_buckets_list() {
     local env_name=$2
     
     # Get service role key for the environment
-    local env_lc=$(echo "$env_name" | tr '[:upper:]' '[:lower:]')
-    local env_key=""
-    case "$env_lc" in
-        prod|production|main) env_key="PROD" ;;
-        test|staging) env_key="TEST" ;;
-        dev|develop) env_key="DEV" ;;
-        backup|bkup|bkp) env_key="BACKUP" ;;
-    esac
+    local env_key
+    env_key=$(normalize_env_key "$env_name")
     
     if [ -z "$env_key" ]; then
         echo ""
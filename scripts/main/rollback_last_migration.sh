@@ -153,7 +153,7 @@ confirm() {
 }
 
 confirm "Are you sure you want to roll back environment '$TARGET_ENV'? Type YES to continue: " "YES"
-if [[ "$TARGET_ENV" =~ ^prod|production|main$ ]]; then
+if is_production "$TARGET_ENV"; then
     confirm "Production rollback requires extra confirmation. Type PROD to confirm: " "PROD"
 fi
 
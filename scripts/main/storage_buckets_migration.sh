@@ -22,7 +22,8 @@ MIGRATION_DIR=${3:-""}
 # Usage
 usage() {
     cat << EOF
-Usage: $0 <source_env> <target_env> [migration_dir] [--include-files|--exclude-files] [--force-all]
+Usage: $0 <source_env> <target_env> [migration_dir] [--include-files|--exclude-files] [--force-all] [--concurrency=N] [--resume=<migration_dir>] [--mirror [--dry-run]]
+          [--buckets=<globs>] [--include=<globs>] [--exclude=<globs>] [--checksum] [--verify] [--policies]
 
 Migrates storage buckets (configuration + files) from source to target using delta comparison
 
@@ -34,6 +35,12 @@ Default Behavior:
 With --files flag:
   Migrates ALL buckets with their files. Creates missing buckets and transfers all files.
 
+With --mirror flag:
+  Makes every source bucket's counterpart in target identical: creates missing buckets, updates
+  bucket settings (public, file size limit, allowed MIME types), copies new and changed files and
+  deletes files that exist only in target (after backing them up into migration_dir/storage_deleted).
+  Every change is previewed before anything is applied; add --dry-run to stop after the preview.
+
 With --force-all flag:
   Migrates ALL buckets even if they already exist in target (for configuration sync).
   Useful when you want to ensure all bucket configurations match source exactly.
@@ -47,6 +54,25 @@ Arguments:
   --exclude-files  Exclude file migration (default, migrates bucket config only)
   --force-all, --force, --all-buckets, --migrate-all  Migrate ALL buckets (even if they exist in target)
   --increment      Prefer incremental/delta operations (default: enabled)
+  --concurrency=N  Number of files transferred in parallel (default: 4, max: 32)
+  --resume=<dir>   Continue an interrupted file migration: copy only the files that run's
+                   storage_manifest.jsonl lists as pending or failed (implies --files; the
+                   run writes into <dir> unless another migration_dir is given)
+  --mirror         Mirror source buckets exactly, including deleting target-only files (implies --files)
+  --dry-run        With --mirror: only print and save the plan (storage_mirror_plan.json)
+  --buckets=<globs>  Only touch buckets whose name matches (comma-separated, e.g. 'public-*,avatars')
+  --include=<globs>  Only copy files whose path matches (e.g. 'avatars/2025/**'); needs --files
+  --exclude=<globs>  Skip files whose path matches (e.g. '*.mp4'); wins over --include; needs --files
+                   ** matches across folders, * and ? within one folder. Patterns without a "/"
+                   match the file name. Quote patterns so the shell does not expand them.
+  --checksum       Compute a SHA-256 of every copied file while it streams and record it in
+                   storage_manifest.jsonl; needs --files
+  --verify         --checksum plus a verification pass after the copy: re-lists the target and
+                   compares file counts, sizes and checksums per bucket. Results go to
+                   storage_verification.json and the HTML report; any mismatch fails the run
+  --policies       Also migrate the storage.objects / storage.buckets RLS policies that concern
+                   the migrated buckets (needs psql and both DB passwords). The SQL is saved as
+                   storage_policies.sql; with --mirror, target-only policies are dropped
 
 Examples:
   $0 dev test                          # Migrate only NEW bucket names (incremental - no files)
@@ -54,6 +80,13 @@ Examples:
   $0 dev test --files                  # Migrate ALL buckets with files (same as --file)
   $0 prod test /path/to/backup         # Migrate only new bucket names with custom backup directory
   $0 prod test /path/to/backup --file  # Custom directory, ALL buckets with files
+  $0 dev test --files --concurrency=8  # ALL buckets with files, 8 transfers at a time
+  $0 dev test --resume=backups/storage_migration_dev_to_test_20250101_120000  # Finish an interrupted run
+  $0 prod test --mirror --dry-run      # Preview what a mirror would add, update and delete
+  $0 prod test --files --buckets=public-assets             # Only the public-assets bucket
+  $0 prod test --files --include='avatars/2025/**' --exclude='*.mp4'  # Part of a bucket, no videos
+  $0 prod test --files --verify        # Copy, then check every bucket in target byte for byte
+  $0 prod test --files --policies      # Buckets, files and their RLS policies
 
 Returns:
   0 on success, 1 on failure
@@ -95,6 +128,13 @@ fi
 INCLUDE_FILES="false"
 INCREMENTAL_MODE="false"
 FORCE_ALL_BUCKETS="false"  # If true, migrate all buckets even if they exist in target
+CONCURRENCY=""  # Parallel file transfers (storage-migration.js default when empty)
+RESUME_DIR=""  # Migration directory of an interrupted run to continue
+MIRROR_MODE="false"  # If true, make target buckets identical to source (including deletions)
+DRY_RUN="false"  # With mirror mode: preview only
+FILTER_ARGS=()  # --buckets= / --include= / --exclude= globs, passed through to the Node utility
+VERIFY_ARGS=()  # --checksum / --verify, passed through to the Node utility
+MIGRATE_POLICIES="false"  # If true, also migrate storage RLS policies
 AUTO_CONFIRM_COMPONENT="${AUTO_CONFIRM:-false}"
 SKIP_COMPONENT_CONFIRM="${SKIP_COMPONENT_CONFIRM:-false}"
 
@@ -119,6 +159,29 @@ for arg in "$@"; do
         --auto-confirm|--yes|-y)
             AUTO_CONFIRM_COMPONENT="true"
             ;;
+        --concurrency=*)
+            CONCURRENCY="${arg#--concurrency=}"
+            ;;
+        --resume=*)
+            RESUME_DIR="${arg#--resume=}"
+            INCLUDE_FILES="true"
+            ;;
+        --mirror)
+            MIRROR_MODE="true"
+            INCLUDE_FILES="true"
+            ;;
+        --dry-run)
+            DRY_RUN="true"
+            ;;
+        --buckets=*|--include=*|--exclude=*)
+            FILTER_ARGS+=("$arg")
+            ;;
+        --checksum|--verify)
+            VERIFY_ARGS+=("$arg")
+            ;;
+        --policies)
+            MIGRATE_POLICIES="true"
+            ;;
     esac
 done
 
@@ -136,7 +199,20 @@ if [ -n "$MIGRATION_DIR" ]; then
     elif [ "$MIGRATION_DIR" = "--auto-confirm" ] || [ "$MIGRATION_DIR" = "--yes" ] || [ "$MIGRATION_DIR" = "-y" ]; then
         AUTO_CONFIRM_COMPONENT="true"
         MIGRATION_DIR=""
+    elif [[ "$MIGRATION_DIR" == --* ]]; then
+        # Any other flag was already handled by the loop above
+        MIGRATION_DIR=""
+    fi
+fi
+
+# A resumed run keeps writing into the interrupted run's directory (and so also keeps it from
+# being removed by the old-backup cleanup below)
+if [ -n "$RESUME_DIR" ]; then
+    if [ ! -d "$RESUME_DIR" ]; then
+        log_error "Resume directory not found: $RESUME_DIR"
+        exit 1
     fi
+    [ -z "$MIGRATION_DIR" ] && MIGRATION_DIR="$RESUME_DIR"
 fi
 
 # Check if 4th argument is a flag
@@ -250,6 +326,12 @@ log_info "  Source: $SOURCE_REF"
 log_info "  Target: $TARGET_REF"
 log_info "  Files: $INCLUDE_FILES_FLAG"
 [ -n "$FORCE_FLAG" ] && log_info "  Force: $FORCE_FLAG"
+[ -n "$CONCURRENCY" ] && log_info "  Concurrency: $CONCURRENCY"
+[ -n "$RESUME_DIR" ] && log_info "  Resume from: $RESUME_DIR"
+[ "$MIRROR_MODE" = "true" ] && log_info "  Mirror: yes$([ "$DRY_RUN" = "true" ] && echo " (dry run)")"
+[ ${#FILTER_ARGS[@]} -gt 0 ] && log_info "  Filters: ${FILTER_ARGS[*]}"
+[ ${#VERIFY_ARGS[@]} -gt 0 ] && log_info "  Verification: ${VERIFY_ARGS[*]}"
+[ "$MIGRATE_POLICIES" = "true" ] && log_info "  Policies: yes"
 log_info ""
 
 # Run Node.js utility and capture output
@@ -257,6 +339,13 @@ log_info ""
 set +o pipefail  # Temporarily disable pipefail to check exit code manually
 STORAGE_ARGS=("$SOURCE_REF" "$TARGET_REF" "$MIGRATION_DIR" "$INCLUDE_FILES_FLAG")
 [ -n "$FORCE_FLAG" ] && STORAGE_ARGS+=("$FORCE_FLAG")
+[ -n "$CONCURRENCY" ] && STORAGE_ARGS+=("--concurrency=$CONCURRENCY")
+[ -n "$RESUME_DIR" ] && STORAGE_ARGS+=("--resume=$RESUME_DIR")
+[ "$MIRROR_MODE" = "true" ] && STORAGE_ARGS+=("--mirror")
+[ "$MIRROR_MODE" = "true" ] && [ "$DRY_RUN" = "true" ] && STORAGE_ARGS+=("--dry-run")
+[ ${#FILTER_ARGS[@]} -gt 0 ] && STORAGE_ARGS+=("${FILTER_ARGS[@]}")
+[ ${#VERIFY_ARGS[@]} -gt 0 ] && STORAGE_ARGS+=("${VERIFY_ARGS[@]}")
+[ "$MIGRATE_POLICIES" = "true" ] && STORAGE_ARGS+=("--policies")
 
 if node "$STORAGE_UTIL" "${STORAGE_ARGS[@]}" 2>&1 | tee -a "$LOG_FILE"; then
     NODE_EXIT_CODE=${PIPESTATUS[0]}
@@ -302,6 +391,12 @@ REMOVED_COUNT=$(grep -c "✓ Removed\|✓ Deleted" "$LOG_FILE" 2>/dev/null || ec
 
 # Generate details section
 DETAILS_SECTION=$(format_migration_details "$LOG_FILE" "storage")
+if [[ " ${VERIFY_ARGS[*]-} " == *" --verify "* ]] && [ -f "$MIGRATION_DIR/storage_verification.json" ]; then
+    DETAILS_SECTION="${DETAILS_SECTION}$(format_storage_verification "$MIGRATION_DIR/storage_verification.json")"
+fi
+if [ "$MIGRATE_POLICIES" = "true" ] && [ -f "$MIGRATION_DIR/storage_policies.json" ]; then
+    DETAILS_SECTION="${DETAILS_SECTION}$(format_storage_policies "$MIGRATION_DIR/storage_policies.json" "$MIGRATION_DIR/storage_policies.sql")"
+fi
 
 # Generate HTML report
 export MIGRATED_COUNT SKIPPED_COUNT FAILED_COUNT REMOVED_COUNT DETAILS_SECTION
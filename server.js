@@ -5,12 +5,21 @@
  */
 
 const express = require('express');
-const { spawn, exec } = require('child_process');
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs').promises;
 const cors = require('cors');
-const dotenv = require('dotenv');
 const openBrowser = (...args) => import('open').then(mod => mod.default(...args));
+const { resolveJobHistoryDir, createJobStore } = require('./utils/lib/jobStore');
+const { createJobRunner } = require('./utils/lib/jobRunner');
+const { createLockManager } = require('./utils/lib/lockManager');
+const { JOB_TYPES, buildJobSpec, validateJobParams } = require('./utils/lib/jobTypes');
+const { REPEAT_OPTIONS, stepJobParams, createPipelineQueue } = require('./utils/lib/pipelineQueue');
+const { roleAtLeast, safeEqual, resolveUsersFile, createUserStore, createSessionManager } = require('./utils/lib/userAuth');
+const { createAuditLog } = require('./utils/lib/auditLog');
+const { createApprovalStore } = require('./utils/lib/approvals');
+const { listEnvironments, resolveEnvironment, normalizeEnvKey, isProductionEnvironment, getEnvVar } = require('./utils/lib/environments');
+const { loadConfig, getDataDir } = require('./utils/lib/config');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -19,146 +28,484 @@ const PROJECT_ROOT = process.cwd();
 const stripAnsi = (input = '') =>
     typeof input === 'string' ? input.replace(/\u001B\[[0-9;]*m/g, '') : '';
 
-// Load environment variables from .env.local
-dotenv.config({ path: path.join(PROJECT_ROOT, '.env.local') });
+// Load environment variables from .env.local (or the file given with --env-file)
+loadConfig();
 
-// Get access key from environment
+// Get access key from environment (legacy single shared key, used when no users are configured)
 const TOOL_UI_ACCESS_KEY = process.env.TOOL_UI_ACCESS_KEY || '';
 
+// Server state that is never served over HTTP (see the UI asset allow-list below)
+const DATA_DIR = getDataDir();
+
+// Job history, audit log, sessions, pipelines and approvals (older versions kept them in
+// job_history/ in the project root)
+const JOB_HISTORY_DIR = (() => {
+    const { dir, movedFrom } = resolveJobHistoryDir(DATA_DIR, path.join(PROJECT_ROOT, 'job_history'));
+    if (movedFrom) {
+        console.warn(`⚠️  Moved the job history from ${movedFrom} to ${dir}`);
+    }
+    return dir;
+})();
+
+// Local user accounts (manage with: node utils/ui-users.js)
+const TOOL_UI_USERS_FILE = process.env.TOOL_UI_USERS_FILE || (() => {
+    const { filePath, movedFrom } = resolveUsersFile(DATA_DIR, path.join(PROJECT_ROOT, 'ui_users.json'));
+    if (movedFrom) {
+        console.warn(`⚠️  Moved the users file from ${movedFrom} to ${filePath}`);
+    }
+    return filePath;
+})();
+const SESSION_TTL_MS = (parseFloat(process.env.TOOL_UI_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+// How long a production approval request stays open before it expires
+const APPROVAL_TTL_MS = (parseFloat(process.env.TOOL_UI_APPROVAL_TTL_HOURS) || 4) * 60 * 60 * 1000;
+
+// Interval for SSE heartbeat comments on long-running job streams
+const SSE_HEARTBEAT_INTERVAL_MS = 15000;
+
+if (!process.env.TOOL_UI_SESSION_SECRET) {
+    console.warn('⚠️  TOOL_UI_SESSION_SECRET is not set - sessions will not survive a server restart');
+}
+
+const userStore = createUserStore(TOOL_UI_USERS_FILE);
+const sessionManager = createSessionManager({
+    secret: process.env.TOOL_UI_SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
+    ttlMs: SESSION_TTL_MS,
+    revocationsPath: path.join(JOB_HISTORY_DIR, 'revoked_sessions.json')
+});
+
+// users: accounts from the users file; access-key: legacy shared key (admin); dev: nothing configured.
+// A users file without accounts still means users mode, so emptying it locks the UI instead of opening it.
+function getAuthMode() {
+    if (userStore.exists()) return 'users';
+    if (TOOL_UI_ACCESS_KEY) return 'access-key';
+    return 'dev';
+}
+
+if (userStore.exists() && !userStore.hasUsers()) {
+    console.warn(`⚠️  ${TOOL_UI_USERS_FILE} has no accounts - nobody can sign in until one is added with utils/ui-users.js`);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
 
-// Authentication middleware
+// Authentication middleware: resolves the session token to req.user ({ username, role })
 function authenticate(req, res, next) {
-    // Skip authentication for login endpoint, login page, and static assets
-    if (req.path === '/api/auth/login' || 
-        req.path === '/login.html' || 
-        req.path === '/' ||
-        req.path.startsWith('/login') ||
-        !req.path.startsWith('/api')) {
+    const mode = getAuthMode();
+    if (mode === 'dev') {
+        // If nothing is configured, allow all requests (development mode)
+        req.user = { username: 'dev', role: 'admin' };
         return next();
     }
     
     // Check for session token in header, query, or body
     const token = req.headers.authorization?.replace('Bearer ', '') || 
                   req.query.token || 
-                  req.body.token;
+                  req.body?.token;
     
-    // If no access key is configured, allow all requests (development mode)
-    if (!TOOL_UI_ACCESS_KEY) {
-        return next();
+    const session = sessionManager.verify(token);
+    if (!session) {
+        return res.status(401).json({ error: 'Unauthorized - Invalid, expired or revoked session' });
     }
     
-    if (!token || token !== TOOL_UI_ACCESS_KEY) {
-        return res.status(401).json({ error: 'Unauthorized - Invalid or missing access key' });
+    let role = session.role;
+    if (mode === 'users') {
+        // Role changes and disabled accounts take effect immediately, not at token expiry
+        const user = userStore.find(session.sub);
+        if (!user || user.disabled) {
+            return res.status(401).json({ error: 'Unauthorized - Account is no longer active' });
+        }
+        role = user.role;
     }
     
+    req.user = { username: session.sub, role };
+    req.session = session;
     next();
 }
 
-// Apply authentication to API routes (except login and delete endpoint which handles auth manually)
-app.use('/api', (req, res, next) => {
-    // Skip authentication for login endpoint
-    if (req.path === '/auth/login') {
+// viewer: plans, snapshots, comparisons; operator: non-prod migrations; admin: production targets
+// (environments marked production in the registry), clone, deleting plans
+function jobTypeRole(type, targetEnv) {
+    const definition = JOB_TYPES[type];
+    if (!definition || !definition.mutatesTarget) return 'viewer';
+    if (definition.adminOnly || isProductionEnvironment(targetEnv)) return 'admin';
+    return 'operator';
+}
+
+const JOB_ROUTE_TYPES = {
+    '/migration-plan': 'migration-plan',
+    '/migration': 'main-migration',
+    '/clone': 'environment-clone',
+    '/migration/table-data': 'table-data',
+    '/migration/database': 'database-migration',
+    '/migration/storage': 'storage-migration',
+    '/storage/restore': 'storage-restore',
+    '/migration/edge-functions': 'edge-functions-migration',
+    '/migration/secrets': 'secrets-migration',
+    '/migration/auth-config': 'auth-config-migration',
+    '/all-envs-snapshot': 'all-envs-snapshot',
+    '/connection-test': 'connection-test',
+    '/edge-comparison': 'edge-comparison',
+    '/storage-comparison': 'storage-comparison',
+    '/auth-users/compare': 'auth-users-comparison',
+    '/auth-config/compare': 'auth-config-comparison'
+};
+
+function highestRole(roles) {
+    return roles.reduce((highest, role) => (roleAtLeast(role, highest) ? role : highest), 'viewer');
+}
+
+// Role needed to create or cancel a pipeline: operator, or higher if one of its steps needs it
+function pipelineRole(steps, targetEnv) {
+    return highestRole(['operator', ...steps.map(step => jobTypeRole(step && step.type, targetEnv))]);
+}
+
+// Role needed to cancel a running job. Schema syncs are not JOB_TYPES; like every job that holds
+// a target lock they need admin on production.
+function jobCancelRole(job) {
+    const lockedProduction = Boolean(job.lockKey) && isProductionEnvironment(job.targetEnv);
+    return highestRole(['operator', jobTypeRole(job.type, job.targetEnv), lockedProduction ? 'admin' : 'viewer']);
+}
+
+// Minimum role for an /api request (req.path is relative to /api)
+function requiredRoleFor(req) {
+    const body = req.body || {};
+
+    if (req.method === 'GET') return 'viewer';
+    if (req.path === '/auth/logout') return 'viewer';
+
+    if (req.method === 'POST' && JOB_ROUTE_TYPES[req.path]) {
+        return jobTypeRole(JOB_ROUTE_TYPES[req.path], body.targetEnv);
+    }
+    if (req.method === 'POST' && req.path.startsWith('/schema/') && req.path.endsWith('-sync')) {
+        return isProductionEnvironment(body.targetEnv) ? 'admin' : 'operator';
+    }
+    if (req.method === 'POST' && req.path === '/pipelines') {
+        return pipelineRole(Array.isArray(body.steps) ? body.steps : [], body.targetEnv);
+    }
+    // Stopping a job or pipeline needs the role it took to start it (a half-written production
+    // target is as bad as a wrong one); unknown ids fall through to the route's 404
+    const processMatch = req.method === 'DELETE' && req.path.match(/^\/process\/([^/]+)$/);
+    if (processMatch) {
+        const job = jobRunner.get(processMatch[1]);
+        return job ? jobCancelRole(job) : 'operator';
+    }
+    const pipelineMatch = req.method === 'DELETE' && req.path.match(/^\/pipelines\/([^/]+)$/);
+    if (pipelineMatch) {
+        const pipeline = pipelineQueue.get(pipelineMatch[1]);
+        return pipeline ? pipelineRole(pipeline.steps, pipeline.targetEnv) : 'operator';
+    }
+
+    // Anything else that changes state (plan deletion, approvals, session revocation, ...) is admin-only
+    return 'admin';
+}
+
+function authorize(req, res, next) {
+    const requiredRole = requiredRoleFor(req);
+    if (!roleAtLeast(req.user.role, requiredRole)) {
+        return res.status(403).json({
+            error: `Forbidden - ${requiredRole} role required (you are ${req.user.role})`,
+            requiredRole
+        });
+    }
+    next();
+}
+
+const AUDIT_ROUTE_ACTIONS = {
+    'POST /schema/public-table-sync': 'public-table-sync',
+    'POST /schema/policies-sync': 'policies-sync',
+    'POST /pipelines': 'create-pipeline',
+    'DELETE /pipelines': 'cancel-pipeline',
+    'DELETE /migration-plans': 'delete-plan',
+    'DELETE /process': 'cancel-job',
+    'POST /auth/logout': 'logout',
+    'POST /auth/revoke': 'revoke-sessions'
+};
+
+// Audit action name for an /api request: the job type for job routes, otherwise a fixed name
+function auditActionFor(req) {
+    if (req.method === 'POST' && JOB_ROUTE_TYPES[req.path]) {
+        return JOB_ROUTE_TYPES[req.path];
+    }
+    const approvalMatch = req.path.match(/^\/approvals\/[^/]+\/(approve|reject)$/);
+    if (req.method === 'POST' && approvalMatch) {
+        return `${approvalMatch[1]}-request`;
+    }
+    const exact = AUDIT_ROUTE_ACTIONS[`${req.method} ${req.path}`];
+    const parent = AUDIT_ROUTE_ACTIONS[`${req.method} ${req.path.replace(/\/[^/]+$/, '')}`];
+    return exact || parent || `${req.method} ${req.path}`;
+}
+
+// Record every state-changing request (including ones refused by authorize) before it runs
+function auditRequest(req, res, next) {
+    if (req.method === 'GET') {
         return next();
     }
-    // Skip authentication for delete endpoint (it handles auth manually with better logging)
-    if (req.method === 'DELETE' && req.path.startsWith('/migration-plans/')) {
+    const { sourceEnv = null, targetEnv = null, env = null, ...options } = req.body || {};
+    const auditId = auditLog.record({
+        user: req.user.username,
+        role: req.user.role,
+        action: auditActionFor(req),
+        method: req.method,
+        route: req.originalUrl.split('?')[0],
+        sourceEnv,
+        targetEnv,
+        env,
+        options
+    });
+    req.auditId = auditId;
+    // 'close' also fires when an SSE client disconnects before the job ends
+    res.on('close', () => auditLog.recordResponse(auditId, res.statusCode));
+    next();
+}
+
+// Apply authentication, auditing and role checks to every API route except the public login endpoints
+app.use('/api', (req, res, next) => {
+    if (req.path === '/auth/login' || req.path === '/auth/config') {
         return next();
     }
-    authenticate(req, res, next);
+    authenticate(req, res, () => auditRequest(req, res, () => authorize(req, res, next)));
 });
 
-// Serve static files (login page is public)
-app.use(express.static(PROJECT_ROOT));
+// Only the UI pages and their script are served from the project root (login page is public);
+// env files, users file, job history and everything else in it stay private
+const UI_ASSETS = ['login.html', 'ui.html', 'ui.js'];
+UI_ASSETS.forEach((file) => {
+    app.get(`/${file}`, (req, res) => res.sendFile(path.join(PROJECT_ROOT, file)));
+});
 
-// Store active processes with metadata
-const activeProcesses = new Map();
+// Persistent job registry so job history and logs survive a server restart
+const jobStore = createJobStore(JOB_HISTORY_DIR);
 
-// Helper function to execute shell scripts with streaming
-function executeScript(scriptPath, args = [], options = {}) {
-    return new Promise((resolve, reject) => {
-        const fullPath = path.join(PROJECT_ROOT, scriptPath);
-        
-        // Check if script exists
-        fs.access(fullPath, fs.constants.F_OK)
-            .then(() => {
-                const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-                const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-                
-                const child = spawn('bash', [fullPath, ...allArgs], {
-                    cwd: PROJECT_ROOT,
-                    env: { ...process.env, ...options.env || {} }
-                });
-
-                const output = {
-                    processId,
-                    stdout: '',
-                    stderr: '',
-                    exitCode: null,
-                    status: 'running',
-                    logs: [] // Store logs for streaming
-                };
-
-                // Handle stdout
-                child.stdout.on('data', (data) => {
-                    const text = data.toString();
-                    output.stdout += text;
-                    output.logs.push({ type: 'stdout', data: text, timestamp: Date.now() });
-                    
-                    // Emit to SSE if connected
-                    if (options.sseCallback) {
-                        options.sseCallback({ type: 'stdout', data: text });
-                    }
-                });
+// Who ran what against which environment (append-only, next to the job history)
+const auditLog = createAuditLog(path.join(JOB_HISTORY_DIR, 'audit.jsonl'));
 
-                // Handle stderr
-                child.stderr.on('data', (data) => {
-                    const text = data.toString();
-                    output.stderr += text;
-                    output.logs.push({ type: 'stderr', data: text, timestamp: Date.now() });
-                    
-                    // Emit to SSE if connected
-                    if (options.sseCallback) {
-                        options.sseCallback({ type: 'stderr', data: text });
-                    }
-                });
+// One mutating job per target project at a time
+const lockManager = createLockManager();
 
-                child.on('close', (code) => {
-                    output.exitCode = code;
-                    output.status = code === 0 ? 'completed' : 'failed';
-                    
-                    // Emit completion
-                    if (options.sseCallback) {
-                        options.sseCallback({ type: 'complete', status: output.status, exitCode: code });
-                    }
-                    
-                    activeProcesses.delete(processId);
-                    resolve(output);
-                });
+// Every script-backed job goes through the shared runner (spawn, logs, SSE, cancel, history)
+const jobRunner = createJobRunner({
+    projectRoot: PROJECT_ROOT,
+    jobStore,
+    lockManager,
+    heartbeatIntervalMs: SSE_HEARTBEAT_INTERVAL_MS
+});
 
-                child.on('error', (error) => {
-                    output.status = 'error';
-                    output.error = error.message;
-                    
-                    // Emit error
-                    if (options.sseCallback) {
-                        options.sseCallback({ type: 'error', error: error.message });
-                    }
-                    
-                    activeProcesses.delete(processId);
-                    reject(output);
-                });
-
-                activeProcesses.set(processId, { child, output });
-            })
-            .catch(() => {
-                reject({ error: `Script not found: ${scriptPath}` });
+// Backup/migration directory a script reported, relative to the project root
+function extractBackupDir(output = '') {
+    const clean = stripAnsi(output);
+    const match = clean.match(/Migration directory:\s*(\S+)/) || clean.match(/(?:^|[\s'"])((?:\/\S*\/)?backups\/[A-Za-z0-9_.-]+)/m);
+    if (!match) {
+        return null;
+    }
+    return path.relative(PROJECT_ROOT, path.resolve(PROJECT_ROOT, match[1]));
+}
+
+// Complete the audit entry of jobs started by an audited request or pipeline step
+jobRunner.on('finish', (job) => {
+    auditLog.recordJobResult(job.processId, {
+        status: job.output.status,
+        exitCode: job.output.exitCode,
+        backupDir: extractBackupDir(`${job.output.stdout}\n${job.output.stderr}`)
+    });
+});
+
+// Locks are keyed by project ref so aliases (prod/production/main) share one lock
+function resolveTargetLockKey(envName) {
+    const envKey = normalizeEnvKey(envName);
+    if (!envKey) {
+        return `env:${String(envName).toLowerCase()}`;
+    }
+    const projectRef = getEnvVar(envName, 'PROJECT_REF');
+    return projectRef || `env:${envKey.toLowerCase()}`;
+}
+
+function withTargetLock(spec) {
+    if (spec.mutatesTarget && spec.targetEnv) {
+        spec.lockKey = resolveTargetLockKey(spec.targetEnv);
+    }
+    return spec;
+}
+
+function sendTargetLocked(res, error) {
+    res.status(409).json({ error: error.message, lock: error.lock });
+}
+
+// Sequential multi-step pipelines, optionally scheduled (persisted next to the job history)
+const pipelineQueue = createPipelineQueue({
+    storePath: path.join(JOB_HISTORY_DIR, 'pipelines.json'),
+    startJob: (type, params, pipeline) => {
+        const job = jobRunner.enqueue(withTargetLock(buildJobSpec(type, params)));
+        const auditId = auditLog.record({
+            user: pipeline.createdBy || 'scheduler',
+            action: type,
+            route: `pipeline:${pipeline.id}`,
+            sourceEnv: params.sourceEnv,
+            targetEnv: params.targetEnv,
+            env: params.env,
+            options: { ...params.options, migrationDir: params.migrationDir }
+        });
+        auditLog.linkJob(auditId, job.processId);
+        return job;
+    },
+    waitForJob: (processId) => jobRunner.waitFor(processId),
+    cancelJob: (processId) => jobRunner.cancel(processId)
+});
+pipelineQueue.start();
+
+// Production approval requests (persisted next to the job history)
+const approvalStore = createApprovalStore({
+    storePath: path.join(JOB_HISTORY_DIR, 'approvals.json'),
+    ttlMs: APPROVAL_TTL_MS,
+    getJob: (processId) => jobStore.get(processId)
+});
+
+const APPROVAL_ERROR_STATUS = {
+    APPROVAL_NOT_FOUND: 404,
+    SELF_APPROVAL: 403,
+    APPROVAL_NOT_PENDING: 409,
+    PLAN_NOT_READY: 409,
+    PLAN_FAILED: 409
+};
+
+function sendApprovalError(res, error) {
+    res.status(APPROVAL_ERROR_STATUS[error.code] || 500).json({ error: error.message, code: error.code });
+}
+
+// Jobs that write to production need a second user's approval. Only user accounts can tell
+// two people apart, so the shared access key and development mode are not covered.
+function requiresApproval(spec) {
+    return getAuthMode() === 'users' && spec.mutatesTarget && isProductionEnvironment(spec.targetEnv);
+}
+
+// Park a production job as a pending request and generate the migration plan the approver reviews
+function requestApproval(req, res, spec) {
+    const approval = approvalStore.create({
+        spec,
+        requestedBy: req.user.username,
+        reason: req.body.reason || null,
+        auditId: req.auditId || null
+    });
+
+    // A restore has no source environment, so there is no migration plan to generate for it
+    if (spec.sourceEnv) {
+        try {
+            const planJob = jobRunner.enqueue({
+                ...buildJobSpec('migration-plan', { sourceEnv: spec.sourceEnv, targetEnv: spec.targetEnv }),
+                onFinish: (output) => {
+                    const clean = stripAnsi(output.stdout);
+                    const reportMatch = clean.match(/Report saved to:\s*(\S+)/);
+                    const diffMatch = clean.match(/Diff JSON saved to:\s*(\S+)/);
+                    approvalStore.attachPlan(approval.id, {
+                        status: output.status,
+                        reportUrl: reportMatch ? normalizePathForClient(path.resolve(PROJECT_ROOT, reportMatch[1])) : null,
+                        diffJsonUrl: diffMatch ? normalizePathForClient(path.resolve(PROJECT_ROOT, diffMatch[1])) : null
+                    });
+                }
             });
+            approvalStore.attachPlan(approval.id, { processId: planJob.processId, status: 'running' });
+        } catch (error) {
+            approvalStore.attachPlan(approval.id, { status: 'error', error: error.message });
+        }
+    }
+
+    res.status(202).json({
+        approvalRequired: true,
+        approval: approvalStore.get(approval.id),
+        message: 'Production changes need approval from a second user before they run'
+    });
+}
+
+// Environment names in a request that the registry does not know
+function unknownEnvironments(...envNames) {
+    return envNames.filter(envName => envName && !resolveEnvironment(envName));
+}
+
+function sendUnknownEnvironment(res, envName) {
+    res.status(400).json({
+        error: `Unsupported environment: ${envName}`,
+        environments: listEnvironments().map(environment => environment.name)
     });
 }
 
+// Job params checked by the job type's validate(), the same for an endpoint and a pipeline step.
+// Returns the normalized params, or null after replying 400.
+function validatedJobParams(res, type, params, errorPrefix = '') {
+    try {
+        return validateJobParams(type, params, { projectRoot: PROJECT_ROOT });
+    } catch (error) {
+        if (error.code !== 'JOB_PARAMS_INVALID') {
+            throw error;
+        }
+        res.status(400).json({ error: `${errorPrefix}${error.message}` });
+        return null;
+    }
+}
+
+// Start a job and either stream it over SSE or reply with its output once it finishes
+async function respondWithJob(req, res, spec, stream) {
+    const [unknownEnv] = unknownEnvironments(spec.sourceEnv, spec.targetEnv, spec.env);
+    if (unknownEnv) {
+        return sendUnknownEnvironment(res, unknownEnv);
+    }
+    if (requiresApproval(spec)) {
+        return requestApproval(req, res, spec);
+    }
+
+    let job;
+    try {
+        job = jobRunner.enqueue(withTargetLock(spec));
+    } catch (error) {
+        if (error.code === 'TARGET_LOCKED') {
+            return sendTargetLocked(res, error);
+        }
+        if (stream) {
+            return jobRunner.streamError(res, error.message);
+        }
+        return res.status(500).json({ error: error.message });
+    }
+    if (req.auditId) {
+        auditLog.linkJob(req.auditId, job.processId);
+    }
+
+    if (stream) {
+        return jobRunner.stream(req, res, job.processId);
+    }
+
+    const output = await jobRunner.waitFor(job.processId);
+    if (output.status === 'error') {
+        return res.status(500).json(output);
+    }
+    res.json(output);
+}
+
+// Helper function to execute shell scripts and collect their output
+async function executeScript(scriptPath, args = [], options = {}) {
+    let job;
+    try {
+        job = jobRunner.enqueue({
+            type: options.type || path.basename(scriptPath, '.sh'),
+            script: scriptPath,
+            args,
+            targetEnv: options.targetEnv,
+            lockKey: options.lockTarget ? resolveTargetLockKey(options.targetEnv) : undefined,
+            processEnv: options.env
+        });
+    } catch (error) {
+        throw { error: error.message, code: error.code, lock: error.lock };
+    }
+    if (options.auditId) {
+        auditLog.linkJob(options.auditId, job.processId);
+    }
+
+    const output = await jobRunner.waitFor(job.processId);
+    if (output.status === 'error') {
+        throw output;
+    }
+    return output;
+}
+
 function normalizePathForClient(filePath) {
     return `/${path.relative(PROJECT_ROOT, filePath).split(path.sep).join('/')}`;
 }
@@ -274,6 +621,98 @@ async function buildEdgeComparisonPayload(cleanOutput) {
     };
 }
 
+async function buildStorageComparisonPayload(cleanOutput) {
+    const diffMatch = cleanOutput.match(/STORAGE_DIFF_JSON=([^\n]+)/);
+    const reportMatch = cleanOutput.match(/STORAGE_REPORT_HTML=([^\n]+)/);
+
+    if (!diffMatch) {
+        throw new Error('Unable to determine storage diff JSON path from comparison output');
+    }
+
+    const diffPath = diffMatch[1].trim();
+    const diffAbsolute = path.isAbsolute(diffPath) ? diffPath : path.join(PROJECT_ROOT, diffPath);
+    const reportPath = reportMatch ? reportMatch[1].trim() : diffPath.replace(/\.json$/, '.html');
+    const reportAbsolute = path.isAbsolute(reportPath) ? reportPath : path.join(PROJECT_ROOT, reportPath);
+
+    const diffData = JSON.parse(await fs.readFile(diffAbsolute, 'utf-8'));
+
+    return {
+        summary: diffData.summary || {},
+        buckets: Array.isArray(diffData.buckets) ? diffData.buckets : [],
+        reportUrl: normalizePathForClient(reportAbsolute),
+        diffJsonUrl: normalizePathForClient(diffAbsolute),
+        generatedAt: diffData.generated_at,
+        sourceEnv: diffData.source_env,
+        targetEnv: diffData.target_env,
+        logs: cleanOutput
+    };
+}
+
+// Lists in the auth users payload are capped; the full diff stays in the JSON and HTML reports
+const AUTH_USERS_PAYLOAD_LIMIT = 200;
+
+async function buildAuthUsersComparisonPayload(cleanOutput) {
+    const diffMatch = cleanOutput.match(/AUTH_USERS_DIFF_JSON=([^\n]+)/);
+    const reportMatch = cleanOutput.match(/AUTH_USERS_REPORT_HTML=([^\n]+)/);
+
+    if (!diffMatch) {
+        throw new Error('Unable to determine auth users diff JSON path from comparison output');
+    }
+
+    const diffPath = diffMatch[1].trim();
+    const diffAbsolute = path.isAbsolute(diffPath) ? diffPath : path.join(PROJECT_ROOT, diffPath);
+    const reportPath = reportMatch ? reportMatch[1].trim() : diffPath.replace(/\.json$/, '.html');
+    const reportAbsolute = path.isAbsolute(reportPath) ? reportPath : path.join(PROJECT_ROOT, reportPath);
+
+    const diffData = JSON.parse(await fs.readFile(diffAbsolute, 'utf-8'));
+    const capped = (key) => (Array.isArray(diffData[key]) ? diffData[key].slice(0, AUTH_USERS_PAYLOAD_LIMIT) : []);
+
+    return {
+        summary: diffData.summary || {},
+        missingInTarget: capped('missingInTarget'),
+        targetOnly: capped('targetOnly'),
+        changed: capped('changed'),
+        identityMismatches: capped('identityMismatches'),
+        factorMismatches: capped('factorMismatches'),
+        emailConflicts: capped('emailConflicts'),
+        listLimit: AUTH_USERS_PAYLOAD_LIMIT,
+        reportUrl: normalizePathForClient(reportAbsolute),
+        diffJsonUrl: normalizePathForClient(diffAbsolute),
+        generatedAt: diffData.generatedAt,
+        sourceEnv: diffData.source?.env,
+        targetEnv: diffData.target?.env,
+        logs: cleanOutput
+    };
+}
+
+async function buildAuthConfigComparisonPayload(cleanOutput) {
+    const diffMatch = cleanOutput.match(/AUTH_CONFIG_DIFF_JSON=([^\n]+)/);
+    const reportMatch = cleanOutput.match(/AUTH_CONFIG_REPORT_HTML=([^\n]+)/);
+
+    if (!diffMatch) {
+        throw new Error('Unable to determine auth config diff JSON path from comparison output');
+    }
+
+    const diffPath = diffMatch[1].trim();
+    const diffAbsolute = path.isAbsolute(diffPath) ? diffPath : path.join(PROJECT_ROOT, diffPath);
+    const reportPath = reportMatch ? reportMatch[1].trim() : diffPath.replace(/\.json$/, '.html');
+    const reportAbsolute = path.isAbsolute(reportPath) ? reportPath : path.join(PROJECT_ROOT, reportPath);
+
+    const diffData = JSON.parse(await fs.readFile(diffAbsolute, 'utf-8'));
+
+    return {
+        summary: diffData.summary || {},
+        changed: Array.isArray(diffData.changed) ? diffData.changed : [],
+        groupLabels: diffData.groupLabels || {},
+        reportUrl: normalizePathForClient(reportAbsolute),
+        diffJsonUrl: normalizePathForClient(diffAbsolute),
+        generatedAt: diffData.generatedAt,
+        sourceEnv: diffData.source?.env,
+        targetEnv: diffData.target?.env,
+        logs: cleanOutput
+    };
+}
+
 function buildPublicTableDiffPayload(cleanOutput = '') {
     const clean = (cleanOutput || '').trim();
     const match = clean.match(/PUBLIC_TABLE_DIFF_JSON=({[\s\S]+})/);
@@ -312,6 +751,20 @@ function buildPoliciesSyncPayload(cleanOutput = '') {
 
 // API Routes
 
+// Registry environments keyed by name, with the connection details from .env.local
+function buildEnvironmentsInfo() {
+    return Object.fromEntries(listEnvironments().map(environment => [environment.name, {
+        name: environment.label,
+        label: environment.label,
+        aliases: environment.aliases,
+        production: environment.production,
+        projectName: getEnvVar(environment.name, 'PROJECT_NAME') || 'N/A',
+        projectRef: getEnvVar(environment.name, 'PROJECT_REF') || 'N/A',
+        poolerRegion: getEnvVar(environment.name, 'POOLER_REGION') || 'aws-1-us-east-2',
+        poolerPort: getEnvVar(environment.name, 'POOLER_PORT') || '6543'
+    }]));
+}
+
 // Get server info
 app.get('/api/info', (req, res) => {
     // Get app name (check both spellings for backward compatibility)
@@ -322,36 +775,7 @@ app.get('/api/info', (req, res) => {
         version: '2.0',
         projectRoot: PROJECT_ROOT,
         appName: appName,
-        environments: {
-            prod: {
-                name: 'Production',
-                projectName: process.env.SUPABASE_PROD_PROJECT_NAME || 'N/A',
-                projectRef: process.env.SUPABASE_PROD_PROJECT_REF || 'N/A',
-                poolerRegion: process.env.SUPABASE_PROD_POOLER_REGION || 'aws-1-us-east-2',
-                poolerPort: process.env.SUPABASE_PROD_POOLER_PORT || '6543'
-            },
-            test: {
-                name: 'Test/Staging',
-                projectName: process.env.SUPABASE_TEST_PROJECT_NAME || 'N/A',
-                projectRef: process.env.SUPABASE_TEST_PROJECT_REF || 'N/A',
-                poolerRegion: process.env.SUPABASE_TEST_POOLER_REGION || 'aws-1-us-east-2',
-                poolerPort: process.env.SUPABASE_TEST_POOLER_PORT || '6543'
-            },
-            dev: {
-                name: 'Development',
-                projectName: process.env.SUPABASE_DEV_PROJECT_NAME || 'N/A',
-                projectRef: process.env.SUPABASE_DEV_PROJECT_REF || 'N/A',
-                poolerRegion: process.env.SUPABASE_DEV_POOLER_REGION || 'aws-1-us-east-2',
-                poolerPort: process.env.SUPABASE_DEV_POOLER_PORT || '6543'
-            },
-            backup: {
-                name: 'Backup',
-                projectName: process.env.SUPABASE_BACKUP_PROJECT_NAME || 'N/A',
-                projectRef: process.env.SUPABASE_BACKUP_PROJECT_REF || 'N/A',
-                poolerRegion: process.env.SUPABASE_BACKUP_POOLER_REGION || 'aws-1-us-east-2',
-                poolerPort: process.env.SUPABASE_BACKUP_POOLER_PORT || '6543'
-            }
-        },
+        environments: buildEnvironmentsInfo(),
         scripts: {
             main: 'scripts/main/supabase_migration.sh',
             plan: 'scripts/main/migration_plan.sh',
@@ -423,16 +847,7 @@ app.get('/api/migrations', async (req, res) => {
 
 // Delete migration plan
 app.delete('/api/migration-plans/:planName', async (req, res) => {
-    // Authentication is handled by the global middleware, but we check here too for safety
-    const token = req.headers.authorization?.replace('Bearer ', '') || 
-                  req.query.token || 
-                  req.body.token;
-    
-    if (TOOL_UI_ACCESS_KEY && (!token || token !== TOOL_UI_ACCESS_KEY)) {
-        console.log('[DELETE] Authentication failed - missing or invalid token');
-        return res.status(401).json({ error: 'Unauthorized - Invalid or missing access key' });
-    }
-    
+    // Authentication and the admin role check are handled by the global /api middleware
     try {
         // Decode the plan name (it may be URL encoded)
         const planName = decodeURIComponent(req.params.planName);
@@ -516,100 +931,8 @@ app.post('/api/migration-plan', async (req, res) => {
         return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
     }
 
-    // If streaming requested, use SSE
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const args = [sourceEnv, targetEnv];
-        if (outputDir) {
-            args.push(outputDir);
-        }
-
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        // SSE callback
-        const sseCallback = (data) => {
-            res.write(`data: ${JSON.stringify(data)}\n\n`);
-        };
-
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/migration_plan.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
-
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-
-            // Store process with metadata
-            activeProcesses.set(processId, { 
-                child, 
-                output,
-                type: 'migration-plan',
-                sourceEnv,
-                targetEnv,
-                startTime: new Date().toISOString()
-            });
-            
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        // Non-streaming mode
-        const args = [sourceEnv, targetEnv];
-        if (outputDir) {
-            args.push(outputDir);
-        }
-
-        try {
-            const result = await executeScript('scripts/main/migration_plan.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
-    }
+    const spec = buildJobSpec('migration-plan', { sourceEnv, targetEnv, outputDir });
+    await respondWithJob(req, res, spec, stream === true);
 });
 
 // Execute main migration with streaming
@@ -620,106 +943,8 @@ app.post('/api/migration', async (req, res) => {
         return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
     }
 
-    const args = [sourceEnv, targetEnv];
-    
-    // Always add --auto-confirm for web UI (non-interactive)
-    args.push('--auto-confirm');
-    
-    if (options.mode === 'full') {
-        args.push('--mode', 'full');
-    } else if (options.mode === 'schema') {
-        args.push('--mode', 'schema');
-    }
-    
-    if (options.data) args.push('--data');
-    if (options.users) args.push('--users');
-    if (options.files) args.push('--files');
-    if (options.backup) args.push('--backup');
-    if (options.dryRun) args.push('--dry-run');
-    if (options.increment) args.push('--increment');
-    if (options.replaceData) args.push('--replace-data');
-
-    // If streaming requested, use SSE
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/supabase_migration.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
-
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-
-            // Store process with metadata
-            activeProcesses.set(processId, { 
-                child, 
-                output,
-                type: 'main-migration',
-                sourceEnv,
-                targetEnv,
-                options,
-                startTime: new Date().toISOString(),
-                endpoint: '/api/migration'
-            });
-            
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        // Non-streaming mode
-        try {
-            const result = await executeScript('scripts/main/supabase_migration.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
-    }
+    const spec = buildJobSpec('main-migration', { sourceEnv, targetEnv, options });
+    await respondWithJob(req, res, spec, stream === true);
 });
 
 // Execute full environment clone with streaming
@@ -730,182 +955,22 @@ app.post('/api/clone', async (req, res) => {
         return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
     }
 
-    const args = [sourceEnv, targetEnv];
-    if (options.autoConfirm) args.push('--auto-confirm');
-
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/supabase_clone.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
+    const spec = buildJobSpec('environment-clone', { sourceEnv, targetEnv, options });
+    await respondWithJob(req, res, spec, stream === true);
+});
 
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
+// Execute table data migration with streaming
+app.post('/api/migration/table-data', async (req, res) => {
+    const { sourceEnv, targetEnv, tables = [], mode = 'append', batchSize = 1000, includeUsers = false, stream } = req.body;
 
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
+    if (!sourceEnv || !targetEnv) {
+        return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
+    }
 
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
-
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-
-            activeProcesses.set(processId, {
-                child,
-                output,
-                type: 'environment-clone',
-                sourceEnv,
-                targetEnv,
-                options,
-                startTime: new Date().toISOString(),
-                endpoint: '/api/clone'
-            });
-
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        try {
-            const result = await executeScript('scripts/main/supabase_clone.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
-    }
-});
-
-// Execute table data migration with streaming
-app.post('/api/migration/table-data', async (req, res) => {
-    const { sourceEnv, targetEnv, tables = [], mode = 'append', batchSize = 1000, includeUsers = false, stream } = req.body;
-
-    if (!sourceEnv || !targetEnv) {
-        return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
-    }
-
-    const args = [sourceEnv, targetEnv];
-    if (includeUsers === true) args.push('--users');
-    if (mode === 'replace') args.push('--replace');
-    if (batchSize && Number.isFinite(batchSize)) args.push(`--batch=${batchSize}`);
-    if (Array.isArray(tables) && tables.length > 0) args.push(`--tables=${tables.join(',')}`);
-
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/components/migrate_all_table_data.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
-
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-
-            activeProcesses.set(processId, {
-                child,
-                output,
-                type: 'table-data',
-                sourceEnv,
-                targetEnv,
-                options: { tables, mode, batchSize, includeUsers },
-                startTime: new Date().toISOString(),
-                endpoint: '/api/migration/table-data'
-            });
-
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        try {
-            const result = await executeScript('scripts/components/migrate_all_table_data.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
-    }
-});
+    const options = { tables, mode, batchSize, includeUsers };
+    const spec = buildJobSpec('table-data', { sourceEnv, targetEnv, options });
+    await respondWithJob(req, res, spec, stream === true);
+});
 
 // Execute database migration with streaming
 app.post('/api/migration/database', async (req, res) => {
@@ -915,95 +980,8 @@ app.post('/api/migration/database', async (req, res) => {
         return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
     }
 
-    const args = [sourceEnv, targetEnv];
-    if (migrationDir) args.push(migrationDir);
-    if (options.data) args.push('--data');
-    if (options.users) args.push('--users');
-    if (options.backup) args.push('--backup');
-    if (options.increment) args.push('--increment');
-    if (options.replaceData) args.push('--replace-data');
-
-    // If streaming requested, use SSE
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/components/database_migration.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
-
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-
-            // Store process with metadata
-            activeProcesses.set(processId, { 
-                child, 
-                output,
-                type: 'database-migration',
-                sourceEnv,
-                targetEnv,
-                options,
-                startTime: new Date().toISOString(),
-                endpoint: '/api/migration/database'
-            });
-            
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        // Non-streaming mode
-        try {
-            const result = await executeScript('scripts/components/database_migration.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
-    }
+    const spec = buildJobSpec('database-migration', { sourceEnv, targetEnv, migrationDir, options });
+    await respondWithJob(req, res, spec, stream === true);
 });
 
 // Execute storage migration with streaming
@@ -1014,92 +992,26 @@ app.post('/api/migration/storage', async (req, res) => {
         return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
     }
 
-    const args = [sourceEnv, targetEnv];
-    if (migrationDir) args.push(migrationDir);
-    if (options.files) args.push('--file');
-    if (options.increment) args.push('--increment');
-
-    // If streaming requested, use SSE
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/storage_buckets_migration.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
+    const params = validatedJobParams(res, 'storage-migration', { sourceEnv, targetEnv, migrationDir, options });
+    if (!params) {
+        return;
+    }
 
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
+    const spec = buildJobSpec('storage-migration', params);
+    await respondWithJob(req, res, spec, stream === true);
+});
 
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
+// Restore storage files saved by an earlier storage migration into targetEnv
+app.post('/api/storage/restore', async (req, res) => {
+    const { targetEnv, migrationDir, options = {}, stream } = req.body;
 
-            // Store process with metadata
-            activeProcesses.set(processId, { 
-                child, 
-                output,
-                type: 'storage-migration',
-                sourceEnv,
-                targetEnv,
-                options,
-                startTime: new Date().toISOString(),
-                endpoint: '/api/migration/storage'
-            });
-            
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        // Non-streaming mode
-        try {
-            const result = await executeScript('scripts/main/storage_buckets_migration.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
+    const params = validatedJobParams(res, 'storage-restore', { targetEnv, migrationDir, options });
+    if (!params) {
+        return;
     }
+
+    const spec = buildJobSpec('storage-restore', params);
+    await respondWithJob(req, res, spec, stream === true);
 });
 
 // Execute edge functions migration with streaming
@@ -1110,90 +1022,8 @@ app.post('/api/migration/edge-functions', async (req, res) => {
         return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
     }
 
-    const args = [sourceEnv, targetEnv];
-    if (migrationDir) args.push(migrationDir);
-    if (options.increment) args.push('--increment');
-
-    // If streaming requested, use SSE
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/edge_functions_migration.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
-
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-
-            // Store process with metadata
-            activeProcesses.set(processId, { 
-                child, 
-                output,
-                type: 'edge-functions-migration',
-                sourceEnv,
-                targetEnv,
-                startTime: new Date().toISOString(),
-                endpoint: '/api/migration/edge-functions'
-            });
-            
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        // Non-streaming mode
-        try {
-            const result = await executeScript('scripts/main/edge_functions_migration.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
-    }
+    const spec = buildJobSpec('edge-functions-migration', { sourceEnv, targetEnv, migrationDir, options });
+    await respondWithJob(req, res, spec, stream === true);
 });
 
 // Execute secrets migration with streaming
@@ -1204,92 +1034,24 @@ app.post('/api/migration/secrets', async (req, res) => {
         return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
     }
 
-    const args = [sourceEnv, targetEnv];
-    if (migrationDir) args.push(migrationDir);
-    if (options.values) args.push('--values');
-    if (options.increment) args.push('--increment');
-
-    // If streaming requested, use SSE
-    if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/secrets_migration.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const allArgs = args.filter(arg => arg !== null && arg !== undefined);
-            const child = spawn('bash', [fullPath, ...allArgs], {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
+    const spec = buildJobSpec('secrets-migration', { sourceEnv, targetEnv, migrationDir, options });
+    await respondWithJob(req, res, spec, stream === true);
+});
 
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
+// Copy selected project auth settings with streaming
+app.post('/api/migration/auth-config', async (req, res) => {
+    const { sourceEnv, targetEnv, options = {}, stream } = req.body;
 
-            // Store process with metadata
-            activeProcesses.set(processId, { 
-                child, 
-                output,
-                type: 'secrets-migration',
-                sourceEnv,
-                targetEnv,
-                options,
-                startTime: new Date().toISOString(),
-                endpoint: '/api/migration/secrets'
-            });
-            
-            req.on('close', () => {
-                if (child && !child.killed) {
-                    child.kill();
-                }
-                activeProcesses.delete(processId);
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
-    } else {
-        // Non-streaming mode
-        try {
-            const result = await executeScript('scripts/main/secrets_migration.sh', args);
-            res.json(result);
-        } catch (error) {
-            res.status(500).json(error);
-        }
+    if (!sourceEnv || !targetEnv) {
+        return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
+    }
+    const params = validatedJobParams(res, 'auth-config-migration', { sourceEnv, targetEnv, options });
+    if (!params) {
+        return;
     }
+
+    const spec = buildJobSpec('auth-config-migration', params);
+    await respondWithJob(req, res, spec, stream === true);
 });
 
 app.get('/api/schema/public-table-diff', async (req, res) => {
@@ -1332,7 +1094,12 @@ app.post('/api/schema/public-table-sync', async (req, res) => {
         if (schemaName && schemaName !== 'public') {
             args.push(`--schema=${schemaName}`);
         }
-        const result = await executeScript('scripts/components/sync_table_schema.sh', args);
+        const result = await executeScript('scripts/components/sync_table_schema.sh', args, {
+            type: 'public-table-sync',
+            targetEnv,
+            lockTarget: true,
+            auditId: req.auditId
+        });
         if (result.exitCode !== 0) {
             const message = result.stderr?.trim() || 'Public table sync failed';
             return res.status(500).json({ error: message });
@@ -1340,6 +1107,9 @@ app.post('/api/schema/public-table-sync', async (req, res) => {
         const payload = buildPublicTableSyncPayload(stripAnsi(result.stdout || ''));
         res.json(payload);
     } catch (error) {
+        if (error.code === 'TARGET_LOCKED') {
+            return res.status(409).json({ error: error.error, lock: error.lock });
+        }
         res.status(500).json({ error: error.error || error.message || 'Unable to sync table schema' });
     }
 });
@@ -1401,7 +1171,12 @@ app.post('/api/schema/policies-sync', async (req, res) => {
     if (userId) args.push(`--user-id=${userId}`);
 
     try {
-        const result = await executeScript('scripts/components/policies_sync_item.sh', args);
+        const result = await executeScript('scripts/components/policies_sync_item.sh', args, {
+            type: 'policies-sync',
+            targetEnv,
+            lockTarget: true,
+            auditId: req.auditId
+        });
         if (result.exitCode !== 0) {
             const message = result.stderr?.trim() || 'Policies sync failed';
             return res.status(500).json({ error: message });
@@ -1409,223 +1184,375 @@ app.post('/api/schema/policies-sync', async (req, res) => {
         const payload = buildPoliciesSyncPayload(stripAnsi(result.stdout || ''));
         res.json(payload);
     } catch (error) {
+        if (error.code === 'TARGET_LOCKED') {
+            return res.status(409).json({ error: error.error, lock: error.lock });
+        }
         res.status(500).json({ error: error.error || error.message || 'Unable to sync policies' });
     }
 });
 
+// Which login form the UI should show (public - no auth required)
+app.get('/api/auth/config', (req, res) => {
+    res.json({ mode: getAuthMode() });
+});
+
+// Login attempts are audited here since the /api middleware skips this route
+function auditLogin(username, httpStatus, error = null) {
+    const auditId = auditLog.record({
+        user: username || 'unknown',
+        action: 'login',
+        method: 'POST',
+        route: '/api/auth/login',
+        options: error ? { error } : {}
+    });
+    auditLog.recordResponse(auditId, httpStatus);
+}
+
 // Authentication endpoint (public - no auth required)
 app.post('/api/auth/login', (req, res) => {
-    const { accessKey } = req.body;
+    const { username, password, accessKey } = req.body || {};
+    const mode = getAuthMode();
     
-    if (!accessKey) {
-        return res.status(400).json({ error: 'Access key is required' });
-    }
-    
-    if (!TOOL_UI_ACCESS_KEY) {
-        // If no access key is configured, allow access (development mode)
+    if (mode === 'dev') {
+        // If nothing is configured, allow access (development mode)
         return res.json({ 
             success: true, 
             token: 'dev-token',
-            message: 'Authentication successful (development mode - no access key configured)' 
+            mode,
+            user: { username: 'dev', role: 'admin' },
+            message: 'Authentication successful (development mode - no users or access key configured)' 
         });
     }
     
-    if (accessKey === TOOL_UI_ACCESS_KEY) {
-        res.json({ 
-            success: true, 
-            token: TOOL_UI_ACCESS_KEY,
-            message: 'Authentication successful' 
-        });
+    let user;
+    if (mode === 'users') {
+        if (!username || !password) {
+            return res.status(400).json({ error: 'Username and password are required' });
+        }
+        user = userStore.authenticate(username, password);
+        if (!user) {
+            auditLogin(username, 401, 'Invalid username or password');
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
     } else {
-        res.status(401).json({ error: 'Invalid access key' });
+        if (!accessKey) {
+            return res.status(400).json({ error: 'Access key is required' });
+        }
+        if (!safeEqual(accessKey, TOOL_UI_ACCESS_KEY)) {
+            auditLogin('access-key', 401, 'Invalid access key');
+            return res.status(401).json({ error: 'Invalid access key' });
+        }
+        user = { username: 'access-key', role: 'admin' };
     }
+    
+    const { token, expiresAt } = sessionManager.issue(user);
+    auditLogin(user.username, 200);
+    res.json({ 
+        success: true, 
+        token,
+        expiresAt,
+        mode,
+        user,
+        message: 'Authentication successful' 
+    });
+});
+
+// Revoke the current session
+app.post('/api/auth/logout', (req, res) => {
+    if (req.session) {
+        sessionManager.revoke(req.session);
+    }
+    res.json({ success: true });
+});
+
+// Current user and role
+app.get('/api/auth/me', (req, res) => {
+    res.json({
+        user: req.user,
+        mode: getAuthMode(),
+        expiresAt: req.session ? new Date(req.session.exp).toISOString() : null
+    });
+});
+
+// Revoke every session of a user (admin)
+app.post('/api/auth/revoke', (req, res) => {
+    const { username } = req.body || {};
+    if (!username) {
+        return res.status(400).json({ error: 'username is required' });
+    }
+    sessionManager.revokeUser(username);
+    res.json({ success: true, username });
 });
 
 // Get all active jobs
 app.get('/api/jobs/active', (req, res) => {
-    const jobs = [];
-    
-    activeProcesses.forEach((process, processId) => {
-        if (process.output && process.output.status === 'running') {
-            jobs.push({
-                processId,
-                type: process.type || 'unknown',
-                sourceEnv: process.sourceEnv || 'N/A',
-                targetEnv: process.targetEnv || 'N/A',
-                startTime: process.startTime || new Date().toISOString(),
-                status: process.output.status,
-                endpoint: process.endpoint || '/api/process/' + processId
-            });
-        }
-    });
+    const jobs = jobRunner.listActive().map(job => ({
+        ...job,
+        sourceEnv: job.sourceEnv || job.env || 'N/A',
+        targetEnv: job.targetEnv || 'N/A',
+        endpoint: job.endpoint || '/api/process/' + job.processId
+    }));
+
+    // A running pipeline is listed with its combined progress; its current step also appears as a job
+    const pipeline = pipelineQueue.getRunning();
+    if (pipeline) {
+        const step = pipeline.steps[pipeline.currentStep];
+        jobs.unshift({
+            processId: pipeline.id,
+            type: 'pipeline',
+            name: pipeline.name,
+            sourceEnv: pipeline.sourceEnv,
+            targetEnv: pipeline.targetEnv,
+            startTime: pipeline.startedAt,
+            status: pipeline.status,
+            currentStep: pipeline.currentStep,
+            totalSteps: pipeline.steps.length,
+            currentStepType: step ? step.type : null,
+            currentStepStatus: step ? step.status : null,
+            endpoint: `/api/pipelines/${pipeline.id}`
+        });
+    }
     
     res.json({ jobs });
 });
 
-// Stream migration logs (for real-time updates)
-app.get('/api/migration/:processId/logs', (req, res) => {
-    const { processId } = req.params;
-    const process = activeProcesses.get(processId);
-    
-    if (!process) {
-        return res.status(404).json({ error: 'Process not found' });
+// Create a pipeline: ordered steps of existing job types, run now or at runAt (optionally daily)
+app.post('/api/pipelines', (req, res) => {
+    const { name, sourceEnv, targetEnv, steps, runAt, repeat = null } = req.body || {};
+
+    if (!sourceEnv || !targetEnv) {
+        return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
+    }
+    const [unknownEnv] = unknownEnvironments(sourceEnv, targetEnv);
+    if (unknownEnv) {
+        return sendUnknownEnvironment(res, unknownEnv);
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+        return res.status(400).json({ error: 'steps must be a non-empty array' });
+    }
+    const unknownStep = steps.find(step => !step || !JOB_TYPES[step.type]);
+    if (unknownStep) {
+        return res.status(400).json({
+            error: `Unknown step type: ${unknownStep && unknownStep.type}`,
+            validTypes: Object.keys(JOB_TYPES)
+        });
+    }
+    if (runAt && Number.isNaN(Date.parse(runAt))) {
+        return res.status(400).json({ error: 'runAt must be an ISO date/time' });
+    }
+    if (repeat && !REPEAT_OPTIONS.includes(repeat)) {
+        return res.status(400).json({ error: `repeat must be one of: ${REPEAT_OPTIONS.join(', ')}` });
+    }
+
+    // Each step gets the checks of its endpoint now rather than failing when it runs
+    const checkedSteps = [];
+    for (let index = 0; index < steps.length; index++) {
+        const step = steps[index];
+        const params = validatedJobParams(res, step.type, stepJobParams({ sourceEnv, targetEnv }, step), `Step ${index + 1} (${step.type}): `);
+        if (!params) {
+            return;
+        }
+        checkedSteps.push({ ...step, migrationDir: params.migrationDir, options: params.options });
+    }
+
+    // Pipeline steps run unattended, so they cannot wait for a production approval
+    if (steps.some(step => requiresApproval({ mutatesTarget: JOB_TYPES[step.type].mutatesTarget, targetEnv }))) {
+        return res.status(403).json({ error: 'Pipelines cannot change production while approvals are required; submit each step for approval instead' });
+    }
+
+    const pipeline = pipelineQueue.create({ name, sourceEnv, targetEnv, steps: checkedSteps, runAt, repeat, createdBy: req.user.username });
+    res.status(201).json(pipeline);
+});
+
+// List pipelines (scheduled, running and finished)
+app.get('/api/pipelines', (req, res) => {
+    res.json({ pipelines: pipelineQueue.list({ status: req.query.status }) });
+});
+
+app.get('/api/pipelines/:pipelineId', (req, res) => {
+    const pipeline = pipelineQueue.get(req.params.pipelineId);
+    if (!pipeline) {
+        return res.status(404).json({ error: 'Pipeline not found' });
     }
+    res.json(pipeline);
+});
 
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
+// Cancel a scheduled pipeline, or stop a running one after cancelling its current step
+app.delete('/api/pipelines/:pipelineId', (req, res) => {
+    const pipeline = pipelineQueue.cancel(req.params.pipelineId);
+    if (!pipeline) {
+        return res.status(404).json({ error: 'Pipeline not found' });
+    }
+    res.json(pipeline);
+});
 
-    // Send current output
-    if (process.output.stdout) {
-        res.write(`data: ${JSON.stringify({ type: 'stdout', data: process.output.stdout })}\n\n`);
+// List approval requests (?status=pending|approved|rejected|withdrawn|expired)
+app.get('/api/approvals', (req, res) => {
+    res.json({ approvals: approvalStore.list({ status: req.query.status }) });
+});
+
+app.get('/api/approvals/:approvalId', (req, res) => {
+    const approval = approvalStore.get(req.params.approvalId);
+    if (!approval) {
+        return res.status(404).json({ error: 'Approval request not found' });
     }
-    if (process.output.stderr) {
-        res.write(`data: ${JSON.stringify({ type: 'stderr', data: process.output.stderr })}\n\n`);
+    res.json(approval);
+});
+
+// Approve a pending request (admin, not the requester) and start its job
+app.post('/api/approvals/:approvalId/approve', (req, res) => {
+    const { approvalId } = req.params;
+    const { username } = req.user;
+
+    let approval;
+    try {
+        approval = approvalStore.checkApprovable(approvalId, username);
+    } catch (error) {
+        return sendApprovalError(res, error);
     }
 
-    // Watch for new output
-    const interval = setInterval(() => {
-        if (process.output.status !== 'running') {
-            clearInterval(interval);
-            res.write(`data: ${JSON.stringify({ type: 'complete', status: process.output.status, exitCode: process.output.exitCode })}\n\n`);
-            res.end();
+    let job;
+    try {
+        job = jobRunner.enqueue(withTargetLock({ ...approval.spec }));
+    } catch (error) {
+        // The request stays pending so it can be approved again once the target is free
+        if (error.code === 'TARGET_LOCKED') {
+            return sendTargetLocked(res, error);
         }
-    }, 1000);
+        return res.status(500).json({ error: error.message });
+    }
+
+    // The requester's audit entry gets the job's outcome
+    if (approval.auditId) {
+        auditLog.linkJob(approval.auditId, job.processId, { approvedBy: username });
+    }
+    res.json(approvalStore.approve(approvalId, { username, processId: job.processId }));
+});
+
+// Reject a pending request (the requester rejecting it withdraws it)
+app.post('/api/approvals/:approvalId/reject', (req, res) => {
+    try {
+        const approval = approvalStore.reject(req.params.approvalId, {
+            username: req.user.username,
+            reason: (req.body && req.body.reason) || null
+        });
+        res.json(approval);
+    } catch (error) {
+        sendApprovalError(res, error);
+    }
+});
+
+// List held target locks
+app.get('/api/locks', (req, res) => {
+    res.json({ locks: lockManager.list() });
+});
+
+// Lock status for one target environment (used by the UI before submitting)
+app.get('/api/locks/:env', (req, res) => {
+    const { env } = req.params;
+    const key = resolveTargetLockKey(env);
+    const lock = lockManager.get(key);
+    res.json({ env, key, locked: Boolean(lock), lock });
+});
 
-    req.on('close', () => {
-        clearInterval(interval);
+// Audit log of mutating actions, newest first (?env=&user=&action=&limit=)
+app.get('/api/audit', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 200;
+    const entries = auditLog.query({
+        env: req.query.env,
+        user: req.query.user,
+        action: req.query.action,
+        limit
+    }).map((entry) => {
+        // Jobs cut off by a server restart never recorded a result; fall back to the job store
+        if (entry.processId && !entry.status) {
+            const job = jobStore.get(entry.processId);
+            if (job) {
+                return { ...entry, status: job.status, exitCode: job.exitCode };
+            }
+        }
+        return entry;
     });
+    const actions = [...Object.keys(JOB_TYPES), ...Object.values(AUDIT_ROUTE_ACTIONS), 'approve-request', 'reject-request', 'login'];
+    res.json({ entries, actions });
 });
 
-// Test connection for an environment
+// Get job history from the persistent job store
+app.get('/api/jobs/history', (req, res) => {
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const jobs = jobStore.list({ status: req.query.status, limit });
+    res.json({ jobs });
+});
+
+// Stream migration logs (for real-time updates)
+app.get('/api/migration/:processId/logs', (req, res) => {
+    const { processId } = req.params;
+
+    if (!jobRunner.getOutput(processId)) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    // EventSource sends Last-Event-ID on reconnect; fetch-based clients may use ?lastEventId=
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10) || 0;
+    jobRunner.stream(req, res, processId, lastEventId);
+});
+
+// Read the most recent all-environments snapshot written by all_envs_snapshot.sh
+async function readLatestSnapshot() {
+    const snapshotsDir = path.join(PROJECT_ROOT, 'snapshots');
+    const files = await fs.readdir(snapshotsDir);
+    const snapshotFiles = files.filter(f => f.startsWith('all_envs_snapshot_') && f.endsWith('.json'));
+    snapshotFiles.sort().reverse(); // Get most recent first
+
+    if (snapshotFiles.length === 0) {
+        return null;
+    }
+    const snapshotData = await fs.readFile(path.join(snapshotsDir, snapshotFiles[0]), 'utf8');
+    return JSON.parse(snapshotData);
+}
+
 // Generate snapshot for all environments
 app.post('/api/all-envs-snapshot', async (req, res) => {
     const { stream } = req.body;
     
     // If streaming requested, use SSE
     if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/all_envs_snapshot.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const child = spawn('bash', [fullPath, 'snapshots'], {
-                cwd: PROJECT_ROOT,
-                env: process.env,
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-            
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-            
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-            
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-            
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                
-                // Try to find the generated snapshot file
-                const snapshotsDir = path.join(PROJECT_ROOT, 'snapshots');
-                fs.readdir(snapshotsDir)
-                    .then(files => {
-                        const snapshotFiles = files.filter(f => f.startsWith('all_envs_snapshot_') && f.endsWith('.json'));
-                        snapshotFiles.sort().reverse(); // Get most recent first
-                        
-                        if (snapshotFiles.length > 0) {
-                            const latestSnapshot = path.join(snapshotsDir, snapshotFiles[0]);
-                            return fs.readFile(latestSnapshot, 'utf8');
-                        }
-                        return null;
-                    })
-                    .then(snapshotData => {
-                        if (snapshotData) {
-                            try {
-                                const snapshotJson = JSON.parse(snapshotData);
-                                res.write(`data: ${JSON.stringify({ type: 'snapshot', data: snapshotJson })}\n\n`);
-                            } catch (e) {
-                                // Ignore parse errors
-                            }
-                        }
-                        res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                        res.end();
-                    })
-                    .catch(() => {
-                        res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                        res.end();
-                    });
-            });
-            
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-            
-            // Store process
-            activeProcesses.set(processId, {
-                child,
-                output,
-                type: 'all-envs-snapshot',
-                startTime: new Date().toISOString(),
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
+        const spec = {
+            ...buildJobSpec('all-envs-snapshot'),
+            // Attach the freshly written snapshot file before the job completes
+            onFinish: async (output, pushEvent) => {
+                try {
+                    const snapshotJson = await readLatestSnapshot();
+                    if (snapshotJson) {
+                        pushEvent({ type: 'snapshot', data: snapshotJson });
+                    }
+                } catch (e) {
+                    // Ignore missing or unparsable snapshot files
+                }
+            }
+        };
+        await respondWithJob(req, res, spec, true);
     } else {
         // Non-streaming response - execute and return snapshot data
         try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/main/all_envs_snapshot.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const { exec } = require('child_process');
-            const { promisify } = require('util');
-            const execAsync = promisify(exec);
-            
-            await execAsync(`bash "${fullPath}" snapshots`, {
-                cwd: PROJECT_ROOT,
-                env: process.env
-            });
-            
-            // Read the latest snapshot file
-            const snapshotsDir = path.join(PROJECT_ROOT, 'snapshots');
-            const files = await fs.readdir(snapshotsDir);
-            const snapshotFiles = files.filter(f => f.startsWith('all_envs_snapshot_') && f.endsWith('.json'));
-            snapshotFiles.sort().reverse();
-            
-            if (snapshotFiles.length > 0) {
-                const latestSnapshot = path.join(snapshotsDir, snapshotFiles[0]);
-                const snapshotData = await fs.readFile(latestSnapshot, 'utf8');
-                const snapshotJson = JSON.parse(snapshotData);
+            const result = await executeScript('scripts/main/all_envs_snapshot.sh', ['snapshots'], { type: 'all-envs-snapshot', auditId: req.auditId });
+            if (result.exitCode !== 0) {
+                return res.status(500).json({ error: stripAnsi(result.stderr || '').trim() || 'Snapshot generation failed' });
+            }
+
+            const snapshotJson = await readLatestSnapshot();
+            if (snapshotJson) {
                 res.json(snapshotJson);
             } else {
                 res.status(500).json({ error: 'Snapshot file not found' });
             }
         } catch (error) {
-            res.status(500).json({ error: error.message });
+            res.status(500).json({ error: error.error || error.message });
         }
     }
 });
 
+// Test connection for an environment
 app.post('/api/connection-test', async (req, res) => {
     const { env, stream } = req.body;
     
@@ -1635,66 +1562,7 @@ app.post('/api/connection-test', async (req, res) => {
     
     // If streaming requested, use SSE
     if (stream === true) {
-        res.setHeader('Content-Type', 'text/event-stream');
-        res.setHeader('Cache-Control', 'no-cache');
-        res.setHeader('Connection', 'keep-alive');
-        
-        const processId = `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        
-        try {
-            const fullPath = path.join(PROJECT_ROOT, 'scripts/components/connection_test.sh');
-            await fs.access(fullPath, fs.constants.F_OK);
-            
-            const child = spawn('bash', [fullPath, env, '--verbose'], {
-                cwd: PROJECT_ROOT,
-                env: process.env,
-                stdio: ['pipe', 'pipe', 'pipe']
-            });
-            
-            const output = {
-                processId,
-                stdout: '',
-                stderr: '',
-                exitCode: null,
-                status: 'running'
-            };
-            
-            child.stdout.on('data', (data) => {
-                const text = data.toString();
-                output.stdout += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
-            
-            child.stderr.on('data', (data) => {
-                const text = data.toString();
-                output.stderr += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
-            
-            child.on('close', (code) => {
-                output.exitCode = code;
-                output.status = code === 0 ? 'completed' : 'failed';
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: output.status, exitCode: code })}\n\n`);
-                res.end();
-            });
-            
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.end();
-            });
-            
-            // Store process
-            activeProcesses.set(processId, {
-                child,
-                output,
-                type: 'connection-test',
-                env: env,
-                startTime: new Date().toISOString(),
-            });
-        } catch (error) {
-            res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-            res.end();
-        }
+        await respondWithJob(req, res, buildJobSpec('connection-test', { env }), true);
     } else {
         // Non-streaming response (not typically used for this endpoint)
         res.status(400).json({ error: 'Streaming is required for connection tests' });
@@ -1713,116 +1581,211 @@ app.post('/api/edge-comparison', async (req, res) => {
             return res.status(400).json({ error: 'sourceEnv and targetEnv must be different' });
         }
 
-        const args = [sourceEnv, targetEnv];
-        const scriptPath = path.join(PROJECT_ROOT, 'scripts/components/compare_edge_functions.sh');
-
         if (stream === true) {
-            res.setHeader('Content-Type', 'text/event-stream');
-            res.setHeader('Cache-Control', 'no-cache');
-            res.setHeader('Connection', 'keep-alive');
+            const spec = {
+                ...buildJobSpec('edge-comparison', { sourceEnv, targetEnv }),
+                // Parse the comparison output into the result payload the UI renders
+                onFinish: async (output, pushEvent) => {
+                    const cleanOutput = stripAnsi(`${output.stdout}\n${output.stderr}`);
+
+                    if (output.exitCode === 0) {
+                        try {
+                            const payload = await buildEdgeComparisonPayload(cleanOutput);
+                            payload.status = 'completed';
+                            pushEvent({ type: 'result', data: payload });
+                        } catch (error) {
+                            pushEvent({ type: 'error', error: error.message, logs: cleanOutput });
+                        }
+                    } else if (output.exitCode !== null) {
+                        pushEvent({ type: 'error', error: `Edge comparison failed with exit code ${output.exitCode}`, exitCode: output.exitCode, logs: cleanOutput });
+                    }
+                }
+            };
+            return respondWithJob(req, res, spec, true);
+        }
 
-            try {
-                await fs.access(scriptPath, fs.constants.F_OK);
-            } catch (error) {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: 'compare_edge_functions.sh not found' })}\n\n`);
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: 'error' })}\n\n`);
-                res.end();
-                return;
-            }
+        const result = await executeScript('scripts/components/compare_edge_functions.sh', [sourceEnv, targetEnv], { type: 'edge-comparison', auditId: req.auditId });
+        const combinedOutput = `${result.stdout || ''}\n${result.stderr || ''}`;
+        const cleanOutput = stripAnsi(combinedOutput);
+        const payload = await buildEdgeComparisonPayload(cleanOutput);
 
-            const child = spawn('bash', [scriptPath, ...args], {
-                cwd: PROJECT_ROOT,
-                env: { ...process.env }
-            });
+        res.json({
+            status: result.status,
+            ...payload
+        });
+    } catch (error) {
+        console.error('Edge comparison error:', error);
+        res.status(500).json({ error: error.message || error.error || 'Failed to generate edge comparison' });
+    }
+});
 
-            let stdoutBuffer = '';
-            let stderrBuffer = '';
+app.post('/api/storage-comparison', async (req, res) => {
+    try {
+        const { sourceEnv, targetEnv, stream } = req.body || {};
 
-            child.stdout.on('data', (chunk) => {
-                const text = chunk.toString();
-                stdoutBuffer += text;
-                res.write(`data: ${JSON.stringify({ type: 'stdout', data: text })}\n\n`);
-            });
+        if (!sourceEnv || !targetEnv) {
+            return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
+        }
 
-            child.stderr.on('data', (chunk) => {
-                const text = chunk.toString();
-                stderrBuffer += text;
-                res.write(`data: ${JSON.stringify({ type: 'stderr', data: text })}\n\n`);
-            });
+        if (sourceEnv === targetEnv) {
+            return res.status(400).json({ error: 'sourceEnv and targetEnv must be different' });
+        }
 
-            child.on('close', async (code) => {
-                const combinedOutput = `${stdoutBuffer}\n${stderrBuffer}`;
-                const cleanOutput = stripAnsi(combinedOutput);
-
-                if (code === 0) {
-                    try {
-                        const payload = await buildEdgeComparisonPayload(cleanOutput);
-                        payload.status = 'completed';
-                        res.write(`data: ${JSON.stringify({ type: 'result', data: payload })}\n\n`);
-                    } catch (error) {
-                        res.write(`data: ${JSON.stringify({ type: 'error', error: error.message, logs: cleanOutput })}\n\n`);
+        if (stream === true) {
+            const spec = {
+                ...buildJobSpec('storage-comparison', { sourceEnv, targetEnv }),
+                // Parse the comparison output into the result payload the UI renders
+                onFinish: async (output, pushEvent) => {
+                    const cleanOutput = stripAnsi(`${output.stdout}\n${output.stderr}`);
+
+                    if (output.exitCode === 0) {
+                        try {
+                            const payload = await buildStorageComparisonPayload(cleanOutput);
+                            payload.status = 'completed';
+                            pushEvent({ type: 'result', data: payload });
+                        } catch (error) {
+                            pushEvent({ type: 'error', error: error.message, logs: cleanOutput });
+                        }
+                    } else if (output.exitCode !== null) {
+                        pushEvent({ type: 'error', error: `Storage comparison failed with exit code ${output.exitCode}`, exitCode: output.exitCode, logs: cleanOutput });
                     }
-                } else {
-                    res.write(`data: ${JSON.stringify({ type: 'error', error: `Edge comparison failed with exit code ${code}`, exitCode: code, logs: cleanOutput })}\n\n`);
                 }
+            };
+            return respondWithJob(req, res, spec, true);
+        }
 
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: code === 0 ? 'completed' : 'failed', exitCode: code })}\n\n`);
-                res.end();
-            });
+        const result = await executeScript('scripts/components/compare_storage.sh', [sourceEnv, targetEnv], { type: 'storage-comparison', auditId: req.auditId });
+        const cleanOutput = stripAnsi(`${result.stdout || ''}\n${result.stderr || ''}`);
+        const payload = await buildStorageComparisonPayload(cleanOutput);
 
-            child.on('error', (error) => {
-                res.write(`data: ${JSON.stringify({ type: 'error', error: error.message })}\n\n`);
-                res.write(`data: ${JSON.stringify({ type: 'complete', status: 'error' })}\n\n`);
-                res.end();
-            });
+        res.json({
+            status: result.status,
+            ...payload
+        });
+    } catch (error) {
+        console.error('Storage comparison error:', error);
+        res.status(500).json({ error: error.message || error.error || 'Failed to generate storage comparison' });
+    }
+});
+
+app.post('/api/auth-users/compare', async (req, res) => {
+    try {
+        const { sourceEnv, targetEnv, stream } = req.body || {};
 
-            req.on('close', () => {
-                if (!child.killed) {
-                    child.kill();
+        if (!sourceEnv || !targetEnv) {
+            return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
+        }
+
+        if (sourceEnv === targetEnv) {
+            return res.status(400).json({ error: 'sourceEnv and targetEnv must be different' });
+        }
+
+        if (stream === true) {
+            const spec = {
+                ...buildJobSpec('auth-users-comparison', { sourceEnv, targetEnv }),
+                // Parse the comparison output into the result payload the UI renders
+                onFinish: async (output, pushEvent) => {
+                    const cleanOutput = stripAnsi(`${output.stdout}\n${output.stderr}`);
+
+                    if (output.exitCode === 0) {
+                        try {
+                            const payload = await buildAuthUsersComparisonPayload(cleanOutput);
+                            payload.status = 'completed';
+                            pushEvent({ type: 'result', data: payload });
+                        } catch (error) {
+                            pushEvent({ type: 'error', error: error.message, logs: cleanOutput });
+                        }
+                    } else if (output.exitCode !== null) {
+                        pushEvent({ type: 'error', error: `Auth users comparison failed with exit code ${output.exitCode}`, exitCode: output.exitCode, logs: cleanOutput });
+                    }
                 }
-            });
+            };
+            return respondWithJob(req, res, spec, true);
+        }
 
-            return;
+        const result = await executeScript('scripts/components/compare_auth_users.sh', [sourceEnv, targetEnv], { type: 'auth-users-comparison', auditId: req.auditId });
+        const cleanOutput = stripAnsi(`${result.stdout || ''}\n${result.stderr || ''}`);
+        const payload = await buildAuthUsersComparisonPayload(cleanOutput);
+
+        res.json({
+            status: result.status,
+            ...payload
+        });
+    } catch (error) {
+        console.error('Auth users comparison error:', error);
+        res.status(500).json({ error: error.message || error.error || 'Failed to generate auth users comparison' });
+    }
+});
+
+app.post('/api/auth-config/compare', async (req, res) => {
+    try {
+        const { sourceEnv, targetEnv, stream } = req.body || {};
+
+        if (!sourceEnv || !targetEnv) {
+            return res.status(400).json({ error: 'sourceEnv and targetEnv are required' });
         }
 
-        const result = await executeScript('scripts/components/compare_edge_functions.sh', args);
-        const combinedOutput = `${result.stdout || ''}\n${result.stderr || ''}`;
-        const cleanOutput = stripAnsi(combinedOutput);
-        const payload = await buildEdgeComparisonPayload(cleanOutput);
+        if (sourceEnv === targetEnv) {
+            return res.status(400).json({ error: 'sourceEnv and targetEnv must be different' });
+        }
+
+        if (stream === true) {
+            const spec = {
+                ...buildJobSpec('auth-config-comparison', { sourceEnv, targetEnv }),
+                // Parse the comparison output into the result payload the UI renders
+                onFinish: async (output, pushEvent) => {
+                    const cleanOutput = stripAnsi(`${output.stdout}\n${output.stderr}`);
+
+                    if (output.exitCode === 0) {
+                        try {
+                            const payload = await buildAuthConfigComparisonPayload(cleanOutput);
+                            payload.status = 'completed';
+                            pushEvent({ type: 'result', data: payload });
+                        } catch (error) {
+                            pushEvent({ type: 'error', error: error.message, logs: cleanOutput });
+                        }
+                    } else if (output.exitCode !== null) {
+                        pushEvent({ type: 'error', error: `Auth config comparison failed with exit code ${output.exitCode}`, exitCode: output.exitCode, logs: cleanOutput });
+                    }
+                }
+            };
+            return respondWithJob(req, res, spec, true);
+        }
+
+        const result = await executeScript('scripts/components/compare_auth_config.sh', [sourceEnv, targetEnv], { type: 'auth-config-comparison', auditId: req.auditId });
+        const cleanOutput = stripAnsi(`${result.stdout || ''}\n${result.stderr || ''}`);
+        const payload = await buildAuthConfigComparisonPayload(cleanOutput);
 
         res.json({
             status: result.status,
             ...payload
         });
     } catch (error) {
-        console.error('Edge comparison error:', error);
-        res.status(500).json({ error: error.message || 'Failed to generate edge comparison' });
+        console.error('Auth config comparison error:', error);
+        res.status(500).json({ error: error.message || error.error || 'Failed to generate auth config comparison' });
     }
 });
 
 // Get process status
 app.get('/api/process/:processId', (req, res) => {
     const { processId } = req.params;
-    const process = activeProcesses.get(processId);
+    const output = jobRunner.getOutput(processId);
     
-    if (!process) {
+    if (!output) {
         return res.status(404).json({ error: 'Process not found' });
     }
 
-    res.json(process.output);
+    res.json(output);
 });
 
 // Kill process
 app.delete('/api/process/:processId', (req, res) => {
     const { processId } = req.params;
-    const process = activeProcesses.get(processId);
     
-    if (!process) {
+    if (!jobRunner.cancel(processId)) {
         return res.status(404).json({ error: 'Process not found' });
     }
 
-    process.child.kill();
-    activeProcesses.delete(processId);
     res.json({ message: 'Process killed' });
 });
 
@@ -1836,10 +1799,33 @@ app.get('/app', (req, res) => {
     res.sendFile(path.join(PROJECT_ROOT, 'ui.html'));
 });
 
+// Secrets, users and anonymization files are never served, even when copied into a report directory
+const PRIVATE_FILE_PATTERN = /^(auth-secrets.*\.json|anonymize-rules.*\.json|ui_users.*\.json|.*anonymization_map.*\.csv)$/i;
+app.use(['/backups', '/migration_plans'], (req, res, next) => {
+    let fileName;
+    try {
+        fileName = path.basename(decodeURIComponent(req.path));
+    } catch (_) {
+        return res.status(400).end();
+    }
+    if (PRIVATE_FILE_PATTERN.test(fileName)) {
+        return res.status(404).end();
+    }
+    next();
+});
+
 // Serve static files for reports and logs
 app.use('/backups', express.static(path.join(PROJECT_ROOT, 'backups')));
 app.use('/migration_plans', express.static(path.join(PROJECT_ROOT, 'migration_plans')));
 
+// Jobs run in their own process groups and do not get the terminal's Ctrl-C; stop them with the server
+['SIGINT', 'SIGTERM'].forEach((signal) => {
+    process.on(signal, () => {
+        jobRunner.killAll();
+        process.exit(signal === 'SIGINT' ? 130 : 143);
+    });
+});
+
 // Start server
 app.listen(PORT, () => {
     console.log(`🚀 Supabase Migration Tool - Web UI Server`);
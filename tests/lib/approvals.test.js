@@ -0,0 +1,105 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createApprovalStore } = require('../../utils/lib/approvals');
+
+const spec = { type: 'main-migration', endpoint: '/api/migration', sourceEnv: 'test', targetEnv: 'prod', options: {} };
+
+let dir;
+let storePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'approvals-'));
+    storePath = path.join(dir, 'approvals.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const assertCode = (fn, code) => assert.throws(fn, error => error.code === code);
+
+test('the requester cannot approve their own request', () => {
+    const store = createApprovalStore({ storePath });
+    const approval = store.create({ spec, requestedBy: 'alice' });
+    store.attachPlan(approval.id, { status: 'completed' });
+    assertCode(() => store.checkApprovable(approval.id, 'alice'), 'SELF_APPROVAL');
+    assert.equal(store.checkApprovable(approval.id, 'bob').id, approval.id);
+});
+
+test('a request is approvable only once its migration plan completed', () => {
+    const store = createApprovalStore({ storePath });
+    const approval = store.create({ spec, requestedBy: 'alice' });
+
+    store.attachPlan(approval.id, { processId: 'plan-1', status: 'running' });
+    assertCode(() => store.checkApprovable(approval.id, 'bob'), 'PLAN_NOT_READY');
+
+    ['failed', 'error', 'cancelled', 'interrupted'].forEach((status) => {
+        store.attachPlan(approval.id, { status });
+        assertCode(() => store.checkApprovable(approval.id, 'bob'), 'PLAN_FAILED');
+    });
+
+    store.attachPlan(approval.id, { status: 'completed' });
+    assert.equal(store.checkApprovable(approval.id, 'bob').status, 'pending');
+});
+
+test('a request without a plan (storage restore) can be approved', () => {
+    const store = createApprovalStore({ storePath });
+    const approval = store.create({ spec: { ...spec, type: 'storage-restore', sourceEnv: undefined }, requestedBy: 'alice' });
+    assert.equal(store.checkApprovable(approval.id, 'bob').id, approval.id);
+});
+
+test('decided, expired and unknown requests cannot be approved', () => {
+    const store = createApprovalStore({ storePath });
+    const approved = store.create({ spec, requestedBy: 'alice' });
+    store.attachPlan(approved.id, { status: 'completed' });
+    store.approve(approved.id, { username: 'bob', processId: 'job-1' });
+    assertCode(() => store.checkApprovable(approved.id, 'carol'), 'APPROVAL_NOT_PENDING');
+
+    const expired = createApprovalStore({ storePath, ttlMs: -1 }).create({ spec, requestedBy: 'alice' });
+    assertCode(() => createApprovalStore({ storePath }).checkApprovable(expired.id, 'bob'), 'APPROVAL_NOT_PENDING');
+
+    assertCode(() => store.checkApprovable('approval-missing', 'bob'), 'APPROVAL_NOT_FOUND');
+});
+
+test('the requester rejecting withdraws the request', () => {
+    const store = createApprovalStore({ storePath });
+    const withdrawn = store.create({ spec, requestedBy: 'alice' });
+    const rejected = store.create({ spec, requestedBy: 'alice' });
+    assert.equal(store.reject(withdrawn.id, { username: 'alice' }).status, 'withdrawn');
+    assert.equal(store.reject(rejected.id, { username: 'bob', reason: 'not now' }).status, 'rejected');
+    assert.equal(createApprovalStore({ storePath }).get(rejected.id).rejectionReason, 'not now');
+});
+
+test('a plan whose job ended without reporting back is no longer running after a reload', () => {
+    const jobs = new Map([['plan-1', { processId: 'plan-1', status: 'running' }]]);
+    const getJob = processId => jobs.get(processId) || null;
+    const store = createApprovalStore({ storePath, getJob });
+    const interrupted = store.create({ spec, requestedBy: 'alice' });
+    const lost = store.create({ spec, requestedBy: 'alice' });
+    store.attachPlan(interrupted.id, { processId: 'plan-1', status: 'running' });
+    store.attachPlan(lost.id, { processId: 'plan-2', status: 'running' });
+
+    // The job store marks jobs of the previous server process interrupted on load
+    jobs.set('plan-1', { processId: 'plan-1', status: 'interrupted', error: 'Server restarted while the job was running' });
+    const reloaded = createApprovalStore({ storePath, getJob });
+
+    assert.equal(reloaded.get(interrupted.id).plan.status, 'interrupted');
+    assert.equal(reloaded.get(interrupted.id).plan.error, 'Server restarted while the job was running');
+    assertCode(() => reloaded.checkApprovable(interrupted.id, 'bob'), 'PLAN_FAILED');
+    assert.equal(reloaded.get(lost.id).plan.status, 'interrupted');
+    assertCode(() => reloaded.checkApprovable(lost.id, 'bob'), 'PLAN_FAILED');
+});
+
+test('a plan job that is still running keeps the request waiting', () => {
+    const jobs = new Map([['plan-1', { processId: 'plan-1', status: 'running' }]]);
+    const store = createApprovalStore({ storePath, getJob: processId => jobs.get(processId) || null });
+    const approval = store.create({ spec, requestedBy: 'alice' });
+    store.attachPlan(approval.id, { processId: 'plan-1', status: 'running' });
+    assertCode(() => store.checkApprovable(approval.id, 'bob'), 'PLAN_NOT_READY');
+
+    jobs.set('plan-1', { processId: 'plan-1', status: 'failed' });
+    assertCode(() => store.checkApprovable(approval.id, 'bob'), 'PLAN_FAILED');
+});
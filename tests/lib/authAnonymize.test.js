@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULT_RULES,
+    loadRules,
+    parseCsv,
+    formatCsv,
+    anonymizeAuthRows,
+    resolveRulesFile,
+    anonymizeCsvExports
+} = require('../../utils/lib/authAnonymize');
+
+test('unquoted empty fields are NULL, quoted empty fields are empty strings', () => {
+    const { columns, rows } = parseCsv('id,email,email_change,phone\nu1,a@x.com,"",\n');
+    assert.deepEqual(columns, ['id', 'email', 'email_change', 'phone']);
+    assert.deepEqual(rows, [{ id: 'u1', email: 'a@x.com', email_change: '', phone: null }]);
+});
+
+test('quoted fields keep commas, doubled quotes and newlines', () => {
+    const { rows } = parseCsv('id,meta\r\nu1,"{""name"":""A, B""}"\r\nu2,"line 1\nline 2"\r\n');
+    assert.equal(rows[0].meta, '{"name":"A, B"}');
+    assert.equal(rows[1].meta, 'line 1\nline 2');
+});
+
+test('formatCsv and parseCsv round-trip NULL, empty strings and JSON', () => {
+    const columns = ['id', 'email', 'email_change', 'phone', 'raw_user_meta_data'];
+    const rows = [
+        { id: 'u1', email: 'a@x.com', email_change: '', phone: null, raw_user_meta_data: '{"full_name":"A \\"Q\\" B"}' },
+        { id: 'u2', email: null, email_change: null, phone: '+4911', raw_user_meta_data: 'multi\nline, text' }
+    ];
+    const text = formatCsv(columns, rows);
+    assert.ok(text.includes('"u1","a@x.com","",,'), 'NULL is an unquoted empty field, "" a quoted one');
+    assert.deepEqual(parseCsv(text), { columns, rows });
+});
+
+test('users get fake addresses on their own domain and lose phones and personal metadata', () => {
+    const users = [{
+        id: 'u1',
+        email: 'alice@corp.com',
+        phone: '+4911',
+        phone_change: '+4912',
+        email_change: 'alice@new.com',
+        encrypted_password: '$2a$10$real',
+        raw_user_meta_data: JSON.stringify({ full_name: 'Alice A', email: 'alice@corp.com', phone: '+4911', plan: 'pro' })
+    }];
+    const { users: [user], mapping } = anonymizeAuthRows(users, [], DEFAULT_RULES);
+
+    assert.match(user.email, /^user_[0-9a-f]{12}@corp\.com$/);
+    assert.ok(!user.email.includes('alice'));
+    assert.equal(user.phone, null);
+    assert.equal(user.phone_change, '');
+    assert.equal(user.email_change, '');
+    assert.equal(user.encrypted_password, '$2a$10$real');
+    assert.deepEqual(JSON.parse(user.raw_user_meta_data), { email: user.email, plan: 'pro' });
+    assert.deepEqual(mapping, [{ user_id: 'u1', original_email: 'alice@corp.com', anonymized_email: user.email, original_phone: '+4911' }]);
+});
+
+test('identities get the same address as their user', () => {
+    const users = [{ id: 'u1', email: 'alice@corp.com' }];
+    const identities = [
+        { id: 'i1', user_id: 'u1', email: 'alice@corp.com', identity_data: JSON.stringify({ sub: 'u1', email: 'alice@corp.com', name: 'Alice' }) },
+        { id: 'i2', user_id: 'u9', email: 'zed@other.com', identity_data: JSON.stringify({ email: 'zed@other.com' }) }
+    ];
+    const result = anonymizeAuthRows(users, identities, DEFAULT_RULES);
+    const [first, second] = result.identities;
+    assert.equal(first.email, result.users[0].email);
+    assert.deepEqual(JSON.parse(first.identity_data), { sub: 'u1', email: result.users[0].email });
+    assert.match(second.email, /@other\.com$/);
+    assert.ok(!second.identity_data.includes('zed'));
+});
+
+test('hash mode maps the same address to the same result and keep mode changes nothing', () => {
+    const rules = { ...DEFAULT_RULES, email: 'hash', hashSalt: 's' };
+    const { users } = anonymizeAuthRows([{ id: 'u1', email: 'A@x.com' }, { id: 'u2', email: 'a@x.com' }], [], rules);
+    assert.equal(users[0].email, users[1].email);
+
+    const kept = anonymizeAuthRows([{ id: 'u1', email: 'a@x.com', phone: '+1' }], [], { ...DEFAULT_RULES, email: 'keep', phone: 'keep' });
+    assert.equal(kept.users[0].email, 'a@x.com');
+    assert.equal(kept.users[0].phone, '+1');
+});
+
+test('a reset password replaces only existing passwords', () => {
+    const rules = { ...DEFAULT_RULES, resetPassword: 'dev' };
+    const { users } = anonymizeAuthRows([{ id: 'u1', encrypted_password: 'old' }, { id: 'u2', encrypted_password: '' }], [], rules, { passwordHash: 'new' });
+    assert.deepEqual(users.map(user => user.encrypted_password), ['new', '']);
+});
+
+test('rules files are checked and relative paths are read from the data dir', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymize-'));
+    const rulesFile = path.join(dir, 'rules.json');
+    fs.writeFileSync(rulesFile, JSON.stringify({ email: 'hash', hashSalt: 'pepper' }));
+    assert.equal(loadRules(rulesFile).email, 'hash');
+    assert.equal(loadRules(rulesFile).phone, 'null');
+
+    fs.writeFileSync(rulesFile, JSON.stringify({ emails: 'fake' }));
+    assert.throws(() => loadRules(rulesFile), error => error.code === 'ANONYMIZE_RULES_INVALID');
+
+    assert.equal(resolveRulesFile('rules.json', dir), rulesFile);
+    assert.equal(resolveRulesFile('/etc/rules.json', dir), '/etc/rules.json');
+    assert.equal(resolveRulesFile(null, dir), null);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('exports are rewritten in place and the mapping stays in the migration directory, owner-only', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'anonymize-'));
+    const migrationDir = path.join(dir, 'backups', 'auth_users_migration_prod_to_test_1');
+    fs.mkdirSync(migrationDir, { recursive: true });
+    const usersCsv = path.join(migrationDir, 'users.csv');
+    const identitiesCsv = path.join(migrationDir, 'identities.csv');
+    fs.writeFileSync(usersCsv, 'id,email\nu1,alice@corp.com\n');
+    fs.writeFileSync(identitiesCsv, 'id,user_id,identity_data\n');
+
+    // A file left by an earlier run into the same directory is made owner-only as well
+    const mappingFile = path.join(migrationDir, 'anonymization_map.csv');
+    fs.writeFileSync(mappingFile, '', { mode: 0o644 });
+    const result = anonymizeCsvExports({ usersCsv, identitiesCsv, migrationDir, rules: DEFAULT_RULES });
+
+    assert.deepEqual(result, { users: 1, identities: 0, mappingFile });
+    assert.ok(!fs.readFileSync(usersCsv, 'utf8').includes('alice'));
+    assert.ok(fs.readFileSync(mappingFile, 'utf8').includes('alice@corp.com'));
+    assert.equal(fs.statSync(mappingFile).mode & 0o777, 0o600);
+    assert.deepEqual(fs.readdirSync(migrationDir).sort(), ['anonymization_map.csv', 'identities.csv', 'users.csv']);
+    fs.rmSync(dir, { recursive: true, force: true });
+});
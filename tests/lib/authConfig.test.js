@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    SECRET_PLACEHOLDER,
+    isSecretKey,
+    maskAuthConfig,
+    diffAuthConfig,
+    selectAuthConfigChanges,
+    resolveSecretsFile,
+    loadSecretValues,
+    buildAuthConfigPatch,
+    formatValue,
+    renderAuthConfigDiffHtml
+} = require('../../utils/lib/authConfig');
+
+const source = {
+    site_url: 'https://app.example.com',
+    jwt_exp: 3600,
+    external_google_enabled: true,
+    external_google_client_id: 'prod-client',
+    external_google_secret: 'prod-google-secret',
+    smtp_pass: 'prod-smtp-pass',
+    password_min_length: 12
+};
+const target = {
+    site_url: 'https://test.example.com',
+    jwt_exp: 3600,
+    external_google_enabled: false,
+    external_google_client_id: '',
+    external_google_secret: null,
+    smtp_pass: 'test-smtp-pass',
+    password_min_length: 8
+};
+
+test('secret keys are recognized by name', () => {
+    ['external_google_secret', 'smtp_pass', 'sms_twilio_auth_token', 'hook_custom_access_token_secrets', 'security_captcha_secret']
+        .forEach(key => assert.ok(isSecretKey(key), key));
+    ['site_url', 'smtp_user', 'external_google_client_id', 'password_min_length']
+        .forEach(key => assert.ok(!isSecretKey(key), key));
+});
+
+test('masking replaces set secrets and keeps everything else', () => {
+    assert.deepEqual(maskAuthConfig(source), { ...source, external_google_secret: SECRET_PLACEHOLDER, smtp_pass: SECRET_PLACEHOLDER });
+    assert.equal(maskAuthConfig(target).external_google_secret, null);
+    assert.equal(maskAuthConfig(target).external_google_client_id, null);
+});
+
+test('the diff never contains secret values', () => {
+    const diff = diffAuthConfig(source, target);
+    assert.deepEqual(diff.identical, ['jwt_exp']);
+    assert.deepEqual(diff.changed.map(({ key }) => key).sort(), [
+        'external_google_client_id', 'external_google_enabled', 'external_google_secret', 'password_min_length', 'site_url', 'smtp_pass'
+    ]);
+    const text = JSON.stringify(diff) + renderAuthConfigDiffHtml({
+        generatedAt: 'now', source: { env: 'prod' }, target: { env: 'test' }, summary: { changed: 0, identical: 0, secretsChanged: 0 }, groupLabels: {}, ...diff
+    });
+    ['prod-google-secret', 'prod-smtp-pass', 'test-smtp-pass'].forEach(secret => assert.ok(!text.includes(secret), secret));
+    assert.deepEqual(diff.changed.find(({ key }) => key === 'smtp_pass'), {
+        key: 'smtp_pass', group: 'smtp', secret: true, source: SECRET_PLACEHOLDER, target: SECRET_PLACEHOLDER
+    });
+});
+
+test('changes are selected by group or key and unknown names are refused', () => {
+    const diff = diffAuthConfig(source, target);
+    assert.deepEqual(selectAuthConfigChanges(diff, { groups: ['password'], keys: ['site_url'] }).map(({ key }) => key),
+        ['site_url', 'password_min_length']);
+    assert.deepEqual(selectAuthConfigChanges(diff, { keys: ['jwt_exp'] }), []);
+    assert.equal(selectAuthConfigChanges(diff, { all: true }).length, diff.changed.length);
+    const invalid = error => error.code === 'AUTH_CONFIG_SELECTION_INVALID';
+    assert.throws(() => selectAuthConfigChanges(diff, {}), invalid);
+    assert.throws(() => selectAuthConfigChanges(diff, { groups: ['oauth'] }), invalid);
+    assert.throws(() => selectAuthConfigChanges(diff, { keys: ['site_uri'] }), invalid);
+});
+
+test('the patch never copies secrets from the source', () => {
+    const selected = selectAuthConfigChanges(diffAuthConfig(source, target), { all: true });
+    const { patch, secretsSkipped, warnings } = buildAuthConfigPatch(selected, source, target);
+    assert.deepEqual(patch, {
+        site_url: 'https://app.example.com',
+        external_google_enabled: true,
+        external_google_client_id: 'prod-client',
+        password_min_length: 12
+    });
+    assert.deepEqual(secretsSkipped.sort(), ['external_google_secret', 'smtp_pass']);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /external_google is enabled but the target has no external_google_secret/);
+});
+
+test('secrets in the patch come from the secrets file only', () => {
+    const selected = selectAuthConfigChanges(diffAuthConfig(source, target), { groups: ['providers', 'smtp'] });
+    const { patch, secretsSkipped, warnings } = buildAuthConfigPatch(selected, source, target, { external_google_secret: 'test-google-secret' });
+    assert.equal(patch.external_google_secret, 'test-google-secret');
+    assert.ok(!('smtp_pass' in patch));
+    assert.deepEqual(secretsSkipped, ['smtp_pass']);
+    assert.deepEqual(warnings, []);
+    assert.ok(!Object.values(patch).includes('prod-google-secret'));
+});
+
+test('secrets files live in the data dir or outside the project', () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-config-'));
+    const dataDir = path.join(projectRoot, 'data');
+    const options = { dataDir, projectRoot };
+    assert.equal(resolveSecretsFile(null, options), null);
+    assert.equal(resolveSecretsFile('secrets.json', options), path.join(dataDir, 'secrets.json'));
+    assert.equal(resolveSecretsFile('/etc/secrets.json', options), '/etc/secrets.json');
+    const invalid = error => error.code === 'AUTH_CONFIG_SECRETS_INVALID';
+    assert.throws(() => resolveSecretsFile(path.join(projectRoot, 'secrets.json'), options), invalid);
+    assert.throws(() => resolveSecretsFile('../backups/secrets.json', options), invalid);
+
+    fs.mkdirSync(dataDir);
+    const secretsFile = path.join(dataDir, 'secrets.json');
+    fs.writeFileSync(secretsFile, JSON.stringify({ smtp_pass: 'x' }));
+    assert.deepEqual(loadSecretValues(secretsFile), { smtp_pass: 'x' });
+    fs.writeFileSync(secretsFile, JSON.stringify({ site_url: 'https://evil.example.com' }));
+    assert.throws(() => loadSecretValues(secretsFile), invalid);
+    fs.writeFileSync(secretsFile, '[]');
+    assert.throws(() => loadSecretValues(secretsFile), invalid);
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+test('values are formatted as text and cut to the given length', () => {
+    assert.equal(formatValue(null), 'not set');
+    assert.equal(formatValue(''), '');
+    assert.equal(formatValue({ a: [1] }), '{"a":[1]}');
+    assert.equal(formatValue('x'.repeat(200)), 'x'.repeat(200));
+    assert.equal(formatValue('x'.repeat(201)), `${'x'.repeat(197)}...`);
+    assert.equal(formatValue('x'.repeat(100), 80), `${'x'.repeat(77)}...`);
+});
@@ -0,0 +1,73 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { buildUserFilter, userFilterSql, matchesUserFilter } = require('../../utils/lib/authUserFilter');
+
+const users = [
+    { id: 'u1', email: 'Alice@Corp.com', created_at: '2025-01-01T00:00:00Z' },
+    { id: 'u2', email: 'bob@other.com', created_at: '2025-02-01T00:00:00Z' },
+    { id: 'u3', email: null, created_at: '2025-03-01T00:00:00Z' }
+];
+const matching = (filter, context = () => ({})) => users.filter(user => matchesUserFilter(filter, user, context(user))).map(user => user.id);
+
+test('no filter selects every user', () => {
+    assert.equal(buildUserFilter({}), null);
+    assert.equal(userFilterSql(null), 'TRUE');
+    assert.deepEqual(matching(null), ['u1', 'u2', 'u3']);
+});
+
+test('domains compare case-insensitively in SQL and in JavaScript', () => {
+    const filter = buildUserFilter({ domains: '@CORP.com, example.org' });
+    assert.equal(userFilterSql(filter), "lower(split_part(u.email, '@', 2)) IN ('corp.com', 'example.org')");
+    assert.deepEqual(matching(filter), ['u1']);
+});
+
+test('providers match any identity of the user', () => {
+    const filter = buildUserFilter({ providers: 'Google,github' });
+    assert.equal(userFilterSql(filter, 'x'), "EXISTS (SELECT 1 FROM auth.identities fi WHERE fi.user_id = x.id AND lower(fi.provider) IN ('google', 'github'))");
+    const providers = { u1: ['email'], u2: ['email', 'GOOGLE'], u3: [] };
+    assert.deepEqual(matching(filter, user => ({ providers: providers[user.id] })), ['u2']);
+});
+
+test('created-after is inclusive and created-before exclusive on both sides', () => {
+    const filter = buildUserFilter({ 'created-after': '2025-01-01T00:00:00Z', 'created-before': '2025-03-01T00:00:00Z' });
+    assert.equal(userFilterSql(filter),
+        "u.created_at >= '2025-01-01T00:00:00.000Z'::timestamptz AND u.created_at < '2025-03-01T00:00:00.000Z'::timestamptz");
+    assert.deepEqual(matching(filter), ['u1', 'u2']);
+    assert.throws(() => buildUserFilter({ 'created-after': '2025-03-01', 'created-before': '2025-01-01' }), error => error.code === 'USER_FILTER_INVALID');
+    assert.throws(() => buildUserFilter({ 'created-after': 'yesterday' }), error => error.code === 'USER_FILTER_INVALID');
+});
+
+test('a users file selects listed ids or emails', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'user-filter-'));
+    const usersFile = path.join(dir, 'users.txt');
+    fs.writeFileSync(usersFile, '# selected users\nu3\nALICE@corp.com  # by email\n');
+    const filter = buildUserFilter({ 'users-file': usersFile });
+    assert.equal(userFilterSql(filter), "(u.id::text IN ('u3') OR lower(u.email) IN ('alice@corp.com'))");
+    assert.deepEqual(matching(filter), ['u1', 'u3']);
+
+    fs.writeFileSync(usersFile, '# nobody\n');
+    assert.throws(() => buildUserFilter({ 'users-file': usersFile }), error => error.code === 'USER_FILTER_INVALID');
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('referenced-by selects users whose id appears in the column', () => {
+    const filter = buildUserFilter({ 'referenced-by': 'profiles.user_id,billing.customers.owner_id' });
+    assert.equal(userFilterSql(filter),
+        '(u.id::text IN (SELECT "user_id"::text FROM "public"."profiles" WHERE "user_id" IS NOT NULL)'
+        + ' OR u.id::text IN (SELECT "owner_id"::text FROM "billing"."customers" WHERE "owner_id" IS NOT NULL))');
+    assert.deepEqual(matching(filter, () => ({ referencedIds: new Set(['u2']) })), ['u2']);
+    assert.deepEqual(matching(filter), []);
+    assert.throws(() => buildUserFilter({ 'referenced-by': 'profiles' }), error => error.code === 'USER_FILTER_INVALID');
+    assert.throws(() => buildUserFilter({ 'referenced-by': 'profiles.user_id;drop' }), error => error.code === 'USER_FILTER_INVALID');
+});
+
+test('options combine with AND and values are quoted', () => {
+    const filter = buildUserFilter({ domains: "corp.com,o'brien.io", 'created-after': '2025-01-15' });
+    assert.equal(userFilterSql(filter),
+        "lower(split_part(u.email, '@', 2)) IN ('corp.com', 'o''brien.io') AND u.created_at >= '2025-01-15T00:00:00.000Z'::timestamptz");
+    assert.deepEqual(matching(filter), []);
+    assert.throws(() => buildUserFilter({ domains: true }), error => error.code === 'USER_FILTER_INVALID');
+});
@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffAuthUsers, summarizeAuthUsersDiff } = require('../../utils/lib/authUsersDiff');
+
+const user = (id, fields = {}) => ({
+    id,
+    email: `${id}@corp.com`,
+    emailConfirmedAt: '2025-01-01T00:00:00Z',
+    userMetadata: { plan: 'pro', theme: 'dark' },
+    appMetadata: { provider: 'email', providers: ['email'], role: 'member' },
+    identities: [{ provider: 'email', providerId: id }],
+    factorsCount: 0,
+    ...fields
+});
+
+test('identical users count as identical regardless of metadata key order and derived keys', () => {
+    const target = user('u1', {
+        userMetadata: { theme: 'dark', plan: 'pro' },
+        appMetadata: { role: 'member', provider: 'google', providers: ['google', 'email'] }
+    });
+    const diff = diffAuthUsers([user('u1')], [target]);
+    assert.equal(diff.identical, 1);
+    assert.deepEqual(diff.changed, []);
+});
+
+test('users are matched by id', () => {
+    const diff = diffAuthUsers([user('u1'), user('u2')], [user('u2'), user('u3')]);
+    assert.deepEqual(diff.missingInTarget.map(({ id }) => id), ['u1']);
+    assert.deepEqual(diff.targetOnly.map(({ id }) => id), ['u3']);
+    assert.equal(diff.identical, 1);
+    assert.deepEqual(summarizeAuthUsersDiff(diff, 2, 2), {
+        sourceUsers: 2,
+        targetUsers: 2,
+        missingInTarget: 1,
+        targetOnly: 1,
+        changed: 0,
+        identityMismatches: 0,
+        factorMismatches: 0,
+        emailConflicts: 0,
+        identical: 1
+    });
+});
+
+test('changed fields are listed with source and target values', () => {
+    const target = user('u1', { email: 'new@corp.com', emailConfirmedAt: null, userMetadata: { plan: 'free', theme: 'dark' } });
+    const diff = diffAuthUsers([user('u1')], [target]);
+    assert.deepEqual(diff.changed, [{
+        id: 'u1',
+        email: 'u1@corp.com',
+        fields: [
+            { field: 'email', source: 'u1@corp.com', target: 'new@corp.com' },
+            { field: 'emailConfirmed', source: true, target: false },
+            { field: 'userMetadata', source: { plan: 'pro', theme: 'dark' }, target: { plan: 'free', theme: 'dark' } }
+        ]
+    }]);
+    assert.equal(diff.identical, 0);
+});
+
+test('identity and MFA factor drift are reported separately', () => {
+    const source = user('u1', { identities: [{ provider: 'email', providerId: 'u1' }, { provider: 'google', providerId: 'g1' }], factorsCount: 1 });
+    const target = user('u1', { identities: [{ provider: 'email', providerId: 'u1' }, { provider: 'github', providerId: 'h1' }] });
+    const diff = diffAuthUsers([source], [target]);
+    assert.deepEqual(diff.changed, []);
+    assert.deepEqual(diff.identityMismatches, [{ id: 'u1', email: 'u1@corp.com', sourceOnly: ['google:g1'], targetOnly: ['github:h1'] }]);
+    assert.deepEqual(diff.factorMismatches, [{ id: 'u1', email: 'u1@corp.com', source: 1, target: 0 }]);
+    assert.equal(diff.identical, 0);
+});
+
+test('a missing user whose email belongs to another target user is an email conflict', () => {
+    const diff = diffAuthUsers([user('u1', { email: 'Alice@corp.com' })], [user('t9', { email: 'alice@CORP.com' })]);
+    assert.deepEqual(diff.emailConflicts, [{ email: 'Alice@corp.com', sourceId: 'u1', targetId: 't9' }]);
+    assert.deepEqual(diff.missingInTarget.map(({ id }) => id), ['u1']);
+    assert.deepEqual(diff.targetOnly.map(({ id }) => id), ['t9']);
+});
@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createJobRunner } = require('../../utils/lib/jobRunner');
+const { createLockManager } = require('../../utils/lib/lockManager');
+
+const memoryJobStore = () => {
+    const finished = new Map();
+    return {
+        finished,
+        recordStart: () => {},
+        recordFinish: (processId, result) => finished.set(processId, result),
+        appendLog: () => {},
+        get: processId => finished.get(processId) || null,
+        readLogs: () => []
+    };
+};
+
+// A killed process whose parent already exited can stay a zombie until init reaps it
+const isRunning = (pid) => {
+    try {
+        process.kill(pid, 0);
+    } catch (error) {
+        return false;
+    }
+    try {
+        return !/^\d+ \(.*\) Z/.test(fs.readFileSync(`/proc/${pid}/stat`, 'utf8'));
+    } catch (error) {
+        return true;
+    }
+};
+
+// A job script that starts a background child, writes its pid and waits; with IGNORE_TERM set
+// the script itself ignores SIGTERM
+const setupProject = () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'job-runner-'));
+    fs.writeFileSync(path.join(projectRoot, 'job.sh'), [
+        '[ -n "${IGNORE_TERM:-}" ] && trap "" TERM',
+        'sleep 30 &',
+        'echo "$!" > "$(dirname "$0")/child.pid"',
+        'echo started',
+        'wait'
+    ].join('\n'));
+    return projectRoot;
+};
+
+const waitForFile = async (filePath) => {
+    for (let attempt = 0; attempt < 100 && !fs.existsSync(filePath); attempt++) {
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return Number(fs.readFileSync(filePath, 'utf8'));
+};
+
+test('cancel stops the whole process group and only then releases the lock', async () => {
+    const projectRoot = setupProject();
+    const jobStore = memoryJobStore();
+    const lockManager = createLockManager();
+    const runner = createJobRunner({ projectRoot, jobStore, lockManager, killTimeoutMs: 5000 });
+
+    const job = runner.enqueue({ script: 'job.sh', targetEnv: 'test', lockKey: 'test' });
+    const childPid = await waitForFile(path.join(projectRoot, 'child.pid'));
+    assert.ok(isRunning(childPid));
+
+    assert.equal(runner.cancel(job.processId), true);
+    assert.equal(lockManager.acquire('test', { processId: 'other' }).acquired, false);
+    const output = await runner.waitFor(job.processId);
+
+    assert.equal(output.status, 'cancelled');
+    assert.equal(isRunning(childPid), false);
+    assert.equal(jobStore.finished.get(job.processId).status, 'cancelled');
+    assert.equal(lockManager.acquire('test', { processId: 'other' }).acquired, true);
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+test('cancel escalates to SIGKILL when the job ignores SIGTERM', async () => {
+    const projectRoot = setupProject();
+    const jobStore = memoryJobStore();
+    const runner = createJobRunner({ projectRoot, jobStore, killTimeoutMs: 200 });
+
+    const job = runner.enqueue({ script: 'job.sh', processEnv: { IGNORE_TERM: '1' } });
+    const childPid = await waitForFile(path.join(projectRoot, 'child.pid'));
+    const startedAt = Date.now();
+    runner.cancel(job.processId);
+    const output = await runner.waitFor(job.processId);
+
+    assert.equal(output.status, 'cancelled');
+    assert.ok(Date.now() - startedAt >= 200, 'SIGKILL waits for the kill timeout');
+    assert.equal(isRunning(childPid), false);
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+});
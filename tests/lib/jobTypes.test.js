@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { validateJobParams } = require('../../utils/lib/jobTypes');
+
+const invalid = error => error.code === 'JOB_PARAMS_INVALID';
+
+test('storage restores need a storage backup inside the project', () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'job-types-'));
+    fs.mkdirSync(path.join(projectRoot, 'backups', 'storage_1', 'storage_files'), { recursive: true });
+    fs.mkdirSync(path.join(projectRoot, 'backups', 'empty'), { recursive: true });
+    const validate = params => validateJobParams('storage-restore', params, { projectRoot });
+
+    assert.deepEqual(validate({ targetEnv: 'test', migrationDir: './backups/x/../storage_1/' }),
+        { targetEnv: 'test', migrationDir: path.join('backups', 'storage_1') });
+    assert.throws(() => validate({ targetEnv: 'test' }), invalid);
+    assert.throws(() => validate({ targetEnv: 'test', migrationDir: '../outside' }), invalid);
+    assert.throws(() => validate({ targetEnv: 'test', migrationDir: projectRoot }), invalid);
+    assert.throws(() => validate({ targetEnv: 'test', migrationDir: 'backups/empty' }), invalid);
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+});
+
+test('a resumed storage migration must be a run directory inside the project', () => {
+    const projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'job-types-'));
+    const runDir = path.join(projectRoot, 'backups', 'storage_migration_1');
+    fs.mkdirSync(runDir, { recursive: true });
+    fs.writeFileSync(path.join(runDir, 'storage_manifest.jsonl'), '');
+    fs.mkdirSync(path.join(projectRoot, 'backups', 'empty'), { recursive: true });
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'job-types-outside-'));
+    fs.writeFileSync(path.join(outside, 'storage_manifest.jsonl'), '');
+    const validate = options => validateJobParams('storage-migration', { sourceEnv: 'prod', targetEnv: 'test', options }, { projectRoot });
+
+    assert.deepEqual(validate({ resume: ` ${runDir}/ `, concurrency: 4 }).options,
+        { resume: path.join('backups', 'storage_migration_1'), concurrency: 4 });
+    assert.deepEqual(validate({ files: true }).options, { files: true });
+    assert.throws(() => validate({ resume: outside }), invalid);
+    assert.throws(() => validate({ resume: `../${path.basename(outside)}` }), invalid);
+    assert.throws(() => validate({ resume: 'backups/empty' }), invalid);
+    assert.throws(() => validate({ resume: true }), invalid);
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+    fs.rmSync(outside, { recursive: true, force: true });
+});
+
+test('auth config migrations need a valid selection', () => {
+    const validate = options => validateJobParams('auth-config-migration', { sourceEnv: 'prod', targetEnv: 'test', options }, { projectRoot: '/' });
+
+    assert.deepEqual(validate({ groups: ['urls', 'jwt'] }).options, { groups: ['urls', 'jwt'] });
+    assert.ok(validate({ all: true }));
+    assert.ok(validate({ keys: ['site_url'] }));
+    assert.throws(() => validate({}), invalid);
+    assert.throws(() => validate({ groups: [] }), invalid);
+    assert.throws(() => validate({ groups: ['oauth'] }), invalid);
+    assert.throws(() => validate({ keys: ['site_url --all'] }), invalid);
+});
+
+test('types without a validator pass their params through and unknown types are refused', () => {
+    const params = { sourceEnv: 'prod', targetEnv: 'test' };
+    assert.equal(validateJobParams('secrets-migration', params, { projectRoot: '/' }), params);
+    assert.throws(() => validateJobParams('drop-everything', params, { projectRoot: '/' }), invalid);
+});
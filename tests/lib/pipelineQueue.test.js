@@ -0,0 +1,205 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createPipelineQueue } = require('../../utils/lib/pipelineQueue');
+
+let dir;
+let storePath;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'pipelines-'));
+    storePath = path.join(dir, 'pipelines.json');
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const waitUntil = async (condition) => {
+    for (let attempt = 0; attempt < 200 && !condition(); attempt++) {
+        await delay(5);
+    }
+    assert.ok(condition(), 'condition not reached in time');
+};
+
+// Runner stubs: every started job finishes with the next status in statuses (default completed),
+// unless it is held, in which case it finishes when cancelled
+const createRunner = ({ statuses = [], holdJobs = false } = {}) => {
+    const runner = { started: [], cancelled: [], pending: new Map() };
+    runner.startJob = (type, params) => {
+        const processId = `job-${runner.started.length + 1}`;
+        runner.started.push({ type, params, processId });
+        return { processId };
+    };
+    runner.waitForJob = (processId) => {
+        if (holdJobs) {
+            return new Promise(resolve => runner.pending.set(processId, resolve));
+        }
+        return Promise.resolve({ status: statuses.shift() || 'completed', exitCode: 0 });
+    };
+    runner.cancelJob = (processId) => {
+        runner.cancelled.push(processId);
+        const resolve = runner.pending.get(processId);
+        if (resolve) {
+            resolve({ status: 'cancelled', exitCode: null });
+        }
+    };
+    return runner;
+};
+
+const createQueue = (runner, options = {}) => createPipelineQueue({
+    storePath,
+    startJob: runner.startJob,
+    waitForJob: runner.waitForJob,
+    cancelJob: runner.cancelJob,
+    lockRetryMs: 10,
+    ...options
+});
+
+const isFinished = pipeline => !['scheduled', 'running'].includes(pipeline.status);
+
+test('steps run in order against the pipeline source and target', async () => {
+    const runner = createRunner();
+    const queue = createQueue(runner);
+    const pipeline = queue.create({
+        sourceEnv: 'prod',
+        targetEnv: 'test',
+        steps: [{ type: 'all-envs-snapshot' }, { type: 'storage-migration', migrationDir: 'backups/x', options: { files: true } }]
+    });
+    await waitUntil(() => isFinished(pipeline));
+
+    assert.equal(pipeline.status, 'completed');
+    assert.deepEqual(runner.started.map(({ type }) => type), ['all-envs-snapshot', 'storage-migration']);
+    assert.deepEqual(runner.started[1].params, { sourceEnv: 'prod', targetEnv: 'test', env: 'test', migrationDir: 'backups/x', options: { files: true } });
+    assert.deepEqual(pipeline.steps.map(step => step.processId), ['job-1', 'job-2']);
+    assert.deepEqual(JSON.parse(fs.readFileSync(storePath, 'utf8'))[0].status, 'completed');
+});
+
+test('a failed step skips the rest unless it allows failure', async () => {
+    const stopping = createRunner({ statuses: ['failed'] });
+    const stopped = createQueue(stopping).create({ sourceEnv: 'prod', targetEnv: 'test', steps: [{ type: 'database-migration' }, { type: 'storage-migration' }] });
+    await waitUntil(() => isFinished(stopped));
+    assert.equal(stopped.status, 'failed');
+    assert.deepEqual(stopped.steps.map(step => step.status), ['failed', 'skipped']);
+    assert.equal(stopping.started.length, 1);
+
+    const continuing = createRunner({ statuses: ['failed'] });
+    const pipeline = createQueue(continuing).create({
+        sourceEnv: 'prod',
+        targetEnv: 'test',
+        steps: [{ type: 'database-migration', stopOnFailure: false }, { type: 'storage-migration' }]
+    });
+    await waitUntil(() => isFinished(pipeline));
+    assert.equal(pipeline.status, 'completed_with_errors');
+    assert.deepEqual(pipeline.steps.map(step => step.status), ['failed', 'completed']);
+});
+
+test('a step waits while its target is locked and starts once the lock is free', async () => {
+    const runner = createRunner();
+    let attempts = 0;
+    const startJob = runner.startJob;
+    runner.startJob = (...args) => {
+        attempts++;
+        if (attempts <= 2) {
+            const error = new Error('Target test is busy');
+            error.code = 'TARGET_LOCKED';
+            throw error;
+        }
+        return startJob(...args);
+    };
+    const queue = createQueue(runner);
+    const pipeline = queue.create({ sourceEnv: 'prod', targetEnv: 'test', steps: [{ type: 'database-migration' }] });
+
+    await waitUntil(() => pipeline.steps[0].status === 'waiting');
+    assert.equal(pipeline.steps[0].error, 'Target test is busy');
+    await waitUntil(() => isFinished(pipeline));
+
+    assert.equal(attempts, 3);
+    assert.equal(pipeline.status, 'completed');
+    assert.equal(pipeline.steps[0].error, null);
+});
+
+test('other start errors fail the step without retrying', async () => {
+    const runner = createRunner();
+    runner.startJob = () => {
+        throw new Error('Script not found: x.sh');
+    };
+    const pipeline = createQueue(runner).create({ sourceEnv: 'prod', targetEnv: 'test', steps: [{ type: 'database-migration' }] });
+    await waitUntil(() => isFinished(pipeline));
+    assert.equal(pipeline.status, 'failed');
+    assert.deepEqual({ status: pipeline.steps[0].status, error: pipeline.steps[0].error }, { status: 'error', error: 'Script not found: x.sh' });
+});
+
+test('cancelling a scheduled pipeline skips every step', async () => {
+    const runner = createRunner();
+    const queue = createQueue(runner);
+    const pipeline = queue.create({ sourceEnv: 'prod', targetEnv: 'test', runAt: '2999-01-01T00:00:00Z', steps: [{ type: 'database-migration' }] });
+    await delay(20);
+    assert.equal(pipeline.status, 'scheduled');
+
+    assert.equal(queue.cancel(pipeline.id), pipeline);
+    assert.equal(pipeline.status, 'cancelled');
+    assert.deepEqual(pipeline.steps.map(step => step.status), ['skipped']);
+    assert.equal(runner.started.length, 0);
+    assert.equal(queue.cancel('pipeline-missing'), null);
+});
+
+test('cancelling a running pipeline cancels its current job and skips the rest', async () => {
+    const runner = createRunner({ holdJobs: true });
+    const queue = createQueue(runner);
+    const pipeline = queue.create({ sourceEnv: 'prod', targetEnv: 'test', steps: [{ type: 'database-migration' }, { type: 'storage-migration' }] });
+    await waitUntil(() => pipeline.steps[0].status === 'running');
+    assert.equal(queue.getRunning(), pipeline);
+
+    queue.cancel(pipeline.id);
+    await waitUntil(() => isFinished(pipeline));
+
+    assert.deepEqual(runner.cancelled, ['job-1']);
+    assert.equal(pipeline.status, 'cancelled');
+    assert.deepEqual(pipeline.steps.map(step => step.status), ['cancelled', 'skipped']);
+    assert.equal(queue.getRunning(), null);
+});
+
+test('a daily pipeline queues its next run as a new record', async () => {
+    const runner = createRunner();
+    const queue = createQueue(runner);
+    const runAt = new Date(Date.now() - 1000).toISOString();
+    const pipeline = queue.create({ sourceEnv: 'prod', targetEnv: 'test', runAt, repeat: 'daily', steps: [{ type: 'database-migration' }] });
+    await waitUntil(() => isFinished(pipeline));
+
+    const next = queue.list({ status: 'scheduled' });
+    assert.equal(next.length, 1);
+    assert.notEqual(next[0].id, pipeline.id);
+    assert.equal(Date.parse(next[0].runAt), Date.parse(runAt) + 24 * 60 * 60 * 1000);
+    assert.equal(next[0].repeat, 'daily');
+    assert.deepEqual(next[0].steps.map(step => step.status), ['pending']);
+    queue.cancel(next[0].id);
+});
+
+test('pipelines that were running when the server stopped are interrupted on load', () => {
+    const step = (type, status) => ({ type, status, processId: null, options: {}, stopOnFailure: true });
+    fs.writeFileSync(storePath, JSON.stringify([
+        {
+            id: 'pipeline-1',
+            status: 'running',
+            runAt: '2025-01-01T00:00:00.000Z',
+            steps: [step('all-envs-snapshot', 'completed'), step('database-migration', 'running'), step('storage-migration', 'pending')]
+        },
+        { id: 'pipeline-2', status: 'running', runAt: '2025-01-01T00:00:00.000Z', steps: [step('database-migration', 'waiting')] },
+        { id: 'pipeline-3', status: 'completed', runAt: '2025-01-01T00:00:00.000Z', steps: [step('database-migration', 'completed')] }
+    ]));
+    const queue = createQueue(createRunner());
+
+    const interrupted = queue.get('pipeline-1');
+    assert.equal(interrupted.status, 'interrupted');
+    assert.ok(interrupted.finishedAt);
+    assert.deepEqual(interrupted.steps.map(({ status }) => status), ['completed', 'interrupted', 'skipped']);
+    assert.deepEqual(queue.get('pipeline-2').steps.map(({ status }) => status), ['interrupted']);
+    assert.equal(queue.get('pipeline-3').status, 'completed');
+    assert.equal(JSON.parse(fs.readFileSync(storePath, 'utf8'))[0].status, 'interrupted');
+    assert.equal(queue.getRunning(), null);
+});
@@ -0,0 +1,43 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { objectsMatch, diffObjects, diffBucketSettings } = require('../../utils/lib/storageDiff');
+
+const object = (path, { etag = '', size = 10, updated = '2025-01-01T00:00:00Z' } = {}) => ({
+    path,
+    metadata: { eTag: etag, etag, size },
+    updated_at: updated
+});
+
+test('objects with the same ETag match whatever their timestamps', () => {
+    assert.ok(objectsMatch(object('a', { etag: '"x"', updated: '2025-01-01' }), object('a', { etag: '"x"', updated: '2025-02-01' })));
+});
+
+test('without ETags, size and last-modified time must both match', () => {
+    assert.ok(objectsMatch(object('a'), object('a')));
+    assert.ok(!objectsMatch(object('a', { size: 10 }), object('a', { size: 11 })));
+    assert.ok(!objectsMatch(object('a'), object('a', { updated: '2025-01-02T00:00:00Z' })));
+});
+
+test('objects without any timestamp never match on size alone', () => {
+    assert.ok(!objectsMatch({ path: 'a', size: 10 }, { path: 'a', size: 10 }));
+});
+
+test('different ETags fall back to size and time', () => {
+    assert.ok(objectsMatch(object('a', { etag: '"x"' }), object('a', { etag: '"y"' })));
+});
+
+test('listings are split into added, changed, identical and target-only objects', () => {
+    const source = [object('same'), object('changed', { size: 20 }), object('new')];
+    const target = [object('same'), object('changed'), object('old')];
+    const diff = diffObjects(source, target);
+    assert.deepEqual(diff.added.map(entry => entry.path), ['new']);
+    assert.deepEqual(diff.changed.map(entry => entry.path), ['changed']);
+    assert.deepEqual(diff.identical.map(entry => entry.path), ['same']);
+    assert.deepEqual(diff.targetOnly.map(entry => entry.path), ['old']);
+    assert.equal(diff.changed[0].metadata.size, 20, 'changed holds the source object');
+});
+
+test('bucket settings are compared in both API spellings', () => {
+    assert.deepEqual(diffBucketSettings({ public: true, file_size_limit: 100 }, { public: true, fileSizeLimit: 100 }), []);
+    assert.deepEqual(diffBucketSettings({ public: true }, { public: false }), [{ setting: 'public', source: true, target: false }]);
+});
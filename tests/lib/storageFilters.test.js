@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { globToRegExp, createStorageFilter } = require('../../utils/lib/storageFilters');
+
+test('* and ? stay within one path segment', () => {
+    assert.ok(globToRegExp('*.mp4').test('clip.mp4'));
+    assert.ok(!globToRegExp('*.mp4').test('videos/clip.mp4'));
+    assert.ok(globToRegExp('img-?.png').test('img-1.png'));
+    assert.ok(!globToRegExp('img-?.png').test('img-10.png'));
+    assert.ok(!globToRegExp('a?b').test('a/b'));
+});
+
+test('** matches across folders, and **/ also matches no folder', () => {
+    assert.ok(globToRegExp('videos/**').test('videos/2025/01/clip.mp4'));
+    assert.ok(globToRegExp('**/*.mp4').test('clip.mp4'));
+    assert.ok(globToRegExp('**/*.mp4').test('a/b/clip.mp4'));
+    assert.ok(!globToRegExp('**/*.mp4').test('a/b/clip.mov'));
+});
+
+test('regular expression characters are literal', () => {
+    assert.ok(globToRegExp('report (1).pdf').test('report (1).pdf'));
+    assert.ok(!globToRegExp('a.b').test('axb'));
+    assert.ok(globToRegExp('[x]+$').test('[x]+$'));
+});
+
+test('patterns match the whole name', () => {
+    assert.ok(!globToRegExp('avatars').test('avatars-old'));
+    assert.ok(!globToRegExp('*.png').test('x.png.bak'));
+});
+
+test('exclude wins over include, and patterns without / match the file name', () => {
+    const filter = createStorageFilter({ include: 'media/**', exclude: '*.tmp,media/private/**' });
+    assert.ok(filter.matchesObject('bucket', 'media/a.png'));
+    assert.ok(!filter.matchesObject('bucket', 'media/a.tmp'));
+    assert.ok(!filter.matchesObject('bucket', 'media/private/a.png'));
+    assert.ok(!filter.matchesObject('bucket', 'docs/a.png'));
+});
+
+test('path patterns also match with the bucket name in front', () => {
+    const filter = createStorageFilter({ include: 'avatars/users/**' });
+    assert.ok(filter.matchesObject('avatars', 'users/1.png'));
+    assert.ok(!filter.matchesObject('uploads', 'other/1.png'));
+});
+
+test('bucket patterns filter bucket names and cannot contain /', () => {
+    const filter = createStorageFilter({ buckets: ['avatars', 'media-*'] });
+    assert.ok(filter.matchesBucket('media-2025'));
+    assert.ok(!filter.matchesBucket('uploads'));
+    assert.ok(createStorageFilter().matchesBucket('anything'));
+    assert.throws(() => createStorageFilter({ buckets: 'avatars/users' }), error => error.code === 'INVALID_FILTER');
+});
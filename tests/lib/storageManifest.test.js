@@ -0,0 +1,82 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    MANIFEST_FILE,
+    readManifest,
+    remainingObjects,
+    summarizeManifest,
+    createManifestWriter
+} = require('../../utils/lib/storageManifest');
+
+let dir;
+
+beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-manifest-'));
+});
+
+afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const object = (objectPath, size = 10) => ({ path: objectPath, metadata: { size, etag: `"${objectPath}"`, mimetype: 'image/png' } });
+
+// An interrupted run: a.png copied, b.png failed twice, c.png never reached
+const writeInterruptedRun = () => {
+    const writer = createManifestWriter(dir);
+    writer.planBucket('avatars', [object('a.png'), object('b.png', 20), object('c.png', 30)], { public: true, fileSizeLimit: null, allowedMimeTypes: null });
+    writer.recordResult('avatars', object('a.png'), 'transferred', 1, null, { sha256: 'abc' });
+    writer.recordResult('avatars', object('b.png', 20), 'failed', 2, 'timeout');
+    return writer;
+};
+
+test('a resume picks up failed and pending objects, not transferred ones', () => {
+    writeInterruptedRun();
+    const buckets = readManifest(dir);
+
+    assert.deepEqual([...buckets.keys()], ['avatars']);
+    assert.equal(buckets.get('avatars').files, 3);
+    assert.deepEqual(buckets.get('avatars').settings, { public: true, fileSizeLimit: null, allowedMimeTypes: null });
+    assert.deepEqual(summarizeManifest(buckets), { transferred: 1, failed: 1, pending: 1 });
+
+    const remaining = remainingObjects(buckets.get('avatars'));
+    assert.deepEqual(remaining.map(({ path: objectPath }) => objectPath), ['b.png', 'c.png']);
+    assert.deepEqual(remaining[0], {
+        path: 'b.png',
+        size: 20,
+        etag: '"b.png"',
+        metadata: { size: 20, etag: '"b.png"', mimetype: 'image/png', cacheControl: undefined },
+        previousAttempts: 2
+    });
+    assert.equal(remaining[1].previousAttempts, 0);
+});
+
+test('the last line per object wins and attempts add up across runs', () => {
+    writeInterruptedRun();
+    const first = readManifest(dir);
+
+    // A resumed run given another migration directory starts its manifest from the interrupted run's state
+    const resumedDir = path.join(dir, 'resumed');
+    const writer = createManifestWriter(resumedDir);
+    writer.seed(first);
+    const [failed] = remainingObjects(first.get('avatars'));
+    writer.recordResult('avatars', failed, 'transferred', 1);
+
+    const resumed = readManifest(resumedDir);
+    assert.deepEqual(summarizeManifest(resumed), { transferred: 2, failed: 0, pending: 1 });
+    assert.equal(resumed.get('avatars').objects.get('b.png').attempts, 3);
+    assert.equal(resumed.get('avatars').objects.get('a.png').sha256, 'abc');
+    assert.deepEqual(remainingObjects(resumed.get('avatars')).map(({ path: objectPath }) => objectPath), ['c.png']);
+});
+
+test('a truncated last line from a crash is ignored', () => {
+    writeInterruptedRun();
+    fs.appendFileSync(path.join(dir, MANIFEST_FILE), '{"type":"object","bucket":"avatars","path":"c.png","status":"transf');
+    assert.deepEqual(summarizeManifest(readManifest(dir)), { transferred: 1, failed: 1, pending: 1 });
+});
+
+test('a directory without a manifest cannot be resumed', () => {
+    assert.throws(() => readManifest(dir), error => error.code === 'MANIFEST_NOT_FOUND');
+});
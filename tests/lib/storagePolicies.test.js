@@ -0,0 +1,71 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffPolicies, buildPolicySql, isBucketSpecific, referencedBuckets } = require('../../utils/lib/storagePolicies');
+
+const policy = (name, overrides = {}) => ({
+    table: 'objects',
+    name,
+    permissive: 'PERMISSIVE',
+    command: 'SELECT',
+    roles: ['authenticated'],
+    using: "(bucket_id = 'avatars'::text)",
+    withCheck: null,
+    ...overrides
+});
+
+test('policies are matched by table and name and compared field by field', () => {
+    const diff = diffPolicies(
+        [policy('same'), policy('changed', { command: 'ALL', roles: ['anon'] }), policy('new'), policy('same', { table: 'buckets' })],
+        [policy('same'), policy('changed'), policy('old')]
+    );
+    assert.deepEqual(diff.create.map(({ table, name }) => `${table}.${name}`), ['objects.new', 'buckets.same']);
+    assert.deepEqual(diff.update.map(({ source, fields }) => [source.name, fields]), [['changed', ['command', 'roles']]]);
+    assert.deepEqual(diff.unchanged.map(({ name }) => name), ['same']);
+    assert.deepEqual(diff.targetOnly.map(({ name }) => name), ['old']);
+});
+
+test('whitespace in expressions and role order do not count as changes', () => {
+    const diff = diffPolicies(
+        [policy('p', { using: "(bucket_id =\n  'avatars'::text)", roles: ['anon', 'authenticated'] })],
+        [policy('p', { roles: ['authenticated', 'anon'] })]
+    );
+    assert.equal(diff.unchanged.length, 1);
+});
+
+test('only policies in scope are compared', () => {
+    const inScope = (candidate) => candidate.name !== 'ignored';
+    const diff = diffPolicies([policy('ignored')], [policy('ignored', { command: 'ALL' })], inScope);
+    assert.deepEqual(diff, { create: [], update: [], targetOnly: [], unchanged: [] });
+});
+
+test('the SQL creates new policies and recreates changed ones in one transaction', () => {
+    const diff = diffPolicies([policy('new'), policy('changed', { withCheck: 'true' })], [policy('changed'), policy('old')]);
+    const sql = buildPolicySql(diff, { header: ['storage policies test -> prod'] });
+    const lines = sql.split('\n');
+    assert.equal(lines[0], '-- storage policies test -> prod');
+    assert.equal(lines[1], 'BEGIN;');
+    assert.ok(sql.trim().endsWith('COMMIT;'));
+    assert.ok(sql.includes('CREATE POLICY "new" ON storage.objects\n    AS PERMISSIVE\n    FOR SELECT\n    TO "authenticated"\n    USING ((bucket_id = \'avatars\'::text));'));
+    assert.ok(sql.indexOf('DROP POLICY IF EXISTS "changed" ON storage.objects;') < sql.indexOf('CREATE POLICY "changed"'));
+    assert.ok(sql.includes('WITH CHECK (true)'));
+    assert.ok(!sql.includes('"old"'), 'target-only policies are kept by default');
+});
+
+test('target-only policies are dropped only when asked', () => {
+    const diff = diffPolicies([], [policy('old')]);
+    assert.ok(buildPolicySql(diff, { dropTargetOnly: true }).includes('DROP POLICY IF EXISTS "old" ON storage.objects;'));
+});
+
+test('identifiers are quoted and PUBLIC stays a keyword', () => {
+    const sql = buildPolicySql(diffPolicies([policy('say "hi"', { roles: ['public'], using: null })], []));
+    assert.ok(sql.includes('CREATE POLICY "say ""hi""" ON storage.objects'));
+    assert.ok(sql.includes('    TO public;'));
+    assert.ok(!sql.includes('USING'));
+});
+
+test('bucket-specific policies and the buckets they name', () => {
+    assert.ok(isBucketSpecific(policy('p')));
+    assert.ok(!isBucketSpecific(policy('p', { using: "(auth.role() = 'authenticated'::text)" })));
+    assert.ok(isBucketSpecific(policy('p', { table: 'buckets', using: "(id = 'avatars')" })));
+    assert.deepEqual(referencedBuckets(policy('p', { withCheck: "(bucket_id = 'o''brien')" }), ['avatars', "o'brien", 'media']), ['avatars', "o'brien"]);
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { retryWithBackoff, runPool, transferObjects } = require('../../utils/lib/storageTransfer');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Storage client stubs. The source serves contents[path]; failures[path] failed downloads come
+// first (Infinity: always fails). The target stores uploads and tracks transfers in flight.
+const createClients = ({ contents, failures = {} }) => {
+    const downloads = {};
+    const uploaded = {};
+    const flight = { current: 0, max: 0 };
+    const sourceClient = {
+        storage: {
+            from: () => ({
+                download: (objectPath) => ({
+                    asStream: async () => {
+                        downloads[objectPath] = (downloads[objectPath] || 0) + 1;
+                        if (downloads[objectPath] <= (failures[objectPath] || 0)) {
+                            return { data: null, error: new Error('connection reset') };
+                        }
+                        flight.current++;
+                        flight.max = Math.max(flight.max, flight.current);
+                        return { data: Readable.toWeb(Readable.from([Buffer.from(contents[objectPath])])), error: null };
+                    }
+                })
+            })
+        }
+    };
+    const targetClient = {
+        storage: {
+            from: () => ({
+                upload: async (objectPath, body) => {
+                    const chunks = [];
+                    for await (const chunk of body) {
+                        chunks.push(chunk);
+                    }
+                    await delay(5);
+                    uploaded[objectPath] = Buffer.concat(chunks).toString();
+                    flight.current--;
+                    return { error: null };
+                }
+            })
+        }
+    };
+    return { sourceClient, targetClient, downloads, uploaded, flight };
+};
+
+const objectsFor = contents => Object.keys(contents).map(objectPath => ({ path: objectPath, metadata: { size: contents[objectPath].length, mimetype: 'text/plain' } }));
+
+test('retries back off exponentially and stop after the last retry', async () => {
+    const delays = [];
+    let calls = 0;
+    const flaky = await retryWithBackoff(async () => {
+        calls++;
+        if (calls < 3) throw new Error(`attempt ${calls} failed`);
+    }, { retries: 3, retryDelayMs: 1, onRetry: (attempt, error, delayMs) => delays.push([attempt, error.message, delayMs]) });
+    assert.deepEqual(flaky, { attempts: 3, error: null });
+    assert.deepEqual(delays, [[1, 'attempt 1 failed', 1], [2, 'attempt 2 failed', 2]]);
+
+    const broken = await retryWithBackoff(async () => {
+        throw new Error('down');
+    }, { retries: 2, retryDelayMs: 1 });
+    assert.equal(broken.attempts, 3);
+    assert.equal(broken.error.message, 'down');
+});
+
+test('the pool never runs more than concurrency workers at once', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const done = [];
+    await runPool([1, 2, 3, 4, 5, 6, 7], 3, async (item) => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await delay(item % 3 + 1);
+        running--;
+        done.push(item);
+    });
+    assert.equal(maxRunning, 3);
+    assert.deepEqual(done.sort(), [1, 2, 3, 4, 5, 6, 7]);
+});
+
+test('files that fail are retried until they succeed or run out of retries', async () => {
+    const contents = { 'a.txt': 'alpha', 'b.txt': 'bravo!', 'c.txt': 'charlie', 'd.txt': 'delta', 'e.txt': 'echo', 'f.txt': 'foxtrot' };
+    const clients = createClients({ contents, failures: { 'b.txt': 2, 'e.txt': Infinity } });
+    const doneAttempts = {};
+    const failedAttempts = {};
+    const retried = [];
+
+    const result = await transferObjects(clients.sourceClient, clients.targetClient, 'docs', objectsFor(contents), {
+        concurrency: 2,
+        retries: 2,
+        retryDelayMs: 1,
+        checksum: true,
+        onFileDone: (object, attempts, { sha256 }) => {
+            doneAttempts[object.path] = attempts;
+            assert.equal(sha256, crypto.createHash('sha256').update(contents[object.path]).digest('hex'));
+        },
+        onFileFailed: (object, error, attempts) => {
+            failedAttempts[object.path] = attempts;
+        },
+        onRetry: (object, attempt) => retried.push(`${object.path}#${attempt}`)
+    });
+
+    assert.equal(result.transferred, 5);
+    assert.deepEqual(result.failed, [{ path: 'e.txt', error: 'Failed to download e.txt: connection reset' }]);
+    assert.equal(result.bytes, ['a.txt', 'b.txt', 'c.txt', 'd.txt', 'f.txt'].reduce((sum, key) => sum + contents[key].length, 0));
+    assert.deepEqual(doneAttempts, { 'a.txt': 1, 'b.txt': 3, 'c.txt': 1, 'd.txt': 1, 'f.txt': 1 });
+    assert.deepEqual(failedAttempts, { 'e.txt': 3 });
+    assert.deepEqual(retried.sort(), ['b.txt#1', 'b.txt#2', 'e.txt#1', 'e.txt#2']);
+    assert.deepEqual(clients.uploaded, { 'a.txt': 'alpha', 'b.txt': 'bravo!', 'c.txt': 'charlie', 'd.txt': 'delta', 'f.txt': 'foxtrot' });
+});
+
+test('no more than concurrency transfers are in flight', async () => {
+    const contents = Object.fromEntries(Array.from({ length: 10 }, (_, index) => [`file-${index}.txt`, `content ${index}`]));
+    for (const concurrency of [1, 3]) {
+        const clients = createClients({ contents });
+        const result = await transferObjects(clients.sourceClient, clients.targetClient, 'docs', objectsFor(contents), { concurrency, retryDelayMs: 1 });
+        assert.equal(result.transferred, 10);
+        assert.equal(clients.flight.max, concurrency);
+    }
+});
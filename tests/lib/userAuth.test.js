@@ -0,0 +1,77 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createSessionManager, createUserStore, hashPassword, verifyPassword } = require('../../utils/lib/userAuth');
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'user-auth-'));
+
+test('issued session tokens verify with their payload', () => {
+    const sessions = createSessionManager({ secret: 'secret' });
+    const { token } = sessions.issue({ username: 'alice', role: 'admin' });
+    const session = sessions.verify(token);
+    assert.equal(session.sub, 'alice');
+    assert.equal(session.role, 'admin');
+});
+
+test('tampered, foreign and malformed tokens are rejected', () => {
+    const sessions = createSessionManager({ secret: 'secret' });
+    const { token } = sessions.issue({ username: 'alice', role: 'viewer' });
+    const [data, signature] = token.split('.');
+    const elevated = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(data, 'base64url').toString()), role: 'admin' })).toString('base64url');
+
+    assert.equal(sessions.verify(`${elevated}.${signature}`), null);
+    assert.equal(createSessionManager({ secret: 'other' }).verify(token), null);
+    assert.equal(sessions.verify('not-a-token'), null);
+    assert.equal(sessions.verify(null), null);
+});
+
+test('expired tokens are rejected', () => {
+    const sessions = createSessionManager({ secret: 'secret', ttlMs: -1 });
+    assert.equal(sessions.verify(sessions.issue({ username: 'alice', role: 'admin' }).token), null);
+});
+
+test('revoking one session leaves the user\'s other sessions valid', () => {
+    const sessions = createSessionManager({ secret: 'secret' });
+    const first = sessions.issue({ username: 'alice', role: 'admin' });
+    const second = sessions.issue({ username: 'alice', role: 'admin' });
+    sessions.revoke(first.session);
+    assert.equal(sessions.verify(first.token), null);
+    assert.ok(sessions.verify(second.token));
+});
+
+test('revoking a user ends every session issued so far and survives a restart', () => {
+    const dir = tempDir();
+    const revocationsPath = path.join(dir, 'revoked_sessions.json');
+    const sessions = createSessionManager({ secret: 'secret', revocationsPath });
+    const alice = sessions.issue({ username: 'alice', role: 'admin' });
+    const bob = sessions.issue({ username: 'bob', role: 'admin' });
+    sessions.revokeUser('alice');
+
+    const restarted = createSessionManager({ secret: 'secret', revocationsPath });
+    assert.equal(restarted.verify(alice.token), null);
+    assert.ok(restarted.verify(bob.token));
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('passwords verify against their scrypt hash only', () => {
+    const hash = hashPassword('correct horse');
+    assert.ok(verifyPassword('correct horse', hash));
+    assert.ok(!verifyPassword('wrong', hash));
+    assert.ok(!verifyPassword('correct horse', 'plain-text'));
+});
+
+test('a users file without accounts still exists for the auth mode', () => {
+    const dir = tempDir();
+    const filePath = path.join(dir, 'ui_users.json');
+    const store = createUserStore(filePath);
+    assert.ok(!store.exists());
+
+    store.upsert({ username: 'alice', password: 'pw', role: 'admin' });
+    assert.equal(store.authenticate('alice', 'pw').role, 'admin');
+    store.remove('alice');
+    assert.ok(store.exists());
+    assert.ok(!store.hasUsers());
+    fs.rmSync(dir, { recursive: true, force: true });
+});
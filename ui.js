@@ -7,6 +7,30 @@ let cliManualLoaded = false;
 let uiManualLoaded = false;
 let lastEdgeComparison = null;
 let edgeComparisonInFlight = false;
+let lastStorageComparison = null;
+let storageComparisonInFlight = false;
+let lastAuthUsersComparison = null;
+let authUsersComparisonInFlight = false;
+let lastAuthConfigComparison = null;
+let authConfigComparisonInFlight = false;
+const SSE_MAX_RECONNECT_ATTEMPTS = 5;
+
+// Used until /api/info returns the environments configured on the server (environments.json)
+const DEFAULT_ENVIRONMENTS = {
+    prod: { label: 'Production', production: true },
+    test: { label: 'Test/Staging' },
+    dev: { label: 'Development' },
+    backup: { label: 'Backup' }
+};
+
+// Icon and colour per environment; production environments always use the red style
+const ENV_STYLES = {
+    dev: { color: 'success', icon: '🟢', iconClass: 'text-success-600', badgeClass: 'bg-success-100 text-success-700' },
+    test: { color: 'warning', icon: '🟡', iconClass: 'text-warning-600', badgeClass: 'bg-warning-100 text-warning-700' },
+    backup: { color: 'info', icon: '🔵', iconClass: 'text-primary-600', badgeClass: 'bg-primary-100 text-primary-700' }
+};
+const PRODUCTION_ENV_STYLE = { color: 'error', icon: '🔴', iconClass: 'text-error-600', badgeClass: 'bg-error-100 text-error-700' };
+const OTHER_ENV_STYLE = { color: 'info', icon: '⚪️', iconClass: 'text-neutral-400', badgeClass: 'bg-neutral-100 text-neutral-700' };
 
 // Persist token from query string (if present) and clean URL
 (() => {
@@ -89,6 +113,14 @@ function switchTab(tabName, clickedElement) {
         }, 100);
     }
     
+    if (tabName === 'audit') {
+        loadAuditLog();
+    }
+
+    if (tabName === 'approvals') {
+        loadApprovals();
+    }
+
     // Load data for connection test tab
     if (tabName === 'connection-test') {
         // Load environments immediately (no API call, hardcoded)
@@ -99,6 +131,18 @@ if (tabName === 'edge-comparison') {
         onEdgeComparisonTabOpen();
     }
 
+    if (tabName === 'storage-comparison') {
+        onStorageComparisonTabOpen();
+    }
+
+    if (tabName === 'auth-users-comparison') {
+        onAuthUsersComparisonTabOpen();
+    }
+
+    if (tabName === 'auth-config') {
+        onAuthConfigTabOpen();
+    }
+
     if (tabName === 'cli-manual' && !cliManualLoaded) {
         loadManualContent('cliManualContainer', 'MIGRATION_GUIDE.md').then(() => {
             cliManualLoaded = true;
@@ -1180,6 +1224,55 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+function formatBytes(bytes) {
+    if (!bytes) return '0 B';
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), sizes.length - 1);
+    return `${Math.round(bytes / Math.pow(1024, i) * 100) / 100} ${sizes[i]}`;
+}
+
+function formatDuration(seconds) {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    return minutes > 0 ? `${minutes}m ${String(total % 60).padStart(2, '0')}s` : `${total}s`;
+}
+
+// Progress panel above a job's log, fed by 'progress' stream events (files, bytes, throughput, ETA)
+function renderJobProgress(resultDiv, progress) {
+    let panel = resultDiv.querySelector('.job-progress');
+    if (!panel) {
+        panel = document.createElement('div');
+        panel.className = 'job-progress mt-3 p-3 bg-white border border-neutral-200 rounded-lg text-xs text-neutral-700';
+        resultDiv.insertBefore(panel, resultDiv.querySelector('.log-container'));
+    }
+
+    const finished = (progress.done || 0) + (progress.failed || 0);
+    const percent = progress.totalBytes > 0
+        ? Math.min(100, Math.round((progress.bytes / progress.totalBytes) * 100))
+        : (progress.total > 0 ? Math.round((finished / progress.total) * 100) : 0);
+    const details = [`${finished}/${progress.total} file(s)`];
+    if (progress.totalBytes > 0) {
+        details.push(`${formatBytes(progress.bytes)} / ${formatBytes(progress.totalBytes)}`);
+    }
+    details.push(`${formatBytes(progress.bytesPerSec)}/s`);
+    if (progress.etaSeconds !== null && progress.etaSeconds !== undefined) {
+        details.push(`ETA ${formatDuration(progress.etaSeconds)}`);
+    }
+
+    panel.innerHTML = `
+        <div class="flex items-center justify-between mb-1.5">
+            <span class="font-semibold">${escapeHtml(progress.label || 'Progress')}</span>
+            <span>${percent}%</span>
+        </div>
+        <div class="w-full h-2 bg-neutral-100 rounded-full overflow-hidden">
+            <div class="h-2 bg-primary-600 rounded-full transition-all duration-500" style="width: ${percent}%"></div>
+        </div>
+        <div class="mt-1.5 text-neutral-500">${escapeHtml(details.join(' · '))}${progress.failed ? ` · <span class="text-error-600">${progress.failed} failed</span>` : ''}</div>
+    `;
+}
+
 function escapeCssIdentifier(value) {
     if (typeof CSS !== 'undefined' && typeof CSS.escape === 'function') {
         return CSS.escape(value);
@@ -1211,6 +1304,53 @@ function formatDate(timestamp) {
 }
 
 // Load app info (app name and environment project names)
+// Configured environments in registry order: [{ key, label, production }]
+function getEnvironments() {
+    const environments = appInfoData?.environments || DEFAULT_ENVIRONMENTS;
+    return Object.entries(environments).map(([key, env]) => ({
+        key,
+        label: env.label || env.name || key,
+        production: env.production === true
+    }));
+}
+
+function getEnvLabel(env) {
+    const match = getEnvironments().find(entry => entry.key === env);
+    return match ? match.label : env;
+}
+
+function isProductionEnv(env) {
+    const lower = String(env || '').toLowerCase();
+    return getEnvironments().some(entry => entry.key === lower && entry.production);
+}
+
+function getEnvStyle(env) {
+    if (isProductionEnv(env)) return PRODUCTION_ENV_STYLE;
+    return ENV_STYLES[env] || OTHER_ENV_STYLE;
+}
+
+// Fill every environment dropdown (select[data-env-select]) from the configured environments,
+// keeping the placeholder option, the option text format and the current selection
+function populateEnvironmentSelects() {
+    const environments = getEnvironments();
+    document.querySelectorAll('select[data-env-select]').forEach((select) => {
+        const previous = select.value;
+        const placeholder = select.querySelector('option[value=""]');
+        const withLabels = select.dataset.envSelect === 'label';
+        select.innerHTML = '';
+        if (placeholder) {
+            select.appendChild(placeholder);
+        }
+        environments.forEach((env) => {
+            const option = document.createElement('option');
+            option.value = env.key;
+            option.textContent = withLabels ? `${env.label} (${env.key})` : env.key;
+            select.appendChild(option);
+        });
+        select.value = environments.some(env => env.key === previous) ? previous : '';
+    });
+}
+
 async function loadAppInfo() {
     try {
         const response = await fetch(`${API_BASE}/api/info`, {
@@ -1222,26 +1362,20 @@ async function loadAppInfo() {
         
         const data = await response.json();
         appInfoData = data;
+        populateEnvironmentSelects();
+        loadEnvironmentsList();
         
         const envInfoElement = document.getElementById('envInfo');
         if (envInfoElement && data.environments) {
-            const envOrder = ['prod', 'test', 'dev', 'backup'];
-            const envBadgeColors = {
-                prod: 'bg-error-100 text-error-700',
-                test: 'bg-warning-100 text-warning-700',
-                dev: 'bg-success-100 text-success-700',
-                backup: 'bg-primary-100 text-primary-700'
-            };
-
             const envBadges = [];
 
-            envOrder.forEach(key => {
+            getEnvironments().forEach(({ key }) => {
                 const envData = data.environments[key];
                 if (!envData || !envData.projectName || envData.projectName === 'N/A') {
                     return;
                 }
 
-                const badgeClass = envBadgeColors[key] || 'bg-neutral-100 text-neutral-700';
+                const badgeClass = getEnvStyle(key).badgeClass;
                 const projectName = escapeHtml(envData.projectName);
                 const projectRef = escapeHtml(envData.projectRef || 'N/A');
                 const poolerRegion = escapeHtml(envData.poolerRegion || 'aws-1-us-east-2');
@@ -1270,7 +1404,7 @@ async function loadAppInfo() {
     }
  }
 
-// Load environments list for connection test (hardcoded)
+// Load environments list for connection test
 function loadEnvironmentsList() {
     const envsList = document.getElementById('environmentsList');
     if (!envsList) {
@@ -1278,13 +1412,10 @@ function loadEnvironmentsList() {
         return;
     }
     
-    // Hardcoded environments - no API call needed
-    const environments = [
-        { key: 'dev', name: 'Development', color: 'success', icon: '🟢' },
-        { key: 'test', name: 'Test/Staging', color: 'warning', icon: '🟡' },
-        { key: 'prod', name: 'Production', color: 'error', icon: '🔴' },
-        { key: 'backup', name: 'Backup', color: 'info', icon: '🔵' }
-    ];
+    const environments = getEnvironments().map(({ key, label }) => {
+        const style = getEnvStyle(key);
+        return { key, name: label, color: style.color, icon: style.icon };
+    });
     
     // Use inline styles for colors to avoid Tailwind dynamic class issues
     const colorClasses = {
@@ -1349,13 +1480,7 @@ async function testConnection(env) {
     testResults.classList.remove('hidden');
     
     // Set title
-    const envNames = {
-        'prod': 'Production',
-        'test': 'Test/Staging',
-        'dev': 'Development',
-        'backup': 'Backup'
-    };
-    const envName = envNames[env] || env;
+    const envName = getEnvLabel(env);
     testResultsTitle.textContent = `Test Results: ${envName}`;
     
     // Create results container with summary and log
@@ -1381,7 +1506,7 @@ async function testConnection(env) {
                     </svg>
                 </div>
                 <div>
-                    <h4 class="text-xl font-bold text-primary-900">${envNames[env]}</h4>
+                    <h4 class="text-xl font-bold text-primary-900">${escapeHtml(envName)}</h4>
                     <p class="status-text text-sm text-primary-700 mt-1">Running connection tests...</p>
                     <p class="config-detail text-xs text-primary-600 mt-1">${configLine}</p>
                     <p class="connection-detail text-xs text-success-600 mt-1 hidden"></p>
@@ -1546,13 +1671,7 @@ async function testAllConnections() {
     testResults.scrollIntoView({ behavior: 'smooth', block: 'start' });
     
     // Test all environments in parallel
-    const environments = ['dev', 'test', 'prod', 'backup'];
-    const envNames = {
-        'prod': 'Production',
-        'test': 'Test/Staging',
-        'dev': 'Development',
-        'backup': 'Backup'
-    };
+    const environments = getEnvironments().map(entry => entry.key);
     
     // Create result containers for each environment
     environments.forEach(env => {
@@ -1579,7 +1698,7 @@ async function testAllConnections() {
                         </svg>
                     </div>
                     <div>
-                        <h4 class="text-xl font-bold text-primary-900">${envNames[env]}</h4>
+                        <h4 class="text-xl font-bold text-primary-900">${escapeHtml(getEnvLabel(env))}</h4>
                         <p class="status-text text-sm text-primary-700 mt-1">Running connection tests...</p>
                         <p class="config-detail text-xs text-primary-600 mt-1">${configLine}</p>
                         <p class="connection-detail text-xs text-success-600 mt-1 hidden"></p>
@@ -1622,13 +1741,7 @@ async function testAllConnections() {
 
 // Test connection for a specific environment (used by both single and all tests)
 async function testConnectionForEnv(env, isAllTests = false) {
-    const envNames = {
-        'prod': 'Production',
-        'test': 'Test/Staging',
-        'dev': 'Development',
-        'backup': 'Backup'
-    };
-    const envName = envNames[env] || env;
+    const envName = getEnvLabel(env);
     
     const envConfig = appInfoData?.environments?.[env] || {};
     const poolerRegion = escapeHtml(envConfig.poolerRegion || 'aws-1-us-east-2');
@@ -2329,118 +2442,1116 @@ function onEdgeComparisonTabOpen() {
     setEdgeCompareStatus('Select source and target environments, then run the comparison.', 'info');
 }
 
-// Generate snapshot for all environments
-async function generateAllEnvsSnapshot() {
-    const snapshotResults = document.getElementById('snapshotResults');
-    const snapshotLoading = document.getElementById('snapshotLoading');
-    const comparisonTable = document.getElementById('comparisonTable');
-    const snapshotTimestamp = document.getElementById('snapshotTimestamp');
-    const snapshotLogWrapper = document.getElementById('snapshotLog');
-    const snapshotLogHeader = document.getElementById('snapshotLogHeader');
-    const snapshotLogStream = document.getElementById('snapshotLogStream');
-    
-    if (!snapshotResults || !snapshotLoading || !comparisonTable) return;
-    
-    const setSnapshotLogState = (state, exitCode = null) => {
-        if (!snapshotLogHeader) return;
-        if (state === 'completed') {
-            snapshotLogHeader.className = 'flex items-center space-x-3 p-4 bg-success-50 border-2 border-success-200 rounded-xl text-success-800';
-            snapshotLogHeader.innerHTML = `
-                <svg class="w-5 h-5 text-success-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                </svg>
-                <div>
-                    <strong>Snapshot completed</strong>
-                    <span class="ml-2 px-2 py-1 bg-success-600 text-white text-xs font-semibold rounded-full">COMPLETED</span>
-                    ${exitCode !== null ? `<span class="ml-2 text-xs text-success-700">Exit code ${exitCode}</span>` : ''}
-                </div>
-            `;
-        } else if (state === 'failed') {
-            snapshotLogHeader.className = 'flex items-center space-x-3 p-4 bg-error-50 border-2 border-error-200 rounded-xl text-error-800';
-            snapshotLogHeader.innerHTML = `
-                <svg class="w-5 h-5 text-error-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
-                </svg>
+function setStorageCompareStatus(message = '', tone = 'info') {
+    const statusEl = document.getElementById('storageCompareStatus');
+    if (!statusEl) return;
+
+    const toneClasses = {
+        info: 'text-neutral-600',
+        success: 'text-success-600',
+        error: 'text-error-600',
+        warning: 'text-warning-600'
+    };
+
+    statusEl.className = 'text-sm';
+    statusEl.classList.add(toneClasses[tone] || toneClasses.info);
+    statusEl.textContent = message || '';
+}
+
+function renderStorageComparisonResult(data, targetContainer = null) {
+    const container = targetContainer || document.getElementById('storageComparisonResult');
+    if (!container) return;
+
+    const summary = data?.summary || {};
+    const buckets = Array.isArray(data?.buckets) ? data.buckets : [];
+    const generatedAt = data?.generatedAt ? formatDate(data.generatedAt) : null;
+
+    const metricCards = [
+        { label: 'Source-only Buckets', value: summary.buckets_source_only || 0, tone: 'text-success-600' },
+        { label: 'Target-only Buckets', value: summary.buckets_target_only || 0, tone: 'text-error-600' },
+        { label: 'Settings Differ', value: summary.buckets_settings_differ || 0, tone: 'text-warning-600' },
+        { label: 'New Files', value: summary.objects_added || 0, detail: formatBytes(summary.bytes_added), tone: 'text-success-600' },
+        { label: 'Changed Files', value: summary.objects_changed || 0, detail: formatBytes(summary.bytes_changed), tone: 'text-warning-600' },
+        { label: 'Target-only Files', value: summary.objects_target_only || 0, detail: formatBytes(summary.bytes_target_only), tone: 'text-error-600' }
+    ]
+        .map(metric => `
+            <div class="metric-card">
+                <h4>${escapeHtml(metric.label)}</h4>
+                <p class="${metric.tone}">${metric.value}</p>
+                ${metric.detail ? `<span class="text-xs text-neutral-500">${escapeHtml(metric.detail)}</span>` : ''}
+            </div>
+        `)
+        .join('');
+
+    const reportButtons = [
+        data?.reportUrl ? `<a href="${data.reportUrl}" target="_blank" rel="noopener" class="btn-secondary">View HTML Report</a>` : '',
+        data?.diffJsonUrl ? `<a href="${data.diffJsonUrl}" target="_blank" rel="noopener" class="px-4 py-2 bg-neutral-200 text-neutral-700 text-sm font-semibold rounded-lg hover:bg-neutral-300 transition-colors">Download JSON Diff</a>` : ''
+    ]
+        .filter(Boolean)
+        .join('');
+
+    const statusBadgeMap = {
+        both: { label: 'Both', classes: 'bg-neutral-100 text-neutral-700' },
+        source_only: { label: 'Source only', classes: 'bg-success-100 text-success-700' },
+        target_only: { label: 'Target only', classes: 'bg-error-100 text-error-700' }
+    };
+
+    const formatSetting = (value) => (value === null || value === undefined ? 'none' : Array.isArray(value) ? value.join(', ') : String(value));
+
+    const renderCount = (counts = {}) => (counts.count
+        ? `${counts.count} <span class="text-xs text-neutral-500">(${escapeHtml(formatBytes(counts.bytes))})</span>`
+        : '<span class="text-neutral-400">0</span>');
+
+    const tableRows = buckets.length
+        ? buckets
+              .map(item => {
+                  const badge = statusBadgeMap[item.status] || { label: 'Unknown', classes: 'bg-neutral-100 text-neutral-700' };
+                  const settingsDiff = Array.isArray(item.settings_diff) ? item.settings_diff : [];
+                  const settings = settingsDiff.length
+                      ? `<ul class="space-y-1">${settingsDiff.map(setting => `<li><span class="font-semibold">${escapeHtml(setting.setting)}</span>: ${escapeHtml(formatSetting(setting.source))} → ${escapeHtml(formatSetting(setting.target))}</li>`).join('')}</ul>`
+                      : '<span class="text-neutral-400">—</span>';
+                  const counts = item.error
+                      ? `<td colspan="4" class="px-6 py-4 text-sm text-error-600">${escapeHtml(item.error)}</td>`
+                      : `
+                          <td class="px-6 py-4 whitespace-nowrap text-sm">${renderCount(item.added)}</td>
+                          <td class="px-6 py-4 whitespace-nowrap text-sm">${renderCount(item.changed)}</td>
+                          <td class="px-6 py-4 whitespace-nowrap text-sm">${renderCount(item.target_only)}</td>
+                          <td class="px-6 py-4 whitespace-nowrap text-sm text-neutral-600">${item.identical?.count || 0}</td>
+                      `;
+
+                  return `
+                      <tr class="hover:bg-neutral-50">
+                          <td class="px-6 py-4 whitespace-nowrap text-sm font-semibold text-neutral-900">${escapeHtml(item.bucket || 'Unnamed')}</td>
+                          <td class="px-6 py-4 whitespace-nowrap text-sm">
+                              <span class="badge ${badge.classes}">${badge.label}</span>
+                          </td>
+                          <td class="px-6 py-4 text-sm text-neutral-600">${settings}</td>
+                          ${counts}
+                      </tr>
+                  `;
+              })
+              .join('')
+        : `
+            <tr>
+                <td colspan="7" class="px-6 py-8 text-center text-sm text-neutral-500">No buckets found in either environment.</td>
+            </tr>
+        `;
+
+    container.innerHTML = `
+        <div class="glass-card animate-fade-in space-y-5">
+            <div class="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-6">
                 <div>
-                    <strong>Snapshot failed</strong>
-                    <span class="ml-2 px-2 py-1 bg-error-600 text-white text-xs font-semibold rounded-full">FAILED</span>
-                    ${exitCode !== null ? `<span class="ml-2 text-xs text-error-700">Exit code ${exitCode}</span>` : ''}
+                    <h3 class="text-xl font-bold text-primary-900">Storage Diff</h3>
+                    <p class="text-sm text-neutral-600 mt-1">
+                        Source <span class="font-semibold">${escapeHtml(data?.sourceEnv || '')}</span> (${summary.source_buckets || 0} bucket(s))
+                        → Target <span class="font-semibold">${escapeHtml(data?.targetEnv || '')}</span> (${summary.target_buckets || 0} bucket(s))
+                    </p>
+                    ${generatedAt ? `<p class="text-xs text-neutral-500 mt-1">Generated ${escapeHtml(generatedAt)}</p>` : ''}
                 </div>
-            `;
-        } else {
-            snapshotLogHeader.className = 'flex items-center space-x-3 p-4 bg-primary-50 border-2 border-primary-200 rounded-xl text-primary-800';
-            snapshotLogHeader.innerHTML = `
-                <svg class="w-5 h-5 text-primary-600 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
-                </svg>
-                <div>
-                    <strong>Generating snapshot...</strong>
-                    <span class="ml-2 px-2 py-1 bg-primary-600 text-white text-xs font-semibold rounded-full">RUNNING</span>
+                <div class="metrics-grid">
+                    ${metricCards}
                 </div>
-            `;
-        }
-    };
-    
-    const resetSnapshotLog = () => {
-        if (!snapshotLogWrapper || !snapshotLogStream) return;
-        snapshotLogWrapper.classList.remove('hidden');
-        snapshotLogStream.innerHTML = '<div class="text-slate-400 text-xs mb-2">Live snapshot logs will appear here...</div>';
-        snapshotLogStream.classList.add('streaming');
-        setSnapshotLogState('running');
+            </div>
+            ${summary.buckets_failed ? `<p class="text-sm text-warning-600">${summary.buckets_failed} bucket(s) could not be listed; their file counts are missing.</p>` : ''}
+            ${reportButtons ? `<div class="flex flex-wrap gap-3">${reportButtons}</div>` : ''}
+        </div>
+        <div class="glass-card animate-fade-in">
+            <div class="flex items-center justify-between mb-4">
+                <h3 class="text-lg font-semibold text-primary-900">Buckets</h3>
+            </div>
+            <div class="overflow-x-auto">
+                <table class="min-w-full divide-y divide-neutral-200">
+                    <thead class="bg-neutral-50">
+                        <tr>
+                            <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Bucket</th>
+                            <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Exists In</th>
+                            <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Settings (source → target)</th>
+                            <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">New</th>
+                            <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Changed</th>
+                            <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Target-only</th>
+                            <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Identical</th>
+                        </tr>
+                    </thead>
+                    <tbody class="bg-white divide-y divide-neutral-200">
+                        ${tableRows}
+                    </tbody>
+                </table>
+            </div>
+        </div>
+    `;
+}
+
+async function performStorageComparison(source, target) {
+    const resultContainer = document.getElementById('storageComparisonResult');
+    if (!resultContainer) return;
+
+    if (storageComparisonInFlight) {
+        setStorageCompareStatus('A storage comparison is already running. Please wait...', 'warning');
+        return;
+    }
+
+    storageComparisonInFlight = true;
+    const runButton = document.querySelector('#storageCompareForm button[type="submit"]');
+    if (runButton) {
+        runButton.disabled = true;
+        runButton.classList.add('opacity-70', 'cursor-not-allowed');
+    }
+
+    setStorageCompareStatus('Running storage comparison...', 'info');
+    showLoading('storageCompareLoading');
+
+    resultContainer.innerHTML = `
+        <div class="space-y-4">
+            <div class="glass-card animate-fade-in">
+                <div id="storageCompareLogHeader"></div>
+                <div id="storageCompareLogContainer" class="log-container bg-slate-900 rounded-xl p-4 mt-4 max-h-96 overflow-y-auto custom-scrollbar"></div>
+            </div>
+            <div id="storageCompareSummary" class="space-y-6"></div>
+        </div>
+    `;
+
+    const logHeader = resultContainer.querySelector('#storageCompareLogHeader');
+    const logContainer = resultContainer.querySelector('#storageCompareLogContainer');
+    const summaryContainer = resultContainer.querySelector('#storageCompareSummary');
+
+    logContainer.classList.add('streaming');
+    addLogLine(logContainer, `Source: ${source} → Target: ${target}`, 'stdout');
+
+    const setHeaderState = (state, exitCode = null) => {
+        const styles = {
+            completed: { tone: 'success', title: 'Storage comparison completed', badge: 'COMPLETED', icon: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z' },
+            failed: { tone: 'error', title: 'Storage comparison failed', badge: 'FAILED', icon: 'M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z' },
+            running: { tone: 'primary', title: 'Storage comparison running...', badge: 'RUNNING', icon: 'M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15' }
+        };
+        const style = styles[state] || styles.running;
+        logHeader.className = `flex items-center space-x-3 p-4 bg-${style.tone}-50 border-2 border-${style.tone}-200 rounded-xl text-${style.tone}-800`;
+        logHeader.innerHTML = `
+            <svg class="w-5 h-5 text-${style.tone}-600${style === styles.running ? ' animate-spin' : ''}" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${style.icon}"></path>
+            </svg>
+            <div>
+                <strong>${style.title}</strong>
+                <span class="ml-2 px-2 py-1 bg-${style.tone}-600 text-white text-xs font-semibold rounded-full">${style.badge}</span>
+                ${exitCode !== null ? `<span class="ml-2 text-xs text-${style.tone}-700">Exit code ${exitCode}</span>` : ''}
+            </div>
+        `;
     };
-    
-    const appendSnapshotLog = (rawText, type = 'stdout') => {
-        if (!snapshotLogStream) return;
-        const cleaned = rawText.replace(/\u001b\[[0-9;]*m/g, '');
-        cleaned.split('\n').forEach(line => {
-            if (line.trim()) {
-                addLogLine(snapshotLogStream, line, type);
+    setHeaderState('running');
+
+    let streamStatus = 'running';
+    let exitCode = null;
+    let comparisonPayload = null;
+
+    const processLine = (line) => {
+        if (!line.startsWith('data: ')) return;
+        try {
+            const payload = JSON.parse(line.substring(6));
+            if (payload.type === 'stdout' || payload.type === 'stderr') {
+                payload.data.split('\n').forEach(logLine => {
+                    if (logLine.trim()) {
+                        addLogLine(logContainer, logLine, payload.type);
+                    }
+                });
+            } else if (payload.type === 'result') {
+                comparisonPayload = payload.data;
+            } else if (payload.type === 'error') {
+                streamStatus = 'failed';
+                if (payload.error) {
+                    addLogLine(logContainer, `ERROR: ${payload.error}`, 'stderr');
+                    setStorageCompareStatus(payload.error, 'error');
+                }
+            } else if (payload.type === 'complete') {
+                streamStatus = payload.status || 'completed';
+                exitCode = payload.exitCode ?? null;
             }
-        });
-        snapshotLogStream.scrollTop = snapshotLogStream.scrollHeight;
+        } catch (parseError) {
+            // Ignore malformed SSE payloads
+        }
     };
-    
-    // Show loading, hide results
-    snapshotLoading.classList.remove('hidden');
-    snapshotResults.classList.add('hidden');
-    comparisonTable.innerHTML = '';
-    resetSnapshotLog();
-    appendSnapshotLog('Starting environment snapshot generation...', 'stdout');
-    
+
     try {
-        const response = await fetch(`${API_BASE}/api/all-envs-snapshot`, {
+        const response = await fetch(`${API_BASE}/api/storage-comparison`, {
             method: 'POST',
             headers: {
                 ...getAuthHeaders(),
                 'Content-Type': 'application/json'
             },
             body: JSON.stringify({
+                sourceEnv: source,
+                targetEnv: target,
                 stream: true
             })
         });
-        
+
         if (!response.ok) {
-            throw new Error(`HTTP error! status: ${response.status}`);
+            throw new Error(`HTTP ${response.status}`);
         }
-        
+        if (!response.body) {
+            throw new Error('Streaming not supported in this browser');
+        }
+
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
         let buffer = '';
-        let snapshotData = null;
-        let streamStatus = 'running';
-        let exitCode = null;
-        
-        while (true) {
+        for (;;) {
             const { done, value } = await reader.read();
             if (done) break;
-            
             buffer += decoder.decode(value, { stream: true });
             const lines = buffer.split('\n');
             buffer = lines.pop() || '';
-            
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    try {
+            lines.forEach(line => {
+                if (line.trim()) {
+                    processLine(line.trim());
+                }
+            });
+        }
+        if (buffer.trim()) {
+            processLine(buffer.trim());
+        }
+
+        if (streamStatus === 'completed' && comparisonPayload) {
+            renderStorageComparisonResult(comparisonPayload, summaryContainer);
+            setStorageCompareStatus(comparisonPayload.generatedAt ? `Generated ${formatDate(comparisonPayload.generatedAt)}` : 'Storage comparison completed.', 'success');
+            setTimeout(loadPlans, 1000);
+        } else if (streamStatus === 'completed') {
+            summaryContainer.innerHTML = `
+                <div class="glass-card bg-success-50 border border-success-200 text-success-800 p-6 animate-fade-in">
+                    <p class="font-semibold">Storage comparison completed. No diff payload was generated.</p>
+                </div>
+            `;
+            setStorageCompareStatus('Storage comparison completed.', 'success');
+        } else {
+            summaryContainer.innerHTML = `
+                <div class="glass-card bg-error-50 border border-error-200 text-error-700 p-6 animate-fade-in">
+                    <p class="font-semibold">Storage comparison failed. Review the logs above for details.</p>
+                </div>
+            `;
+            if (streamStatus !== 'failed') {
+                setStorageCompareStatus('Storage comparison ended with issues. Check logs.', 'warning');
+            }
+        }
+        setHeaderState(streamStatus, exitCode);
+        lastStorageComparison = { source, target };
+    } catch (error) {
+        console.error('Storage comparison error:', error);
+        const message = error?.message || 'Failed to run storage comparison';
+        addLogLine(logContainer, `ERROR: ${message}`, 'stderr');
+        setStorageCompareStatus(message, 'error');
+        setHeaderState('failed', exitCode);
+    } finally {
+        logContainer.classList.remove('streaming');
+        hideLoading('storageCompareLoading');
+        storageComparisonInFlight = false;
+        if (runButton) {
+            runButton.disabled = false;
+            runButton.classList.remove('opacity-70', 'cursor-not-allowed');
+        }
+    }
+}
+
+function onStorageComparisonTabOpen() {
+    const sourceSelect = document.getElementById('storageCompareSource');
+    const targetSelect = document.getElementById('storageCompareTarget');
+
+    if (!sourceSelect || !targetSelect) {
+        return;
+    }
+
+    if (lastStorageComparison) {
+        sourceSelect.value = lastStorageComparison.source;
+        targetSelect.value = lastStorageComparison.target;
+    }
+
+    syncSourceTargetDropdowns('storageCompareSource', 'storageCompareTarget');
+
+    setStorageCompareStatus('Select source and target environments, then run the comparison.', 'info');
+}
+
+function setAuthUsersCompareStatus(message = '', tone = 'info') {
+    const statusEl = document.getElementById('authUsersCompareStatus');
+    if (!statusEl) return;
+
+    const toneClasses = {
+        info: 'text-neutral-600',
+        success: 'text-success-600',
+        error: 'text-error-600',
+        warning: 'text-warning-600'
+    };
+
+    statusEl.className = 'text-sm';
+    statusEl.classList.add(toneClasses[tone] || toneClasses.info);
+    statusEl.textContent = message || '';
+}
+
+function renderAuthUsersComparisonResult(data, targetContainer = null) {
+    const container = targetContainer || document.getElementById('authUsersComparisonResult');
+    if (!container) return;
+
+    const summary = data?.summary || {};
+    const generatedAt = data?.generatedAt ? formatDate(data.generatedAt) : null;
+    const metricCards = [
+        { label: 'Missing in Target', value: summary.missingInTarget || 0, tone: 'text-success-600' },
+        { label: 'Target-only', value: summary.targetOnly || 0, tone: 'text-error-600' },
+        { label: 'Changed', value: summary.changed || 0, tone: 'text-warning-600' },
+        { label: 'Identity Drift', value: summary.identityMismatches || 0, tone: 'text-warning-600' },
+        { label: 'MFA Factors Differ', value: summary.factorMismatches || 0, tone: 'text-warning-600' },
+        { label: 'Identical', value: summary.identical || 0, tone: 'text-neutral-700' }
+    ]
+        .map(metric => `
+            <div class="metric-card">
+                <h4>${escapeHtml(metric.label)}</h4>
+                <p class="${metric.tone}">${metric.value}</p>
+            </div>
+        `)
+        .join('');
+
+    const reportButtons = [
+        data?.reportUrl ? `<a href="${data.reportUrl}" target="_blank" rel="noopener" class="btn-secondary">View HTML Report</a>` : '',
+        data?.diffJsonUrl ? `<a href="${data.diffJsonUrl}" target="_blank" rel="noopener" class="px-4 py-2 bg-neutral-200 text-neutral-700 text-sm font-semibold rounded-lg hover:bg-neutral-300 transition-colors">Download JSON Diff</a>` : ''
+    ]
+        .filter(Boolean)
+        .join('');
+
+    const formatValue = (value) => {
+        if (value === null || value === undefined || value === '') return 'none';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 120 ? `${text.slice(0, 117)}...` : text;
+    };
+    const userCell = (email, id) => `
+        <div class="font-semibold text-neutral-900">${escapeHtml(email || '—')}</div>
+        <div class="text-xs text-neutral-500 font-mono">${escapeHtml(id || '')}</div>
+    `;
+
+    // One table per kind of difference; sections without entries are left out
+    const section = (title, items, total, headers, renderRow) => {
+        if (!items || items.length === 0) return '';
+        const more = total > items.length
+            ? `<p class="text-xs text-neutral-500 mt-3">Showing ${items.length} of ${total}. The HTML report lists all of them.</p>`
+            : '';
+        return `
+            <div class="glass-card animate-fade-in">
+                <div class="flex items-center justify-between mb-4">
+                    <h3 class="text-lg font-semibold text-primary-900">${escapeHtml(title)} <span class="badge bg-neutral-100 text-neutral-700 ml-2">${total}</span></h3>
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full divide-y divide-neutral-200">
+                        <thead class="bg-neutral-50">
+                            <tr>
+                                ${headers.map(header => `<th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">${escapeHtml(header)}</th>`).join('')}
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-neutral-200">
+                            ${items.map(item => `<tr class="hover:bg-neutral-50">${renderRow(item).map(cell => `<td class="px-6 py-4 text-sm text-neutral-700 align-top">${cell}</td>`).join('')}</tr>`).join('')}
+                        </tbody>
+                    </table>
+                </div>
+                ${more}
+            </div>
+        `;
+    };
+
+    const sections = [
+        section('Missing in Target', data?.missingInTarget, summary.missingInTarget, ['User', 'Providers', 'Created'], user => [
+            userCell(user.email, user.id),
+            escapeHtml((user.providers || []).join(', ') || '—'),
+            escapeHtml(user.createdAt ? formatDate(user.createdAt) : '—')
+        ]),
+        section('Only in Target', data?.targetOnly, summary.targetOnly, ['User', 'Providers', 'Created'], user => [
+            userCell(user.email, user.id),
+            escapeHtml((user.providers || []).join(', ') || '—'),
+            escapeHtml(user.createdAt ? formatDate(user.createdAt) : '—')
+        ]),
+        section('Same Email, Different Id', data?.emailConflicts, summary.emailConflicts, ['Email', 'Source Id', 'Target Id'], item => [
+            escapeHtml(item.email),
+            `<span class="font-mono text-xs">${escapeHtml(item.sourceId)}</span>`,
+            `<span class="font-mono text-xs">${escapeHtml(item.targetId)}</span>`
+        ]),
+        section('Changed Users', data?.changed, summary.changed, ['User', 'Differences (source → target)'], item => [
+            userCell(item.email, item.id),
+            `<ul class="space-y-1">${(item.fields || []).map(field => `<li><span class="font-semibold">${escapeHtml(field.field)}</span>: ${escapeHtml(formatValue(field.source))} → ${escapeHtml(formatValue(field.target))}</li>`).join('')}</ul>`
+        ]),
+        section('Identity / Provider Drift', data?.identityMismatches, summary.identityMismatches, ['User', 'Only in Source', 'Only in Target'], item => [
+            userCell(item.email, item.id),
+            escapeHtml((item.sourceOnly || []).join(', ') || '—'),
+            escapeHtml((item.targetOnly || []).join(', ') || '—')
+        ]),
+        section('MFA Factor Count Differs', data?.factorMismatches, summary.factorMismatches, ['User', 'Source', 'Target'], item => [
+            userCell(item.email, item.id),
+            escapeHtml(String(item.source)),
+            escapeHtml(String(item.target))
+        ])
+    ].join('');
+
+    container.innerHTML = `
+        <div class="glass-card animate-fade-in space-y-5">
+            <div class="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-6">
+                <div>
+                    <h3 class="text-xl font-bold text-primary-900">Auth Users Diff</h3>
+                    <p class="text-sm text-neutral-600 mt-1">
+                        Source <span class="font-semibold">${escapeHtml(data?.sourceEnv || '')}</span> (${summary.sourceUsers || 0} user(s))
+                        → Target <span class="font-semibold">${escapeHtml(data?.targetEnv || '')}</span> (${summary.targetUsers || 0} user(s))
+                    </p>
+                    ${generatedAt ? `<p class="text-xs text-neutral-500 mt-1">Generated ${escapeHtml(generatedAt)}</p>` : ''}
+                </div>
+                <div class="metrics-grid">
+                    ${metricCards}
+                </div>
+            </div>
+            ${reportButtons ? `<div class="flex flex-wrap gap-3">${reportButtons}</div>` : ''}
+        </div>
+        ${sections || `
+            <div class="glass-card bg-success-50 border border-success-200 text-success-800 p-6 animate-fade-in">
+                <p class="font-semibold">No differences: every user matches in both environments.</p>
+            </div>
+        `}
+    `;
+}
+
+async function performAuthUsersComparison(source, target) {
+    const resultContainer = document.getElementById('authUsersComparisonResult');
+    if (!resultContainer) return;
+
+    if (authUsersComparisonInFlight) {
+        setAuthUsersCompareStatus('An auth users comparison is already running. Please wait...', 'warning');
+        return;
+    }
+
+    authUsersComparisonInFlight = true;
+    const runButton = document.querySelector('#authUsersCompareForm button[type="submit"]');
+    if (runButton) {
+        runButton.disabled = true;
+        runButton.classList.add('opacity-70', 'cursor-not-allowed');
+    }
+
+    setAuthUsersCompareStatus('Running auth users comparison...', 'info');
+    showLoading('authUsersCompareLoading');
+
+    resultContainer.innerHTML = `
+        <div class="space-y-4">
+            <div class="glass-card animate-fade-in">
+                <div id="authUsersCompareLogHeader"></div>
+                <div id="authUsersCompareLogContainer" class="log-container bg-slate-900 rounded-xl p-4 mt-4 max-h-96 overflow-y-auto custom-scrollbar"></div>
+            </div>
+            <div id="authUsersCompareSummary" class="space-y-6"></div>
+        </div>
+    `;
+
+    const logHeader = resultContainer.querySelector('#authUsersCompareLogHeader');
+    const logContainer = resultContainer.querySelector('#authUsersCompareLogContainer');
+    const summaryContainer = resultContainer.querySelector('#authUsersCompareSummary');
+
+    logContainer.classList.add('streaming');
+    addLogLine(logContainer, `Source: ${source} → Target: ${target}`, 'stdout');
+
+    const setHeaderState = (state, exitCode = null) => {
+        const styles = {
+            completed: { tone: 'success', title: 'Auth users comparison completed', badge: 'COMPLETED', icon: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z' },
+            failed: { tone: 'error', title: 'Auth users comparison failed', badge: 'FAILED', icon: 'M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z' },
+            running: { tone: 'primary', title: 'Auth users comparison running...', badge: 'RUNNING', icon: 'M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15' }
+        };
+        const style = styles[state] || styles.running;
+        logHeader.className = `flex items-center space-x-3 p-4 bg-${style.tone}-50 border-2 border-${style.tone}-200 rounded-xl text-${style.tone}-800`;
+        logHeader.innerHTML = `
+            <svg class="w-5 h-5 text-${style.tone}-600${style === styles.running ? ' animate-spin' : ''}" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${style.icon}"></path>
+            </svg>
+            <div>
+                <strong>${style.title}</strong>
+                <span class="ml-2 px-2 py-1 bg-${style.tone}-600 text-white text-xs font-semibold rounded-full">${style.badge}</span>
+                ${exitCode !== null ? `<span class="ml-2 text-xs text-${style.tone}-700">Exit code ${exitCode}</span>` : ''}
+            </div>
+        `;
+    };
+    setHeaderState('running');
+
+    let streamStatus = 'running';
+    let exitCode = null;
+    let comparisonPayload = null;
+
+    const processLine = (line) => {
+        if (!line.startsWith('data: ')) return;
+        try {
+            const payload = JSON.parse(line.substring(6));
+            if (payload.type === 'stdout' || payload.type === 'stderr') {
+                payload.data.split('\n').forEach(logLine => {
+                    if (logLine.trim()) {
+                        addLogLine(logContainer, logLine, payload.type);
+                    }
+                });
+            } else if (payload.type === 'result') {
+                comparisonPayload = payload.data;
+            } else if (payload.type === 'error') {
+                streamStatus = 'failed';
+                if (payload.error) {
+                    addLogLine(logContainer, `ERROR: ${payload.error}`, 'stderr');
+                    setAuthUsersCompareStatus(payload.error, 'error');
+                }
+            } else if (payload.type === 'complete') {
+                streamStatus = payload.status || 'completed';
+                exitCode = payload.exitCode ?? null;
+            }
+        } catch (parseError) {
+            // Ignore malformed SSE payloads
+        }
+    };
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth-users/compare`, {
+            method: 'POST',
+            headers: {
+                ...getAuthHeaders(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sourceEnv: source,
+                targetEnv: target,
+                stream: true
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        if (!response.body) {
+            throw new Error('Streaming not supported in this browser');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+            lines.forEach(line => {
+                if (line.trim()) {
+                    processLine(line.trim());
+                }
+            });
+        }
+        if (buffer.trim()) {
+            processLine(buffer.trim());
+        }
+
+        if (streamStatus === 'completed' && comparisonPayload) {
+            renderAuthUsersComparisonResult(comparisonPayload, summaryContainer);
+            setAuthUsersCompareStatus(comparisonPayload.generatedAt ? `Generated ${formatDate(comparisonPayload.generatedAt)}` : 'Auth users comparison completed.', 'success');
+            setTimeout(loadPlans, 1000);
+        } else if (streamStatus === 'completed') {
+            summaryContainer.innerHTML = `
+                <div class="glass-card bg-success-50 border border-success-200 text-success-800 p-6 animate-fade-in">
+                    <p class="font-semibold">Auth users comparison completed. No diff payload was generated.</p>
+                </div>
+            `;
+            setAuthUsersCompareStatus('Auth users comparison completed.', 'success');
+        } else {
+            summaryContainer.innerHTML = `
+                <div class="glass-card bg-error-50 border border-error-200 text-error-700 p-6 animate-fade-in">
+                    <p class="font-semibold">Auth users comparison failed. Review the logs above for details.</p>
+                </div>
+            `;
+            if (streamStatus !== 'failed') {
+                setAuthUsersCompareStatus('Auth users comparison ended with issues. Check logs.', 'warning');
+            }
+        }
+        setHeaderState(streamStatus, exitCode);
+        lastAuthUsersComparison = { source, target };
+    } catch (error) {
+        console.error('Auth users comparison error:', error);
+        const message = error?.message || 'Failed to run auth users comparison';
+        addLogLine(logContainer, `ERROR: ${message}`, 'stderr');
+        setAuthUsersCompareStatus(message, 'error');
+        setHeaderState('failed', exitCode);
+    } finally {
+        logContainer.classList.remove('streaming');
+        hideLoading('authUsersCompareLoading');
+        authUsersComparisonInFlight = false;
+        if (runButton) {
+            runButton.disabled = false;
+            runButton.classList.remove('opacity-70', 'cursor-not-allowed');
+        }
+    }
+}
+
+function onAuthUsersComparisonTabOpen() {
+    const sourceSelect = document.getElementById('authUsersCompareSource');
+    const targetSelect = document.getElementById('authUsersCompareTarget');
+
+    if (!sourceSelect || !targetSelect) {
+        return;
+    }
+
+    if (lastAuthUsersComparison) {
+        sourceSelect.value = lastAuthUsersComparison.source;
+        targetSelect.value = lastAuthUsersComparison.target;
+    }
+
+    syncSourceTargetDropdowns('authUsersCompareSource', 'authUsersCompareTarget');
+
+    setAuthUsersCompareStatus('Select source and target environments, then run the comparison.', 'info');
+}
+
+function setAuthConfigCompareStatus(message = '', tone = 'info') {
+    const statusEl = document.getElementById('authConfigCompareStatus');
+    if (!statusEl) return;
+
+    const toneClasses = {
+        info: 'text-neutral-600',
+        success: 'text-success-600',
+        error: 'text-error-600',
+        warning: 'text-warning-600'
+    };
+
+    statusEl.className = 'text-sm';
+    statusEl.classList.add(toneClasses[tone] || toneClasses.info);
+    statusEl.textContent = message || '';
+}
+
+function renderAuthConfigComparisonResult(data, targetContainer = null) {
+    const container = targetContainer || document.getElementById('authConfigComparisonResult');
+    if (!container) return;
+
+    const summary = data?.summary || {};
+    const changed = Array.isArray(data?.changed) ? data.changed : [];
+    const groupLabels = data?.groupLabels || {};
+    const generatedAt = data?.generatedAt ? formatDate(data.generatedAt) : null;
+
+    const metricCards = [
+        { label: 'Different', value: summary.changed || 0, tone: 'text-warning-600' },
+        { label: 'Secrets Different', value: summary.secretsChanged || 0, tone: 'text-warning-600' },
+        { label: 'Identical', value: summary.identical || 0, tone: 'text-neutral-700' }
+    ]
+        .map(metric => `
+            <div class="metric-card">
+                <h4>${escapeHtml(metric.label)}</h4>
+                <p class="${metric.tone}">${metric.value}</p>
+            </div>
+        `)
+        .join('');
+
+    const reportButtons = [
+        data?.reportUrl ? `<a href="${data.reportUrl}" target="_blank" rel="noopener" class="btn-secondary">View HTML Report</a>` : '',
+        data?.diffJsonUrl ? `<a href="${data.diffJsonUrl}" target="_blank" rel="noopener" class="px-4 py-2 bg-neutral-200 text-neutral-700 text-sm font-semibold rounded-lg hover:bg-neutral-300 transition-colors">Download JSON Diff</a>` : ''
+    ]
+        .filter(Boolean)
+        .join('');
+
+    const formatValue = (value) => {
+        if (value === null || value === undefined) return 'not set';
+        const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+        return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+    };
+
+    // One table per group, in the order the diff lists them; each setting gets a checkbox for
+    // applying it. Secrets cannot be applied from here (their values are never copied).
+    const groups = [...new Set(changed.map(item => item.group))];
+    const sections = groups.map(group => {
+        const items = changed.filter(item => item.group === group);
+        return `
+            <div class="glass-card animate-fade-in">
+                <div class="flex items-center justify-between mb-4">
+                    <h3 class="text-lg font-semibold text-primary-900">${escapeHtml(groupLabels[group] || group)} <span class="badge bg-neutral-100 text-neutral-700 ml-2">${items.length}</span></h3>
+                </div>
+                <div class="overflow-x-auto">
+                    <table class="min-w-full divide-y divide-neutral-200">
+                        <thead class="bg-neutral-50">
+                            <tr>
+                                <th class="px-4 py-3"></th>
+                                <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Setting</th>
+                                <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Source</th>
+                                <th class="px-6 py-3 text-left text-xs font-semibold text-neutral-700 uppercase tracking-wider">Target</th>
+                            </tr>
+                        </thead>
+                        <tbody class="bg-white divide-y divide-neutral-200">
+                            ${items.map(item => `
+                                <tr class="hover:bg-neutral-50">
+                                    <td class="px-4 py-4 align-top">
+                                        <input type="checkbox" class="auth-config-key" value="${escapeHtml(item.key)}" ${item.secret ? 'disabled title="Secret values are not copied. Use authConfig_migration.sh --secrets-file to set them."' : ''}>
+                                    </td>
+                                    <td class="px-6 py-4 text-sm align-top">
+                                        <span class="font-mono text-neutral-900">${escapeHtml(item.key)}</span>
+                                        ${item.secret ? '<span class="badge bg-warning-100 text-warning-800 ml-2">secret</span>' : ''}
+                                    </td>
+                                    <td class="px-6 py-4 text-sm text-neutral-700 align-top break-all">${escapeHtml(formatValue(item.source))}</td>
+                                    <td class="px-6 py-4 text-sm text-neutral-700 align-top break-all">${escapeHtml(formatValue(item.target))}</td>
+                                </tr>
+                            `).join('')}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const applyPanel = changed.some(item => !item.secret) ? `
+        <div class="glass-card animate-fade-in space-y-4">
+            <div>
+                <h3 class="text-lg font-semibold text-primary-900">Apply to ${escapeHtml(data?.targetEnv || 'target')}</h3>
+                <p class="text-sm text-neutral-600 mt-1">Copies the ticked settings from ${escapeHtml(data?.sourceEnv || 'source')}. Secrets are left unchanged; set them with <code>authConfig_migration.sh --secrets-file</code>.</p>
+            </div>
+            <div class="flex flex-wrap items-center gap-4">
+                <button type="button" class="btn-secondary" onclick="document.querySelectorAll('#authConfigComparisonResult .auth-config-key:not(:disabled)').forEach(box => { box.checked = true; })">Select All</button>
+                <label class="flex items-center gap-2 text-sm text-neutral-700">
+                    <input type="checkbox" id="authConfigApplyDryRun"> Dry run (record the changes without applying them)
+                </label>
+                <button type="button" class="btn-primary" onclick="applyAuthConfigSelection('${escapeHtml(data?.sourceEnv || '')}', '${escapeHtml(data?.targetEnv || '')}')">Apply Selected Settings</button>
+            </div>
+            <div id="authConfigApplyResult"></div>
+        </div>
+    ` : '';
+
+    container.innerHTML = `
+        <div class="glass-card animate-fade-in space-y-5">
+            <div class="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-6">
+                <div>
+                    <h3 class="text-xl font-bold text-primary-900">Auth Config Diff</h3>
+                    <p class="text-sm text-neutral-600 mt-1">
+                        Source <span class="font-semibold">${escapeHtml(data?.sourceEnv || '')}</span>
+                        → Target <span class="font-semibold">${escapeHtml(data?.targetEnv || '')}</span>
+                    </p>
+                    ${generatedAt ? `<p class="text-xs text-neutral-500 mt-1">Generated ${escapeHtml(generatedAt)}</p>` : ''}
+                </div>
+                <div class="metrics-grid">
+                    ${metricCards}
+                </div>
+            </div>
+            ${reportButtons ? `<div class="flex flex-wrap gap-3">${reportButtons}</div>` : ''}
+        </div>
+        ${sections || `
+            <div class="glass-card bg-success-50 border border-success-200 text-success-800 p-6 animate-fade-in">
+                <p class="font-semibold">No differences: both projects have the same auth settings.</p>
+            </div>
+        `}
+        ${applyPanel}
+    `;
+}
+
+// Apply the settings ticked in the auth config diff (production targets go through the usual confirmation)
+function applyAuthConfigSelection(source, target) {
+    const keys = Array.from(document.querySelectorAll('#authConfigComparisonResult .auth-config-key:checked')).map(box => box.value);
+    if (keys.length === 0) {
+        setAuthConfigCompareStatus('Tick the settings to apply first.', 'warning');
+        return;
+    }
+
+    const startAuthConfigMigration = () => {
+        streamMigrationLogs('/api/migration/auth-config', {
+            sourceEnv: source,
+            targetEnv: target,
+            options: {
+                keys,
+                dryRun: document.getElementById('authConfigApplyDryRun')?.checked === true
+            }
+        }, 'authConfigApplyResult', null);
+    };
+
+    if (!checkProdMigration(target, 'Auth Config Migration', source, startAuthConfigMigration)) {
+        return;
+    }
+
+    startAuthConfigMigration();
+}
+
+async function performAuthConfigComparison(source, target) {
+    const resultContainer = document.getElementById('authConfigComparisonResult');
+    if (!resultContainer) return;
+
+    if (authConfigComparisonInFlight) {
+        setAuthConfigCompareStatus('An auth config comparison is already running. Please wait...', 'warning');
+        return;
+    }
+
+    authConfigComparisonInFlight = true;
+    const runButton = document.querySelector('#authConfigCompareForm button[type="submit"]');
+    if (runButton) {
+        runButton.disabled = true;
+        runButton.classList.add('opacity-70', 'cursor-not-allowed');
+    }
+
+    setAuthConfigCompareStatus('Running auth config comparison...', 'info');
+    showLoading('authConfigCompareLoading');
+
+    resultContainer.innerHTML = `
+        <div class="space-y-4">
+            <div class="glass-card animate-fade-in">
+                <div id="authConfigCompareLogHeader"></div>
+                <div id="authConfigCompareLogContainer" class="log-container bg-slate-900 rounded-xl p-4 mt-4 max-h-96 overflow-y-auto custom-scrollbar"></div>
+            </div>
+            <div id="authConfigCompareSummary" class="space-y-6"></div>
+        </div>
+    `;
+
+    const logHeader = resultContainer.querySelector('#authConfigCompareLogHeader');
+    const logContainer = resultContainer.querySelector('#authConfigCompareLogContainer');
+    const summaryContainer = resultContainer.querySelector('#authConfigCompareSummary');
+
+    logContainer.classList.add('streaming');
+    addLogLine(logContainer, `Source: ${source} → Target: ${target}`, 'stdout');
+
+    const setHeaderState = (state, exitCode = null) => {
+        const styles = {
+            completed: { tone: 'success', title: 'Auth config comparison completed', badge: 'COMPLETED', icon: 'M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z' },
+            failed: { tone: 'error', title: 'Auth config comparison failed', badge: 'FAILED', icon: 'M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z' },
+            running: { tone: 'primary', title: 'Auth config comparison running...', badge: 'RUNNING', icon: 'M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15' }
+        };
+        const style = styles[state] || styles.running;
+        logHeader.className = `flex items-center space-x-3 p-4 bg-${style.tone}-50 border-2 border-${style.tone}-200 rounded-xl text-${style.tone}-800`;
+        logHeader.innerHTML = `
+            <svg class="w-5 h-5 text-${style.tone}-600${style === styles.running ? ' animate-spin' : ''}" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="${style.icon}"></path>
+            </svg>
+            <div>
+                <strong>${style.title}</strong>
+                <span class="ml-2 px-2 py-1 bg-${style.tone}-600 text-white text-xs font-semibold rounded-full">${style.badge}</span>
+                ${exitCode !== null ? `<span class="ml-2 text-xs text-${style.tone}-700">Exit code ${exitCode}</span>` : ''}
+            </div>
+        `;
+    };
+    setHeaderState('running');
+
+    let streamStatus = 'running';
+    let exitCode = null;
+    let comparisonPayload = null;
+
+    const processLine = (line) => {
+        if (!line.startsWith('data: ')) return;
+        try {
+            const payload = JSON.parse(line.substring(6));
+            if (payload.type === 'stdout' || payload.type === 'stderr') {
+                payload.data.split('\n').forEach(logLine => {
+                    if (logLine.trim()) {
+                        addLogLine(logContainer, logLine, payload.type);
+                    }
+                });
+            } else if (payload.type === 'result') {
+                comparisonPayload = payload.data;
+            } else if (payload.type === 'error') {
+                streamStatus = 'failed';
+                if (payload.error) {
+                    addLogLine(logContainer, `ERROR: ${payload.error}`, 'stderr');
+                    setAuthConfigCompareStatus(payload.error, 'error');
+                }
+            } else if (payload.type === 'complete') {
+                streamStatus = payload.status || 'completed';
+                exitCode = payload.exitCode ?? null;
+            }
+        } catch (parseError) {
+            // Ignore malformed SSE payloads
+        }
+    };
+
+    try {
+        const response = await fetch(`${API_BASE}/api/auth-config/compare`, {
+            method: 'POST',
+            headers: {
+                ...getAuthHeaders(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                sourceEnv: source,
+                targetEnv: target,
+                stream: true
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        if (!response.body) {
+            throw new Error('Streaming not supported in this browser');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+            lines.forEach(line => {
+                if (line.trim()) {
+                    processLine(line.trim());
+                }
+            });
+        }
+        if (buffer.trim()) {
+            processLine(buffer.trim());
+        }
+
+        if (streamStatus === 'completed' && comparisonPayload) {
+            renderAuthConfigComparisonResult(comparisonPayload, summaryContainer);
+            setAuthConfigCompareStatus(comparisonPayload.generatedAt ? `Generated ${formatDate(comparisonPayload.generatedAt)}` : 'Auth config comparison completed.', 'success');
+            setTimeout(loadPlans, 1000);
+        } else if (streamStatus === 'completed') {
+            summaryContainer.innerHTML = `
+                <div class="glass-card bg-success-50 border border-success-200 text-success-800 p-6 animate-fade-in">
+                    <p class="font-semibold">Auth config comparison completed. No diff payload was generated.</p>
+                </div>
+            `;
+            setAuthConfigCompareStatus('Auth config comparison completed.', 'success');
+        } else {
+            summaryContainer.innerHTML = `
+                <div class="glass-card bg-error-50 border border-error-200 text-error-700 p-6 animate-fade-in">
+                    <p class="font-semibold">Auth config comparison failed. Review the logs above for details.</p>
+                </div>
+            `;
+            if (streamStatus !== 'failed') {
+                setAuthConfigCompareStatus('Auth config comparison ended with issues. Check logs.', 'warning');
+            }
+        }
+        setHeaderState(streamStatus, exitCode);
+        lastAuthConfigComparison = { source, target };
+    } catch (error) {
+        console.error('Auth config comparison error:', error);
+        const message = error?.message || 'Failed to run auth config comparison';
+        addLogLine(logContainer, `ERROR: ${message}`, 'stderr');
+        setAuthConfigCompareStatus(message, 'error');
+        setHeaderState('failed', exitCode);
+    } finally {
+        logContainer.classList.remove('streaming');
+        hideLoading('authConfigCompareLoading');
+        authConfigComparisonInFlight = false;
+        if (runButton) {
+            runButton.disabled = false;
+            runButton.classList.remove('opacity-70', 'cursor-not-allowed');
+        }
+    }
+}
+
+function onAuthConfigTabOpen() {
+    const sourceSelect = document.getElementById('authConfigCompareSource');
+    const targetSelect = document.getElementById('authConfigCompareTarget');
+
+    if (!sourceSelect || !targetSelect) {
+        return;
+    }
+
+    if (lastAuthConfigComparison) {
+        sourceSelect.value = lastAuthConfigComparison.source;
+        targetSelect.value = lastAuthConfigComparison.target;
+    }
+
+    syncSourceTargetDropdowns('authConfigCompareSource', 'authConfigCompareTarget');
+
+    setAuthConfigCompareStatus('Select source and target environments, then run the comparison.', 'info');
+}
+
+// Generate snapshot for all environments
+async function generateAllEnvsSnapshot() {
+    const snapshotResults = document.getElementById('snapshotResults');
+    const snapshotLoading = document.getElementById('snapshotLoading');
+    const comparisonTable = document.getElementById('comparisonTable');
+    const snapshotTimestamp = document.getElementById('snapshotTimestamp');
+    const snapshotLogWrapper = document.getElementById('snapshotLog');
+    const snapshotLogHeader = document.getElementById('snapshotLogHeader');
+    const snapshotLogStream = document.getElementById('snapshotLogStream');
+    
+    if (!snapshotResults || !snapshotLoading || !comparisonTable) return;
+    
+    const setSnapshotLogState = (state, exitCode = null) => {
+        if (!snapshotLogHeader) return;
+        if (state === 'completed') {
+            snapshotLogHeader.className = 'flex items-center space-x-3 p-4 bg-success-50 border-2 border-success-200 rounded-xl text-success-800';
+            snapshotLogHeader.innerHTML = `
+                <svg class="w-5 h-5 text-success-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                </svg>
+                <div>
+                    <strong>Snapshot completed</strong>
+                    <span class="ml-2 px-2 py-1 bg-success-600 text-white text-xs font-semibold rounded-full">COMPLETED</span>
+                    ${exitCode !== null ? `<span class="ml-2 text-xs text-success-700">Exit code ${exitCode}</span>` : ''}
+                </div>
+            `;
+        } else if (state === 'failed') {
+            snapshotLogHeader.className = 'flex items-center space-x-3 p-4 bg-error-50 border-2 border-error-200 rounded-xl text-error-800';
+            snapshotLogHeader.innerHTML = `
+                <svg class="w-5 h-5 text-error-600" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>
+                </svg>
+                <div>
+                    <strong>Snapshot failed</strong>
+                    <span class="ml-2 px-2 py-1 bg-error-600 text-white text-xs font-semibold rounded-full">FAILED</span>
+                    ${exitCode !== null ? `<span class="ml-2 text-xs text-error-700">Exit code ${exitCode}</span>` : ''}
+                </div>
+            `;
+        } else {
+            snapshotLogHeader.className = 'flex items-center space-x-3 p-4 bg-primary-50 border-2 border-primary-200 rounded-xl text-primary-800';
+            snapshotLogHeader.innerHTML = `
+                <svg class="w-5 h-5 text-primary-600 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
+                </svg>
+                <div>
+                    <strong>Generating snapshot...</strong>
+                    <span class="ml-2 px-2 py-1 bg-primary-600 text-white text-xs font-semibold rounded-full">RUNNING</span>
+                </div>
+            `;
+        }
+    };
+    
+    const resetSnapshotLog = () => {
+        if (!snapshotLogWrapper || !snapshotLogStream) return;
+        snapshotLogWrapper.classList.remove('hidden');
+        snapshotLogStream.innerHTML = '<div class="text-slate-400 text-xs mb-2">Live snapshot logs will appear here...</div>';
+        snapshotLogStream.classList.add('streaming');
+        setSnapshotLogState('running');
+    };
+    
+    const appendSnapshotLog = (rawText, type = 'stdout') => {
+        if (!snapshotLogStream) return;
+        const cleaned = rawText.replace(/\u001b\[[0-9;]*m/g, '');
+        cleaned.split('\n').forEach(line => {
+            if (line.trim()) {
+                addLogLine(snapshotLogStream, line, type);
+            }
+        });
+        snapshotLogStream.scrollTop = snapshotLogStream.scrollHeight;
+    };
+    
+    // Show loading, hide results
+    snapshotLoading.classList.remove('hidden');
+    snapshotResults.classList.add('hidden');
+    comparisonTable.innerHTML = '';
+    resetSnapshotLog();
+    appendSnapshotLog('Starting environment snapshot generation...', 'stdout');
+    
+    try {
+        const response = await fetch(`${API_BASE}/api/all-envs-snapshot`, {
+            method: 'POST',
+            headers: {
+                ...getAuthHeaders(),
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({
+                stream: true
+            })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`HTTP error! status: ${response.status}`);
+        }
+        
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+        let snapshotData = null;
+        let streamStatus = 'running';
+        let exitCode = null;
+        
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+            
+            for (const line of lines) {
+                if (line.startsWith('data: ')) {
+                    try {
                         const data = JSON.parse(line.slice(6));
                         
                         if ((data.type === 'stdout' || data.type === 'stderr') && data.data) {
@@ -2534,13 +3645,13 @@ function displaySnapshotComparison(snapshotData) {
     
     // Extract environment data
     const envs = snapshotData.environments || {};
-    const envOrder = ['dev', 'test', 'prod', 'backup'];
-    const envDisplay = {
-        dev: { label: 'Development', short: 'Dev', icon: '🟢', iconClass: 'text-success-600' },
-        test: { label: 'Test/Staging', short: 'Test', icon: '🟡', iconClass: 'text-warning-600' },
-        prod: { label: 'Production', short: 'Prod', icon: '🔴', iconClass: 'text-error-600' },
-        backup: { label: 'Backup', short: 'Backup', icon: '🔵', iconClass: 'text-primary-600' }
-    };
+    // Configured environments first, then any others present in the snapshot
+    const configuredKeys = getEnvironments().map(entry => entry.key);
+    const envOrder = [...configuredKeys, ...Object.keys(envs).filter(key => !configuredKeys.includes(key))];
+    const envDisplay = Object.fromEntries(envOrder.map((key) => {
+        const style = getEnvStyle(key);
+        return [key, { label: getEnvLabel(key), short: key.toUpperCase(), icon: style.icon, iconClass: style.iconClass }];
+    }));
 
     const sanitizeValue = (value) => (value && value !== 'N/A' ? value : '');
 
@@ -2784,16 +3895,85 @@ function streamMigrationLogs(endpoint, body, resultElementId, loadingElementId)
     
     if (loadingElementId) showLoading(loadingElementId);
     
-    // Use fetch with streaming for SSE
-    fetch(`${API_BASE}${endpoint}`, {
-        method: 'POST',
-        headers: getAuthHeaders(),
-        body: JSON.stringify({ ...body, stream: true })
-    })
-    .then(response => {
+    // Resume state: the server tags every log event with an SSE id so a dropped
+    // connection can pick up after the last event we rendered
+    let processId = null;
+    let lastEventId = 0;
+    let pendingEventId = null;
+    let completed = false;
+    let reconnectAttempts = 0;
+    
+    function finishStream() {
+        // Update final status
+        const statusClass = status === 'completed' ? 'success' : 'error';
+        const statusText = status === 'completed' ? 'Completed' : 'Failed';
+        const statusBadge = status === 'completed' ? 'COMPLETED' : 'FAILED';
+        const badgeColor = status === 'completed' ? 'bg-success-600' : 'bg-error-600';
+        
+        // Remove streaming indicator
+        logContainer.classList.remove('streaming');
+        
+        // Update header with final status
+        const header = resultDiv.querySelector('.flex.items-center');
+        if (header) {
+            header.className = `flex items-center space-x-3 p-4 ${statusClass === 'success' ? 'bg-success-50 border-success-200 text-success-800' : 'bg-error-50 border-error-200 text-error-800'} border-2 rounded-xl animate-fade-in`;
+            header.innerHTML = `
+                <svg class="w-5 h-5 ${statusClass === 'success' ? 'text-success-600' : 'text-error-600'}" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    ${statusClass === 'success' ? 
+                        '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>' :
+                        '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>'
+                    }
+                </svg>
+                <div>
+                    <strong>Migration ${statusText}</strong>
+                    <span class="ml-2 px-2 py-1 ${badgeColor} text-white text-xs font-semibold rounded-full">${statusBadge}</span>
+                </div>
+            `;
+        }
+        
+        if (loadingElementId) hideLoading(loadingElementId);
+        
+        // Reload history if this is main migration
+        if (resultElementId === 'mainResult') {
+            setTimeout(loadHistory, 1000);
+        }
+    }
+    
+    // The job keeps running server-side when the connection drops, so re-attach to its log stream
+    function reconnect(reason) {
+        if (!processId || reconnectAttempts >= SSE_MAX_RECONNECT_ATTEMPTS) {
+            status = 'failed';
+            addLogLine(logContainer, `Stream Error: ${reason}`, 'stderr');
+            finishStream();
+            return;
+        }
+        
+        reconnectAttempts++;
+        const delay = Math.min(1000 * Math.pow(2, reconnectAttempts - 1), 15000);
+        addLogLine(logContainer, `[Connection lost (${reason}) - reconnecting in ${Math.round(delay / 1000)}s...]`, 'stderr');
+        
+        setTimeout(() => {
+            fetch(`${API_BASE}/api/migration/${processId}/logs`, {
+                headers: { ...getAuthHeaders(), 'Last-Event-ID': String(lastEventId) }
+            })
+            .then(consumeStream)
+            .catch(error => reconnect(error.message));
+        }, delay);
+    }
+    
+    async function consumeStream(response) {
+        if (response.status === 202) {
+            // Production change parked until a second user approves it
+            const data = await response.json();
+            if (loadingElementId) hideLoading(loadingElementId);
+            showApprovalPending(resultElementId, data.approval);
+            return;
+        }
         if (!response.ok) {
-            throw new Error(`HTTP ${response.status}`);
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.error || `HTTP ${response.status}`);
         }
+        reconnectAttempts = 0;
         
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
@@ -2807,38 +3987,10 @@ function streamMigrationLogs(endpoint, body, resultElementId, loadingElementId)
                         processSSEData(buffer);
                     }
                     
-                    // Update final status
-                    const statusClass = status === 'completed' ? 'success' : 'error';
-                    const statusText = status === 'completed' ? 'Completed' : 'Failed';
-                    const statusBadge = status === 'completed' ? 'COMPLETED' : 'FAILED';
-                    const badgeColor = status === 'completed' ? 'bg-success-600' : 'bg-error-600';
-                    
-                    // Remove streaming indicator
-                    logContainer.classList.remove('streaming');
-                    
-                    // Update header with final status
-                    const header = resultDiv.querySelector('.flex.items-center');
-                    if (header) {
-                        header.className = `flex items-center space-x-3 p-4 ${statusClass === 'success' ? 'bg-success-50 border-success-200 text-success-800' : 'bg-error-50 border-error-200 text-error-800'} border-2 rounded-xl animate-fade-in`;
-                        header.innerHTML = `
-                            <svg class="w-5 h-5 ${statusClass === 'success' ? 'text-success-600' : 'text-error-600'}" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                                ${statusClass === 'success' ? 
-                                    '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"></path>' :
-                                    '<path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"></path>'
-                                }
-                            </svg>
-                            <div>
-                                <strong>Migration ${statusText}</strong>
-                                <span class="ml-2 px-2 py-1 ${badgeColor} text-white text-xs font-semibold rounded-full">${statusBadge}</span>
-                            </div>
-                        `;
-                    }
-                    
-                    if (loadingElementId) hideLoading(loadingElementId);
-                    
-                    // Reload history if this is main migration
-                    if (resultElementId === 'mainResult') {
-                        setTimeout(loadHistory, 1000);
+                    if (completed) {
+                        finishStream();
+                    } else {
+                        reconnect('stream closed before the job finished');
                     }
                     return;
                 }
@@ -2858,45 +4010,81 @@ function streamMigrationLogs(endpoint, body, resultElementId, loadingElementId)
                 
                 readStream();
             }).catch(error => {
-                status = 'failed';
-                addLogLine(logContainer, `Stream Error: ${error.message}`, 'stderr');
-                if (loadingElementId) hideLoading(loadingElementId);
+                if (completed) {
+                    finishStream();
+                } else {
+                    reconnect(error.message);
+                }
             });
         }
         
-        function processSSEData(line) {
-            if (line.startsWith('data: ')) {
-                try {
-                    const data = JSON.parse(line.substring(6));
-                    
-                    if (data.type === 'stdout' || data.type === 'stderr') {
-                        // Process data line by line
-                        const logLines = data.data.split('\n');
-                        logLines.forEach(logLine => {
-                            if (logLine.trim()) {
-                                addLogLine(logContainer, logLine, data.type);
-                                logContent += logLine + '\n';
-                            }
-                        });
-                    } else if (data.type === 'complete') {
-                        status = data.status;
-                        if (status === 'failed' && logContent.includes('HTML generation may have failed')) {
-                            status = 'completed';
+        readStream();
+    }
+    
+    function processSSEData(line) {
+        if (line.startsWith(':')) {
+            // Heartbeat comment
+            return;
+        }
+        if (line.startsWith('id: ')) {
+            pendingEventId = parseInt(line.substring(4), 10);
+            return;
+        }
+        if (line.startsWith('data: ')) {
+            try {
+                const data = JSON.parse(line.substring(6));
+                
+                if (data.type === 'started') {
+                    processId = data.processId;
+                } else if (data.type === 'stdout' || data.type === 'stderr') {
+                    // Process data line by line
+                    const logLines = data.data.split('\n');
+                    logLines.forEach(logLine => {
+                        if (logLine.trim()) {
+                            addLogLine(logContainer, logLine, data.type);
+                            logContent += logLine + '\n';
                         }
-                        addLogLine(logContainer, `\n[Migration ${data.status} - Exit code: ${data.exitCode}]`, data.status === 'completed' ? 'stdout' : 'stderr');
-                    } else if (data.type === 'error') {
-                        status = 'failed';
-                        addLogLine(logContainer, `ERROR: ${data.error}`, 'stderr');
+                    });
+                } else if (data.type === 'progress') {
+                    renderJobProgress(resultDiv, data);
+                } else if (data.type === 'complete') {
+                    completed = true;
+                    status = data.status;
+                    if (status === 'failed' && logContent.includes('HTML generation may have failed')) {
+                        status = 'completed';
                     }
-                } catch (e) {
-                    // Ignore parse errors
+                    addLogLine(logContainer, `\n[Migration ${data.status} - Exit code: ${data.exitCode}]`, data.status === 'completed' ? 'stdout' : 'stderr');
+                } else if (data.type === 'error') {
+                    status = 'failed';
+                    addLogLine(logContainer, `ERROR: ${data.error}`, 'stderr');
                 }
+            } catch (e) {
+                // Ignore parse errors
+            }
+            
+            if (pendingEventId !== null) {
+                lastEventId = pendingEventId;
+                pendingEventId = null;
             }
         }
-        
-        readStream();
+    }
+    
+    // The reason given in the production confirmation goes with the approval request
+    const reason = prodMigrationReason;
+    prodMigrationReason = null;
+    
+    // Use fetch with streaming for SSE
+    fetch(`${API_BASE}${endpoint}`, {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ ...body, stream: true, ...(reason ? { reason } : {}) })
     })
+    .then(consumeStream)
     .catch(error => {
+        if (processId) {
+            reconnect(error.message);
+            return;
+        }
         if (loadingElementId) hideLoading(loadingElementId);
         showResult(resultElementId, `Error: ${error.message}`, 'error');
     });
@@ -2904,6 +4092,18 @@ function streamMigrationLogs(endpoint, body, resultElementId, loadingElementId)
 
 // Production migration confirmation state
 let pendingMigrationAction = null;
+let prodMigrationReason = null;
+
+// Tell the requester their production change is waiting for a second user
+function showApprovalPending(resultElementId, approval) {
+    const expires = approval ? formatDate(approval.expiresAt) : 'soon';
+    showResult(resultElementId, `
+        <strong>Waiting for approval</strong>
+        <p class="text-sm mt-1">Production changes run only after a different admin approves them in the Approvals tab.
+        A migration plan is being generated for the reviewer. This request expires ${escapeHtml(expires)}.</p>
+        ${approval ? `<p class="text-xs font-mono mt-1">${escapeHtml(approval.id)}</p>` : ''}
+    `, 'warning');
+}
 
 // Show production confirmation modal
 function showProdConfirmModal(migrationType, sourceEnv, targetEnv, migrationAction) {
@@ -2982,6 +4182,7 @@ function confirmProdMigration() {
         // Log the reason to console (could also send to server)
         console.log(`Production migration reason: ${reason}`);
         console.log(`Migration: ${migrationType} from ${migrationSource} to ${migrationTarget}`);
+        prodMigrationReason = reason;
         
         // Execute the migration action
         try {
@@ -2997,12 +4198,12 @@ function confirmProdMigration() {
 
 // Check if target is production and show confirmation
 function checkProdMigration(targetEnv, migrationType, sourceEnv, migrationAction) {
-    if (targetEnv && targetEnv.toLowerCase() === 'prod') {
+    if (targetEnv && isProductionEnv(targetEnv)) {
         // For clones, apply an extra confirmation step before the production modal
         if (migrationType === 'Environment Clone') {
             showActionConfirmModal({
                 title: 'Clone into Production',
-                subtitle: `${sourceEnv.toUpperCase()} → PROD`,
+                subtitle: `${sourceEnv.toUpperCase()} → ${targetEnv.toUpperCase()}`,
                 description: 'You are about to fully replace the PRODUCTION environment with the selected source.',
                 details: [
                     'Database schema and data will be cloned from the source.',
@@ -3212,8 +4413,26 @@ document.getElementById('storageForm').addEventListener('submit', async (e) => {
     
     const options = {
         files: document.getElementById('storageFiles').checked,
-        increment: document.getElementById('storageIncrement').checked
+        increment: document.getElementById('storageIncrement').checked,
+        concurrency: parseInt(document.getElementById('storageConcurrency').value, 10) || null,
+        resume: document.getElementById('storageResume').value.trim() || null,
+        mirror: document.getElementById('storageMirror').checked,
+        dryRun: document.getElementById('storageDryRun').checked,
+        verify: document.getElementById('storageVerify').checked,
+        policies: document.getElementById('storagePolicies').checked,
+        buckets: document.getElementById('storageBuckets').value.trim() || null,
+        include: document.getElementById('storageInclude').value.trim() || null,
+        exclude: document.getElementById('storageExclude').value.trim() || null
     };
+
+    if ((options.include || options.exclude) && !options.files && !options.mirror && !options.resume) {
+        showResult('storageResult', '--include and --exclude select files: tick --file (or --mirror) as well.', 'error');
+        return;
+    }
+    if (options.verify && ((!options.files && !options.mirror && !options.resume) || (options.mirror && options.dryRun))) {
+        showResult('storageResult', '--verify checks copied files: tick --file (or --mirror without --dry-run) as well.', 'error');
+        return;
+    }
     
     // Check for production migration
     const startStorageMigration = () => {
@@ -3356,12 +4575,27 @@ function formatMigrationType(type) {
         .join(' ');
 }
 
+// Active job label; pipelines show their combined step progress
+function describeActiveJob(job) {
+    if (job.type !== 'pipeline') {
+        return formatMigrationType(job.type);
+    }
+    const stepNumber = job.currentStep === null || job.currentStep === undefined ? 0 : job.currentStep + 1;
+    const stepName = job.currentStepType ? ` ${formatMigrationType(job.currentStepType)}` : '';
+    const waiting = job.currentStepStatus === 'waiting' ? ', waiting for target' : '';
+    return `Pipeline "${job.name}" step ${stepNumber}/${job.totalSteps}${stepName}${waiting}`;
+}
+
 // Load active jobs and update indicator
 async function loadActiveJobs() {
     try {
         const response = await fetch(`${API_BASE}/api/jobs/active`, {
             headers: getAuthHeaders()
         });
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
         const data = await response.json();
         activeJobs = data.jobs || [];
         
@@ -3374,22 +4608,71 @@ async function loadActiveJobs() {
             // Show migration names
             if (activeJobs.length === 1) {
                 const job = activeJobs[0];
-                const typeName = formatMigrationType(job.type);
+                const typeName = describeActiveJob(job);
                 jobsTextElement.textContent = `${typeName} (${job.sourceEnv} → ${job.targetEnv}) running...`;
             } else {
                 // Show count and first job name
                 const firstJob = activeJobs[0];
-                const typeName = formatMigrationType(firstJob.type);
+                const typeName = describeActiveJob(firstJob);
                 jobsTextElement.textContent = `${activeJobs.length} jobs running (${typeName}...)`;
             }
         } else {
             indicator.classList.add('hidden');
         }
+        
+        refreshTargetLockBanners();
     } catch (error) {
         console.error('Error loading active jobs:', error);
     }
 }
 
+// Target selects of jobs that write to the target and therefore need its lock
+const LOCKED_TARGET_SELECTS = ['mainTarget', 'cloneTarget', 'dbTarget', 'storageTarget', 'edgeTarget', 'secretsTarget', 'publicTableTarget', 'policiesTarget', 'authConfigCompareTarget'];
+
+// Show a "target busy" banner under each target select whose environment is locked by a running job
+async function refreshTargetLockBanners(selectIds = LOCKED_TARGET_SELECTS) {
+    const selects = selectIds
+        .map(id => document.getElementById(id))
+        .filter(select => select);
+    const envs = [...new Set(selects.map(select => select.value).filter(Boolean))];
+    const locks = {};
+    
+    try {
+        await Promise.all(envs.map(async env => {
+            const response = await fetch(`${API_BASE}/api/locks/${encodeURIComponent(env)}`, {
+                headers: getAuthHeaders()
+            });
+            if (response.ok) {
+                const data = await response.json();
+                locks[env] = data.locked ? data.lock : null;
+            }
+        }));
+    } catch (error) {
+        console.error('Error checking target locks:', error);
+        return;
+    }
+    
+    selects.forEach(select => {
+        const lock = locks[select.value];
+        let banner = document.getElementById(`${select.id}LockBanner`);
+        
+        if (!lock) {
+            if (banner) banner.remove();
+            return;
+        }
+        
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = `${select.id}LockBanner`;
+            banner.className = 'mt-2 p-3 rounded-lg border-2 bg-warning-50 border-warning-200 text-warning-800 text-sm animate-fade-in';
+            select.insertAdjacentElement('afterend', banner);
+        }
+        
+        const since = new Date(lock.startTime).toLocaleString();
+        banner.innerHTML = `<strong>Target busy</strong> — ${escapeHtml(formatMigrationType(lock.type))} job ${escapeHtml(lock.processId)} running since ${escapeHtml(since)}`;
+    });
+}
+
 // Show active jobs modal
 function showActiveJobs() {
     if (activeJobs.length === 0) return;
@@ -3416,7 +4699,7 @@ function showActiveJobs() {
                                     <svg class="w-5 h-5 text-warning-600 animate-spin" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                                         <path stroke-linecap="round" stroke-linejoin="round" stroke-width="2" d="M4 4v5h.582m15.356 2A8.001 8.001 0 004.582 9m0 0H9m11 11v-5h-.581m0 0a8.003 8.003 0 01-15.357-2m15.357 2H15"></path>
                                     </svg>
-                                    <span class="font-semibold text-primary-900">${job.type.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</span>
+                                    <span class="font-semibold text-primary-900">${escapeHtml(describeActiveJob(job))}</span>
                                 </div>
                                 <span class="px-2 py-1 bg-warning-100 text-warning-700 text-xs font-semibold rounded-full">Running</span>
                             </div>
@@ -3455,16 +4738,23 @@ function navigateToJob(processId) {
     const tabMap = {
         'migration-plan': 'migration-plan',
         'main-migration': 'main-migration',
+        'environment-clone': 'clone',
+        'table-data': 'components',
         'database-migration': 'components',
         'storage-migration': 'components',
         'edge-functions-migration': 'components',
-        'secrets-migration': 'components'
+        'secrets-migration': 'components',
+        'auth-config-migration': 'auth-config',
+        'connection-test': 'connection-test',
+        'all-envs-snapshot': 'env-comparison',
+        'edge-comparison': 'edge-comparison',
+        'storage-comparison': 'storage-comparison',
+        'auth-users-comparison': 'auth-users-comparison',
+        'auth-config-comparison': 'auth-config'
     };
     
     const tabName = tabMap[job.type] || 'history';
-    const tabButton = Array.from(document.querySelectorAll('.tab-button')).find(btn => 
-        btn.textContent.toLowerCase().includes(tabName.split('-')[0])
-    );
+    const tabButton = document.querySelector(`.tab-button[onclick*="'${tabName}'"]`);
     
     if (tabButton) {
         switchTab(tabName, tabButton);
@@ -3561,6 +4851,245 @@ async function loadHistory() {
     }
 }
 
+// Load production approval requests (pending first, then recent decisions)
+async function loadApprovals() {
+    const approvalsList = document.getElementById('approvalsList');
+    if (!approvalsList) {
+        return;
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/approvals`, {
+            headers: getAuthHeaders()
+        });
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load approvals: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const approvals = (data.approvals || []).sort((a, b) =>
+            (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1));
+
+        if (approvals.length === 0) {
+            approvalsList.innerHTML = `
+                <div class="text-center py-12 text-slate-500">
+                    <p class="text-lg font-medium">No approval requests</p>
+                    <p class="text-sm">Production migrations and clones wait here for a second user</p>
+                </div>
+            `;
+            return;
+        }
+
+        const statusClasses = {
+            pending: 'bg-warning-100 text-warning-800',
+            approved: 'bg-success-100 text-success-800',
+            rejected: 'bg-error-100 text-error-800'
+        };
+
+        approvalsList.innerHTML = approvals.map(approval => {
+            const plan = approval.plan || {};
+            const planLink = plan.reportUrl
+                ? `<a href="${escapeHtml(plan.reportUrl)}" target="_blank" class="text-primary-600 hover:underline">View migration plan</a>`
+                : `<span class="text-slate-500">Migration plan: ${escapeHtml(plan.status || 'not available')}</span>`;
+            const decision = approval.decidedBy
+                ? `${escapeHtml(approval.status)} by ${escapeHtml(approval.decidedBy)} ${formatDate(approval.decidedAt)}`
+                : `Expires ${formatDate(approval.expiresAt)}`;
+            return `
+                <div class="bg-white border-2 border-slate-200 rounded-xl p-4">
+                    <div class="flex items-start justify-between">
+                        <div class="flex-1 space-y-1">
+                            <div class="flex items-center space-x-2">
+                                <h3 class="font-semibold text-slate-900">${escapeHtml(formatMigrationType(approval.type))}</h3>
+                                <span class="px-2 py-0.5 text-xs font-semibold rounded-full ${statusClasses[approval.status] || 'bg-slate-100 text-slate-700'}">${escapeHtml(approval.status.toUpperCase())}</span>
+                            </div>
+                            <p class="text-sm text-slate-600">${escapeHtml(approval.sourceEnv)} → ${escapeHtml(approval.targetEnv)} · requested by <strong>${escapeHtml(approval.requestedBy)}</strong> ${formatDate(approval.requestedAt)}</p>
+                            ${approval.reason ? `<p class="text-sm text-slate-600">Reason: ${escapeHtml(approval.reason)}</p>` : ''}
+                            <p class="text-xs text-slate-400 font-mono">${escapeHtml(JSON.stringify(approval.options || {}))}</p>
+                            <p class="text-sm">${planLink}</p>
+                            <p class="text-xs text-slate-500">${decision}${approval.processId ? ` · job ${escapeHtml(approval.processId)}` : ''}</p>
+                        </div>
+                        ${approval.status === 'pending' ? `
+                            <div class="flex items-center space-x-2">
+                                <button onclick="decideApproval('${escapeHtml(approval.id)}', 'reject')"
+                                    class="px-3 py-1.5 bg-slate-100 text-slate-700 text-sm font-medium rounded-lg hover:bg-slate-200 transition-colors">
+                                    ${currentUser && currentUser.username === approval.requestedBy ? 'Withdraw' : 'Reject'}
+                                </button>
+                                ${(currentUser && currentUser.username === approval.requestedBy) || (approval.plan && plan.status !== 'completed') ? '' : `
+                                    <button onclick="decideApproval('${escapeHtml(approval.id)}', 'approve')"
+                                        class="px-3 py-1.5 bg-error-600 text-white text-sm font-medium rounded-lg hover:bg-error-700 transition-colors">
+                                        Approve &amp; Run
+                                    </button>
+                                `}
+                            </div>
+                        ` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('Error loading approvals:', error);
+        approvalsList.innerHTML = `
+            <div class="text-center py-12 text-red-500">
+                <p class="text-lg font-medium">Error loading approvals</p>
+                <p class="text-sm">${escapeHtml(error.message)}</p>
+            </div>
+        `;
+    }
+}
+
+// Approve (and start) or reject a pending production request
+async function decideApproval(approvalId, decision) {
+    let reason = null;
+    if (decision === 'approve') {
+        if (!confirm('Approve this production change? The job starts immediately.')) {
+            return;
+        }
+    } else {
+        reason = prompt('Reason (optional):');
+        if (reason === null) {
+            return;
+        }
+    }
+
+    try {
+        const response = await fetch(`${API_BASE}/api/approvals/${encodeURIComponent(approvalId)}/${decision}`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(reason ? { reason } : {})
+        });
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || `HTTP ${response.status}`);
+        }
+        showResult('approvalsResult', decision === 'approve'
+            ? `Approved - job ${escapeHtml(data.processId)} started. Follow it in the active jobs panel.`
+            : `Request ${escapeHtml(data.status)}.`, 'success');
+        loadApprovals();
+        loadActiveJobs();
+    } catch (error) {
+        showResult('approvalsResult', `Error: ${escapeHtml(error.message)}`, 'error');
+    }
+}
+
+// Load the audit log with the selected environment, user and action filters
+async function loadAuditLog() {
+    const auditList = document.getElementById('auditList');
+    if (!auditList) {
+        return;
+    }
+
+    const params = new URLSearchParams();
+    const env = document.getElementById('auditEnvFilter')?.value;
+    const user = document.getElementById('auditUserFilter')?.value.trim();
+    const actionSelect = document.getElementById('auditActionFilter');
+    const action = actionSelect?.value;
+    if (env) params.set('env', env);
+    if (user) params.set('user', user);
+    if (action) params.set('action', action);
+
+    try {
+        const response = await fetch(`${API_BASE}/api/audit?${params.toString()}`, {
+            headers: getAuthHeaders()
+        });
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(`Failed to load audit log: ${response.statusText}`);
+        }
+
+        const data = await response.json();
+        const entries = data.entries || [];
+
+        // Fill the action filter once, keeping the current selection
+        if (actionSelect && actionSelect.options.length <= 1) {
+            (data.actions || []).forEach((name) => {
+                actionSelect.add(new Option(name, name));
+            });
+            actionSelect.value = action || '';
+        }
+
+        if (entries.length === 0) {
+            auditList.innerHTML = `
+                <div class="text-center py-12 text-slate-500">
+                    <p class="text-lg font-medium">No audit entries found</p>
+                    <p class="text-sm">Mutating actions performed through the web UI appear here</p>
+                </div>
+            `;
+            return;
+        }
+
+        const describeEnv = (entry) => {
+            if (entry.sourceEnv || entry.targetEnv) {
+                return `${entry.sourceEnv || '—'} → ${entry.targetEnv || '—'}`;
+            }
+            return entry.env || '—';
+        };
+        const describeOutcome = (entry) => {
+            if (entry.processId) {
+                const status = entry.status || 'running';
+                const exitCode = entry.exitCode !== null && entry.exitCode !== undefined ? ` (exit ${entry.exitCode})` : '';
+                return `${status}${exitCode}`;
+            }
+            return entry.httpStatus ? `HTTP ${entry.httpStatus}` : 'pending';
+        };
+        const outcomeClass = (entry) => {
+            const failed = ['failed', 'error', 'interrupted'].includes(entry.status) || entry.httpStatus >= 400;
+            return failed ? 'text-red-600' : 'text-slate-700';
+        };
+
+        auditList.innerHTML = `
+            <table class="w-full text-sm">
+                <thead>
+                    <tr class="text-left text-slate-500 border-b border-slate-200">
+                        <th class="py-2 pr-4">When</th>
+                        <th class="py-2 pr-4">User</th>
+                        <th class="py-2 pr-4">Action</th>
+                        <th class="py-2 pr-4">Environments</th>
+                        <th class="py-2 pr-4">Outcome</th>
+                        <th class="py-2 pr-4">Backup</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr class="border-b border-slate-100 align-top">
+                            <td class="py-2 pr-4 whitespace-nowrap">${formatDate(entry.timestamp)}</td>
+                            <td class="py-2 pr-4">${escapeHtml(entry.user || '')}${entry.role ? ` <span class="text-xs text-slate-400">${escapeHtml(entry.role)}</span>` : ''}</td>
+                            <td class="py-2 pr-4">
+                                <div class="font-medium text-slate-900">${escapeHtml(entry.action || '')}</div>
+                                <div class="text-xs text-slate-400 font-mono" title="${escapeHtml(JSON.stringify(entry.options || {}))}">${escapeHtml(entry.route || '')}</div>
+                            </td>
+                            <td class="py-2 pr-4 whitespace-nowrap">${escapeHtml(describeEnv(entry))}</td>
+                            <td class="py-2 pr-4 ${outcomeClass(entry)}">
+                                ${escapeHtml(describeOutcome(entry))}
+                                ${entry.processId ? `<div class="text-xs text-slate-400 font-mono">${escapeHtml(entry.processId)}</div>` : ''}
+                            </td>
+                            <td class="py-2 pr-4 text-xs font-mono">${entry.backupDir ? escapeHtml(entry.backupDir) : '—'}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    } catch (error) {
+        console.error('Error loading audit log:', error);
+        auditList.innerHTML = `
+            <div class="text-center py-12 text-red-500">
+                <p class="text-lg font-medium">Error loading audit log</p>
+                <p class="text-sm">${escapeHtml(error.message)}</p>
+            </div>
+        `;
+    }
+}
+
 // Load migration plans
 async function loadPlans() {
     try {
@@ -3694,9 +5223,43 @@ async function loadEnvironments() {
     }
 }
 
+// Show the signed-in user and role; an expired or revoked session goes back to the login page
+// Signed-in user ({ username, role }) from /api/auth/me
+let currentUser = null;
+
+async function loadCurrentUser() {
+    try {
+        const response = await fetch(`${API_BASE}/api/auth/me`, {
+            headers: getAuthHeaders()
+        });
+        if (response.status === 401) {
+            handleSessionExpired();
+            return;
+        }
+        const data = await response.json();
+        currentUser = data.user || null;
+        const badge = document.getElementById('currentUserBadge');
+        if (badge && data.user) {
+            badge.textContent = `${data.user.username} · ${data.user.role}`;
+            badge.classList.remove('hidden');
+        }
+    } catch (error) {
+        console.error('Error loading current user:', error);
+    }
+}
+
+function handleSessionExpired() {
+    localStorage.removeItem('migrationToolToken');
+    window.location.href = '/';
+}
+
 // Logout function
 function logout() {
-    // Clear the stored token
+    // Revoke the session server-side, then clear the stored token
+    fetch(`${API_BASE}/api/auth/logout`, {
+        method: 'POST',
+        headers: getAuthHeaders()
+    }).catch(() => {});
     localStorage.removeItem('migrationToolToken');
     
     // Clear any active job polling
@@ -3855,6 +5418,69 @@ document.addEventListener('DOMContentLoaded', () => {
             performEdgeComparison(source, target, { auto: false });
         });
     }
+
+    const storageCompareForm = document.getElementById('storageCompareForm');
+    if (storageCompareForm) {
+        storageCompareForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const source = document.getElementById('storageCompareSource')?.value;
+            const target = document.getElementById('storageCompareTarget')?.value;
+
+            if (!source || !target) {
+                setStorageCompareStatus('Please select both source and target environments.', 'warning');
+                return;
+            }
+
+            if (source === target) {
+                setStorageCompareStatus('Source and target environments must be different.', 'error');
+                return;
+            }
+
+            performStorageComparison(source, target);
+        });
+    }
+
+    const authUsersCompareForm = document.getElementById('authUsersCompareForm');
+    if (authUsersCompareForm) {
+        authUsersCompareForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const source = document.getElementById('authUsersCompareSource')?.value;
+            const target = document.getElementById('authUsersCompareTarget')?.value;
+
+            if (!source || !target) {
+                setAuthUsersCompareStatus('Please select both source and target environments.', 'warning');
+                return;
+            }
+
+            if (source === target) {
+                setAuthUsersCompareStatus('Source and target environments must be different.', 'error');
+                return;
+            }
+
+            performAuthUsersComparison(source, target);
+        });
+    }
+
+    const authConfigCompareForm = document.getElementById('authConfigCompareForm');
+    if (authConfigCompareForm) {
+        authConfigCompareForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            const source = document.getElementById('authConfigCompareSource')?.value;
+            const target = document.getElementById('authConfigCompareTarget')?.value;
+
+            if (!source || !target) {
+                setAuthConfigCompareStatus('Please select both source and target environments.', 'warning');
+                return;
+            }
+
+            if (source === target) {
+                setAuthConfigCompareStatus('Source and target environments must be different.', 'error');
+                return;
+            }
+
+            performAuthConfigComparison(source, target);
+        });
+    }
     
     const publicTableForm = document.getElementById('publicTableComparisonForm');
     if (publicTableForm) {
@@ -3872,6 +5498,15 @@ document.addEventListener('DOMContentLoaded', () => {
         });
     }
     
+    // Warn about a busy target as soon as it is selected
+    LOCKED_TARGET_SELECTS.forEach(selectId => {
+        const select = document.getElementById(selectId);
+        if (select) {
+            select.addEventListener('change', () => refreshTargetLockBanners([selectId]));
+        }
+    });
+    
+    loadCurrentUser();
     loadAppInfo();
     loadEnvironments();
     loadHistory();
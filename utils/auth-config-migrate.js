@@ -0,0 +1,268 @@
+#!/usr/bin/env node
+
+/**
+ * Auth Config Migration Utility
+ * Compares the project auth settings of two environments through the Management API and applies
+ * selected keys from source to target. Secret values (OAuth client secrets, SMTP password, ...)
+ * are never copied; they are only set from a secrets file.
+ *
+ * Usage:
+ *   node utils/auth-config-migrate.js diff <source_env> <target_env> [--output=<file.json>] [--html=<file.html>] [--env-file <path>]
+ *   node utils/auth-config-migrate.js apply <source_env> <target_env> (--all | --groups=<group,...> | --keys=<key,...>)
+ *       [--secrets-file=<path>] [--dry-run] [--migration-dir=<dir>] [--env-file <path>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createManagementClient } = require('./lib/edgeFunctionsClient');
+const { loadConfig, getEnvironmentConfig, getDataDir } = require('./lib/config');
+const {
+    AUTH_CONFIG_GROUPS,
+    AUTH_CONFIG_GROUP_NAMES,
+    maskAuthConfig,
+    diffAuthConfig,
+    summarizeAuthConfigDiff,
+    selectAuthConfigChanges,
+    resolveSecretsFile,
+    loadSecretValues,
+    buildAuthConfigPatch,
+    formatValue,
+    renderAuthConfigDiffHtml
+} = require('./lib/authConfig');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+
+const COLORS = {
+    reset: '\x1b[0m',
+    blue: '\x1b[34m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    red: '\x1b[31m'
+};
+
+const logInfo = (msg) => console.error(`${COLORS.blue}[INFO]${COLORS.reset} ${msg}`);
+const logSuccess = (msg) => console.error(`${COLORS.green}[SUCCESS]${COLORS.reset} ${msg}`);
+const logWarning = (msg) => console.error(`${COLORS.yellow}[WARNING]${COLORS.reset} ${msg}`);
+const logError = (msg) => console.error(`${COLORS.red}[ERROR]${COLORS.reset} ${msg}`);
+
+const USAGE = [
+    'Usage:',
+    '  node utils/auth-config-migrate.js diff <source_env> <target_env> [--output=<file.json>] [--html=<file.html>]',
+    '  node utils/auth-config-migrate.js apply <source_env> <target_env> (--all | --groups=<group,...> | --keys=<key,...>) [--secrets-file=<path>] [--dry-run] [--migration-dir=<dir>]',
+    `Groups: ${AUTH_CONFIG_GROUP_NAMES.join(', ')}`
+].join('\n');
+
+const fail = (message) => {
+    logError(message);
+    process.exit(1);
+};
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseArgs = (argv) => {
+    const positionals = [];
+    const options = {};
+    argv.forEach((arg) => {
+        const match = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+        if (match) {
+            options[match[1]] = match[2] === undefined ? true : match[2];
+        } else {
+            positionals.push(arg);
+        }
+    });
+    const known = ['output', 'html', 'all', 'groups', 'keys', 'secrets-file', 'dry-run', 'migration-dir'];
+    const unknown = Object.keys(options).filter(name => !known.includes(name));
+    if (unknown.length > 0) {
+        fail(`Unknown option(s): ${unknown.map(name => `--${name}`).join(', ')}\n${USAGE}`);
+    }
+    const [command, sourceEnv, targetEnv] = positionals;
+    if (!['diff', 'apply'].includes(command) || !sourceEnv || !targetEnv) {
+        fail(USAGE);
+    }
+    if (sourceEnv === targetEnv) {
+        fail('Source and target environments must be different');
+    }
+    return { command, sourceEnv, targetEnv, options };
+};
+
+const formatTimestamp = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+
+// Both configs through the Management API. Each project is read with its own access token,
+// falling back to the other environment's token (one token often covers both projects).
+const fetchConfigs = async (sourceConfig, targetConfig) => {
+    const sourceToken = sourceConfig.accessToken || targetConfig.accessToken;
+    const targetToken = targetConfig.accessToken || sourceConfig.accessToken;
+    if (!sourceToken) {
+        throw new Error(`Access token not set: SUPABASE_${sourceConfig.key}_ACCESS_TOKEN or SUPABASE_${targetConfig.key}_ACCESS_TOKEN is required`);
+    }
+    const sourceClient = createManagementClient(sourceToken);
+    const targetClient = targetToken === sourceToken ? sourceClient : createManagementClient(targetToken);
+
+    logInfo(`Fetching auth config of ${sourceConfig.env} (${sourceConfig.projectRef})...`);
+    const source = await sourceClient.fetchAuthConfig(sourceConfig.projectRef);
+    logInfo(`Fetching auth config of ${targetConfig.env} (${targetConfig.projectRef})...`);
+    const target = await targetClient.fetchAuthConfig(targetConfig.projectRef);
+    return { source, target, targetClient };
+};
+
+const printDiff = (diff) => {
+    if (diff.changed.length === 0) {
+        console.log('Auth settings are identical.');
+        return;
+    }
+    let group = null;
+    diff.changed.forEach((item) => {
+        if (item.group !== group) {
+            group = item.group;
+            console.log(`\n[${group}]`);
+        }
+        console.log(`  ${item.key}${item.secret ? ' (secret)' : ''}: ${formatValue(item.source, 80)} -> target ${formatValue(item.target, 80)}`);
+    });
+    console.log('');
+};
+
+const runDiff = async ({ sourceEnv, targetEnv, options }, sourceConfig, targetConfig) => {
+    const { source, target } = await fetchConfigs(sourceConfig, targetConfig);
+    const diff = diffAuthConfig(source, target);
+    const comparison = {
+        generatedAt: new Date().toISOString(),
+        source: { env: sourceEnv, projectRef: sourceConfig.projectRef },
+        target: { env: targetEnv, projectRef: targetConfig.projectRef },
+        summary: summarizeAuthConfigDiff(diff),
+        groupLabels: Object.fromEntries(AUTH_CONFIG_GROUPS.map(({ group, label }) => [group, label])),
+        ...diff
+    };
+
+    printDiff(diff);
+    if (typeof options.output === 'string' && options.output) {
+        fs.mkdirSync(path.dirname(path.resolve(options.output)), { recursive: true });
+        fs.writeFileSync(options.output, JSON.stringify(comparison, null, 2), 'utf8');
+        logInfo(`JSON diff: ${options.output}`);
+    }
+    if (typeof options.html === 'string' && options.html) {
+        fs.mkdirSync(path.dirname(path.resolve(options.html)), { recursive: true });
+        fs.writeFileSync(options.html, renderAuthConfigDiffHtml(comparison), 'utf8');
+        logInfo(`HTML report: ${options.html}`);
+    }
+    logSuccess(`${comparison.summary.changed} auth setting(s) differ, ${comparison.summary.identical} identical`);
+};
+
+const createMigrationDir = (sourceEnv, targetEnv, providedDir) => {
+    const dir = providedDir
+        ? path.resolve(PROJECT_ROOT, providedDir)
+        : path.join(PROJECT_ROOT, 'backups', `auth_config_migration_${sourceEnv}_to_${targetEnv}_${formatTimestamp()}`);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+};
+
+const runApply = async ({ sourceEnv, targetEnv, options }, sourceConfig, targetConfig) => {
+    const dryRun = options['dry-run'] === true;
+    let secretValues;
+    try {
+        const secretsFile = resolveSecretsFile(typeof options['secrets-file'] === 'string' ? options['secrets-file'] : null, {
+            dataDir: getDataDir(),
+            projectRoot: PROJECT_ROOT
+        });
+        secretValues = loadSecretValues(secretsFile);
+    } catch (error) {
+        fail(error.message);
+    }
+
+    const { source, target, targetClient } = await fetchConfigs(sourceConfig, targetConfig);
+    const diff = diffAuthConfig(source, target);
+    let selected;
+    try {
+        selected = selectAuthConfigChanges(diff, {
+            all: options.all === true,
+            groups: splitList(options.groups),
+            keys: splitList(options.keys)
+        });
+    } catch (error) {
+        fail(`${error.message}\n${USAGE}`);
+    }
+    const { patch, secretsSkipped, warnings } = buildAuthConfigPatch(selected, source, target, secretValues);
+
+    const migrationDir = createMigrationDir(sourceEnv, targetEnv, typeof options['migration-dir'] === 'string' ? options['migration-dir'] : null);
+    logInfo(`Migration directory: ${migrationDir}`);
+    // Secrets are masked in everything written to disk
+    fs.writeFileSync(path.join(migrationDir, 'target_auth_config_before.json'), JSON.stringify(maskAuthConfig(target), null, 2), 'utf8');
+
+    printDiff({ changed: selected });
+    secretsSkipped.forEach(key => logWarning(`${key}: secret not copied (no value in the secrets file); the target keeps its current value`));
+    warnings.forEach(message => logWarning(message));
+
+    const keys = Object.keys(patch);
+    const record = {
+        generatedAt: new Date().toISOString(),
+        source: { env: sourceEnv, projectRef: sourceConfig.projectRef },
+        target: { env: targetEnv, projectRef: targetConfig.projectRef },
+        dryRun,
+        applied: [],
+        changes: selected.filter(item => keys.includes(item.key)),
+        secretsSkipped,
+        warnings,
+        verifyMismatches: []
+    };
+    const writeRecord = () => fs.writeFileSync(path.join(migrationDir, 'auth_config_changes.json'), JSON.stringify(record, null, 2), 'utf8');
+
+    if (keys.length === 0) {
+        writeRecord();
+        logSuccess('Nothing to apply: the selected settings already match');
+        process.stdout.write(`${migrationDir}\n`);
+        return;
+    }
+    if (dryRun) {
+        writeRecord();
+        logSuccess(`Dry run: ${keys.length} setting(s) would be updated on ${targetEnv}`);
+        process.stdout.write(`${migrationDir}\n`);
+        return;
+    }
+
+    logInfo(`Updating ${keys.length} auth setting(s) on ${targetEnv} (${targetConfig.projectRef})...`);
+    try {
+        await targetClient.updateAuthConfig(targetConfig.projectRef, patch);
+    } catch (error) {
+        record.error = error.message;
+        writeRecord();
+        fail(`Updating the auth config failed: ${error.message}`);
+    }
+    record.applied = keys;
+
+    // The API may normalize some values; report non-secret keys that still differ
+    const after = await targetClient.fetchAuthConfig(targetConfig.projectRef);
+    const remaining = new Set(diffAuthConfig(source, after).changed.map(({ key }) => key));
+    record.verifyMismatches = keys.filter(key => !selected.find(item => item.key === key).secret && remaining.has(key));
+    record.verifyMismatches.forEach(key => logWarning(`${key} still differs after the update`));
+    writeRecord();
+
+    logSuccess(`Updated ${keys.length} auth setting(s) on ${targetEnv}${secretsSkipped.length > 0 ? `; ${secretsSkipped.length} secret(s) left unchanged` : ''}`);
+    process.stdout.write(`${migrationDir}\n`);
+};
+
+(async () => {
+    try {
+        loadConfig();
+    } catch (error) {
+        fail(error.message);
+    }
+    const args = parseArgs(process.argv.slice(2));
+
+    let sourceConfig;
+    let targetConfig;
+    try {
+        sourceConfig = getEnvironmentConfig(args.sourceEnv, { required: ['projectRef'] });
+        targetConfig = getEnvironmentConfig(args.targetEnv, { required: ['projectRef'] });
+    } catch (error) {
+        fail(error.message);
+    }
+
+    try {
+        if (args.command === 'diff') {
+            await runDiff(args, sourceConfig, targetConfig);
+        } else {
+            await runApply(args, sourceConfig, targetConfig);
+        }
+    } catch (error) {
+        fail(error.message);
+    }
+})();
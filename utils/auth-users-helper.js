@@ -4,23 +4,23 @@
  * Auth Users Helper
  *
  * Provides CLI utilities to introspect Supabase auth users using the Supabase client
- * (service role keys) and Management API. Supports listing user summaries and
- * comparing users across environments.
+ * (service role keys) and Management API. Supports listing user summaries,
+ * comparing users across environments (JSON and HTML diff) and importing exported users.
  */
 
 const fs = require('fs');
 const path = require('path');
 const { createClient } = require('@supabase/supabase-js');
-const dotenv = require('dotenv');
-
-const PROJECT_ROOT = path.resolve(__dirname, '..');
-dotenv.config({ path: path.join(PROJECT_ROOT, '.env.local') });
-
-// Get access token helper function
-function getAccessTokenForEnv(env) {
-  if (!env) return '';
-  const envKey = normalizeEnvKey(env);
-  return process.env[`SUPABASE_${envKey}_ACCESS_TOKEN`] || '';
+const { loadConfig, getEnvironmentConfig, getProjectConfig } = require('./lib/config');
+const { FILTER_OPTIONS, buildUserFilter, fetchReferencedIds, matchesUserFilter, describeUserFilter } = require('./lib/authUserFilter');
+const { diffAuthUsers, summarizeAuthUsersDiff, renderAuthUsersDiffHtml } = require('./lib/authUsersDiff');
+
+// Also strips --env-file from process.argv before the arguments below are parsed
+try {
+  loadConfig();
+} catch (error) {
+  console.error(`[ERROR] ${error.message}`);
+  process.exit(1);
 }
 
 const fetchFn = typeof fetch === 'function' ? fetch.bind(global) : null;
@@ -62,6 +62,10 @@ async function main() {
           fs.writeFileSync(options.output, JSON.stringify(comparison, null, 2));
           console.log(`[INFO] Comparison written to ${options.output}`);
         }
+        if (options.html) {
+          fs.writeFileSync(options.html, renderAuthUsersDiffHtml(comparison));
+          console.log(`[INFO] HTML report written to ${options.html}`);
+        }
         if (comparison.missingInTarget.length > 0) {
           process.exitCode = 2;
         }
@@ -96,12 +100,17 @@ async function main() {
         const instanceIdOverride = options['instance-id'] || options.instance;
         const sourceEnv = options['source-env'] || options.source || '';
 
+        const userFilter = buildUserFilter(Object.fromEntries(
+          FILTER_OPTIONS.filter((name) => options[name] !== undefined).map((name) => [name, options[name]])
+        ));
+
         const importResult = await importUsers(targetEnv, {
           usersCsv,
           identitiesCsv,
           replace,
           instanceIdOverride,
-          sourceEnv
+          sourceEnv,
+          userFilter
         });
         printImportResult(importResult, options.format);
         break;
@@ -120,13 +129,23 @@ main();
 function printUsage() {
   console.log(`Usage:
   node utils/auth-users-helper.js summary <env> [--output=path] [--format=json|text]
-  node utils/auth-users-helper.js compare <source_env> <target_env> [--output=path] [--format=json|text]
+  node utils/auth-users-helper.js compare <source_env> <target_env> [--output=path] [--html=path] [--format=json|text]
   node utils/auth-users-helper.js instance-id <env>
-  node utils/auth-users-helper.js import <target_env> --users-csv=path --identities-csv=path [--instance-id=uuid] [--replace] [--format=json|text]
+  node utils/auth-users-helper.js import <target_env> --users-csv=path --identities-csv=path [--instance-id=uuid] [--replace] [--format=json|text] [filters]
 
 Options:
   --output=path   Write JSON output to the given file path.
+  --html=path     compare: also write an HTML report to the given file path.
   --format=text   Render human readable output (default: text).
+  --env-file=path Read credentials from this file before .env.local.
+
+Import filters (all given filters must match; comma-separated values are alternatives):
+  --domains=a.com,b.com             Email domain
+  --providers=email,google          Provider of any of the user's identities
+  --created-after=2025-01-01        Created on or after this date/time
+  --created-before=2025-07-01       Created before this date/time
+  --users-file=path                 Ids or emails listed in the file, one per line
+  --referenced-by=orders.user_id    Id appears in [schema.]table.column of --source-env=<env>
 `);
 }
 
@@ -144,72 +163,17 @@ function parseArgs(inputArgs) {
   return { positionalArgs: positional, options: opts };
 }
 
-function normalizeEnvKey(env = '') {
-  const normalized = env.toLowerCase();
-  switch (normalized) {
-    case 'prod':
-    case 'production':
-    case 'main':
-      return 'PROD';
-    case 'test':
-    case 'staging':
-      return 'TEST';
-    case 'dev':
-    case 'develop':
-      return 'DEV';
-    case 'backup':
-    case 'bkup':
-    case 'bkp':
-      return 'BACKUP';
-    default:
-      throw new Error(`Unsupported environment: ${env}`);
-  }
-}
-
-function getEnvValue(primaryKey, fallbackKey) {
-  return process.env[primaryKey] || process.env[fallbackKey] || '';
-}
-
+// Variable prefix for an environment name or alias (throws for unknown environments)
 function getEnvConfig(env) {
-  const envKey = normalizeEnvKey(env);
-  const projectVar = `SUPABASE_${envKey}_PROJECT_REF`;
-  const legacyProjectVar = `SUPABSE_${envKey}_PROJECT_REF`;
-  const passwordVar = `SUPABASE_${envKey}_DB_PASSWORD`;
-  const legacyPasswordVar = `SUPABSE_${envKey}_DB_PASSWORD`;
-  const serviceRoleVar = `SUPABASE_${envKey}_SERVICE_ROLE_KEY`;
-  const genericServiceRoleVar = 'SUPABASE_SERVICE_ROLE_KEY';
-
-  const projectRef = getEnvValue(projectVar, legacyProjectVar);
-  if (!projectRef) {
-    throw new Error(`Missing project reference for ${envKey}. Set ${projectVar} in .env.local`);
-  }
-
-  const dbPassword = getEnvValue(passwordVar, legacyPasswordVar);
-  if (!dbPassword) {
-    throw new Error(`Missing database password for ${envKey}. Set ${passwordVar} in .env.local`);
-  }
-
-  let serviceRoleKey = process.env[serviceRoleVar] || '';
-  let serviceRoleSource = serviceRoleVar;
-  if (!serviceRoleKey && process.env[genericServiceRoleVar]) {
-    serviceRoleKey = process.env[genericServiceRoleVar];
-    serviceRoleSource = genericServiceRoleVar;
-  }
-
-  if (!serviceRoleKey) {
-    throw new Error(`Missing service role key for ${envKey}. Set ${serviceRoleVar} or ${genericServiceRoleVar}`);
-  }
-
-  const supabaseUrl = `https://${projectRef}.supabase.co`;
-
+  const config = getEnvironmentConfig(env, { required: ['projectRef', 'dbPassword', 'serviceRoleKey'] });
   return {
-    envKey,
+    envKey: config.key,
     envLabel: env,
-    projectRef,
-    dbPassword,
-    serviceRoleKey,
-    serviceRoleSource,
-    supabaseUrl
+    projectRef: config.projectRef,
+    dbPassword: config.dbPassword,
+    serviceRoleKey: config.serviceRoleKey,
+    serviceRoleSource: config.sources.serviceRoleKey,
+    supabaseUrl: config.url
   };
 }
 
@@ -245,21 +209,8 @@ async function listAuthUsers(config) {
 
 async function fetchInstanceId(projectRef, env = null) {
   // Try to get access token from environment if provided, otherwise try to match projectRef
-  let accessToken = '';
-  if (env) {
-    accessToken = getAccessTokenForEnv(env);
-  } else {
-    // Try to match projectRef to known environments
-    if (projectRef === process.env.SUPABASE_PROD_PROJECT_REF) {
-      accessToken = process.env.SUPABASE_PROD_ACCESS_TOKEN || '';
-    } else if (projectRef === process.env.SUPABASE_TEST_PROJECT_REF) {
-      accessToken = process.env.SUPABASE_TEST_ACCESS_TOKEN || '';
-    } else if (projectRef === process.env.SUPABASE_DEV_PROJECT_REF) {
-      accessToken = process.env.SUPABASE_DEV_ACCESS_TOKEN || '';
-    } else if (projectRef === process.env.SUPABASE_BACKUP_PROJECT_REF) {
-      accessToken = process.env.SUPABASE_BACKUP_ACCESS_TOKEN || '';
-    }
-  }
+  const config = env ? getEnvironmentConfig(env) : getProjectConfig(projectRef);
+  const accessToken = config.accessToken;
   
   if (!accessToken || !fetchFn) {
     return null;
@@ -294,7 +245,15 @@ async function buildSummary(env, options = {}) {
       createdAt: user.created_at,
       lastSignInAt: user.last_sign_in_at,
       factorsCount: Array.isArray(user.factors) ? user.factors.length : 0,
-      providers: Array.isArray(user.identities) ? user.identities.map((identity) => identity.provider) : []
+      providers: Array.isArray(user.identities) ? user.identities.map((identity) => identity.provider) : [],
+      emailConfirmedAt: user.email_confirmed_at || null,
+      phoneConfirmedAt: user.phone_confirmed_at || null,
+      bannedUntil: user.banned_until || null,
+      userMetadata: user.user_metadata || {},
+      appMetadata: user.app_metadata || {},
+      identities: Array.isArray(user.identities)
+        ? user.identities.map((identity) => ({ provider: identity.provider, providerId: String(identity.id ?? '') }))
+        : []
     }))
   };
 
@@ -310,14 +269,14 @@ async function compareEnvironments(sourceEnv, targetEnv, options = {}) {
   const sourceSummary = await buildSummary(sourceEnv, options);
   const targetSummary = await buildSummary(targetEnv, options);
 
-  const targetIds = new Set(targetSummary.users.map((user) => user.id));
-
-  const missingInTarget = sourceSummary.users.filter((user) => !targetIds.has(user.id));
+  const diff = diffAuthUsers(sourceSummary.users, targetSummary.users);
 
   return {
-    source: sourceSummary,
-    target: targetSummary,
-    missingInTarget
+    generatedAt: new Date().toISOString(),
+    source: { env: sourceSummary.env, projectRef: sourceSummary.projectRef, userCount: sourceSummary.userCount },
+    target: { env: targetSummary.env, projectRef: targetSummary.projectRef, userCount: targetSummary.userCount },
+    summary: summarizeAuthUsersDiff(diff, sourceSummary.users.length, targetSummary.users.length),
+    ...diff
   };
 }
 
@@ -347,6 +306,37 @@ function printComparison(comparison, format = 'text') {
 
   console.log(`[INFO] Source ${comparison.source.env} users: ${comparison.source.userCount}`);
   console.log(`[INFO] Target ${comparison.target.env} users: ${comparison.target.userCount}`);
+  console.log(`[INFO] Identical users: ${comparison.summary.identical}`);
+  if (comparison.targetOnly.length > 0) {
+    console.log(`[WARN] ${comparison.targetOnly.length} user(s) only in target:`);
+    comparison.targetOnly.forEach((user) => {
+      console.log(`  - id=${user.id} | email=${user.email || 'N/A'} | providers=${user.providers.join(',')}`);
+    });
+  }
+  if (comparison.emailConflicts.length > 0) {
+    console.log(`[WARN] ${comparison.emailConflicts.length} email(s) belong to a different user id in target:`);
+    comparison.emailConflicts.forEach((conflict) => {
+      console.log(`  - email=${conflict.email} | source id=${conflict.sourceId} | target id=${conflict.targetId}`);
+    });
+  }
+  if (comparison.changed.length > 0) {
+    console.log(`[WARN] ${comparison.changed.length} user(s) differ:`);
+    comparison.changed.forEach((user) => {
+      console.log(`  - id=${user.id} | email=${user.email || 'N/A'} | ${user.fields.map((item) => item.field).join(', ')}`);
+    });
+  }
+  if (comparison.identityMismatches.length > 0) {
+    console.log(`[WARN] ${comparison.identityMismatches.length} user(s) with different identities:`);
+    comparison.identityMismatches.forEach((user) => {
+      console.log(`  - id=${user.id} | email=${user.email || 'N/A'} | only in source: ${user.sourceOnly.join(',') || '-'} | only in target: ${user.targetOnly.join(',') || '-'}`);
+    });
+  }
+  if (comparison.factorMismatches.length > 0) {
+    console.log(`[WARN] ${comparison.factorMismatches.length} user(s) with a different number of MFA factors:`);
+    comparison.factorMismatches.forEach((user) => {
+      console.log(`  - id=${user.id} | email=${user.email || 'N/A'} | source=${user.source} | target=${user.target}`);
+    });
+  }
   if (comparison.missingInTarget.length === 0) {
     console.log('[SUCCESS] All source users are present in target.');
   } else {
@@ -384,8 +374,15 @@ async function importUsers(targetEnv, options = {}) {
     throw new Error('Users CSV is empty - nothing to import');
   }
 
-  const normalizedUsers = usersRaw.map((row) => normalizeUserRow(row, instanceId));
-  const normalizedIdentities = identitiesRaw.map((row) => normalizeIdentityRow(row, instanceId));
+  const selected = options.userFilter
+    ? await selectUsers(usersRaw, identitiesRaw, options.userFilter, options.sourceEnv)
+    : { users: usersRaw, identities: identitiesRaw };
+  if (!selected.users.length) {
+    throw new Error(`No user in the CSV matches the filter (${describeUserFilter(options.userFilter)}) - nothing to import`);
+  }
+
+  const normalizedUsers = selected.users.map((row) => normalizeUserRow(row, instanceId));
+  const normalizedIdentities = selected.identities.map((row) => normalizeIdentityRow(row, instanceId));
 
   const supabase = createClient(config.supabaseUrl, config.serviceRoleKey, {
     auth: {
@@ -412,13 +409,51 @@ async function importUsers(targetEnv, options = {}) {
     projectRef: config.projectRef,
     instanceId,
     replace: Boolean(options.replace),
+    filter: describeUserFilter(options.userFilter || null),
     usersProcessed: normalizedUsers.length,
+    usersSkipped: usersRaw.length - normalizedUsers.length,
     identitiesProcessed: normalizedIdentities.length,
     summary: postSummary,
     sourceEnv: options.sourceEnv || ''
   };
 }
 
+// Users of an import that match userFilter, and their identities. --referenced-by reads the
+// referencing tables from sourceEnv, where the exported users came from.
+async function selectUsers(users, identities, userFilter, sourceEnv) {
+  const providersByUser = new Map();
+  identities.forEach((row) => {
+    const providers = providersByUser.get(row.user_id) || [];
+    providers.push(row.provider);
+    providersByUser.set(row.user_id, providers);
+  });
+
+  let referencedIds = null;
+  if (userFilter.references.length > 0) {
+    if (!sourceEnv) {
+      throw new Error('--referenced-by needs --source-env=<env> to read the referencing tables');
+    }
+    const sourceConfig = getEnvConfig(sourceEnv);
+    const sourceClient = createClient(sourceConfig.supabaseUrl, sourceConfig.serviceRoleKey, {
+      auth: {
+        autoRefreshToken: false,
+        persistSession: false
+      }
+    });
+    referencedIds = await fetchReferencedIds(sourceClient, userFilter.references);
+  }
+
+  const selectedUsers = users.filter((user) => matchesUserFilter(userFilter, user, {
+    providers: providersByUser.get(user.id) || [],
+    referencedIds
+  }));
+  const selectedIds = new Set(selectedUsers.map((user) => user.id));
+  return {
+    users: selectedUsers,
+    identities: identities.filter((row) => selectedIds.has(row.user_id))
+  };
+}
+
 function printImportResult(result, format = 'text') {
   if (format === 'json') {
     console.log(JSON.stringify(result, null, 2));
@@ -430,6 +465,9 @@ function printImportResult(result, format = 'text') {
   if (result.replace) {
     console.log('[INFO] Target data was replaced prior to import.');
   }
+  if (result.usersSkipped > 0) {
+    console.log(`[INFO] Users selected: ${result.filter} (${result.usersSkipped} user(s) in the CSV skipped)`);
+  }
   console.log(`[INFO] Users processed: ${result.usersProcessed}`);
   console.log(`[INFO] Identities processed: ${result.identitiesProcessed}`);
   if (result.summary) {
@@ -4,11 +4,36 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { spawnSync } = require('child_process');
-const dotenv = require('dotenv');
 const { createClient } = require('@supabase/supabase-js');
+const { loadConfig, getEnvironmentConfig, getDataDir } = require('./lib/config');
+const { loadRules, resolveRulesFile, anonymizeCsvExports, describeRules } = require('./lib/authAnonymize');
+const { FILTER_OPTIONS, buildUserFilter, userFilterSql, describeUserFilter } = require('./lib/authUserFilter');
+const { resolveAuthTables, authTableRowsSql } = require('./lib/authTables');
 
 const PROJECT_ROOT = path.resolve(__dirname, '..');
-dotenv.config({ path: path.join(PROJECT_ROOT, '.env.local') });
+
+// Columns of the additional auth tables that identify a person, replaced on export with
+// --anonymize. Factor names ("Alice's iPhone") and challenge IP addresses are always replaced,
+// phone factor numbers unless the rules keep phones.
+const ANONYMIZED_AUTH_COLUMNS = {
+  mfa_factors: {
+    friendly_name: () => 'NULL',
+    phone: (rules) => (rules.phone === 'null' ? 'NULL' : null)
+  },
+  mfa_challenges: {
+    ip_address: () => "'0.0.0.0'::inet"
+  }
+};
+
+function authTableSelectList(table, columns, rules) {
+  const replacements = (rules && ANONYMIZED_AUTH_COLUMNS[table]) || {};
+  return columns
+    .map((column) => {
+      const replacement = replacements[column] ? replacements[column](rules) : null;
+      return replacement ? `${replacement} AS ${column}` : `t.${column}`;
+    })
+    .join(', ');
+}
 
 function exitWithError(message) {
   console.error(`[ERROR] ${message}`);
@@ -36,39 +61,23 @@ function logWarning(message, logStream) {
   }
 }
 
-function normalizeEnvKey(env) {
-  const lower = String(env || '').toLowerCase();
-  if (['prod', 'production', 'main'].includes(lower)) return 'PROD';
-  if (['test', 'staging'].includes(lower)) return 'TEST';
-  if (['dev', 'develop'].includes(lower)) return 'DEV';
-  if (['backup', 'bkup', 'bkp'].includes(lower)) return 'BACKUP';
-  exitWithError(`Unsupported environment alias: ${env}`);
-}
-
 function loadEnvConfig(envAlias) {
-  const key = normalizeEnvKey(envAlias);
-  const projectRef = process.env[`SUPABASE_${key}_PROJECT_REF`];
-  const dbPassword = process.env[`SUPABASE_${key}_DB_PASSWORD`];
-  if (!projectRef) {
-    exitWithError(`Missing SUPABASE_${key}_PROJECT_REF in environment variables`);
-  }
-  if (!dbPassword) {
-    exitWithError(`Missing SUPABASE_${key}_DB_PASSWORD in environment variables`);
+  let config;
+  try {
+    config = getEnvironmentConfig(envAlias, { required: ['projectRef', 'dbPassword'] });
+  } catch (error) {
+    exitWithError(error.message);
   }
-  const poolerRegion = process.env[`SUPABASE_${key}_POOLER_REGION`] || 'aws-1-us-east-2';
-  const poolerPort = parseInt(process.env[`SUPABASE_${key}_POOLER_PORT`] || '6543', 10);
-  const serviceRole = process.env[`SUPABASE_${key}_SERVICE_ROLE_KEY`] || process.env.SUPABASE_SERVICE_ROLE_KEY;
-  const projectUrl = process.env[`SUPABASE_${key}_URL`] || `https://${projectRef}.supabase.co`;
 
   return {
     alias: envAlias,
-    key,
-    projectRef,
-    dbPassword,
-    poolerRegion,
-    poolerPort,
-    serviceRole,
-    projectUrl
+    key: config.key,
+    projectRef: config.projectRef,
+    dbPassword: config.dbPassword,
+    poolerRegion: config.poolerRegion,
+    poolerPort: config.poolerPort,
+    serviceRole: config.serviceRoleKey,
+    projectUrl: config.url
   };
 }
 
@@ -235,7 +244,8 @@ function generateImportSql(options) {
     conflictUsers,
     conflictIdentities,
     replace,
-    instanceId
+    instanceId,
+    extraTables = []
   } = options;
 
   const sqlParts = [];
@@ -246,6 +256,9 @@ function generateImportSql(options) {
   sqlParts.push('');
   if (replace) {
     sqlParts.push('-- Replace target data');
+    [...extraTables].reverse().forEach(({ table }) => {
+      sqlParts.push(`DELETE FROM auth.${table};`);
+    });
     sqlParts.push('DELETE FROM auth.identities;');
     sqlParts.push('DELETE FROM auth.users;');
     sqlParts.push('');
@@ -276,22 +289,69 @@ function generateImportSql(options) {
   sqlParts.push(`${conflictIdentities};`);
   sqlParts.push('');
 
+  // Additional auth tables, already in dependency order
+  extraTables.forEach(({ table, columns, csv, conflict }) => {
+    const stage = `migration_auth_${table}_stage`;
+    sqlParts.push(`-- Upsert auth.${table}`);
+    sqlParts.push(`CREATE TEMP TABLE ${stage} AS SELECT ${columns.join(', ')} FROM auth.${table} WHERE FALSE;`);
+    sqlParts.push(`\\copy ${stage} (${columns.join(', ')}) FROM '${csv.replace(/'/g, "''")}' WITH CSV HEADER;`);
+    sqlParts.push(`INSERT INTO auth.${table} (${columns.join(', ')})`);
+    sqlParts.push(`SELECT ${columns.join(', ')} FROM ${stage}`);
+    sqlParts.push(`${conflict};`);
+    sqlParts.push('');
+  });
+
   sqlParts.push('COMMIT;');
   sqlParts.push('');
 
   return sqlParts.join('\n');
 }
 
+// bcrypt hash of a password, computed by pgcrypto in the target database. The query is run from
+// a file so the password does not appear in the psql command line or the migration log.
+function hashPasswordInDatabase(config, password, tempDir, logStream) {
+  const sqlFile = path.join(tempDir, 'password_hash.sql');
+  fs.writeFileSync(sqlFile, `SELECT extensions.crypt('${password.replace(/'/g, "''")}', extensions.gen_salt('bf'));\n`, { encoding: 'utf8', mode: 0o600 });
+  try {
+    const hash = attemptWithEndpoints(
+      config,
+      'Hashing the anonymization password',
+      (endpoint) => runPsql('Hash anonymization password', endpoint, config.dbPassword, ['-t', '-A', '-v', 'ON_ERROR_STOP=1', '-f', sqlFile], logStream).trim(),
+      logStream
+    );
+    if (!hash.startsWith('$2')) {
+      throw new Error(`Unexpected output from crypt(): ${hash.slice(0, 40)}`);
+    }
+    return hash;
+  } finally {
+    fs.unlinkSync(sqlFile);
+  }
+}
+
 function parseArgs(argv) {
   const positionals = [];
-  const options = { replace: false, increment: false };
+  const options = { replace: false, increment: false, anonymize: false, anonymizeRules: null, authTables: null };
+  const filterOptions = {};
   let migrationDir = null;
 
   for (const arg of argv) {
-    if (arg === '--replace') {
+    const filterMatch = arg.match(/^--([a-z-]+)(?:=(.*))?$/);
+    if (filterMatch && FILTER_OPTIONS.includes(filterMatch[1])) {
+      const [, name, value = ''] = filterMatch;
+      filterOptions[name] = filterOptions[name] ? `${filterOptions[name]},${value}` : value;
+    } else if (arg === '--replace') {
       options.replace = true;
     } else if (arg === '--increment' || arg === '--incremental') {
       options.increment = true;
+    } else if (arg === '--anonymize') {
+      options.anonymize = true;
+    } else if (arg.startsWith('--anonymize=')) {
+      options.anonymize = true;
+      options.anonymizeRules = arg.slice('--anonymize='.length) || null;
+    } else if (arg === '--auth-tables') {
+      options.authTables = true;
+    } else if (arg.startsWith('--auth-tables=')) {
+      options.authTables = arg.slice('--auth-tables='.length) || true;
     } else if (arg.startsWith('--')) {
       exitWithError(`Unknown flag: ${arg}`);
     } else {
@@ -300,7 +360,7 @@ function parseArgs(argv) {
   }
 
   if (positionals.length < 2) {
-    exitWithError('Usage: auth-users-migrate.js <source_env> <target_env> [migration_dir] [--replace]');
+    exitWithError('Usage: auth-users-migrate.js <source_env> <target_env> [migration_dir] [--replace] [--anonymize[=<rules.json>]] [--auth-tables[=<table,...>]] [--domains=...] [--providers=...] [--created-after=<date>] [--created-before=<date>] [--users-file=<path>] [--referenced-by=[schema.]table.column] [--env-file <path>]');
   }
 
   const sourceEnv = positionals[0];
@@ -309,7 +369,17 @@ function parseArgs(argv) {
     migrationDir = positionals[2];
   }
 
-  return { sourceEnv, targetEnv, migrationDir, replace: options.replace, increment: options.increment };
+  return {
+    sourceEnv,
+    targetEnv,
+    migrationDir,
+    replace: options.replace,
+    increment: options.increment,
+    anonymize: options.anonymize,
+    anonymizeRules: options.anonymizeRules,
+    authTables: options.authTables,
+    filterOptions
+  };
 }
 
 function ensureCommandExists(command) {
@@ -324,6 +394,18 @@ function extractColumnsIntersection(sourceColumns, targetColumns) {
   return targetColumns.filter((column) => sourceSet.has(column));
 }
 
+function countRows(config, description, sql, logStream) {
+  return parseInt(
+    attemptWithEndpoints(
+      config,
+      description,
+      (endpoint) => runPsql(description, endpoint, config.dbPassword, ['-t', '-A', '-c', sql], logStream).trim(),
+      logStream
+    ) || '0',
+    10
+  );
+}
+
 async function verifyWithSupabase(targetConfig, expectedUserCount, logStream) {
   if (!targetConfig.serviceRole) {
     logWarning('Skipping Supabase Admin verification (service role key not available)', logStream);
@@ -345,10 +427,44 @@ async function verifyWithSupabase(targetConfig, expectedUserCount, logStream) {
 async function main() {
   ensureCommandExists('psql');
 
-  const { sourceEnv, targetEnv, migrationDir: providedDir, replace, increment } = parseArgs(process.argv.slice(2));
+  try {
+    loadConfig();
+  } catch (error) {
+    exitWithError(error.message);
+  }
+  const { sourceEnv, targetEnv, migrationDir: providedDir, replace, increment, anonymize, anonymizeRules: rulesArg, authTables, filterOptions } = parseArgs(process.argv.slice(2));
+  const anonymizeRules = resolveRulesFile(rulesArg, getDataDir());
   const sourceConfig = loadEnvConfig(sourceEnv);
   const targetConfig = loadEnvConfig(targetEnv);
 
+  let userFilter = null;
+  try {
+    userFilter = buildUserFilter(filterOptions);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+
+  let extraTableSpecs = [];
+  try {
+    extraTableSpecs = resolveAuthTables(authTables);
+  } catch (error) {
+    exitWithError(error.message);
+  }
+  // One-time tokens are bound to the email or phone they were sent to and cannot be anonymized;
+  // --auth-tables without a list skips them below, naming them is refused
+  if (anonymize && authTables !== true && extraTableSpecs.some(({ table }) => table === 'one_time_tokens')) {
+    exitWithError('auth.one_time_tokens cannot be migrated with --anonymize: the tokens hold the original email addresses and phone numbers');
+  }
+
+  let rules = null;
+  if (anonymize) {
+    try {
+      rules = loadRules(anonymizeRules);
+    } catch (error) {
+      exitWithError(error.message);
+    }
+  }
+
   const migrationDir = createMigrationDir(sourceEnv, targetEnv, providedDir);
   const logFile = path.join(migrationDir, 'migration.log');
   const logStream = fs.createWriteStream(logFile, { flags: 'a' });
@@ -361,6 +477,12 @@ async function main() {
   if (increment && !replace) {
     logInfo('Increment flag detected: running in incremental upsert mode.', logStream);
   }
+  logInfo(`Users: ${describeUserFilter(userFilter)}`, logStream);
+  if (userFilter && replace) {
+    logWarning('--replace deletes every target user, not only the selected ones', logStream);
+  }
+  logInfo(`Additional auth tables: ${extraTableSpecs.length > 0 ? extraTableSpecs.map(({ table }) => table).join(', ') : 'none'}`, logStream);
+  logInfo(`Anonymization: ${rules ? `${describeRules(rules)}${anonymizeRules ? ` (rules: ${anonymizeRules})` : ' (default rules)'}` : 'off'}`, logStream);
 
   const tempDir = createTempDir(path.join(migrationDir, 'tmp'));
   const sourceUsersCsv = path.join(tempDir, 'source_users.csv');
@@ -388,14 +510,37 @@ async function main() {
     exitWithError('No overlapping columns between source and target auth.identities tables.');
   }
 
-  // Get source counts before export
+  // Additional tables use the same column intersection; a table missing on either side
+  // (older auth versions) is skipped. One-time tokens are not copied when users are anonymized.
+  const extraTables = [];
+  extraTableSpecs.forEach((spec) => {
+    if (rules && spec.table === 'one_time_tokens') {
+      logWarning('Skipping auth.one_time_tokens: they contain the original email addresses and phone numbers (--anonymize)', logStream);
+      return;
+    }
+    const columns = extractColumnsIntersection(
+      fetchColumnList(sourceConfig, spec.table, logStream),
+      fetchColumnList(targetConfig, spec.table, logStream)
+    );
+    if (columns.length === 0) {
+      logWarning(`Skipping auth.${spec.table}: the table does not exist in both environments`, logStream);
+      return;
+    }
+    extraTables.push({ ...spec, columns, csv: path.join(tempDir, `source_${spec.table}.csv`) });
+  });
+
+  const sourceLabel = userFilter ? 'Source (selected)' : 'Source';
+
+  // Get source counts before export (only the users the filter selects, and their identities)
   const countUsersSql = 'SELECT COUNT(*) FROM auth.users;';
   const countIdentitiesSql = 'SELECT COUNT(*) FROM auth.identities;';
+  const selectedUsersCondition = userFilterSql(userFilter, 'u');
+  const selectedUserIdsSql = `SELECT u.id FROM auth.users u WHERE ${selectedUsersCondition}`;
   const sourceUsersCount = parseInt(
     attemptWithEndpoints(
       sourceConfig,
       'Counting auth.users in source',
-      (endpoint) => runPsql('Count source users', endpoint, sourceConfig.dbPassword, ['-t', '-A', '-c', countUsersSql], logStream).trim(),
+      (endpoint) => runPsql('Count source users', endpoint, sourceConfig.dbPassword, ['-t', '-A', '-c', `SELECT COUNT(*) FROM auth.users u WHERE ${selectedUsersCondition};`], logStream).trim(),
       logStream
     ) || '0',
     10
@@ -404,11 +549,26 @@ async function main() {
     attemptWithEndpoints(
       sourceConfig,
       'Counting auth.identities in source',
-      (endpoint) => runPsql('Count source identities', endpoint, sourceConfig.dbPassword, ['-t', '-A', '-c', countIdentitiesSql], logStream).trim(),
+      (endpoint) => runPsql('Count source identities', endpoint, sourceConfig.dbPassword, ['-t', '-A', '-c', `SELECT COUNT(*) FROM auth.identities WHERE user_id IN (${selectedUserIdsSql});`], logStream).trim(),
       logStream
     ) || '0',
     10
   );
+  if (userFilter) {
+    const sourceUsersTotal = parseInt(
+      attemptWithEndpoints(
+        sourceConfig,
+        'Counting all auth.users in source',
+        (endpoint) => runPsql('Count all source users', endpoint, sourceConfig.dbPassword, ['-t', '-A', '-c', countUsersSql], logStream).trim(),
+        logStream
+      ) || '0',
+      10
+    );
+    logInfo(`Filter selects ${sourceUsersCount} of ${sourceUsersTotal} source user(s)`, logStream);
+    if (sourceUsersCount === 0) {
+      exitWithError('No source users match the filter - nothing to migrate.');
+    }
+  }
 
   // Get target counts BEFORE migration
   const targetUsersBefore = parseInt(
@@ -430,13 +590,52 @@ async function main() {
     10
   );
 
-  logInfo(`Source: ${sourceUsersCount} users, ${sourceIdentitiesCount} identities`, logStream);
+  logInfo(`${sourceLabel}: ${sourceUsersCount} users, ${sourceIdentitiesCount} identities`, logStream);
   logInfo(`Target (before): ${targetUsersBefore} users, ${targetIdentitiesBefore} identities`, logStream);
 
+  extraTables.forEach((extra) => {
+    extra.rowsCondition = authTableRowsSql(extra, selectedUserIdsSql, 't');
+    extra.sourceCount = countRows(sourceConfig, `Count source auth.${extra.table}`, `SELECT COUNT(*) FROM auth.${extra.table} t WHERE ${extra.rowsCondition};`, logStream);
+    extra.targetBefore = countRows(targetConfig, `Count target auth.${extra.table} before`, `SELECT COUNT(*) FROM auth.${extra.table};`, logStream);
+    logInfo(`auth.${extra.table}: ${sourceLabel.toLowerCase()} ${extra.sourceCount}, target (before) ${extra.targetBefore}`, logStream);
+  });
+
   logInfo('Exporting auth.users from source ...', logStream);
-  exportToCsv(sourceConfig, `SELECT ${commonUserColumns.join(', ')} FROM auth.users ORDER BY created_at`, sourceUsersCsv, logStream);
+  exportToCsv(sourceConfig, `SELECT ${commonUserColumns.join(', ')} FROM auth.users u WHERE ${selectedUsersCondition} ORDER BY created_at`, sourceUsersCsv, logStream);
   logInfo('Exporting auth.identities from source ...', logStream);
-  exportToCsv(sourceConfig, `SELECT ${commonIdentityColumns.join(', ')} FROM auth.identities ORDER BY created_at`, sourceIdentitiesCsv, logStream);
+  exportToCsv(sourceConfig, `SELECT ${commonIdentityColumns.join(', ')} FROM auth.identities WHERE user_id IN (${selectedUserIdsSql}) ORDER BY created_at`, sourceIdentitiesCsv, logStream);
+  extraTables.forEach((extra) => {
+    const selectList = authTableSelectList(extra.table, extra.columns, rules);
+    logInfo(`Exporting auth.${extra.table} from source ...`, logStream);
+    exportToCsv(sourceConfig, `SELECT ${selectList} FROM auth.${extra.table} t WHERE ${extra.rowsCondition}`, extra.csv, logStream);
+  });
+
+  let anonymized = null;
+  if (rules) {
+    // The exports are rewritten in place, so no un-anonymized copy stays on disk; the only link
+    // back to the real addresses is the mapping file in the migration directory
+    logInfo('Anonymizing exported users and identities ...', logStream);
+    if (rules.resetPassword && !commonUserColumns.includes('encrypted_password')) {
+      logWarning('resetPassword is set but encrypted_password is not migrated; passwords are left as they are', logStream);
+    }
+    try {
+      const passwordHash = rules.resetPassword && commonUserColumns.includes('encrypted_password')
+        ? hashPasswordInDatabase(targetConfig, rules.resetPassword, tempDir, logStream)
+        : null;
+      anonymized = anonymizeCsvExports({
+        usersCsv: sourceUsersCsv,
+        identitiesCsv: sourceIdentitiesCsv,
+        migrationDir,
+        rules,
+        passwordHash
+      });
+    } catch (error) {
+      fs.rmSync(tempDir, { recursive: true, force: true });
+      exitWithError(`Anonymization failed (exports removed, nothing was imported): ${error.message}`);
+    }
+    logSuccess(`Anonymized ${anonymized.users} user(s) and ${anonymized.identities} identity(ies)`, logStream);
+    logInfo(`Mapping to the original values: ${anonymized.mappingFile} (keep it out of shared locations)`, logStream);
+  }
 
   const usersConflictClause = buildConflictClause(commonUserColumns);
   const identitiesConflictClause = buildConflictClause(commonIdentityColumns);
@@ -454,7 +653,8 @@ async function main() {
     conflictUsers: usersConflictClause,
     conflictIdentities: identitiesConflictClause,
     replace,
-    instanceId: targetInstanceId
+    instanceId: targetInstanceId,
+    extraTables: extraTables.map(({ table, columns, csv }) => ({ table, columns, csv, conflict: buildConflictClause(columns) }))
   });
 
   const importSqlFile = path.join(tempDir, 'import.sql');
@@ -491,6 +691,15 @@ async function main() {
     10
   );
 
+  extraTables.forEach((extra) => {
+    extra.targetAfter = countRows(targetConfig, `Count target auth.${extra.table} after`, `SELECT COUNT(*) FROM auth.${extra.table};`, logStream);
+  });
+  const extraTableLines = extraTables.map(({ table, sourceCount, targetBefore, targetAfter }) => (
+    replace
+      ? `auth.${table}: ${targetAfter} row(s) migrated (source ${sourceCount}, target before ${targetBefore})`
+      : `auth.${table}: ${targetAfter - targetBefore} row(s) added (source ${sourceCount}, target ${targetBefore} -> ${targetAfter})`
+  ));
+
   // Calculate migration statistics
   const usersMigrated = replace ? targetUsersAfter : Math.max(0, targetUsersAfter - targetUsersBefore);
   const identitiesMigrated = replace ? targetIdentitiesAfter : Math.max(0, targetIdentitiesAfter - targetIdentitiesBefore);
@@ -504,7 +713,7 @@ async function main() {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('  Auth Users Migration Results');
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
-  console.log(`  Source: ${sourceUsersCount} users, ${sourceIdentitiesCount} identities`);
+  console.log(`  ${sourceLabel}: ${sourceUsersCount} users, ${sourceIdentitiesCount} identities`);
   console.log(`  Target (before): ${targetUsersBefore} users, ${targetIdentitiesBefore} identities`);
   console.log(`  Target (after): ${targetUsersAfter} users, ${targetIdentitiesAfter} identities`);
   console.log('');
@@ -518,6 +727,7 @@ async function main() {
       console.log(`  ℹ️  ${sourceUsersCount - usersAdded} users already existed in target (preserved)`);
     }
   }
+  extraTableLines.forEach((line) => console.log(`  ✅ ${line}`));
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log('');
 
@@ -525,7 +735,7 @@ async function main() {
   logInfo('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', logStream);
   logInfo('  Auth Users Migration Results', logStream);
   logInfo('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', logStream);
-  logInfo(`  Source: ${sourceUsersCount} users, ${sourceIdentitiesCount} identities`, logStream);
+  logInfo(`  ${sourceLabel}: ${sourceUsersCount} users, ${sourceIdentitiesCount} identities`, logStream);
   logInfo(`  Target (before): ${targetUsersBefore} users, ${targetIdentitiesBefore} identities`, logStream);
   logInfo(`  Target (after): ${targetUsersAfter} users, ${targetIdentitiesAfter} identities`, logStream);
   logInfo('', logStream);
@@ -539,6 +749,7 @@ async function main() {
       logInfo(`  ℹ️  ${sourceUsersCount - usersAdded} users already existed in target (preserved)`, logStream);
     }
   }
+  extraTableLines.forEach((line) => logInfo(`  ✅ ${line}`, logStream));
   logInfo('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━', logStream);
 
   const summaryFile = path.join(migrationDir, 'auth_users_migration_summary.txt');
@@ -549,10 +760,13 @@ async function main() {
     `**Target**: ${targetEnv} (${targetConfig.projectRef})`,
     `**Date**: ${new Date().toString()}`,
     `**Mode**: ${replace ? 'Replace' : 'Incremental (upsert)'}`,
+    `**Users**: ${describeUserFilter(userFilter)}`,
+    `**Anonymization**: ${rules ? describeRules(rules) : 'off'}`,
+    `**Additional auth tables**: ${extraTables.length > 0 ? extraTables.map(({ table }) => table).join(', ') : 'none'}`,
     '',
     '## Migration Statistics',
     '',
-    `### Source Environment`,
+    `### Source Environment${userFilter ? ' (selected users)' : ''}`,
     `- Users: ${sourceUsersCount}`,
     `- Identities: ${sourceIdentitiesCount}`,
     '',
@@ -578,12 +792,14 @@ async function main() {
             : ''
         ].filter(Boolean).join('\n'),
     '',
+    ...(extraTables.length > 0 ? ['### Additional Auth Tables', ...extraTableLines.map((line) => `- ${line}`), ''] : []),
     '## Notes',
     '',
     '- Data exported and imported via PostgreSQL client (psql).',
     '- Column intersection ensured between source and target schemas.',
     '- Instance identifiers updated when present in both environments.',
-    '- Supabase Admin API probed (service role) after import.'
+    '- Supabase Admin API probed (service role) after import.',
+    ...(anonymized ? [`- Emails, phones and metadata anonymized before import; original values only in ${path.basename(anonymized.mappingFile)}.`] : [])
   ].join('\n');
   fs.writeFileSync(summaryFile, summary, 'utf8');
 
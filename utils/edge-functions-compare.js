@@ -3,7 +3,7 @@
 /**
  * Edge Function Comparison Utility
  *
- * Usage: node utils/edge-functions-compare.js <source_env> <target_env> [output_dir]
+ * Usage: node utils/edge-functions-compare.js <source_env> <target_env> [output_dir] [--env-file <path>]
  */
 
 const fs = require('fs');
@@ -12,6 +12,7 @@ const os = require('os');
 const { spawnSync } = require('child_process');
 const { createManagementClient } = require('./lib/edgeFunctionsClient');
 const { ensureSupabaseCli, ensureDockerRunning, downloadEdgeFunctionWithCli } = require('./lib/edgeFunctionsCli');
+const { loadConfig, getEnvironmentConfig } = require('./lib/config');
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 
 const COLORS = {
@@ -27,34 +28,19 @@ const logSuccess = (msg) => console.error(`${COLORS.green}[SUCCESS]${COLORS.rese
 const logWarning = (msg) => console.error(`${COLORS.yellow}[WARNING]${COLORS.reset} ${msg}`);
 const logError = (msg) => console.error(`${COLORS.red}[ERROR]${COLORS.reset} ${msg}`);
 
-const loadEnvFile = () => {
-    for (const file of ['.env.local', '.env']) {
-        if (!fs.existsSync(file)) continue;
-        const raw = fs.readFileSync(file, 'utf8');
-        raw.split('\n').forEach((line) => {
-            if (!line || line.trim().startsWith('#')) return;
-            const idx = line.indexOf('=');
-            if (idx === -1) return;
-            const key = line.slice(0, idx).trim();
-            let value = line.slice(idx + 1).trim();
-            if ((value.startsWith('"') && value.endsWith('"')) || (value.startsWith('\'') && value.endsWith('\''))) {
-                value = value.slice(1, -1);
-            }
-            process.env[key] = value;
-        });
-        logInfo(`Loaded environment variables from ${file}`);
-        break;
-    }
-};
-
-loadEnvFile();
+try {
+    loadConfig().forEach(file => logInfo(`Loaded environment variables from ${file}`));
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
+}
 
 const SOURCE_ENV = process.argv[2];
 const TARGET_ENV = process.argv[3];
 const OUTPUT_DIR = path.resolve(process.argv[4] || path.join(process.cwd(), 'migration_plans'));
 
 if (!SOURCE_ENV || !TARGET_ENV) {
-    logError('Usage: node utils/edge-functions-compare.js <source_env> <target_env> [output_dir]');
+    logError('Usage: node utils/edge-functions-compare.js <source_env> <target_env> [output_dir] [--env-file <path>]');
     process.exit(1);
 }
 
@@ -63,93 +49,32 @@ if (SOURCE_ENV === TARGET_ENV) {
     process.exit(1);
 }
 
-// Get access token for an environment
-const getAccessTokenForEnv = (env) => {
-    const envKey = envToRef(env) ? env.toLowerCase() : '';
-    if (!envKey) return '';
-    switch (envKey) {
-        case 'prod':
-        case 'production':
-        case 'main':
-            return process.env.SUPABASE_PROD_ACCESS_TOKEN || '';
-        case 'test':
-        case 'staging':
-            return process.env.SUPABASE_TEST_ACCESS_TOKEN || '';
-        case 'dev':
-        case 'develop':
-            return process.env.SUPABASE_DEV_ACCESS_TOKEN || '';
-        case 'backup':
-        case 'bkup':
-        case 'bkp':
-            return process.env.SUPABASE_BACKUP_ACCESS_TOKEN || '';
-        default:
-            return '';
-    }
-};
+let sourceConfig;
+let targetConfig;
+try {
+    sourceConfig = getEnvironmentConfig(SOURCE_ENV, { required: ['projectRef'] });
+    targetConfig = getEnvironmentConfig(TARGET_ENV, { required: ['projectRef'] });
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
+}
 
-const SOURCE_ACCESS_TOKEN = getAccessTokenForEnv(SOURCE_ENV);
-const TARGET_ACCESS_TOKEN = getAccessTokenForEnv(TARGET_ENV);
+const SOURCE_ACCESS_TOKEN = sourceConfig.accessToken;
+const TARGET_ACCESS_TOKEN = targetConfig.accessToken;
 
 if (!SOURCE_ACCESS_TOKEN && !TARGET_ACCESS_TOKEN) {
     logError(`Access tokens not set for source (${SOURCE_ENV}) or target (${TARGET_ENV}) environments`);
-    logError(`Please set SUPABASE_${SOURCE_ENV.toUpperCase()}_ACCESS_TOKEN and/or SUPABASE_${TARGET_ENV.toUpperCase()}_ACCESS_TOKEN in .env.local`);
+    logError(`Please set SUPABASE_${sourceConfig.key}_ACCESS_TOKEN and/or SUPABASE_${targetConfig.key}_ACCESS_TOKEN in .env.local`);
     process.exit(1);
 }
 
 // Use source token as default, fallback to target if source not available
 const ACCESS_TOKEN = SOURCE_ACCESS_TOKEN || TARGET_ACCESS_TOKEN;
 
-const envToRef = (env) => {
-    switch (env.toLowerCase()) {
-        case 'prod':
-        case 'production':
-        case 'main':
-            return process.env.SUPABASE_PROD_PROJECT_REF || '';
-        case 'test':
-        case 'staging':
-            return process.env.SUPABASE_TEST_PROJECT_REF || '';
-        case 'dev':
-        case 'develop':
-            return process.env.SUPABASE_DEV_PROJECT_REF || '';
-        case 'backup':
-        case 'bkup':
-        case 'bkp':
-            return process.env.SUPABASE_BACKUP_PROJECT_REF || '';
-        default:
-            return '';
-    }
-};
-
-const envToPassword = (env) => {
-    switch (env.toLowerCase()) {
-        case 'prod':
-        case 'production':
-        case 'main':
-            return process.env.SUPABASE_PROD_DB_PASSWORD || '';
-        case 'test':
-        case 'staging':
-            return process.env.SUPABASE_TEST_DB_PASSWORD || '';
-        case 'dev':
-        case 'develop':
-            return process.env.SUPABASE_DEV_DB_PASSWORD || '';
-        case 'backup':
-        case 'bkup':
-        case 'bkp':
-            return process.env.SUPABASE_BACKUP_DB_PASSWORD || '';
-        default:
-            return '';
-    }
-};
-
-const SOURCE_REF = envToRef(SOURCE_ENV);
-const TARGET_REF = envToRef(TARGET_ENV);
-const SOURCE_PASSWORD = envToPassword(SOURCE_ENV);
-const TARGET_PASSWORD = envToPassword(TARGET_ENV);
-
-if (!SOURCE_REF || !TARGET_REF) {
-    logError('Unable to resolve project references from environment variables');
-    process.exit(1);
-}
+const SOURCE_REF = sourceConfig.projectRef;
+const TARGET_REF = targetConfig.projectRef;
+const SOURCE_PASSWORD = sourceConfig.dbPassword;
+const TARGET_PASSWORD = targetConfig.dbPassword;
 
 const commandExists = (cmd) => spawnSync('which', [cmd], { stdio: 'ignore' }).status === 0;
 
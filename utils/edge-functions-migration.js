@@ -13,6 +13,7 @@
  *   --incremental                   Incremental mode (skip identical functions)
  *   --replace                       Replace mode (delete all target functions first)
  *   --retryMissing                  Only deploy functions missing in target
+ *   --env-file <path>               Read credentials from this file before .env.local
  */
 
 const https = require('https');
@@ -20,6 +21,8 @@ const fs = require('fs');
 const os = require('os');
 const path = require('path');
 const { execSync, spawn } = require('child_process');
+const { listEnvironments, findEnvironmentByRef } = require('./lib/environments');
+const { loadConfig, getProjectConfig } = require('./lib/config');
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 
 // ANSI color codes for console output
@@ -315,43 +318,14 @@ async function downloadSharedFilesExplicitly(projectRef, downloadDir, dbPassword
     }
 }
 
-// Load environment variables from .env.local or .env file
-function loadEnvFile() {
-    const envFiles = ['.env.local', '.env'];
-    let loaded = false;
-    for (const envFile of envFiles) {
-        if (fs.existsSync(envFile)) {
-            const content = fs.readFileSync(envFile, 'utf8');
-            const lines = content.split('\n');
-            let loadedCount = 0;
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (trimmed && !trimmed.startsWith('#')) {
-                    const equalIndex = trimmed.indexOf('=');
-                    if (equalIndex > 0) {
-                        const cleanKey = trimmed.substring(0, equalIndex).trim();
-                        let value = trimmed.substring(equalIndex + 1).trim();
-                        
-                        if ((value.startsWith('"') && value.endsWith('"')) || 
-                            (value.startsWith("'") && value.endsWith("'"))) {
-                            value = value.slice(1, -1);
-                        }
-                        
-                        process.env[cleanKey] = value;
-                        loadedCount++;
-                    }
-                }
-            }
-            logInfo(`Loaded ${loadedCount} environment variables from ${envFile}`);
-            loaded = true;
-        }
-    }
-    return loaded;
+// Load environment variables (.env.local / .env, or the file given with --env-file)
+try {
+    loadConfig().forEach(file => logInfo(`Loaded environment variables from ${file}`));
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
 }
 
-// Load environment variables
-loadEnvFile();
-
 // Configuration from arguments
 const SOURCE_REF = process.argv[2];
 const TARGET_REF = process.argv[3];
@@ -453,21 +427,8 @@ function hasSharedFileImports(functionCode) {
 
 // Get Supabase URLs, access token, and database password from environment
 function getSupabaseConfig(projectRef) {
-    let envName = '';
-    const prodRef = process.env.SUPABASE_PROD_PROJECT_REF || '';
-    const testRef = process.env.SUPABASE_TEST_PROJECT_REF || '';
-    const devRef = process.env.SUPABASE_DEV_PROJECT_REF || '';
-    const backupRef = process.env.SUPABASE_BACKUP_PROJECT_REF || '';
-    
-    if (prodRef === projectRef) {
-        envName = 'PROD';
-    } else if (testRef === projectRef) {
-        envName = 'TEST';
-    } else if (devRef === projectRef) {
-        envName = 'DEV';
-    } else if (backupRef === projectRef) {
-        envName = 'BACKUP';
-    }
+    const config = getProjectConfig(projectRef);
+    const envName = config.key || '';
     
     if (envName) {
         logSuccess(`✓ Detected environment: ${envName} for project ref: ${projectRef}`);
@@ -476,40 +437,22 @@ function getSupabaseConfig(projectRef) {
     }
     
     // Get environment-specific access token (required for Management API)
-    let accessToken = '';
-    if (envName) {
-        const accessTokenKey = `SUPABASE_${envName}_ACCESS_TOKEN`;
-        accessToken = process.env[accessTokenKey] || '';
-        if (accessToken) {
-            logInfo(`  Access Token: Found (${accessTokenKey}, length: ${accessToken.length})`);
-        } else {
-            logError(`✗ ${accessTokenKey} not found`);
-        }
+    const accessToken = config.accessToken;
+    if (!envName) {
+        logError(`✗ Could not determine access token for project ref: ${projectRef}`);
+    } else if (accessToken) {
+        logInfo(`  Access Token: Found (${config.sources.accessToken}, length: ${accessToken.length})`);
     } else {
-        // Fallback: try to determine from project_ref matching
-        if (projectRef === process.env.SUPABASE_PROD_PROJECT_REF) {
-            accessToken = process.env.SUPABASE_PROD_ACCESS_TOKEN || '';
-        } else if (projectRef === process.env.SUPABASE_TEST_PROJECT_REF) {
-            accessToken = process.env.SUPABASE_TEST_ACCESS_TOKEN || '';
-        } else if (projectRef === process.env.SUPABASE_DEV_PROJECT_REF) {
-            accessToken = process.env.SUPABASE_DEV_ACCESS_TOKEN || '';
-        } else if (projectRef === process.env.SUPABASE_BACKUP_PROJECT_REF) {
-            accessToken = process.env.SUPABASE_BACKUP_ACCESS_TOKEN || '';
-        }
-        if (!accessToken) {
-            logError(`✗ Could not determine access token for project ref: ${projectRef}`);
-        }
+        logError(`✗ SUPABASE_${envName}_ACCESS_TOKEN not found`);
     }
     
     // Get database password (required for supabase link command)
-    let dbPassword = '';
+    const dbPassword = config.dbPassword;
     if (envName) {
-        const dbPasswordKey = `SUPABASE_${envName}_DB_PASSWORD`;
-        dbPassword = process.env[dbPasswordKey] || '';
         if (dbPassword) {
             logInfo(`  Database Password: Found (for linking)`);
         } else {
-            logWarning(`  Database Password: Not found (${dbPasswordKey}) - linking may fail`);
+            logWarning(`  Database Password: Not found (SUPABASE_${envName}_DB_PASSWORD) - linking may fail`);
         }
     }
     
@@ -519,12 +462,12 @@ function getSupabaseConfig(projectRef) {
 // Validate arguments
 if (!SOURCE_REF || !TARGET_REF || !MIGRATION_DIR) {
     logError('Missing required arguments');
-    console.error(`Usage: node utils/edge-functions-migration.js <source_ref> <target_ref> <migration_dir>`);
+    console.error(`Usage: node utils/edge-functions-migration.js <source_ref> <target_ref> <migration_dir> [options] [--env-file <path>]`);
     console.error('');
-    console.error('Environment variables required in .env.local:');
-    console.error('  - SUPABASE_PROD_ACCESS_TOKEN, SUPABASE_TEST_ACCESS_TOKEN, SUPABASE_DEV_ACCESS_TOKEN, SUPABASE_BACKUP_ACCESS_TOKEN (required for Management API)');
-    console.error('  - SUPABASE_PROD_PROJECT_REF, SUPABASE_TEST_PROJECT_REF, SUPABASE_DEV_PROJECT_REF, SUPABASE_BACKUP_PROJECT_REF');
-    console.error('  - SUPABASE_PROD_DB_PASSWORD, SUPABASE_TEST_DB_PASSWORD, SUPABASE_DEV_DB_PASSWORD, SUPABASE_BACKUP_DB_PASSWORD (required for linking)');
+    console.error(`Environment variables required in .env.local (or --env-file <path>), where <ENV> is one of ${listEnvironments().map(entry => entry.key).join(', ')}:`);
+    console.error('  - SUPABASE_<ENV>_ACCESS_TOKEN (required for Management API)');
+    console.error('  - SUPABASE_<ENV>_PROJECT_REF');
+    console.error('  - SUPABASE_<ENV>_DB_PASSWORD (required for linking)');
     process.exit(1);
 }
 
@@ -1869,15 +1812,9 @@ async function deployEdgeFunction(functionName, functionDir, targetRef, dbPasswo
 
 // Helper function to get environment name from project ref (for retry script command)
 function getEnvNameFromRef(projectRef) {
-    // Try to match project ref to known environments
-    const envVars = ['SUPABASE_PROD_PROJECT_REF', 'SUPABASE_TEST_PROJECT_REF', 'SUPABASE_DEV_PROJECT_REF', 'SUPABASE_BACKUP_PROJECT_REF'];
-    for (const envVar of envVars) {
-        if (process.env[envVar] === projectRef) {
-            if (envVar.includes('PROD')) return 'prod';
-            if (envVar.includes('TEST')) return 'test';
-            if (envVar.includes('DEV')) return 'dev';
-            if (envVar.includes('BACKUP')) return 'backup';
-        }
+    const environment = findEnvironmentByRef(projectRef);
+    if (environment) {
+        return environment.name;
     }
     // Fallback: return the ref itself (user can correct it)
     return projectRef;
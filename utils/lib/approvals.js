@@ -0,0 +1,211 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_APPROVAL_TTL_MS = 4 * 60 * 60 * 1000;
+
+const generateApprovalId = () => `approval-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+const approvalError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Two-person rule for production jobs: a request stores the job spec and waits until a
+// different user approves it (the job then starts) or rejects it. Pending requests expire
+// after ttlMs so a stale plan is never approved. Decided requests are kept for the record.
+//
+// Errors thrown by approve/reject carry a code: APPROVAL_NOT_FOUND, APPROVAL_NOT_PENDING,
+// SELF_APPROVAL, PLAN_NOT_READY or PLAN_FAILED.
+//
+// getJob(processId) returns the job store record of a plan job, so a plan whose job ended
+// without reporting back (e.g. the server restarted while it ran) does not stay "running".
+const createApprovalStore = ({ storePath, ttlMs = DEFAULT_APPROVAL_TTL_MS, getJob = null }) => {
+    const approvals = new Map();
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(storePath), { recursive: true });
+        fs.writeFileSync(storePath, JSON.stringify(Array.from(approvals.values()), null, 2));
+    };
+
+    const load = () => {
+        if (!fs.existsSync(storePath)) {
+            return;
+        }
+        try {
+            JSON.parse(fs.readFileSync(storePath, 'utf8')).forEach((approval) => {
+                approvals.set(approval.id, approval);
+            });
+        } catch (error) {
+            console.warn(`Ignoring unreadable approval store ${storePath}: ${error.message}`);
+        }
+    };
+
+    // Take over the status of plan jobs that are no longer running; a job missing from the
+    // store was lost with a previous server process
+    const syncPlans = () => {
+        if (!getJob) {
+            return;
+        }
+        let changed = false;
+        approvals.forEach((approval) => {
+            const { plan } = approval;
+            if (approval.status !== 'pending' || !plan || plan.status !== 'running' || !plan.processId) {
+                return;
+            }
+            const job = getJob(plan.processId);
+            if (job && job.status === 'running') {
+                return;
+            }
+            approval.plan = {
+                ...plan,
+                status: job ? job.status : 'interrupted',
+                error: (job && job.error) || plan.error || 'The migration plan job did not report a result'
+            };
+            changed = true;
+        });
+        if (changed) {
+            save();
+        }
+    };
+
+    const expireStale = () => {
+        const now = new Date();
+        let changed = false;
+        approvals.forEach((approval) => {
+            if (approval.status === 'pending' && Date.parse(approval.expiresAt) <= now.getTime()) {
+                approval.status = 'expired';
+                approval.decidedAt = now.toISOString();
+                changed = true;
+            }
+        });
+        if (changed) {
+            save();
+        }
+    };
+
+    // spec is the jobRunner spec to run once approved (plain data only)
+    const create = ({ spec, requestedBy, reason = null, auditId = null }) => {
+        const now = Date.now();
+        const approval = {
+            id: generateApprovalId(),
+            type: spec.type,
+            endpoint: spec.endpoint,
+            sourceEnv: spec.sourceEnv,
+            targetEnv: spec.targetEnv,
+            options: spec.options || {},
+            spec,
+            reason,
+            auditId,
+            requestedBy,
+            requestedAt: new Date(now).toISOString(),
+            expiresAt: new Date(now + ttlMs).toISOString(),
+            status: 'pending',
+            plan: null,
+            decidedBy: null,
+            decidedAt: null,
+            rejectionReason: null,
+            processId: null
+        };
+        approvals.set(approval.id, approval);
+        save();
+        return approval;
+    };
+
+    // Migration plan generated for the request ({ processId, status, reportUrl, diffJsonUrl })
+    const attachPlan = (id, plan) => {
+        const approval = approvals.get(id);
+        if (approval) {
+            approval.plan = { ...approval.plan, ...plan };
+            save();
+        }
+    };
+
+    const requirePending = (id) => {
+        expireStale();
+        const approval = approvals.get(id);
+        if (!approval) {
+            throw approvalError('APPROVAL_NOT_FOUND', `Approval request ${id} not found`);
+        }
+        if (approval.status !== 'pending') {
+            throw approvalError('APPROVAL_NOT_PENDING', `Approval request ${id} is ${approval.status}`);
+        }
+        return approval;
+    };
+
+    // Check that username may approve the request now; returns it without changing it. A request
+    // with a migration plan (every one except restores) needs a completed plan to review.
+    const checkApprovable = (id, username) => {
+        syncPlans();
+        const approval = requirePending(id);
+        if (approval.requestedBy === username) {
+            throw approvalError('SELF_APPROVAL', 'A request must be approved by a different user than the one who made it');
+        }
+        if (approval.plan && approval.plan.status === 'running') {
+            throw approvalError('PLAN_NOT_READY', 'The migration plan for this request is still being generated');
+        }
+        if (approval.plan && approval.plan.status !== 'completed') {
+            throw approvalError('PLAN_FAILED', `The migration plan for this request is ${approval.plan.status}; reject it and request the change again`);
+        }
+        return approval;
+    };
+
+    // Record the approval once the job has been started
+    const approve = (id, { username, processId }) => {
+        const approval = checkApprovable(id, username);
+        Object.assign(approval, {
+            status: 'approved',
+            decidedBy: username,
+            decidedAt: new Date().toISOString(),
+            processId
+        });
+        save();
+        return approval;
+    };
+
+    // Any authorized user may reject; the requester rejecting withdraws the request
+    const reject = (id, { username, reason = null }) => {
+        const approval = requirePending(id);
+        Object.assign(approval, {
+            status: approval.requestedBy === username ? 'withdrawn' : 'rejected',
+            decidedBy: username,
+            decidedAt: new Date().toISOString(),
+            rejectionReason: reason
+        });
+        save();
+        return approval;
+    };
+
+    const get = (id) => {
+        expireStale();
+        return approvals.get(id) || null;
+    };
+
+    const list = ({ status } = {}) => {
+        expireStale();
+        let entries = Array.from(approvals.values());
+        if (status) {
+            entries = entries.filter(approval => approval.status === status);
+        }
+        return entries.sort((a, b) => String(b.requestedAt).localeCompare(String(a.requestedAt)));
+    };
+
+    load();
+    syncPlans();
+
+    return {
+        create,
+        attachPlan,
+        checkApprovable,
+        approve,
+        reject,
+        get,
+        list
+    };
+};
+
+module.exports = {
+    createApprovalStore
+};
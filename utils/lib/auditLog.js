@@ -0,0 +1,125 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { readJsonLines } = require('./jobStore');
+
+const DEFAULT_QUERY_LIMIT = 200;
+
+// Request fields that must never reach the audit log
+const SECRET_KEY_PATTERN = /password|token|secret|accesskey/i;
+
+const redact = (value) => {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, entry]) => (
+            [key, SECRET_KEY_PATTERN.test(key) ? '[redacted]' : redact(entry)]
+        )));
+    }
+    return value;
+};
+
+// Append-only audit trail: audit.jsonl only ever gets new lines. An action line is written when
+// the request arrives, and later lines add its HTTP status, the job it started and that job's result.
+const createAuditLog = (filePath) => {
+    // processId -> auditId for jobs whose result still has to be recorded
+    const pendingJobs = new Map();
+
+    // Only the server reads the log (through /api/audit); it is never served as a file
+    fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+    if (fs.existsSync(filePath)) {
+        fs.chmodSync(filePath, 0o600);
+    }
+
+    const append = (record) => {
+        fs.appendFileSync(filePath, `${JSON.stringify(record)}\n`, { mode: 0o600 });
+    };
+
+    // Record an action ({ user, role, action, method, route, sourceEnv, targetEnv, env, options, ... })
+    // and return its audit id
+    const record = ({ options, ...entry }) => {
+        const id = `audit-${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+        append({
+            event: 'action',
+            id,
+            timestamp: new Date().toISOString(),
+            ...entry,
+            options: redact(options || {})
+        });
+        return id;
+    };
+
+    const recordResponse = (auditId, httpStatus) => {
+        append({ event: 'response', auditId, httpStatus, timestamp: new Date().toISOString() });
+    };
+
+    // details (e.g. { approvedBy }) are merged into the action's entry
+    const linkJob = (auditId, processId, details = {}) => {
+        pendingJobs.set(processId, auditId);
+        append({ event: 'job', auditId, processId, ...details, timestamp: new Date().toISOString() });
+    };
+
+    // Only jobs started by an audited action are recorded
+    const recordJobResult = (processId, { status, exitCode = null, backupDir = null }) => {
+        const auditId = pendingJobs.get(processId);
+        if (!auditId) {
+            return;
+        }
+        pendingJobs.delete(processId);
+        append({ event: 'result', auditId, processId, status, exitCode, backupDir, timestamp: new Date().toISOString() });
+    };
+
+    // Fold the log into one entry per action, newest first.
+    // env matches source, target or single-env actions; user and action match exactly.
+    const query = ({ env, user, action, limit = DEFAULT_QUERY_LIMIT } = {}) => {
+        const entries = new Map();
+        readJsonLines(filePath).forEach((line) => {
+            if (line.event === 'action') {
+                const { event, ...entry } = line;
+                entries.set(line.id, { httpStatus: null, processId: null, status: null, exitCode: null, backupDir: null, ...entry });
+                return;
+            }
+            const entry = entries.get(line.auditId);
+            if (!entry) {
+                return;
+            }
+            if (line.event === 'response') {
+                entry.httpStatus = line.httpStatus;
+            } else if (line.event === 'job') {
+                const { event, auditId, timestamp, ...details } = line;
+                Object.assign(entry, details);
+            } else if (line.event === 'result') {
+                Object.assign(entry, {
+                    status: line.status,
+                    exitCode: line.exitCode,
+                    backupDir: line.backupDir,
+                    finishedAt: line.timestamp
+                });
+            }
+        });
+
+        const wantedEnv = env ? String(env).toLowerCase() : null;
+        return Array.from(entries.values())
+            .filter(entry => !wantedEnv || [entry.sourceEnv, entry.targetEnv, entry.env]
+                .some(value => value && String(value).toLowerCase() === wantedEnv))
+            .filter(entry => !user || entry.user === user)
+            .filter(entry => !action || entry.action === action)
+            .reverse()
+            .slice(0, limit);
+    };
+
+    return {
+        record,
+        recordResponse,
+        linkJob,
+        recordJobResult,
+        query
+    };
+};
+
+module.exports = {
+    createAuditLog
+};
@@ -0,0 +1,262 @@
+#!/usr/bin/env node
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const MAPPING_FILE = 'anonymization_map.csv';
+
+const EMAIL_MODES = ['fake', 'hash', 'keep'];
+const PHONE_MODES = ['null', 'keep'];
+
+// Used by --anonymize without a rules file. A rules file only has to list what it changes.
+const DEFAULT_RULES = {
+    email: 'fake',
+    phone: 'null',
+    scrubMetadataKeys: ['name', 'full_name', 'first_name', 'last_name', 'user_name', 'preferred_username', 'nickname', 'avatar_url', 'picture', 'phone', 'address', 'birthdate'],
+    resetPassword: null,
+    hashSalt: ''
+};
+
+const anonymizeError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Rules from a JSON file merged over DEFAULT_RULES (defaults only without a file).
+// Throws ANONYMIZE_RULES_INVALID for unreadable files and unknown or malformed rules.
+const loadRules = (rulesFile = null) => {
+    if (!rulesFile) {
+        return { ...DEFAULT_RULES };
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(rulesFile, 'utf8'));
+    } catch (error) {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', `Cannot read anonymization rules ${rulesFile}: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', `Anonymization rules in ${rulesFile} must be a JSON object`);
+    }
+    const unknown = Object.keys(parsed).filter(key => !(key in DEFAULT_RULES));
+    if (unknown.length > 0) {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', `Unknown anonymization rule(s) in ${rulesFile}: ${unknown.join(', ')}`);
+    }
+    const rules = { ...DEFAULT_RULES, ...parsed };
+    if (!EMAIL_MODES.includes(rules.email)) {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', `"email" must be one of ${EMAIL_MODES.join(', ')}`);
+    }
+    if (!PHONE_MODES.includes(rules.phone)) {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', `"phone" must be one of ${PHONE_MODES.join(', ')}`);
+    }
+    if (!Array.isArray(rules.scrubMetadataKeys) || rules.scrubMetadataKeys.some(key => typeof key !== 'string')) {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', '"scrubMetadataKeys" must be an array of key names');
+    }
+    if (rules.resetPassword !== null && (typeof rules.resetPassword !== 'string' || rules.resetPassword.length === 0)) {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', '"resetPassword" must be a non-empty string or null');
+    }
+    if (typeof rules.hashSalt !== 'string') {
+        throw anonymizeError('ANONYMIZE_RULES_INVALID', '"hashSalt" must be a string');
+    }
+    return rules;
+};
+
+// Parse a psql CSV export (WITH CSV HEADER) into { columns, rows }, rows being objects keyed by
+// column. Unquoted empty fields are NULL and become null; quoted empty fields stay ''.
+const parseCsv = (text) => {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+    let inQuotes = false;
+    let fieldStarted = false;
+
+    const endField = () => {
+        record.push(quoted || field.length > 0 ? field : null);
+        field = '';
+        quoted = false;
+        fieldStarted = false;
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && !fieldStarted) {
+            inQuotes = true;
+            quoted = true;
+            fieldStarted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endField();
+            records.push(record);
+            record = [];
+        } else {
+            field += char;
+            fieldStarted = true;
+        }
+    }
+    if (fieldStarted || record.length > 0) {
+        endField();
+        records.push(record);
+    }
+
+    const [columns = [], ...rest] = records;
+    const rows = rest.map(values => Object.fromEntries(columns.map((column, index) => [column, values[index] ?? null])));
+    return { columns, rows };
+};
+
+// Inverse of parseCsv: null is written as an unquoted empty field, every other value quoted
+const formatCsv = (columns, rows) => {
+    const quote = (value) => (value === null || value === undefined ? '' : `"${String(value).replace(/"/g, '""')}"`);
+    const lines = [columns.map(column => quote(column)).join(',')];
+    rows.forEach((row) => {
+        lines.push(columns.map(column => quote(row[column])).join(','));
+    });
+    return lines.join('\n') + '\n';
+};
+
+const sha256 = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const emailDomain = (email) => {
+    const at = email.lastIndexOf('@');
+    return at === -1 ? 'example.invalid' : email.slice(at + 1);
+};
+
+// Replacement address with the original domain: 'fake' derives the local part from the user id
+// (nothing of the address survives), 'hash' from a salted hash of the address (the same address
+// maps to the same result on every run and for every user that shares it)
+const anonymizeEmail = (email, userId, rules) => {
+    if (!email || rules.email === 'keep') {
+        return email;
+    }
+    const local = rules.email === 'hash'
+        ? sha256(`${rules.hashSalt}:${email.toLowerCase()}`).slice(0, 16)
+        : `user_${sha256(String(userId)).slice(0, 12)}`;
+    return `${local}@${emailDomain(email)}`;
+};
+
+// Copy of a JSON column value with scrubMetadataKeys removed and email / phone keys replaced.
+// Values that are not JSON objects are returned unchanged.
+const scrubJson = (value, { email, rules }) => {
+    if (value === null || value === '') {
+        return value;
+    }
+    let data;
+    try {
+        data = JSON.parse(value);
+    } catch (error) {
+        return value;
+    }
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return value;
+    }
+    rules.scrubMetadataKeys.forEach((key) => {
+        delete data[key];
+    });
+    if (typeof data.email === 'string') {
+        data.email = email;
+    }
+    if (typeof data.phone === 'string' && rules.phone === 'null') {
+        delete data.phone;
+    }
+    return JSON.stringify(data);
+};
+
+// Anonymized copies of exported auth.users and auth.identities rows. passwordHash (a
+// bcrypt hash, when rules.resetPassword is set) replaces every non-empty encrypted_password.
+// Returns { users, identities, mapping: [{ user_id, original_email, anonymized_email, original_phone }] }.
+const anonymizeAuthRows = (users, identities, rules, { passwordHash = null } = {}) => {
+    const emailByUser = new Map();
+    const mapping = [];
+
+    const anonymizedUsers = users.map((row) => {
+        const next = { ...row };
+        const email = anonymizeEmail(row.email, row.id, rules);
+        emailByUser.set(row.id, email);
+        if ('email' in next) next.email = email;
+        if ('email_change' in next && next.email_change) next.email_change = '';
+        if (rules.phone === 'null') {
+            if ('phone' in next) next.phone = null;
+            if ('phone_change' in next && next.phone_change) next.phone_change = '';
+        }
+        if (passwordHash && 'encrypted_password' in next && next.encrypted_password) {
+            next.encrypted_password = passwordHash;
+        }
+        if ('raw_user_meta_data' in next) next.raw_user_meta_data = scrubJson(next.raw_user_meta_data, { email, rules });
+        mapping.push({ user_id: row.id, original_email: row.email ?? null, anonymized_email: email ?? null, original_phone: row.phone ?? null });
+        return next;
+    });
+
+    const anonymizedIdentities = identities.map((row) => {
+        const next = { ...row };
+        const userEmail = emailByUser.has(row.user_id) ? emailByUser.get(row.user_id) : null;
+        let originalEmail = null;
+        try {
+            originalEmail = JSON.parse(row.identity_data || 'null')?.email || null;
+        } catch (error) {
+            originalEmail = null;
+        }
+        const email = userEmail || anonymizeEmail(originalEmail, row.user_id, rules);
+        if ('identity_data' in next) next.identity_data = scrubJson(next.identity_data, { email, rules });
+        if ('email' in next && next.email) next.email = email;
+        return next;
+    });
+
+    return { users: anonymizedUsers, identities: anonymizedIdentities, mapping };
+};
+
+// Where a relative --anonymize=<rules.json> is read from: the data dir, which is never served by
+// the web UI (rules can hold a dev password)
+const resolveRulesFile = (rulesFile, dataDir) => (rulesFile ? path.resolve(dataDir, rulesFile) : null);
+
+// Rewrite both CSV exports with anonymized rows, write the original -> anonymized mapping to
+// <migration_dir>/anonymization_map.csv (readable by the owner only) and return
+// { users, identities, mappingFile } counts and path
+const anonymizeCsvExports = ({ usersCsv, identitiesCsv, migrationDir, rules, passwordHash = null }) => {
+    const users = parseCsv(fs.readFileSync(usersCsv, 'utf8'));
+    const identities = parseCsv(fs.readFileSync(identitiesCsv, 'utf8'));
+    const result = anonymizeAuthRows(users.rows, identities.rows, rules, { passwordHash });
+
+    fs.writeFileSync(usersCsv, formatCsv(users.columns, result.users), 'utf8');
+    fs.writeFileSync(identitiesCsv, formatCsv(identities.columns, result.identities), 'utf8');
+
+    const mappingFile = path.join(migrationDir, MAPPING_FILE);
+    fs.writeFileSync(mappingFile, formatCsv(['user_id', 'original_email', 'anonymized_email', 'original_phone'], result.mapping), { encoding: 'utf8', mode: 0o600 });
+    // mode only applies to a new file; a rerun into the same directory may find an older one
+    fs.chmodSync(mappingFile, 0o600);
+    return { users: result.users.length, identities: result.identities.length, mappingFile };
+};
+
+// One-line description of rules for logs and the summary (never includes the password)
+const describeRules = (rules) => [
+    `email: ${rules.email}`,
+    `phone: ${rules.phone}`,
+    `scrubbed metadata keys: ${rules.scrubMetadataKeys.length > 0 ? rules.scrubMetadataKeys.join(', ') : 'none'}`,
+    `password: ${rules.resetPassword ? 'reset' : 'kept'}`
+].join('; ');
+
+module.exports = {
+    MAPPING_FILE,
+    DEFAULT_RULES,
+    loadRules,
+    parseCsv,
+    formatCsv,
+    anonymizeEmail,
+    anonymizeAuthRows,
+    resolveRulesFile,
+    anonymizeCsvExports,
+    describeRules
+};
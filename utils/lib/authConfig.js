@@ -0,0 +1,251 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+// Shown instead of secret values in diffs, reports and backups
+const SECRET_PLACEHOLDER = '<secret>';
+
+// Groups of auth config keys, first match wins. Used to select what to apply (--groups) and to
+// order the report.
+const AUTH_CONFIG_GROUPS = [
+    { group: 'urls', label: 'Site URL and redirect URLs', pattern: /^(site_url|uri_allow_list)$/ },
+    { group: 'providers', label: 'OAuth and other providers', pattern: /^external_/ },
+    { group: 'email-templates', label: 'Email templates', pattern: /^mailer_(subjects|templates)_/ },
+    { group: 'email', label: 'Email settings', pattern: /^mailer_/ },
+    { group: 'smtp', label: 'SMTP', pattern: /^smtp_/ },
+    { group: 'sms', label: 'SMS', pattern: /^sms_/ },
+    { group: 'jwt', label: 'JWT and sessions', pattern: /^(jwt_exp|refresh_token_rotation_enabled|security_refresh_token_reuse_interval|sessions_)/ },
+    { group: 'password', label: 'Password policy', pattern: /^password_/ },
+    { group: 'mfa', label: 'MFA', pattern: /^mfa_/ },
+    { group: 'hooks', label: 'Auth hooks', pattern: /^hook_/ },
+    { group: 'rate-limits', label: 'Rate limits', pattern: /^rate_limit_/ },
+    { group: 'security', label: 'Security', pattern: /^security_/ },
+    { group: 'other', label: 'Other', pattern: /./ }
+];
+
+const AUTH_CONFIG_GROUP_NAMES = AUTH_CONFIG_GROUPS.map(({ group }) => group);
+
+// OAuth client secrets, SMTP password, SMS provider tokens, hook and captcha secrets
+const SECRET_KEY_PATTERN = /(^|_)(secret|secrets|pass|auth_token|access_key|api_key|api_secret|private_key)$/;
+
+const authConfigError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const isSecretKey = (key) => SECRET_KEY_PATTERN.test(key);
+
+const configGroup = (key) => AUTH_CONFIG_GROUPS.find(({ pattern }) => pattern.test(key)).group;
+
+// null, undefined and '' all mean "not set"
+const normalizeValue = (value) => (value === undefined || value === '' ? null : value);
+
+const maskValue = (key, value) => (isSecretKey(key) && normalizeValue(value) !== null ? SECRET_PLACEHOLDER : normalizeValue(value));
+
+// Copy of a config with every secret replaced by SECRET_PLACEHOLDER
+const maskAuthConfig = (config) => Object.fromEntries(
+    Object.entries(config || {}).map(([key, value]) => [key, maskValue(key, value)])
+);
+
+const groupOrder = (key) => AUTH_CONFIG_GROUP_NAMES.indexOf(configGroup(key));
+
+// { changed: [{ key, group, secret, source, target }], identical: [key] } for two auth configs
+// (as returned by the Management API). Secret values are masked; they still count as changed when
+// the raw values differ.
+const diffAuthConfig = (sourceConfig, targetConfig) => {
+    const keys = [...new Set([...Object.keys(sourceConfig || {}), ...Object.keys(targetConfig || {})])]
+        .sort((a, b) => groupOrder(a) - groupOrder(b) || a.localeCompare(b));
+    const changed = [];
+    const identical = [];
+    keys.forEach((key) => {
+        const source = normalizeValue(sourceConfig?.[key]);
+        const target = normalizeValue(targetConfig?.[key]);
+        if (JSON.stringify(source) === JSON.stringify(target)) {
+            identical.push(key);
+            return;
+        }
+        changed.push({
+            key,
+            group: configGroup(key),
+            secret: isSecretKey(key),
+            source: maskValue(key, source),
+            target: maskValue(key, target)
+        });
+    });
+    return { changed, identical };
+};
+
+const summarizeAuthConfigDiff = (diff) => ({
+    changed: diff.changed.length,
+    identical: diff.identical.length,
+    secretsChanged: diff.changed.filter(({ secret }) => secret).length,
+    groups: Object.fromEntries(
+        AUTH_CONFIG_GROUP_NAMES
+            .map(group => [group, diff.changed.filter(item => item.group === group).length])
+            .filter(([, count]) => count > 0)
+    )
+});
+
+// Changed entries picked by --all, --groups and --keys (comma-separated lists). Keys that are
+// identical in both projects are ignored. Throws AUTH_CONFIG_SELECTION_INVALID for unknown
+// groups or keys and when nothing is selected.
+const selectAuthConfigChanges = (diff, { all = false, groups = [], keys = [] } = {}) => {
+    if (!all && groups.length === 0 && keys.length === 0) {
+        throw authConfigError('AUTH_CONFIG_SELECTION_INVALID', 'Select what to apply with --all, --groups=<group,...> or --keys=<key,...>');
+    }
+    const unknownGroups = groups.filter(group => !AUTH_CONFIG_GROUP_NAMES.includes(group));
+    if (unknownGroups.length > 0) {
+        throw authConfigError('AUTH_CONFIG_SELECTION_INVALID', `Unknown auth config group(s): ${unknownGroups.join(', ')} (groups: ${AUTH_CONFIG_GROUP_NAMES.join(', ')})`);
+    }
+    const knownKeys = new Set([...diff.changed.map(({ key }) => key), ...diff.identical]);
+    const unknownKeys = keys.filter(key => !knownKeys.has(key));
+    if (unknownKeys.length > 0) {
+        throw authConfigError('AUTH_CONFIG_SELECTION_INVALID', `Unknown auth config key(s): ${unknownKeys.join(', ')}`);
+    }
+    return diff.changed.filter(item => all || groups.includes(item.group) || keys.includes(item.key));
+};
+
+// Path of a --secrets-file: relative paths are read from the data dir. Files elsewhere in the
+// project directory are refused so secrets never sit where the web UI serves files.
+// Throws AUTH_CONFIG_SECRETS_INVALID.
+const resolveSecretsFile = (filePath, { dataDir, projectRoot }) => {
+    if (!filePath) {
+        return null;
+    }
+    const resolved = path.resolve(dataDir, filePath);
+    const inside = (dir) => !path.relative(dir, resolved).startsWith('..') && !path.isAbsolute(path.relative(dir, resolved));
+    if (inside(projectRoot) && !inside(dataDir)) {
+        throw authConfigError('AUTH_CONFIG_SECRETS_INVALID', `Secrets file ${resolved} is inside the project directory; keep it in ${dataDir} or outside the project`);
+    }
+    return resolved;
+};
+
+// Secret values for apply from a JSON file ({ "external_google_secret": "..." }). Only secret
+// keys are accepted. Throws AUTH_CONFIG_SECRETS_INVALID.
+const loadSecretValues = (filePath) => {
+    if (!filePath) {
+        return {};
+    }
+    let parsed;
+    try {
+        parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw authConfigError('AUTH_CONFIG_SECRETS_INVALID', `Cannot read secrets file ${filePath}: ${error.message}`);
+    }
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw authConfigError('AUTH_CONFIG_SECRETS_INVALID', `Secrets file ${filePath} must contain a JSON object`);
+    }
+    const invalid = Object.entries(parsed).filter(([key, value]) => !isSecretKey(key) || typeof value !== 'string');
+    if (invalid.length > 0) {
+        throw authConfigError('AUTH_CONFIG_SECRETS_INVALID', `Secrets file ${filePath} may only set secret keys to strings: ${invalid.map(([key]) => key).join(', ')}`);
+    }
+    return parsed;
+};
+
+// PATCH body for the selected changes. Non-secret values come from the source config. Secret
+// values are never read from the source: they come from secretValues, and selected secrets
+// without one are skipped (the target keeps its value). Warns about providers that would be
+// enabled without a secret.
+const buildAuthConfigPatch = (selected, sourceConfig, targetConfig, secretValues = {}) => {
+    const patch = {};
+    const secretsSkipped = [];
+    selected.forEach(({ key, secret }) => {
+        if (!secret) {
+            patch[key] = sourceConfig[key] ?? null;
+        } else if (Object.prototype.hasOwnProperty.call(secretValues, key)) {
+            patch[key] = secretValues[key];
+        } else {
+            secretsSkipped.push(key);
+        }
+    });
+    const warnings = Object.keys(patch)
+        .map(key => key.match(/^(external_[a-z0-9_]+)_enabled$/))
+        .filter(match => match && patch[match[0]] === true)
+        .map(([, provider]) => `${provider}_secret`)
+        .filter(secretKey => !(secretKey in patch) && normalizeValue(targetConfig?.[secretKey]) === null && normalizeValue(sourceConfig?.[secretKey]) !== null)
+        .map(secretKey => `${secretKey.replace(/_secret$/, '')} is enabled but the target has no ${secretKey}; add it to the secrets file or set it in the dashboard`);
+    return { patch, secretsSkipped, warnings };
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// A config value as text for reports and logs, cut to maxLength characters
+const formatValue = (value, maxLength = 200) => {
+    if (value === null || value === undefined) return 'not set';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return text.length > maxLength ? `${text.slice(0, maxLength - 3)}...` : text;
+};
+
+// Standalone HTML report for a comparison built by auth-config-migrate.js diff
+const renderAuthConfigDiffHtml = (comparison) => {
+    const { summary } = comparison;
+    const sections = AUTH_CONFIG_GROUPS
+        .map(({ group, label }) => ({ label, items: comparison.changed.filter(item => item.group === group) }))
+        .filter(({ items }) => items.length > 0)
+        .map(({ label, items }) => `
+        <h2>${escapeHtml(label)} <span class="count">${items.length}</span></h2>
+        <table class="diff-table">
+            <thead><tr><th>Key</th><th>Source</th><th>Target</th></tr></thead>
+            <tbody>${items.map(item => `<tr><td><code>${escapeHtml(item.key)}</code>${item.secret ? ' <span class="secret">secret</span>' : ''}</td><td>${escapeHtml(formatValue(item.source))}</td><td>${escapeHtml(formatValue(item.target))}</td></tr>`).join('')}</tbody>
+        </table>`)
+        .join('');
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Auth Config Comparison: ${escapeHtml(comparison.source.env)} → ${escapeHtml(comparison.target.env)}</title>
+<style>
+body { font-family: 'Inter', sans-serif; background: #f8fafc; color: #0f172a; margin: 0; padding: 32px; }
+.container { max-width: 1100px; margin: 0 auto; background: white; border-radius: 24px; box-shadow: 0 24px 48px rgba(15, 23, 42, 0.12); padding: 32px; }
+.metrics { display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 32px; }
+.metric-card { flex: 1 1 160px; background: linear-gradient(135deg, rgba(99,102,241,.1), rgba(129,140,248,.06)); border: 1px solid rgba(99,102,241,.2); border-radius: 16px; padding: 16px; }
+.metric-card h3 { font-size: .85rem; letter-spacing: .04em; color: #4338ca; margin-bottom: 6px; text-transform: uppercase; }
+.metric-card p { font-size: 1.6rem; font-weight: 700; color: #1e1b4b; margin: 0; }
+.diff-table { width: 100%; border-collapse: collapse; margin-top: 8px; table-layout: fixed; }
+.diff-table th, .diff-table td { border: 1px solid rgba(148,163,184,.35); padding: 10px; text-align: left; vertical-align: top; font-size: .9rem; word-break: break-word; }
+.diff-table thead { background: rgba(99,102,241,.08); color: #312e81; }
+h2 { margin-top: 32px; font-size: 1.15rem; color: #312e81; }
+.count { display: inline-flex; padding: 2px 10px; border-radius: 999px; font-size: .8rem; background: rgba(148,163,184,.2); color: #334155; }
+.secret { display: inline-flex; padding: 1px 8px; border-radius: 999px; font-size: .7rem; background: rgba(234,179,8,.2); color: #854d0e; }
+code { font-size: .85rem; color: #334155; }
+.no-diff { font-size: 1rem; color: #475569; margin-top: 8px; }
+</style>
+</head>
+<body>
+    <div class="container">
+        <h1>Auth Config Comparison</h1>
+        <p class="meta">Source <strong>${escapeHtml(comparison.source.env)}</strong> → Target <strong>${escapeHtml(comparison.target.env)}</strong> · Generated ${escapeHtml(comparison.generatedAt)}</p>
+        <div class="metrics">
+            <div class="metric-card"><h3>Different</h3><p>${summary.changed}</p></div>
+            <div class="metric-card"><h3>Secrets Different</h3><p>${summary.secretsChanged}</p></div>
+            <div class="metric-card"><h3>Identical</h3><p>${summary.identical}</p></div>
+        </div>
+        ${sections || '<p class="no-diff">The auth settings of both projects are identical.</p>'}
+        <p class="no-diff">Secret values are never shown or copied. To set them on the target, pass a secrets file to <code>auth-config-migrate.js apply</code>.</p>
+    </div>
+</body>
+</html>`;
+};
+
+module.exports = {
+    SECRET_PLACEHOLDER,
+    AUTH_CONFIG_GROUPS,
+    AUTH_CONFIG_GROUP_NAMES,
+    isSecretKey,
+    configGroup,
+    maskAuthConfig,
+    diffAuthConfig,
+    summarizeAuthConfigDiff,
+    selectAuthConfigChanges,
+    resolveSecretsFile,
+    loadSecretValues,
+    buildAuthConfigPatch,
+    formatValue,
+    renderAuthConfigDiffHtml
+};
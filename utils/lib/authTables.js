@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+// auth schema tables that can be migrated next to auth.users and auth.identities, in dependency
+// order (a table comes after every table it references). scope decides which rows are copied:
+// 'user' rows belong to a selected user (userColumn), 'factor' rows to an MFA factor of one,
+// 'global' tables are copied whole.
+const AUTH_TABLES = [
+    { table: 'sso_providers', scope: 'global', dependsOn: [] },
+    { table: 'sso_domains', scope: 'global', dependsOn: ['sso_providers'] },
+    { table: 'saml_providers', scope: 'global', dependsOn: ['sso_providers'] },
+    { table: 'mfa_factors', scope: 'user', userColumn: 'user_id', dependsOn: [] },
+    { table: 'mfa_challenges', scope: 'factor', factorColumn: 'factor_id', dependsOn: ['mfa_factors'] },
+    { table: 'one_time_tokens', scope: 'user', userColumn: 'user_id', dependsOn: [] }
+];
+
+const AUTH_TABLE_NAMES = AUTH_TABLES.map(({ table }) => table);
+
+const authTablesError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Tables to migrate for an --auth-tables value: true (flag without a value) selects all of them,
+// a comma-separated list selects those plus the tables they depend on. Returned in AUTH_TABLES
+// order. Throws AUTH_TABLES_INVALID for unknown names.
+const resolveAuthTables = (value) => {
+    if (value === null || value === undefined || value === false) {
+        return [];
+    }
+    if (value === true) {
+        return [...AUTH_TABLES];
+    }
+    const requested = String(value).split(',').map(name => name.trim().replace(/^auth\./, '')).filter(Boolean);
+    const unknown = requested.filter(name => !AUTH_TABLE_NAMES.includes(name));
+    if (unknown.length > 0) {
+        throw authTablesError('AUTH_TABLES_INVALID', `Unknown auth table(s): ${unknown.join(', ')} (supported: ${AUTH_TABLE_NAMES.join(', ')})`);
+    }
+    const selected = new Set();
+    const add = (name) => {
+        if (selected.has(name)) return;
+        selected.add(name);
+        AUTH_TABLES.find(({ table }) => table === name).dependsOn.forEach(add);
+    };
+    requested.forEach(add);
+    return AUTH_TABLES.filter(({ table }) => selected.has(table));
+};
+
+// Condition on the rows of a table (aliased as alias) that belong to the users returned by
+// selectedUserIdsSql, on a single line so it can be used inside a psql \copy
+const authTableRowsSql = (spec, selectedUserIdsSql, alias = 't') => {
+    if (spec.scope === 'user') {
+        return `${alias}.${spec.userColumn} IN (${selectedUserIdsSql})`;
+    }
+    if (spec.scope === 'factor') {
+        return `${alias}.${spec.factorColumn} IN (SELECT f.id FROM auth.mfa_factors f WHERE f.user_id IN (${selectedUserIdsSql}))`;
+    }
+    return 'TRUE';
+};
+
+module.exports = {
+    AUTH_TABLES,
+    AUTH_TABLE_NAMES,
+    resolveAuthTables,
+    authTableRowsSql
+};
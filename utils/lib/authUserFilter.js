@@ -0,0 +1,204 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+
+// Command line options (--<name>=<value>) that make up a user filter
+const FILTER_OPTIONS = ['domains', 'providers', 'created-after', 'created-before', 'users-file', 'referenced-by'];
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PAGE_SIZE = 1000;
+
+const filterError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const parseDate = (value, option) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        throw filterError('USER_FILTER_INVALID', `--${option} is not a date: ${value} (use e.g. 2025-01-31 or 2025-01-31T12:00:00Z)`);
+    }
+    return date;
+};
+
+// [schema.]table.column -> { schema, table, column }; the schema defaults to public
+const parseReference = (spec) => {
+    const parts = spec.split('.');
+    if (parts.length < 2 || parts.length > 3 || !parts.every(part => IDENTIFIER.test(part))) {
+        throw filterError('USER_FILTER_INVALID', `--referenced-by expects [schema.]table.column, got: ${spec}`);
+    }
+    const [schema, table, column] = parts.length === 3 ? parts : ['public', ...parts];
+    return { schema, table, column };
+};
+
+// Ids and emails from a file with one entry per line (# starts a comment). Entries with an @ are
+// emails (compared case-insensitively), everything else a user id.
+const readUsersFile = (filePath) => {
+    let content;
+    try {
+        content = fs.readFileSync(filePath, 'utf8');
+    } catch (error) {
+        throw filterError('USER_FILTER_INVALID', `Cannot read --users-file ${filePath}: ${error.message}`);
+    }
+    const ids = new Set();
+    const emails = new Set();
+    content.split(/\r?\n/).map(line => line.replace(/#.*/, '').trim()).filter(Boolean).forEach((entry) => {
+        if (entry.includes('@')) {
+            emails.add(entry.toLowerCase());
+        } else {
+            ids.add(entry);
+        }
+    });
+    if (ids.size === 0 && emails.size === 0) {
+        throw filterError('USER_FILTER_INVALID', `--users-file ${filePath} lists no ids or emails`);
+    }
+    return { ids, emails };
+};
+
+// Filter from option values keyed by FILTER_OPTIONS names (comma-separated lists), or null when
+// none is set. Every option that is set must match (AND); the values of one option are
+// alternatives (OR), e.g. --providers=google,github. Throws USER_FILTER_INVALID.
+const buildUserFilter = (options = {}) => {
+    if (!FILTER_OPTIONS.some(name => options[name] !== undefined && options[name] !== null)) {
+        return null;
+    }
+    FILTER_OPTIONS.forEach((name) => {
+        if (options[name] === true || options[name] === '') {
+            throw filterError('USER_FILTER_INVALID', `--${name} needs a value (--${name}=...)`);
+        }
+    });
+    const filter = {
+        domains: splitList(options.domains).map(domain => domain.toLowerCase().replace(/^@/, '')),
+        providers: splitList(options.providers).map(provider => provider.toLowerCase()),
+        createdAfter: options['created-after'] ? parseDate(options['created-after'], 'created-after') : null,
+        createdBefore: options['created-before'] ? parseDate(options['created-before'], 'created-before') : null,
+        usersFile: options['users-file'] || null,
+        ids: null,
+        emails: null,
+        references: splitList(options['referenced-by']).map(parseReference)
+    };
+    if (filter.createdAfter && filter.createdBefore && filter.createdAfter >= filter.createdBefore) {
+        throw filterError('USER_FILTER_INVALID', '--created-after must be earlier than --created-before');
+    }
+    if (filter.usersFile) {
+        Object.assign(filter, readUsersFile(filter.usersFile));
+    }
+    return filter;
+};
+
+const sqlLiteral = (value) => `'${String(value).replace(/'/g, "''")}'`;
+const sqlIdent = (name) => `"${name.replace(/"/g, '""')}"`;
+const sqlList = (values) => Array.from(values).map(sqlLiteral).join(', ');
+
+// SQL condition on auth.users (aliased as alias) for a filter, on a single line so it can be used
+// inside a psql \copy. TRUE for no filter.
+const userFilterSql = (filter, alias = 'u') => {
+    if (!filter) {
+        return 'TRUE';
+    }
+    const conditions = [];
+    if (filter.domains.length > 0) {
+        conditions.push(`lower(split_part(${alias}.email, '@', 2)) IN (${sqlList(filter.domains)})`);
+    }
+    if (filter.providers.length > 0) {
+        conditions.push(`EXISTS (SELECT 1 FROM auth.identities fi WHERE fi.user_id = ${alias}.id AND lower(fi.provider) IN (${sqlList(filter.providers)}))`);
+    }
+    if (filter.createdAfter) {
+        conditions.push(`${alias}.created_at >= ${sqlLiteral(filter.createdAfter.toISOString())}::timestamptz`);
+    }
+    if (filter.createdBefore) {
+        conditions.push(`${alias}.created_at < ${sqlLiteral(filter.createdBefore.toISOString())}::timestamptz`);
+    }
+    if (filter.ids || filter.emails) {
+        const listed = [];
+        if (filter.ids.size > 0) listed.push(`${alias}.id::text IN (${sqlList(filter.ids)})`);
+        if (filter.emails.size > 0) listed.push(`lower(${alias}.email) IN (${sqlList(filter.emails)})`);
+        conditions.push(`(${listed.join(' OR ')})`);
+    }
+    if (filter.references.length > 0) {
+        const referenced = filter.references.map(({ schema, table, column }) => (
+            `${alias}.id::text IN (SELECT ${sqlIdent(column)}::text FROM ${sqlIdent(schema)}.${sqlIdent(table)} WHERE ${sqlIdent(column)} IS NOT NULL)`
+        ));
+        conditions.push(`(${referenced.join(' OR ')})`);
+    }
+    return conditions.length > 0 ? conditions.join(' AND ') : 'TRUE';
+};
+
+// Ids referenced by filter.references, read page by page through a supabase-js client of the
+// environment the users come from. Throws USER_FILTER_QUERY_FAILED.
+const fetchReferencedIds = async (client, references) => {
+    const ids = new Set();
+    for (const { schema, table, column } of references) {
+        for (let from = 0; ; from += PAGE_SIZE) {
+            const { data, error } = await client.schema(schema).from(table).select(column)
+                .not(column, 'is', null)
+                .range(from, from + PAGE_SIZE - 1);
+            if (error) {
+                throw filterError('USER_FILTER_QUERY_FAILED', `Cannot read ${schema}.${table}.${column}: ${error.message}`);
+            }
+            (data || []).forEach(row => ids.add(String(row[column])));
+            if (!data || data.length < PAGE_SIZE) {
+                break;
+            }
+        }
+    }
+    return ids;
+};
+
+// JavaScript counterpart of userFilterSql for exported rows: user is an auth.users row,
+// providers the providers of its identities, referencedIds the result of fetchReferencedIds
+const matchesUserFilter = (filter, user, { providers = [], referencedIds = null } = {}) => {
+    if (!filter) {
+        return true;
+    }
+    const email = (user.email || '').toLowerCase();
+    if (filter.domains.length > 0 && !filter.domains.includes(email.split('@')[1] || '')) {
+        return false;
+    }
+    if (filter.providers.length > 0 && !providers.some(provider => filter.providers.includes(String(provider).toLowerCase()))) {
+        return false;
+    }
+    const createdAt = user.created_at ? new Date(user.created_at) : null;
+    if (filter.createdAfter && !(createdAt && createdAt >= filter.createdAfter)) {
+        return false;
+    }
+    if (filter.createdBefore && !(createdAt && createdAt < filter.createdBefore)) {
+        return false;
+    }
+    if ((filter.ids || filter.emails) && !filter.ids.has(String(user.id)) && !(email && filter.emails.has(email))) {
+        return false;
+    }
+    if (filter.references.length > 0 && !(referencedIds && referencedIds.has(String(user.id)))) {
+        return false;
+    }
+    return true;
+};
+
+// One-line description of a filter for logs and summaries
+const describeUserFilter = (filter) => {
+    if (!filter) {
+        return 'all users';
+    }
+    const parts = [];
+    if (filter.domains.length > 0) parts.push(`email domain ${filter.domains.join(', ')}`);
+    if (filter.providers.length > 0) parts.push(`provider ${filter.providers.join(', ')}`);
+    if (filter.createdAfter) parts.push(`created on/after ${filter.createdAfter.toISOString()}`);
+    if (filter.createdBefore) parts.push(`created before ${filter.createdBefore.toISOString()}`);
+    if (filter.usersFile) parts.push(`listed in ${filter.usersFile} (${filter.ids.size} id(s), ${filter.emails.size} email(s))`);
+    if (filter.references.length > 0) {
+        parts.push(`referenced by ${filter.references.map(({ schema, table, column }) => `${schema}.${table}.${column}`).join(', ')}`);
+    }
+    return parts.join(' and ');
+};
+
+module.exports = {
+    FILTER_OPTIONS,
+    buildUserFilter,
+    userFilterSql,
+    fetchReferencedIds,
+    matchesUserFilter,
+    describeUserFilter
+};
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+
+// app_metadata keys GoTrue derives from the identities; identity drift is reported on its own
+const DERIVED_APP_METADATA_KEYS = ['provider', 'providers'];
+
+// JSON with object keys sorted, so metadata compares equal regardless of key order
+const stableStringify = (value) => {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+};
+
+const withoutKeys = (object, keys) => Object.fromEntries(Object.entries(object || {}).filter(([key]) => !keys.includes(key)));
+
+// Values compared per user. user is an entry of the helper's buildSummary() users.
+const COMPARED_FIELDS = [
+    { field: 'email', value: user => user.email || null },
+    { field: 'phone', value: user => user.phone || null },
+    { field: 'emailConfirmed', value: user => Boolean(user.emailConfirmedAt) },
+    { field: 'phoneConfirmed', value: user => Boolean(user.phoneConfirmedAt) },
+    { field: 'bannedUntil', value: user => user.bannedUntil || null },
+    { field: 'userMetadata', value: user => user.userMetadata || {} },
+    { field: 'appMetadata', value: user => withoutKeys(user.appMetadata, DERIVED_APP_METADATA_KEYS) }
+];
+
+const identityKey = (identity) => `${identity.provider}:${identity.providerId}`;
+
+const briefUser = (user) => ({
+    id: user.id,
+    email: user.email || null,
+    phone: user.phone || null,
+    createdAt: user.createdAt || null,
+    lastSignInAt: user.lastSignInAt || null,
+    factorsCount: user.factorsCount || 0,
+    providers: user.providers || []
+});
+
+// Compare two user lists by id:
+// { missingInTarget: [user], targetOnly: [user], changed: [{ id, email, fields: [{ field, source, target }] }],
+//   identityMismatches: [{ id, email, sourceOnly: [provider:providerId], targetOnly: [...] }],
+//   factorMismatches: [{ id, email, source, target }], emailConflicts: [{ email, sourceId, targetId }], identical }.
+// emailConflicts are source users missing by id whose email belongs to a different target user.
+const diffAuthUsers = (sourceUsers, targetUsers) => {
+    const targetById = new Map(targetUsers.map(user => [user.id, user]));
+    const targetByEmail = new Map(targetUsers.filter(user => user.email).map(user => [user.email.toLowerCase(), user]));
+    const seen = new Set();
+    const result = {
+        missingInTarget: [],
+        targetOnly: [],
+        changed: [],
+        identityMismatches: [],
+        factorMismatches: [],
+        emailConflicts: [],
+        identical: 0
+    };
+
+    sourceUsers.forEach((source) => {
+        const target = targetById.get(source.id);
+        if (!target) {
+            result.missingInTarget.push(briefUser(source));
+            const sameEmail = source.email ? targetByEmail.get(source.email.toLowerCase()) : null;
+            if (sameEmail) {
+                result.emailConflicts.push({ email: source.email, sourceId: source.id, targetId: sameEmail.id });
+            }
+            return;
+        }
+        seen.add(target.id);
+
+        const fields = COMPARED_FIELDS
+            .map(({ field, value }) => ({ field, source: value(source), target: value(target) }))
+            .filter(item => stableStringify(item.source) !== stableStringify(item.target));
+        if (fields.length > 0) {
+            result.changed.push({ id: source.id, email: source.email || null, fields });
+        }
+
+        const sourceIdentities = new Set((source.identities || []).map(identityKey));
+        const targetIdentities = new Set((target.identities || []).map(identityKey));
+        const identitiesOnlyInSource = [...sourceIdentities].filter(key => !targetIdentities.has(key));
+        const identitiesOnlyInTarget = [...targetIdentities].filter(key => !sourceIdentities.has(key));
+        if (identitiesOnlyInSource.length > 0 || identitiesOnlyInTarget.length > 0) {
+            result.identityMismatches.push({ id: source.id, email: source.email || null, sourceOnly: identitiesOnlyInSource, targetOnly: identitiesOnlyInTarget });
+        }
+
+        const factorsDiffer = (source.factorsCount || 0) !== (target.factorsCount || 0);
+        if (factorsDiffer) {
+            result.factorMismatches.push({ id: source.id, email: source.email || null, source: source.factorsCount || 0, target: target.factorsCount || 0 });
+        }
+
+        if (fields.length === 0 && identitiesOnlyInSource.length === 0 && identitiesOnlyInTarget.length === 0 && !factorsDiffer) {
+            result.identical++;
+        }
+    });
+
+    result.targetOnly = targetUsers.filter(user => !seen.has(user.id)).map(briefUser);
+    return result;
+};
+
+const summarizeAuthUsersDiff = (diff, sourceCount, targetCount) => ({
+    sourceUsers: sourceCount,
+    targetUsers: targetCount,
+    missingInTarget: diff.missingInTarget.length,
+    targetOnly: diff.targetOnly.length,
+    changed: diff.changed.length,
+    identityMismatches: diff.identityMismatches.length,
+    factorMismatches: diff.factorMismatches.length,
+    emailConflicts: diff.emailConflicts.length,
+    identical: diff.identical
+});
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatValue = (value) => {
+    if (value === null || value === undefined || value === '') return 'none';
+    const text = typeof value === 'object' ? stableStringify(value) : String(value);
+    return text.length > 160 ? `${text.slice(0, 157)}...` : text;
+};
+
+const renderSection = (title, items, headers, renderRow) => `
+        <h2>${escapeHtml(title)} <span class="count">${items.length}</span></h2>
+        ${items.length ? `<table class="diff-table">
+            <thead><tr>${headers.map(header => `<th>${escapeHtml(header)}</th>`).join('')}</tr></thead>
+            <tbody>${items.map(item => `<tr>${renderRow(item).map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+        </table>` : '<p class="no-diff">None.</p>'}`;
+
+// Standalone HTML report for a comparison built by the helper's compareEnvironments()
+const renderAuthUsersDiffHtml = (comparison) => {
+    const { summary } = comparison;
+    const userCells = user => [escapeHtml(user.email || '—'), `<code>${escapeHtml(user.id)}</code>`, escapeHtml((user.providers || []).join(', ') || '—'), escapeHtml(user.createdAt || '—')];
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Auth Users Comparison: ${escapeHtml(comparison.source.env)} → ${escapeHtml(comparison.target.env)}</title>
+<style>
+body { font-family: 'Inter', sans-serif; background: #f8fafc; color: #0f172a; margin: 0; padding: 32px; }
+.container { max-width: 1100px; margin: 0 auto; background: white; border-radius: 24px; box-shadow: 0 24px 48px rgba(15, 23, 42, 0.12); padding: 32px; }
+.metrics { display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 32px; }
+.metric-card { flex: 1 1 160px; background: linear-gradient(135deg, rgba(99,102,241,.1), rgba(129,140,248,.06)); border: 1px solid rgba(99,102,241,.2); border-radius: 16px; padding: 16px; }
+.metric-card h3 { font-size: .85rem; letter-spacing: .04em; color: #4338ca; margin-bottom: 6px; text-transform: uppercase; }
+.metric-card p { font-size: 1.6rem; font-weight: 700; color: #1e1b4b; margin: 0; }
+.diff-table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+.diff-table th, .diff-table td { border: 1px solid rgba(148,163,184,.35); padding: 10px; text-align: left; vertical-align: top; font-size: .9rem; }
+.diff-table thead { background: rgba(99,102,241,.08); color: #312e81; }
+.diff-table ul { margin: 0; padding-left: 18px; }
+h2 { margin-top: 32px; font-size: 1.15rem; color: #312e81; }
+.count { display: inline-flex; padding: 2px 10px; border-radius: 999px; font-size: .8rem; background: rgba(148,163,184,.2); color: #334155; }
+code { font-size: .8rem; color: #475569; }
+.no-diff { font-size: 1rem; color: #475569; margin-top: 8px; }
+</style>
+</head>
+<body>
+    <div class="container">
+        <h1>Auth Users Comparison</h1>
+        <p class="meta">Source <strong>${escapeHtml(comparison.source.env)}</strong> → Target <strong>${escapeHtml(comparison.target.env)}</strong> · Generated ${escapeHtml(comparison.generatedAt)}</p>
+        <div class="metrics">
+            <div class="metric-card"><h3>Users</h3><p>${summary.sourceUsers} / ${summary.targetUsers}</p><small>source / target</small></div>
+            <div class="metric-card"><h3>Missing in Target</h3><p>${summary.missingInTarget}</p></div>
+            <div class="metric-card"><h3>Target-only</h3><p>${summary.targetOnly}</p></div>
+            <div class="metric-card"><h3>Changed</h3><p>${summary.changed}</p></div>
+            <div class="metric-card"><h3>Identity Drift</h3><p>${summary.identityMismatches}</p></div>
+            <div class="metric-card"><h3>MFA Factors Differ</h3><p>${summary.factorMismatches}</p></div>
+            <div class="metric-card"><h3>Identical</h3><p>${summary.identical}</p></div>
+        </div>
+        ${renderSection('Missing in target', comparison.missingInTarget, ['Email', 'Id', 'Providers', 'Created'], userCells)}
+        ${renderSection('Only in target', comparison.targetOnly, ['Email', 'Id', 'Providers', 'Created'], userCells)}
+        ${renderSection('Same email, different id', comparison.emailConflicts, ['Email', 'Source id', 'Target id'], item => [escapeHtml(item.email), `<code>${escapeHtml(item.sourceId)}</code>`, `<code>${escapeHtml(item.targetId)}</code>`])}
+        ${renderSection('Changed users', comparison.changed, ['Email', 'Id', 'Differences (source → target)'], item => [
+            escapeHtml(item.email || '—'),
+            `<code>${escapeHtml(item.id)}</code>`,
+            `<ul>${item.fields.map(field => `<li><strong>${escapeHtml(field.field)}</strong>: ${escapeHtml(formatValue(field.source))} → ${escapeHtml(formatValue(field.target))}</li>`).join('')}</ul>`
+        ])}
+        ${renderSection('Identity / provider drift', comparison.identityMismatches, ['Email', 'Id', 'Only in source', 'Only in target'], item => [
+            escapeHtml(item.email || '—'),
+            `<code>${escapeHtml(item.id)}</code>`,
+            escapeHtml(item.sourceOnly.join(', ') || '—'),
+            escapeHtml(item.targetOnly.join(', ') || '—')
+        ])}
+        ${renderSection('MFA factor count differs', comparison.factorMismatches, ['Email', 'Id', 'Source', 'Target'], item => [escapeHtml(item.email || '—'), `<code>${escapeHtml(item.id)}</code>`, item.source, item.target])}
+    </div>
+</body>
+</html>`;
+};
+
+module.exports = {
+    diffAuthUsers,
+    summarizeAuthUsersDiff,
+    renderAuthUsersDiffHtml
+};
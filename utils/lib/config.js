@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const { requireEnvironment, findEnvironmentByRef } = require('./environments');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+const DEFAULT_ENV_FILES = ['.env.local', '.env'];
+const DEFAULT_POOLER_REGION = 'aws-1-us-east-2';
+const DEFAULT_POOLER_PORT = 6543;
+
+// Per-environment credentials: SUPABASE_<KEY>_<suffix>, with an optional shared fallback variable
+const CREDENTIALS = {
+    projectRef: { suffix: 'PROJECT_REF', description: 'project reference' },
+    projectName: { suffix: 'PROJECT_NAME', description: 'project name' },
+    dbPassword: { suffix: 'DB_PASSWORD', description: 'database password' },
+    accessToken: { suffix: 'ACCESS_TOKEN', description: 'Management API access token' },
+    serviceRoleKey: { suffix: 'SERVICE_ROLE_KEY', description: 'service role key', shared: 'SUPABASE_SERVICE_ROLE_KEY' },
+    anonKey: { suffix: 'ANON_KEY', description: 'anon key', shared: 'SUPABASE_ANON_KEY' }
+};
+
+const configError = (code, message, details = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+};
+
+let loadedFiles = null;
+
+// Remove --env-file <path> / --env-file=<path> from argv (in place, so positional arguments keep
+// their indexes) and return the path
+const takeEnvFileArg = (argv) => {
+    const index = argv.findIndex(arg => arg === '--env-file' || arg.startsWith('--env-file='));
+    if (index === -1) {
+        return null;
+    }
+    const arg = argv[index];
+    if (arg.includes('=')) {
+        argv.splice(index, 1);
+        return arg.slice('--env-file='.length);
+    }
+    const value = argv[index + 1];
+    argv.splice(index, value === undefined ? 1 : 2);
+    return value || null;
+};
+
+// Load credentials once per process. Variables already set in the process win, then the
+// --env-file override (or SUPABASE_ENV_FILE), then .env.local and .env (working directory
+// first, then the project root). Returns the files that were read.
+const loadConfig = ({ argv = process.argv, envFile = null } = {}) => {
+    if (loadedFiles) {
+        return loadedFiles;
+    }
+
+    const override = envFile || takeEnvFileArg(argv) || process.env.SUPABASE_ENV_FILE;
+    const files = [];
+    if (override) {
+        const overridePath = path.resolve(override);
+        if (!fs.existsSync(overridePath)) {
+            throw configError('ENV_FILE_NOT_FOUND', `Env file not found: ${overridePath}`);
+        }
+        files.push(overridePath);
+    }
+    [process.cwd(), PROJECT_ROOT].forEach((dir) => {
+        DEFAULT_ENV_FILES.forEach((name) => {
+            const filePath = path.join(dir, name);
+            if (!files.includes(filePath) && fs.existsSync(filePath)) {
+                files.push(filePath);
+            }
+        });
+    });
+
+    files.forEach((filePath) => {
+        const parsed = dotenv.parse(fs.readFileSync(filePath));
+        Object.entries(parsed).forEach(([key, value]) => {
+            if (process.env[key] === undefined) {
+                process.env[key] = value;
+            }
+        });
+    });
+
+    loadedFiles = files;
+    return files;
+};
+
+// { value, source } for one credential; source is the variable it came from
+const readCredential = (key, name) => {
+    const { suffix, shared } = CREDENTIALS[name];
+    const candidates = key ? [`SUPABASE_${key}_${suffix}`, `SUPABSE_${key}_${suffix}`] : [];
+    if (shared) {
+        candidates.push(shared);
+    }
+    const source = candidates.find(variable => process.env[variable] && process.env[variable].trim());
+    return source ? { value: process.env[source].trim(), source } : { value: '', source: null };
+};
+
+const describeMissing = (key, name) => {
+    const { suffix, description, shared } = CREDENTIALS[name];
+    const variables = key ? [`SUPABASE_${key}_${suffix}`] : [];
+    if (shared) {
+        variables.push(shared);
+    }
+    return `${variables.join(' or ')} (${description})`;
+};
+
+// environment is a registry entry, or null for a project ref no environment claims
+const buildConfig = (environment, projectRef, required) => {
+    const key = environment ? environment.key : null;
+    const sources = {};
+    const values = {};
+    Object.keys(CREDENTIALS).forEach((name) => {
+        const { value, source } = readCredential(key, name);
+        values[name] = value;
+        sources[name] = source;
+    });
+    if (projectRef) {
+        values.projectRef = projectRef;
+    }
+
+    const missing = required.filter(name => !values[name]);
+    if (missing.length > 0) {
+        const label = environment ? environment.name : `project ${projectRef}`;
+        throw configError(
+            'CONFIG_MISSING',
+            `Missing configuration for ${label}: ${missing.map(name => describeMissing(key, name)).join(', ')}. ` +
+            'Set it in .env.local or pass --env-file <path>.',
+            { missing }
+        );
+    }
+
+    const poolerRegion = (key && process.env[`SUPABASE_${key}_POOLER_REGION`]) || DEFAULT_POOLER_REGION;
+    const poolerPort = parseInt((key && process.env[`SUPABASE_${key}_POOLER_PORT`]) || DEFAULT_POOLER_PORT, 10);
+    const configuredUrl = (key && process.env[`SUPABASE_${key}_URL`]) || '';
+
+    return {
+        env: environment ? environment.name : null,
+        key,
+        label: environment ? environment.label : null,
+        production: Boolean(environment && environment.production),
+        ...values,
+        sources,
+        url: configuredUrl || (values.projectRef ? `https://${values.projectRef}.supabase.co` : ''),
+        urlSource: configuredUrl ? `SUPABASE_${key}_URL` : null,
+        poolerRegion,
+        poolerPort,
+        poolerHost: `${poolerRegion}.pooler.supabase.com`
+    };
+};
+
+// Credentials for an environment name or alias. required lists credential names
+// (projectRef, dbPassword, accessToken, serviceRoleKey, anonKey) that must be set;
+// missing ones are reported together in one CONFIG_MISSING error.
+const getEnvironmentConfig = (env, { required = [] } = {}) => {
+    loadConfig();
+    return buildConfig(requireEnvironment(env), null, required);
+};
+
+// Credentials for the environment whose project ref matches. A ref no environment claims
+// still gets its URL and the shared service role / anon keys; env and key are then null.
+const getProjectConfig = (projectRef, { required = [] } = {}) => {
+    loadConfig();
+    return buildConfig(findEnvironmentByRef(projectRef), projectRef, required);
+};
+
+// Local state the web UI must never serve (users file, job history, audit log, anonymization
+// rules, secrets files): TOOL_UI_DATA_DIR, default data/ in the project root
+const getDataDir = () => path.resolve(PROJECT_ROOT, process.env.TOOL_UI_DATA_DIR || 'data');
+
+module.exports = {
+    DEFAULT_POOLER_REGION,
+    DEFAULT_POOLER_PORT,
+    loadConfig,
+    takeEnvFileArg,
+    getEnvironmentConfig,
+    getProjectConfig,
+    getDataDir
+};
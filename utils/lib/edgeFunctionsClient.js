@@ -59,6 +59,26 @@ const createManagementClient = (accessToken) => {
         return response.json();
     };
 
+    const sendJson = async (url, method, body) => {
+        const response = await fetchWithClient(url, {
+            method,
+            headers: {
+                Accept: 'application/json',
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(body)
+        });
+
+        if (!response.ok) {
+            const text = await response.text();
+            const error = new Error(`HTTP ${response.status}: ${text.slice(0, 200)}`);
+            error.status = response.status;
+            throw error;
+        }
+
+        return response.json();
+    };
+
     const downloadZip = async (url) => {
         const response = await fetchWithClient(url, {
             method: 'GET',
@@ -109,9 +129,25 @@ const createManagementClient = (accessToken) => {
         extractZipBuffer(buffer, destination);
     };
 
+    // Project auth settings (site URL, redirect URLs, providers, email, SMTP, JWT, passwords)
+    const fetchAuthConfig = async (projectRef) => {
+        const data = await fetchJson(`https://api.supabase.com/v1/projects/${projectRef}/config/auth`);
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Unexpected response format from auth config API');
+        }
+        return data;
+    };
+
+    // Changes only the keys present in changes; returns the updated config
+    const updateAuthConfig = async (projectRef, changes) => (
+        sendJson(`https://api.supabase.com/v1/projects/${projectRef}/config/auth`, 'PATCH', changes)
+    );
+
     return {
         fetchFunctionList,
-        downloadFunctionCode
+        downloadFunctionCode,
+        fetchAuthConfig,
+        updateAuthConfig
     };
 };
 
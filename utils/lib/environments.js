@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..', '..');
+
+// Used when there is no environments.json: the four environments the tool has always known
+const DEFAULT_ENVIRONMENTS = [
+    { name: 'prod', label: 'Production', aliases: ['production', 'main'], production: true },
+    { name: 'test', label: 'Test/Staging', aliases: ['staging'] },
+    { name: 'dev', label: 'Development', aliases: ['develop'] },
+    { name: 'backup', label: 'Backup', aliases: ['bkup', 'bkp'] }
+];
+
+// Environment name -> variable prefix: customer-x -> CUSTOMER_X (SUPABASE_CUSTOMER_X_PROJECT_REF)
+const toEnvKey = (name) => String(name).toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+
+const getRegistryPath = () => process.env.SUPABASE_ENVIRONMENTS_FILE || path.join(PROJECT_ROOT, 'environments.json');
+
+const normalizeDefinitions = (definitions, source) => {
+    if (!Array.isArray(definitions) || definitions.length === 0) {
+        throw new Error(`${source} must define a non-empty "environments" array`);
+    }
+
+    const byLookup = new Map();
+    const environments = definitions.map((definition) => {
+        if (!definition || !definition.name) {
+            throw new Error(`${source}: every environment needs a "name"`);
+        }
+        const name = String(definition.name).toLowerCase();
+        const environment = {
+            name,
+            key: definition.key ? toEnvKey(definition.key) : toEnvKey(name),
+            label: definition.label || name,
+            aliases: (definition.aliases || []).map(alias => String(alias).toLowerCase()),
+            production: definition.production === true
+        };
+
+        [name, ...environment.aliases].forEach((lookup) => {
+            const existing = byLookup.get(lookup);
+            if (existing && existing !== environment) {
+                throw new Error(`${source}: "${lookup}" is used by both ${existing.name} and ${name}`);
+            }
+            byLookup.set(lookup, environment);
+        });
+        return environment;
+    });
+
+    return { environments, byLookup };
+};
+
+let registry = null;
+let registryPath = null;
+let registryMtime = null;
+
+// Registry from environments.json (or the defaults), re-read when the file changes
+const loadRegistry = () => {
+    const filePath = getRegistryPath();
+    const mtime = fs.existsSync(filePath) ? fs.statSync(filePath).mtimeMs : null;
+    if (registry && filePath === registryPath && mtime === registryMtime) {
+        return registry;
+    }
+
+    if (mtime === null) {
+        registry = normalizeDefinitions(DEFAULT_ENVIRONMENTS, 'default environments');
+    } else {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        } catch (error) {
+            throw new Error(`Unable to read environments registry ${filePath}: ${error.message}`);
+        }
+        registry = normalizeDefinitions(data.environments, filePath);
+    }
+    registryPath = filePath;
+    registryMtime = mtime;
+    return registry;
+};
+
+const listEnvironments = () => loadRegistry().environments;
+
+// Resolve a name or alias (case-insensitive) to { name, key, label, aliases, production }, or null
+const resolveEnvironment = (env) => {
+    if (!env) {
+        return null;
+    }
+    return loadRegistry().byLookup.get(String(env).toLowerCase()) || null;
+};
+
+const requireEnvironment = (env) => {
+    const environment = resolveEnvironment(env);
+    if (!environment) {
+        const known = listEnvironments().map(entry => entry.name).join(', ');
+        throw new Error(`Unsupported environment: ${env} (known environments: ${known})`);
+    }
+    return environment;
+};
+
+// Variable prefix for an environment (PROD, TEST, CUSTOMER_X, ...), or null when unknown
+const normalizeEnvKey = (env) => {
+    const environment = resolveEnvironment(env);
+    return environment ? environment.key : null;
+};
+
+const isProductionEnvironment = (env) => {
+    const environment = resolveEnvironment(env);
+    return Boolean(environment && environment.production);
+};
+
+// SUPABASE_<KEY>_<suffix>, falling back to the legacy SUPABSE_ spelling
+const getEnvVar = (env, suffix) => {
+    const key = normalizeEnvKey(env);
+    if (!key) {
+        return '';
+    }
+    return process.env[`SUPABASE_${key}_${suffix}`] || process.env[`SUPABSE_${key}_${suffix}`] || '';
+};
+
+// Environment whose SUPABASE_<KEY>_PROJECT_REF matches projectRef, or null
+const findEnvironmentByRef = (projectRef) => {
+    if (!projectRef) {
+        return null;
+    }
+    return listEnvironments().find(environment => getEnvVar(environment.name, 'PROJECT_REF') === projectRef) || null;
+};
+
+module.exports = {
+    DEFAULT_ENVIRONMENTS,
+    toEnvKey,
+    getRegistryPath,
+    listEnvironments,
+    resolveEnvironment,
+    requireEnvironment,
+    normalizeEnvKey,
+    isProductionEnvironment,
+    getEnvVar,
+    findEnvironmentByRef
+};
@@ -0,0 +1,380 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const { PROGRESS_PREFIX, parseProgressLine } = require('./progress');
+
+const DEFAULT_HEARTBEAT_INTERVAL_MS = 15000;
+// How long a cancelled job gets after SIGTERM before SIGKILL, and after SIGKILL before it is
+// given up on
+const DEFAULT_KILL_TIMEOUT_MS = 10000;
+
+const generateProcessId = () => `${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+const writeSseEvent = (res, payload, id = null) => {
+    if (id !== null) {
+        res.write(`id: ${id}\n`);
+    }
+    res.write(`data: ${JSON.stringify(payload)}\n\n`);
+};
+
+// Jobs run as the leader of their own process group (spawned detached), so a negative pid
+// reaches the bash wrapper and every process the script started
+const signalProcessGroup = (child, signal) => {
+    try {
+        process.kill(-child.pid, signal);
+    } catch (_) {
+        // The group has already exited
+    }
+};
+
+const openSseStream = (res) => {
+    if (!res.headersSent) {
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.setHeader('X-Accel-Buffering', 'no');
+    }
+};
+
+// Single path for every shell-script job the server runs: spawn, log capture,
+// persistence, SSE streaming, cancellation and finish hooks behave the same for all job types.
+//
+// Runner-level hooks: runner.on('start' | 'finish', (job) => {}).
+// Per-job hook: spec.onFinish(output, pushEvent) may append events (e.g. results) before completion.
+// Jobs with spec.lockKey hold that lock in lockManager for their whole run.
+const createJobRunner = ({
+    projectRoot,
+    jobStore,
+    lockManager = null,
+    heartbeatIntervalMs = DEFAULT_HEARTBEAT_INTERVAL_MS,
+    killTimeoutMs = DEFAULT_KILL_TIMEOUT_MS
+}) => {
+    const jobs = new Map();
+    const hooks = new EventEmitter();
+
+    const pushEvent = (job, payload) => {
+        const { output } = job;
+        const logEntry = { id: output.logs.length + 1, ...payload, timestamp: Date.now() };
+        output.logs.push(logEntry);
+        jobStore.appendLog(job.processId, logEntry);
+        job.events.emit('log', logEntry);
+    };
+
+    // Progress is transient: only the latest report is kept (output.progress) and it is not
+    // written to the job store, so a long transfer does not flood the log with progress lines
+    const reportProgress = (job, progress) => {
+        job.output.progress = progress;
+        job.events.emit('progress', progress);
+    };
+
+    // Pull JOB_PROGRESS= lines (lib/progress.js) out of stdout text and return the rest.
+    // A trailing line that may still become a progress line is held back until its newline arrives.
+    const takeProgressLines = (job, text) => {
+        const lines = (job.pendingStdout + text).split('\n');
+        const tail = lines.pop();
+        const mayBeProgress = tail.length > 0 && (tail.startsWith(PROGRESS_PREFIX) || PROGRESS_PREFIX.startsWith(tail));
+        job.pendingStdout = mayBeProgress ? tail : '';
+
+        let kept = '';
+        lines.forEach((line) => {
+            const progress = parseProgressLine(line);
+            if (progress) {
+                reportProgress(job, progress);
+            } else {
+                kept += `${line}\n`;
+            }
+        });
+        return mayBeProgress ? kept : kept + tail;
+    };
+
+    const finish = async (job, status, exitCode, error) => {
+        if (job.finished) {
+            return;
+        }
+        job.finished = true;
+        clearTimeout(job.killTimer);
+        const { output } = job;
+        output.exitCode = exitCode;
+        output.status = job.cancelled ? 'cancelled' : status;
+
+        if (error) {
+            output.error = error;
+            pushEvent(job, { type: 'error', error });
+        }
+
+        if (typeof job.onFinish === 'function') {
+            try {
+                await job.onFinish(output, (payload) => pushEvent(job, payload));
+            } catch (hookError) {
+                console.warn(`Finish hook failed for ${job.processId}:`, hookError.message);
+            }
+        }
+
+        jobStore.recordFinish(job.processId, { status: output.status, exitCode, error });
+        if (job.lockKey && lockManager) {
+            lockManager.release(job.lockKey, job.processId);
+        }
+        jobs.delete(job.processId);
+        job.events.emit('complete', { type: 'complete', status: output.status, exitCode });
+        hooks.emit('finish', job);
+    };
+
+    const start = (job) => {
+        const child = spawn('bash', [path.join(projectRoot, job.script), ...job.args], {
+            cwd: projectRoot,
+            env: { ...process.env, ...job.processEnv },
+            detached: true
+        });
+        job.child = child;
+        job.output.status = 'running';
+
+        const capture = (stream) => (data) => {
+            if (job.finished) {
+                return;
+            }
+            const text = stream === 'stdout' ? takeProgressLines(job, data.toString()) : data.toString();
+            if (!text) {
+                return;
+            }
+            job.output[stream] += text;
+            pushEvent(job, { type: stream, data: text });
+        };
+
+        child.stdout.on('data', capture('stdout'));
+        child.stderr.on('data', capture('stderr'));
+        child.on('close', (code) => {
+            // Output held back by takeProgressLines that never became a progress line
+            if (job.pendingStdout) {
+                capture('stdout')('\n');
+            }
+            finish(job, code === 0 ? 'completed' : 'failed', code);
+        });
+        child.on('error', (error) => finish(job, 'error', null, error.message));
+
+        hooks.emit('start', job);
+    };
+
+    // Register a job and start it. Throws when the script is missing, or with code TARGET_LOCKED
+    // (and the holder in error.lock) when another job holds the target lock.
+    const enqueue = (spec) => {
+        if (!spec.script || !fs.existsSync(path.join(projectRoot, spec.script))) {
+            throw new Error(`Script not found: ${spec.script}`);
+        }
+
+        const processId = generateProcessId();
+        const type = spec.type || path.basename(spec.script, '.sh');
+        const startTime = new Date().toISOString();
+
+        if (spec.lockKey && lockManager) {
+            const { acquired, lock } = lockManager.acquire(spec.lockKey, {
+                processId,
+                type,
+                sourceEnv: spec.sourceEnv,
+                targetEnv: spec.targetEnv,
+                startTime
+            });
+            if (!acquired) {
+                const error = new Error(`Target ${spec.targetEnv || spec.lockKey} is busy: ${lock.type} job ${lock.processId} running since ${lock.startTime}`);
+                error.code = 'TARGET_LOCKED';
+                error.lock = lock;
+                throw error;
+            }
+        }
+
+        const job = {
+            processId,
+            type,
+            script: spec.script,
+            args: (spec.args || []).filter(arg => arg !== null && arg !== undefined),
+            sourceEnv: spec.sourceEnv,
+            targetEnv: spec.targetEnv,
+            env: spec.env,
+            options: spec.options,
+            endpoint: spec.endpoint,
+            processEnv: spec.processEnv || {},
+            onFinish: spec.onFinish,
+            lockKey: spec.lockKey,
+            startTime,
+            pendingStdout: '',
+            output: {
+                processId,
+                stdout: '',
+                stderr: '',
+                exitCode: null,
+                status: 'queued',
+                progress: null,
+                logs: []
+            },
+            events: new EventEmitter()
+        };
+        job.events.setMaxListeners(0);
+
+        jobs.set(processId, job);
+        jobStore.recordStart(job);
+        start(job);
+        return job;
+    };
+
+    const get = (processId) => jobs.get(processId) || null;
+
+    // Output of a running job, or one rebuilt from the job store once it has finished
+    const getOutput = (processId) => {
+        const job = jobs.get(processId);
+        if (job) {
+            return job.output;
+        }
+        const stored = jobStore.get(processId);
+        if (!stored) {
+            return null;
+        }
+        const logs = jobStore.readLogs(processId);
+        return {
+            processId,
+            stdout: logs.filter(entry => entry.type === 'stdout').map(entry => entry.data).join(''),
+            stderr: logs.filter(entry => entry.type === 'stderr').map(entry => entry.data).join(''),
+            exitCode: stored.exitCode,
+            status: stored.status,
+            error: stored.error,
+            logs
+        };
+    };
+
+    const listActive = () => Array.from(jobs.values()).map((job) => ({
+        processId: job.processId,
+        type: job.type,
+        sourceEnv: job.sourceEnv,
+        targetEnv: job.targetEnv,
+        env: job.env,
+        startTime: job.startTime,
+        status: job.output.status,
+        progress: job.output.progress,
+        endpoint: job.endpoint
+    }));
+
+    // Resolve with the job output once it completes (immediately for finished jobs)
+    const waitFor = (processId) => new Promise((resolve) => {
+        const job = jobs.get(processId);
+        if (!job) {
+            resolve(getOutput(processId));
+            return;
+        }
+        job.events.once('complete', () => resolve(job.output));
+    });
+
+    // Stop the job's whole process group. The job (and its target lock) only finishes on 'close',
+    // once every process has exited; SIGKILL follows if the group outlives killTimeoutMs, and the
+    // job is given up on after another killTimeoutMs (a process that left the group holds the pipes).
+    const cancel = (processId) => {
+        const job = jobs.get(processId);
+        if (!job) {
+            return false;
+        }
+        if (job.cancelled) {
+            return true;
+        }
+        job.cancelled = true;
+        if (!job.child || job.child.pid === undefined) {
+            finish(job, 'cancelled', null);
+            return true;
+        }
+        signalProcessGroup(job.child, 'SIGTERM');
+        job.killTimer = setTimeout(() => {
+            signalProcessGroup(job.child, 'SIGKILL');
+            job.killTimer = setTimeout(() => finish(job, 'cancelled', null), killTimeoutMs);
+        }, killTimeoutMs);
+        return true;
+    };
+
+    // Stop every running job's process group; used when the server shuts down, since detached
+    // jobs do not receive the terminal's Ctrl-C
+    const killAll = () => {
+        jobs.forEach((job) => {
+            if (job.child && job.child.pid !== undefined) {
+                signalProcessGroup(job.child, 'SIGTERM');
+            }
+        });
+    };
+
+    // Stream a job's events over SSE. Every log event carries its log index as the SSE id,
+    // so a client can reconnect with Last-Event-ID and continue exactly where it left off.
+    // Progress events ({ type: 'progress', ... }) carry no id; a (re)connecting client gets the latest one.
+    const stream = (req, res, processId, lastEventId = 0) => {
+        openSseStream(res);
+
+        const toPayload = ({ id, timestamp, ...payload }) => payload;
+        const replay = (logs) => {
+            logs.filter(entry => entry.id > lastEventId)
+                .forEach(entry => writeSseEvent(res, toPayload(entry), entry.id));
+        };
+
+        writeSseEvent(res, { type: 'started', processId });
+
+        const job = jobs.get(processId);
+        if (!job) {
+            // Job finished (or was interrupted by a restart) - replay the stored log
+            const storedOutput = getOutput(processId);
+            if (!storedOutput) {
+                writeSseEvent(res, { type: 'error', error: 'Process not found' });
+                return res.end();
+            }
+            replay(storedOutput.logs);
+            writeSseEvent(res, { type: 'complete', status: storedOutput.status, exitCode: storedOutput.exitCode });
+            return res.end();
+        }
+
+        replay(job.output.logs);
+        if (job.output.progress) {
+            writeSseEvent(res, { type: 'progress', ...job.output.progress });
+        }
+
+        const onLog = (logEntry) => writeSseEvent(res, toPayload(logEntry), logEntry.id);
+        const onProgress = (progress) => writeSseEvent(res, { type: 'progress', ...progress });
+        const onComplete = (payload) => {
+            cleanup();
+            writeSseEvent(res, payload);
+            res.end();
+        };
+        // Comment lines keep proxies from dropping the connection during quiet phases (e.g. pg_dump)
+        const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), heartbeatIntervalMs);
+        const cleanup = () => {
+            clearInterval(heartbeat);
+            job.events.off('log', onLog);
+            job.events.off('progress', onProgress);
+            job.events.off('complete', onComplete);
+        };
+
+        job.events.on('log', onLog);
+        job.events.on('progress', onProgress);
+        job.events.once('complete', onComplete);
+        // Disconnecting only detaches the stream; cancel jobs explicitly via cancel()
+        res.on('close', cleanup);
+    };
+
+    // Report a job that could not be started on an SSE response
+    const streamError = (res, message) => {
+        openSseStream(res);
+        writeSseEvent(res, { type: 'error', error: message });
+        writeSseEvent(res, { type: 'complete', status: 'error', exitCode: null });
+        res.end();
+    };
+
+    return {
+        enqueue,
+        get,
+        getOutput,
+        listActive,
+        waitFor,
+        cancel,
+        killAll,
+        stream,
+        streamError,
+        on: (event, listener) => hooks.on(event, listener)
+    };
+};
+
+module.exports = {
+    createJobRunner
+};
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'error', 'cancelled', 'interrupted'];
+
+const readJsonLines = (filePath) => {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+    return fs.readFileSync(filePath, 'utf8')
+        .split('\n')
+        .filter((line) => line.trim())
+        .map((line) => {
+            try {
+                return JSON.parse(line);
+            } catch (_) {
+                // A crash mid-write can leave a truncated last line
+                return null;
+            }
+        })
+        .filter(Boolean);
+};
+
+// Job history directory in the data dir. Older versions kept it in the project root; it is moved
+// on first use so earlier jobs stay in the history. movedFrom is set when that happened.
+const resolveJobHistoryDir = (dataDir, legacyDir) => {
+    const dir = path.join(dataDir, 'job_history');
+    if (fs.existsSync(dir) || !legacyDir || !fs.existsSync(legacyDir)) {
+        return { dir, movedFrom: null };
+    }
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.renameSync(legacyDir, dir);
+    return { dir, movedFrom: legacyDir };
+};
+
+// Durable job registry: jobs.jsonl holds start/finish records, logs/<processId>.jsonl
+// holds every captured output chunk so a job can be reconstructed after a restart.
+const createJobStore = (baseDir) => {
+    const indexPath = path.join(baseDir, 'jobs.jsonl');
+    const logsDir = path.join(baseDir, 'logs');
+    const jobs = new Map();
+
+    fs.mkdirSync(logsDir, { recursive: true });
+
+    const logPathFor = (processId) => path.join(logsDir, `${processId}.jsonl`);
+
+    const appendRecord = (record) => {
+        fs.appendFileSync(indexPath, `${JSON.stringify(record)}\n`);
+    };
+
+    const recordStart = (job) => {
+        const entry = {
+            processId: job.processId,
+            type: job.type || 'unknown',
+            sourceEnv: job.sourceEnv || null,
+            targetEnv: job.targetEnv || null,
+            env: job.env || null,
+            options: job.options || {},
+            script: job.script || null,
+            args: Array.isArray(job.args) ? job.args : [],
+            endpoint: job.endpoint || null,
+            startTime: job.startTime || new Date().toISOString(),
+            endTime: null,
+            status: 'running',
+            exitCode: null
+        };
+        jobs.set(entry.processId, entry);
+        appendRecord({ event: 'start', job: entry });
+        return entry;
+    };
+
+    const appendLog = (processId, entry) => {
+        fs.appendFileSync(logPathFor(processId), `${JSON.stringify(entry)}\n`);
+    };
+
+    const recordFinish = (processId, { status, exitCode = null, error = null } = {}) => {
+        const job = jobs.get(processId);
+        if (!job || TERMINAL_STATUSES.includes(job.status)) {
+            return job || null;
+        }
+        const result = {
+            status: status || (exitCode === 0 ? 'completed' : 'failed'),
+            exitCode,
+            endTime: new Date().toISOString()
+        };
+        if (error) {
+            result.error = error;
+        }
+        Object.assign(job, result);
+        appendRecord({ event: 'finish', processId, result });
+        return job;
+    };
+
+    const readLogs = (processId) => readJsonLines(logPathFor(processId));
+
+    const get = (processId) => jobs.get(processId) || null;
+
+    const list = ({ status, limit } = {}) => {
+        let entries = Array.from(jobs.values());
+        if (status) {
+            entries = entries.filter((job) => job.status === status);
+        }
+        entries.sort((a, b) => String(b.startTime).localeCompare(String(a.startTime)));
+        return limit ? entries.slice(0, limit) : entries;
+    };
+
+    // Rebuild state from disk; anything still "running" belonged to a previous server process
+    const load = () => {
+        readJsonLines(indexPath).forEach((record) => {
+            if (record.event === 'start' && record.job) {
+                jobs.set(record.job.processId, { ...record.job });
+            } else if (record.event === 'finish' && jobs.has(record.processId)) {
+                Object.assign(jobs.get(record.processId), record.result);
+            }
+        });
+
+        jobs.forEach((job) => {
+            if (job.status === 'running') {
+                recordFinish(job.processId, {
+                    status: 'interrupted',
+                    error: 'Server restarted while the job was running'
+                });
+            }
+        });
+    };
+
+    load();
+
+    return {
+        recordStart,
+        appendLog,
+        recordFinish,
+        readLogs,
+        get,
+        list
+    };
+};
+
+module.exports = {
+    TERMINAL_STATUSES,
+    readJsonLines,
+    resolveJobHistoryDir,
+    createJobStore
+};
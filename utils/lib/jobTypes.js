@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { AUTH_CONFIG_GROUP_NAMES } = require('./authConfig');
+const { MANIFEST_FILE } = require('./storageManifest');
+
+const jobParamsError = (message) => {
+    const error = new Error(message);
+    error.code = 'JOB_PARAMS_INVALID';
+    return error;
+};
+
+const AUTH_CONFIG_NAME_PATTERN = /^[a-z0-9_-]+$/;
+const nonEmptyList = (value) => Array.isArray(value) && value.length > 0;
+
+// Absolute path of a directory param that must be inside the project (backups/...)
+const projectDir = (projectRoot, dir, name) => {
+    const resolved = path.resolve(projectRoot, dir);
+    if (!resolved.startsWith(`${projectRoot}${path.sep}`)) {
+        throw jobParamsError(`${name} must be inside the project directory`);
+    }
+    return resolved;
+};
+
+// Every script the server can run as a job. buildArgs receives the job params
+// ({ sourceEnv, targetEnv, env, migrationDir, outputDir, options }) and returns the CLI arguments.
+// validate(params, { projectRoot }), where present, checks params before a job is accepted (from
+// its endpoint or as a pipeline step) and returns them normalized; it throws JOB_PARAMS_INVALID.
+// mutatesTarget marks jobs that write to the target project and must hold its lock;
+// adminOnly jobs need the admin role whatever the target.
+const JOB_TYPES = {
+    'migration-plan': {
+        script: 'scripts/main/migration_plan.sh',
+        endpoint: '/api/migration-plan',
+        buildArgs: ({ sourceEnv, targetEnv, outputDir }) => {
+            const args = [sourceEnv, targetEnv];
+            if (outputDir) args.push(outputDir);
+            return args;
+        }
+    },
+    'main-migration': {
+        mutatesTarget: true,
+        script: 'scripts/main/supabase_migration.sh',
+        endpoint: '/api/migration',
+        buildArgs: ({ sourceEnv, targetEnv, options = {} }) => {
+            // Always add --auto-confirm for web UI (non-interactive)
+            const args = [sourceEnv, targetEnv, '--auto-confirm'];
+            if (options.mode === 'full') {
+                args.push('--mode', 'full');
+            } else if (options.mode === 'schema') {
+                args.push('--mode', 'schema');
+            }
+            if (options.data) args.push('--data');
+            if (options.users) args.push('--users');
+            if (options.files) args.push('--files');
+            if (options.backup) args.push('--backup');
+            if (options.dryRun) args.push('--dry-run');
+            if (options.increment) args.push('--increment');
+            if (options.replaceData) args.push('--replace-data');
+            return args;
+        }
+    },
+    'environment-clone': {
+        mutatesTarget: true,
+        adminOnly: true,
+        script: 'scripts/main/supabase_clone.sh',
+        endpoint: '/api/clone',
+        buildArgs: ({ sourceEnv, targetEnv, options = {} }) => {
+            const args = [sourceEnv, targetEnv];
+            if (options.autoConfirm) args.push('--auto-confirm');
+            return args;
+        }
+    },
+    'table-data': {
+        mutatesTarget: true,
+        script: 'scripts/components/migrate_all_table_data.sh',
+        endpoint: '/api/migration/table-data',
+        buildArgs: ({ sourceEnv, targetEnv, options = {} }) => {
+            const { tables = [], mode = 'append', batchSize = 1000, includeUsers = false } = options;
+            const args = [sourceEnv, targetEnv];
+            if (includeUsers === true) args.push('--users');
+            if (mode === 'replace') args.push('--replace');
+            if (batchSize && Number.isFinite(batchSize)) args.push(`--batch=${batchSize}`);
+            if (Array.isArray(tables) && tables.length > 0) args.push(`--tables=${tables.join(',')}`);
+            return args;
+        }
+    },
+    'database-migration': {
+        mutatesTarget: true,
+        script: 'scripts/components/database_migration.sh',
+        endpoint: '/api/migration/database',
+        buildArgs: ({ sourceEnv, targetEnv, migrationDir, options = {} }) => {
+            const args = [sourceEnv, targetEnv];
+            if (migrationDir) args.push(migrationDir);
+            if (options.data) args.push('--data');
+            if (options.users) args.push('--users');
+            if (options.backup) args.push('--backup');
+            if (options.increment) args.push('--increment');
+            if (options.replaceData) args.push('--replace-data');
+            return args;
+        }
+    },
+    'storage-migration': {
+        mutatesTarget: true,
+        script: 'scripts/main/storage_buckets_migration.sh',
+        endpoint: '/api/migration/storage',
+        // A resumed run reads and writes the interrupted run's directory, so it must be a storage
+        // migration directory inside the project
+        validate: (params, { projectRoot }) => {
+            const { options = {} } = params;
+            if (!options.resume) {
+                return params;
+            }
+            if (typeof options.resume !== 'string' || !options.resume.trim()) {
+                throw jobParamsError('options.resume must be the directory of the run to resume');
+            }
+            const resumeDir = projectDir(projectRoot, options.resume.trim(), 'options.resume');
+            if (!fs.existsSync(path.join(resumeDir, MANIFEST_FILE))) {
+                throw jobParamsError(`No storage migration to resume in ${options.resume} (expected ${MANIFEST_FILE})`);
+            }
+            return { ...params, options: { ...options, resume: path.relative(projectRoot, resumeDir) } };
+        },
+        buildArgs: ({ sourceEnv, targetEnv, migrationDir, options = {} }) => {
+            const args = [sourceEnv, targetEnv];
+            if (migrationDir) args.push(migrationDir);
+            if (options.files) args.push('--file');
+            if (options.increment) args.push('--increment');
+            if (parseInt(options.concurrency, 10) > 0) args.push(`--concurrency=${parseInt(options.concurrency, 10)}`);
+            if (options.resume) args.push(`--resume=${options.resume}`);
+            if (options.mirror) args.push('--mirror');
+            if (options.mirror && options.dryRun) args.push('--dry-run');
+            if (options.checksum) args.push('--checksum');
+            if (options.verify) args.push('--verify');
+            if (options.policies) args.push('--policies');
+            ['buckets', 'include', 'exclude'].forEach((filter) => {
+                if (typeof options[filter] === 'string' && options[filter].trim()) args.push(`--${filter}=${options[filter].trim()}`);
+            });
+            return args;
+        }
+    },
+    'storage-restore': {
+        mutatesTarget: true,
+        script: 'scripts/components/storage_restore.sh',
+        endpoint: '/api/storage/restore',
+        // Only backups inside the project (backups/...) can be restored
+        validate: (params, { projectRoot }) => {
+            if (!params.targetEnv || !params.migrationDir) {
+                throw jobParamsError('targetEnv and migrationDir are required');
+            }
+            const backupDir = projectDir(projectRoot, params.migrationDir, 'migrationDir');
+            if (!fs.existsSync(path.join(backupDir, 'storage_files'))) {
+                throw jobParamsError(`No storage backup found in ${params.migrationDir} (expected a storage_files/ folder)`);
+            }
+            return { ...params, migrationDir: path.relative(projectRoot, backupDir) };
+        },
+        // Confirmation happens in the web UI (and through approvals for production)
+        buildArgs: ({ targetEnv, migrationDir, options = {} }) => {
+            const args = [migrationDir, targetEnv];
+            if (options.bucket) args.push(`--bucket=${options.bucket}`);
+            if (options.prefix) args.push(`--prefix=${options.prefix}`);
+            if (parseInt(options.concurrency, 10) > 0) args.push(`--concurrency=${parseInt(options.concurrency, 10)}`);
+            args.push('--auto-confirm');
+            return args;
+        }
+    },
+    'edge-functions-migration': {
+        mutatesTarget: true,
+        script: 'scripts/main/edge_functions_migration.sh',
+        endpoint: '/api/migration/edge-functions',
+        buildArgs: ({ sourceEnv, targetEnv, migrationDir, options = {} }) => {
+            const args = [sourceEnv, targetEnv];
+            if (migrationDir) args.push(migrationDir);
+            if (options.increment) args.push('--increment');
+            return args;
+        }
+    },
+    'secrets-migration': {
+        mutatesTarget: true,
+        script: 'scripts/main/secrets_migration.sh',
+        endpoint: '/api/migration/secrets',
+        buildArgs: ({ sourceEnv, targetEnv, migrationDir, options = {} }) => {
+            const args = [sourceEnv, targetEnv];
+            if (migrationDir) args.push(migrationDir);
+            if (options.values) args.push('--values');
+            if (options.increment) args.push('--increment');
+            return args;
+        }
+    },
+    'auth-config-migration': {
+        mutatesTarget: true,
+        script: 'scripts/components/authConfig_migration.sh',
+        endpoint: '/api/migration/auth-config',
+        validate: (params) => {
+            const { options = {} } = params;
+            if (!options.all && !nonEmptyList(options.groups) && !nonEmptyList(options.keys)) {
+                throw jobParamsError('Select the settings to apply (options.all, options.groups or options.keys)');
+            }
+            const unknownGroups = (Array.isArray(options.groups) ? options.groups : []).filter(group => !AUTH_CONFIG_GROUP_NAMES.includes(group));
+            if (unknownGroups.length > 0) {
+                throw jobParamsError(`Unknown auth config group(s): ${unknownGroups.join(', ')} (valid: ${AUTH_CONFIG_GROUP_NAMES.join(', ')})`);
+            }
+            const invalidKeys = (Array.isArray(options.keys) ? options.keys : []).filter(key => typeof key !== 'string' || !AUTH_CONFIG_NAME_PATTERN.test(key));
+            if (invalidKeys.length > 0) {
+                throw jobParamsError(`Invalid auth config key(s): ${invalidKeys.join(', ')}`);
+            }
+            return params;
+        },
+        // Secret values are never passed from the web UI; selected secrets keep their target value
+        buildArgs: ({ sourceEnv, targetEnv, options = {} }) => {
+            const args = [sourceEnv, targetEnv];
+            const names = (list) => (Array.isArray(list) ? list.filter(name => typeof name === 'string' && AUTH_CONFIG_NAME_PATTERN.test(name)) : []);
+            if (options.all) {
+                args.push('--all');
+            } else {
+                if (names(options.groups).length > 0) args.push(`--groups=${names(options.groups).join(',')}`);
+                if (names(options.keys).length > 0) args.push(`--keys=${names(options.keys).join(',')}`);
+            }
+            if (options.dryRun) args.push('--dry-run');
+            return args;
+        }
+    },
+    'all-envs-snapshot': {
+        script: 'scripts/main/all_envs_snapshot.sh',
+        endpoint: '/api/all-envs-snapshot',
+        buildArgs: () => ['snapshots']
+    },
+    'connection-test': {
+        script: 'scripts/components/connection_test.sh',
+        endpoint: '/api/connection-test',
+        buildArgs: ({ env }) => [env, '--verbose']
+    },
+    'edge-comparison': {
+        script: 'scripts/components/compare_edge_functions.sh',
+        endpoint: '/api/edge-comparison',
+        buildArgs: ({ sourceEnv, targetEnv }) => [sourceEnv, targetEnv]
+    },
+    'storage-comparison': {
+        script: 'scripts/components/compare_storage.sh',
+        endpoint: '/api/storage-comparison',
+        buildArgs: ({ sourceEnv, targetEnv }) => [sourceEnv, targetEnv]
+    },
+    'auth-users-comparison': {
+        script: 'scripts/components/compare_auth_users.sh',
+        endpoint: '/api/auth-users/compare',
+        buildArgs: ({ sourceEnv, targetEnv }) => [sourceEnv, targetEnv]
+    },
+    'auth-config-comparison': {
+        script: 'scripts/components/compare_auth_config.sh',
+        endpoint: '/api/auth-config/compare',
+        buildArgs: ({ sourceEnv, targetEnv }) => [sourceEnv, targetEnv]
+    }
+};
+
+// Turn a job type plus request params into a spec for jobRunner.enqueue()
+const buildJobSpec = (type, params = {}) => {
+    const definition = JOB_TYPES[type];
+    if (!definition) {
+        throw new Error(`Unknown job type: ${type}`);
+    }
+    return {
+        type,
+        script: definition.script,
+        endpoint: definition.endpoint,
+        args: definition.buildArgs(params),
+        sourceEnv: params.sourceEnv,
+        targetEnv: params.targetEnv,
+        env: params.env,
+        options: params.options,
+        mutatesTarget: definition.mutatesTarget === true
+    };
+};
+
+// Run a job type's validate() on request params; returns the (normalized) params or throws
+// JOB_PARAMS_INVALID
+const validateJobParams = (type, params, { projectRoot }) => {
+    const definition = JOB_TYPES[type];
+    if (!definition) {
+        throw jobParamsError(`Unknown job type: ${type}`);
+    }
+    return definition.validate ? definition.validate(params, { projectRoot }) : params;
+};
+
+module.exports = {
+    JOB_TYPES,
+    buildJobSpec,
+    validateJobParams
+};
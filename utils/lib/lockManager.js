@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// In-memory locks keyed by target project ref. A lock is held by one job at a time
+// so two mutating jobs can never write to the same Supabase project concurrently.
+const createLockManager = () => {
+    const locks = new Map();
+
+    // Returns { acquired: true, lock } or { acquired: false, lock: <current holder> }
+    const acquire = (key, holder) => {
+        const existing = locks.get(key);
+        if (existing) {
+            return { acquired: false, lock: existing };
+        }
+        const lock = { key, ...holder, acquiredAt: new Date().toISOString() };
+        locks.set(key, lock);
+        return { acquired: true, lock };
+    };
+
+    // Only the holding job can release its lock
+    const release = (key, processId) => {
+        const existing = locks.get(key);
+        if (existing && existing.processId === processId) {
+            locks.delete(key);
+            return true;
+        }
+        return false;
+    };
+
+    const get = (key) => locks.get(key) || null;
+
+    const list = () => Array.from(locks.values());
+
+    return {
+        acquire,
+        release,
+        get,
+        list
+    };
+};
+
+module.exports = {
+    createLockManager
+};
@@ -0,0 +1,284 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+
+const SCHEDULER_INTERVAL_MS = 30000;
+const LOCK_RETRY_INTERVAL_MS = 10000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REPEAT_OPTIONS = ['daily'];
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const generatePipelineId = () => `pipeline-${Date.now()}-${Math.random().toString(36).substr(2, 6)}`;
+
+// Job params of a pipeline step: every step runs against the pipeline's source and target
+const stepJobParams = (pipeline, step) => ({
+    sourceEnv: pipeline.sourceEnv,
+    targetEnv: pipeline.targetEnv,
+    env: pipeline.targetEnv,
+    migrationDir: step.migrationDir,
+    options: step.options
+});
+
+// Ordered pipelines of existing job types (e.g. snapshot -> plan -> database -> storage ->
+// edge functions -> secrets) run one step at a time against one source/target pair.
+// Pipelines run one after another; a pipeline with runAt waits for the in-process scheduler.
+//
+// startJob(type, params, pipeline) must start a runner job and return it (throwing with code
+// TARGET_LOCKED while the target is busy, retried every lockRetryMs); waitForJob(processId)
+// resolves with its output.
+const createPipelineQueue = ({
+    storePath,
+    startJob,
+    waitForJob,
+    cancelJob,
+    intervalMs = SCHEDULER_INTERVAL_MS,
+    lockRetryMs = LOCK_RETRY_INTERVAL_MS
+}) => {
+    const pipelines = new Map();
+    let runningId = null;
+    let timer = null;
+
+    const save = () => {
+        fs.mkdirSync(path.dirname(storePath), { recursive: true });
+        fs.writeFileSync(storePath, JSON.stringify(Array.from(pipelines.values()), null, 2));
+    };
+
+    const load = () => {
+        if (!fs.existsSync(storePath)) {
+            return;
+        }
+        let stored = [];
+        try {
+            stored = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+        } catch (error) {
+            console.warn(`Ignoring unreadable pipeline store ${storePath}: ${error.message}`);
+        }
+        stored.forEach((pipeline) => {
+            // A pipeline mid-run belonged to a previous server process
+            if (pipeline.status === 'running') {
+                pipeline.status = 'interrupted';
+                pipeline.finishedAt = new Date().toISOString();
+                pipeline.steps.forEach((step) => {
+                    if (['running', 'waiting', 'pending'].includes(step.status)) {
+                        step.status = step.status === 'pending' ? 'skipped' : 'interrupted';
+                    }
+                });
+            }
+            pipelines.set(pipeline.id, pipeline);
+        });
+        save();
+    };
+
+    const create = ({ name, sourceEnv, targetEnv, steps, runAt = null, repeat = null, createdBy = null }) => {
+        const now = new Date().toISOString();
+        const pipeline = {
+            id: generatePipelineId(),
+            name: name || `${sourceEnv} → ${targetEnv}`,
+            sourceEnv,
+            targetEnv,
+            runAt: runAt ? new Date(runAt).toISOString() : now,
+            repeat,
+            createdBy,
+            status: 'scheduled',
+            createdAt: now,
+            startedAt: null,
+            finishedAt: null,
+            currentStep: null,
+            steps: steps.map((step) => ({
+                type: step.type,
+                migrationDir: step.migrationDir || null,
+                options: step.options || {},
+                stopOnFailure: step.stopOnFailure !== false,
+                status: 'pending',
+                processId: null,
+                exitCode: null,
+                error: null,
+                startedAt: null,
+                finishedAt: null
+            }))
+        };
+        pipelines.set(pipeline.id, pipeline);
+        save();
+        setImmediate(tick);
+        return pipeline;
+    };
+
+    // Queue the next run of a repeating pipeline as its own record so each run keeps its history
+    const scheduleNextOccurrence = (pipeline) => {
+        if (pipeline.repeat !== 'daily') {
+            return;
+        }
+        let next = Date.parse(pipeline.runAt) + DAY_MS;
+        while (next <= Date.now()) {
+            next += DAY_MS;
+        }
+        create({
+            name: pipeline.name,
+            sourceEnv: pipeline.sourceEnv,
+            targetEnv: pipeline.targetEnv,
+            steps: pipeline.steps,
+            runAt: new Date(next).toISOString(),
+            repeat: pipeline.repeat,
+            createdBy: pipeline.createdBy
+        });
+    };
+
+    const runStep = async (pipeline, step) => {
+        const params = stepJobParams(pipeline, step);
+
+        let job = null;
+        while (!job) {
+            if (pipeline.cancelRequested) {
+                return { status: 'cancelled' };
+            }
+            try {
+                job = startJob(step.type, params, pipeline);
+            } catch (error) {
+                if (error.code !== 'TARGET_LOCKED') {
+                    return { status: 'error', error: error.message };
+                }
+                // Another job holds the target - wait for it instead of failing the pipeline
+                step.status = 'waiting';
+                step.error = error.message;
+                save();
+                await delay(lockRetryMs);
+            }
+        }
+
+        step.status = 'running';
+        step.error = null;
+        step.processId = job.processId;
+        save();
+
+        const output = await waitForJob(job.processId);
+        return { status: output.status, exitCode: output.exitCode, error: output.error || null };
+    };
+
+    const run = async (pipeline) => {
+        runningId = pipeline.id;
+        pipeline.status = 'running';
+        pipeline.startedAt = new Date().toISOString();
+        save();
+        scheduleNextOccurrence(pipeline);
+
+        let failures = 0;
+        let stopped = false;
+
+        for (let index = 0; index < pipeline.steps.length; index++) {
+            const step = pipeline.steps[index];
+            if (stopped || pipeline.cancelRequested) {
+                step.status = 'skipped';
+                continue;
+            }
+
+            pipeline.currentStep = index;
+            step.startedAt = new Date().toISOString();
+            save();
+
+            const result = await runStep(pipeline, step);
+            Object.assign(step, result, { finishedAt: new Date().toISOString() });
+
+            if (result.status !== 'completed') {
+                failures++;
+                if (step.stopOnFailure) {
+                    stopped = true;
+                }
+            }
+            save();
+        }
+
+        if (pipeline.cancelRequested) {
+            pipeline.status = 'cancelled';
+        } else if (stopped) {
+            pipeline.status = 'failed';
+        } else {
+            pipeline.status = failures > 0 ? 'completed_with_errors' : 'completed';
+        }
+        delete pipeline.cancelRequested;
+        pipeline.currentStep = null;
+        pipeline.finishedAt = new Date().toISOString();
+        save();
+
+        runningId = null;
+        tick();
+    };
+
+    // Start the earliest due pipeline unless one is already running
+    const tick = () => {
+        if (runningId) {
+            return;
+        }
+        const now = Date.now();
+        const due = Array.from(pipelines.values())
+            .filter(pipeline => pipeline.status === 'scheduled' && Date.parse(pipeline.runAt) <= now)
+            .sort((a, b) => Date.parse(a.runAt) - Date.parse(b.runAt));
+        if (due.length > 0) {
+            run(due[0]).catch((error) => {
+                console.error(`Pipeline ${due[0].id} failed:`, error);
+                runningId = null;
+            });
+        }
+    };
+
+    const cancel = (id) => {
+        const pipeline = pipelines.get(id);
+        if (!pipeline) {
+            return null;
+        }
+        if (pipeline.status === 'scheduled') {
+            pipeline.status = 'cancelled';
+            pipeline.finishedAt = new Date().toISOString();
+            pipeline.steps.forEach((step) => {
+                step.status = 'skipped';
+            });
+            save();
+        } else if (pipeline.status === 'running') {
+            pipeline.cancelRequested = true;
+            const step = pipeline.steps[pipeline.currentStep];
+            if (step && step.status === 'running' && step.processId) {
+                cancelJob(step.processId);
+            }
+        }
+        return pipeline;
+    };
+
+    const get = (id) => pipelines.get(id) || null;
+
+    const list = ({ status } = {}) => {
+        let entries = Array.from(pipelines.values());
+        if (status) {
+            entries = entries.filter(pipeline => pipeline.status === status);
+        }
+        return entries.sort((a, b) => String(b.runAt).localeCompare(String(a.runAt)));
+    };
+
+    const getRunning = () => (runningId ? pipelines.get(runningId) : null);
+
+    const start = () => {
+        if (timer) {
+            return;
+        }
+        timer = setInterval(tick, intervalMs);
+        timer.unref();
+        tick();
+    };
+
+    load();
+
+    return {
+        create,
+        cancel,
+        get,
+        list,
+        getRunning,
+        start
+    };
+};
+
+module.exports = {
+    REPEAT_OPTIONS,
+    stepJobParams,
+    createPipelineQueue
+};
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+
+// Scripts report progress as one JOB_PROGRESS=<json> line on stdout. The job runner turns these
+// lines into progress events for the web UI instead of keeping them as log output.
+const PROGRESS_PREFIX = 'JOB_PROGRESS=';
+
+const formatProgressLine = (progress) => `${PROGRESS_PREFIX}${JSON.stringify(progress)}`;
+
+// Progress object from a stdout line, or null when the line is not a (valid) progress line
+const parseProgressLine = (line) => {
+    const trimmed = String(line).replace(/\r$/, '');
+    if (!trimmed.startsWith(PROGRESS_PREFIX)) {
+        return null;
+    }
+    try {
+        return JSON.parse(trimmed.slice(PROGRESS_PREFIX.length));
+    } catch (error) {
+        return null;
+    }
+};
+
+const formatBytes = (bytes) => {
+    if (!bytes) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+    const i = Math.min(Math.floor(Math.log(bytes) / Math.log(k)), sizes.length - 1);
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+};
+
+const formatDuration = (seconds) => {
+    const total = Math.max(0, Math.round(seconds));
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = total % 60;
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return minutes > 0 ? `${minutes}m ${String(secs).padStart(2, '0')}s` : `${secs}s`;
+};
+
+// One human-readable line: "bucket: 120/5000 file(s), 1.2 GB/40 GB, 12.3 MB/s, ETA 55m 10s"
+const describeProgress = ({ label, done = 0, failed = 0, total = 0, bytes = 0, totalBytes = 0, bytesPerSec = 0, etaSeconds = null }) => {
+    const parts = [`${done + failed}/${total} file(s)`];
+    if (totalBytes > 0) {
+        parts.push(`${formatBytes(bytes)}/${formatBytes(totalBytes)}`);
+    }
+    parts.push(`${formatBytes(bytesPerSec)}/s`);
+    if (etaSeconds !== null && etaSeconds !== undefined) {
+        parts.push(`ETA ${formatDuration(etaSeconds)}`);
+    }
+    if (failed > 0) {
+        parts.push(`${failed} failed`);
+    }
+    return `${label ? `${label}: ` : ''}${parts.join(', ')}`;
+};
+
+module.exports = {
+    PROGRESS_PREFIX,
+    formatProgressLine,
+    parseProgressLine,
+    formatBytes,
+    formatDuration,
+    describeProgress
+};
@@ -0,0 +1,66 @@
+#!/usr/bin/env node
+
+const { spawnSync } = require('child_process');
+
+const psqlError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const hasPsql = () => spawnSync('which', ['psql'], { stdio: 'ignore' }).status === 0;
+
+// Connection endpoints for a project, in the order they are tried: the shared pooler on the
+// configured port and on 5432, then the dedicated database host on both ports.
+// config needs projectRef, poolerRegion and poolerPort (as returned by lib/config).
+const getConnectionEndpoints = (config) => {
+    const sharedHost = `${config.poolerRegion}.pooler.supabase.com`;
+    const dedicatedHost = `db.${config.projectRef}.supabase.co`;
+    const sharedUser = `postgres.${config.projectRef}`;
+    return [
+        { host: sharedHost, port: config.poolerPort, user: sharedUser, label: `shared_${config.poolerPort}` },
+        { host: sharedHost, port: 5432, user: sharedUser, label: 'shared_5432' },
+        { host: dedicatedHost, port: config.poolerPort, user: 'postgres', label: `dedicated_${config.poolerPort}` },
+        { host: dedicatedHost, port: 5432, user: 'postgres', label: 'dedicated_5432' }
+    ];
+};
+
+// Run psql with args against one endpoint and return its stdout. Throws PSQL_FAILED.
+const runPsql = (endpoint, password, args) => {
+    const result = spawnSync('psql', ['-h', endpoint.host, '-p', String(endpoint.port), '-U', endpoint.user, '-d', 'postgres', ...args], {
+        encoding: 'utf8',
+        env: { ...process.env, PGPASSWORD: password, PGSSLMODE: 'require' }
+    });
+    if (result.error) {
+        throw psqlError('PSQL_FAILED', `psql could not be started: ${result.error.message}`);
+    }
+    if (result.status !== 0) {
+        throw psqlError('PSQL_FAILED', `psql via ${endpoint.label}: ${(result.stderr || result.stdout || '').trim()}`);
+    }
+    return result.stdout || '';
+};
+
+// Run psql against each endpoint in turn until one succeeds; onEndpointFailed(endpoint, error)
+// is called for every endpoint that fails. Throws the last endpoint's error when all fail.
+// config needs dbPassword besides what getConnectionEndpoints uses.
+const runPsqlWithFallback = (config, args, { onEndpointFailed } = {}) => {
+    let lastError = null;
+    for (const endpoint of getConnectionEndpoints(config)) {
+        try {
+            return runPsql(endpoint, config.dbPassword, args);
+        } catch (error) {
+            lastError = error;
+            if (onEndpointFailed) {
+                onEndpointFailed(endpoint, error);
+            }
+        }
+    }
+    throw lastError;
+};
+
+module.exports = {
+    hasPsql,
+    getConnectionEndpoints,
+    runPsql,
+    runPsqlWithFallback
+};
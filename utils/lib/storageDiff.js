@@ -0,0 +1,90 @@
+#!/usr/bin/env node
+
+const { getObjectSize } = require('./storageObjects');
+
+const BUCKET_SETTINGS = ['public', 'fileSizeLimit', 'allowedMimeTypes'];
+
+// Millisecond timestamp from a number, numeric string or date string, or null
+const normalizeTimestamp = (value) => {
+    if (value === null || value === undefined) {
+        return null;
+    }
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return Math.floor(value);
+    }
+    if (typeof value === 'string') {
+        const numeric = Number(value);
+        if (!Number.isNaN(numeric) && Number.isFinite(numeric)) {
+            return Math.floor(numeric);
+        }
+        const parsed = Date.parse(value);
+        if (!Number.isNaN(parsed)) {
+            return Math.floor(parsed);
+        }
+    }
+    return null;
+};
+
+const getObjectEtag = (object) => object.etag || object.metadata?.etag || '';
+
+const getObjectUpdatedAt = (object) => normalizeTimestamp(
+    object.updated_at ?? object.updatedAt ?? object.last_accessed_at ?? object.metadata?.last_modified ?? null
+);
+
+// Bucket settings as the storage API reports them (snake_case or camelCase), with defaults
+const getBucketSettings = (bucket) => ({
+    public: bucket.public || false,
+    fileSizeLimit: bucket.file_size_limit || bucket.fileSizeLimit || null,
+    allowedMimeTypes: bucket.allowed_mime_types || bucket.allowedMimeTypes || null
+});
+
+// Settings that differ between two buckets: [{ setting, source, target }]
+const diffBucketSettings = (sourceBucket, targetBucket) => {
+    const source = getBucketSettings(sourceBucket);
+    const target = getBucketSettings(targetBucket);
+    return BUCKET_SETTINGS
+        .filter(setting => JSON.stringify(source[setting]) !== JSON.stringify(target[setting]))
+        .map(setting => ({ setting, source: source[setting], target: target[setting] }));
+};
+
+// Same object when the ETags match, or when size and last-modified time both match
+const objectsMatch = (sourceObject, targetObject) => {
+    const sourceEtag = getObjectEtag(sourceObject);
+    const targetEtag = getObjectEtag(targetObject);
+    if (sourceEtag && targetEtag && sourceEtag === targetEtag) {
+        return true;
+    }
+    const sourceUpdated = getObjectUpdatedAt(sourceObject);
+    const targetUpdated = getObjectUpdatedAt(targetObject);
+    return getObjectSize(sourceObject) === getObjectSize(targetObject)
+        && sourceUpdated !== null && targetUpdated !== null && sourceUpdated === targetUpdated;
+};
+
+// Compare two listings (storageObjects entries with a path). added and changed hold source
+// objects, targetOnly holds target objects: { added, changed, identical, targetOnly }
+const diffObjects = (sourceObjects, targetObjects) => {
+    const targetByPath = new Map(targetObjects.map(object => [object.path, object]));
+    const result = { added: [], changed: [], identical: [], targetOnly: [] };
+    sourceObjects.forEach((sourceObject) => {
+        const targetObject = targetByPath.get(sourceObject.path);
+        if (!targetObject) {
+            result.added.push(sourceObject);
+        } else if (objectsMatch(sourceObject, targetObject)) {
+            result.identical.push(sourceObject);
+        } else {
+            result.changed.push(sourceObject);
+        }
+        targetByPath.delete(sourceObject.path);
+    });
+    result.targetOnly = Array.from(targetByPath.values());
+    return result;
+};
+
+module.exports = {
+    normalizeTimestamp,
+    getObjectEtag,
+    getBucketSettings,
+    diffBucketSettings,
+    objectsMatch,
+    diffObjects
+};
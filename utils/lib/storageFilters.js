@@ -0,0 +1,101 @@
+#!/usr/bin/env node
+
+const filterError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Glob to RegExp: ** matches across folders, * and ? stay within one path segment
+const globToRegExp = (pattern) => {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // "**/" also matches no folder at all, so "**/*.mp4" matches "clip.mp4"
+            if (pattern[i + 2] === '/') {
+                source += '(?:.*/)?';
+                i += 2;
+            } else {
+                source += '.*';
+                i += 1;
+            }
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+};
+
+// Comma-separated patterns from one or more flag values
+const parsePatterns = (values) => (Array.isArray(values) ? values : [values])
+    .filter(value => typeof value === 'string')
+    .flatMap(value => value.split(','))
+    .map(pattern => pattern.trim())
+    .filter(Boolean);
+
+// Which buckets and objects a storage run touches.
+//   buckets  globs on bucket names; none means every bucket
+//   include  globs on object paths; none means every object
+//   exclude  globs on object paths; wins over include
+// Object patterns containing "/" are matched against the path inside the bucket and against
+// "<bucket>/<path>"; patterns without "/" (like "*.mp4") are matched against the file name.
+// Throws INVALID_FILTER for a bucket pattern containing "/".
+const createStorageFilter = ({ buckets = [], include = [], exclude = [] } = {}) => {
+    const bucketPatterns = parsePatterns(buckets);
+    const includePatterns = parsePatterns(include);
+    const excludePatterns = parsePatterns(exclude);
+
+    const invalid = bucketPatterns.find(pattern => pattern.includes('/'));
+    if (invalid) {
+        throw filterError('INVALID_FILTER', `Invalid bucket pattern "${invalid}": bucket names cannot contain "/" (use --include for paths)`);
+    }
+
+    const bucketMatchers = bucketPatterns.map(globToRegExp);
+    const toObjectMatcher = (pattern) => {
+        const regex = globToRegExp(pattern);
+        if (pattern.includes('/')) {
+            return (bucket, objectPath) => regex.test(objectPath) || regex.test(`${bucket}/${objectPath}`);
+        }
+        return (bucket, objectPath) => regex.test(objectPath.slice(objectPath.lastIndexOf('/') + 1));
+    };
+    const includeMatchers = includePatterns.map(toObjectMatcher);
+    const excludeMatchers = excludePatterns.map(toObjectMatcher);
+
+    const matchesBucket = (name) => bucketMatchers.length === 0 || bucketMatchers.some(regex => regex.test(name));
+
+    const matchesObject = (bucket, objectPath) => {
+        if (includeMatchers.length > 0 && !includeMatchers.some(matches => matches(bucket, objectPath))) {
+            return false;
+        }
+        return !excludeMatchers.some(matches => matches(bucket, objectPath));
+    };
+
+    // One line per active filter, for logs
+    const describe = () => [
+        bucketPatterns.length > 0 ? `buckets: ${bucketPatterns.join(', ')}` : null,
+        includePatterns.length > 0 ? `include: ${includePatterns.join(', ')}` : null,
+        excludePatterns.length > 0 ? `exclude: ${excludePatterns.join(', ')}` : null
+    ].filter(Boolean);
+
+    return {
+        buckets: bucketPatterns,
+        include: includePatterns,
+        exclude: excludePatterns,
+        filtersBuckets: bucketPatterns.length > 0,
+        filtersObjects: includePatterns.length > 0 || excludePatterns.length > 0,
+        matchesBucket,
+        matchesObject,
+        describe
+    };
+};
+
+module.exports = {
+    globToRegExp,
+    parsePatterns,
+    createStorageFilter
+};
@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { readJsonLines } = require('./jobStore');
+const { getObjectSize } = require('./storageObjects');
+const { getCacheControl } = require('./storageMetadata');
+
+const MANIFEST_FILE = 'storage_manifest.jsonl';
+
+// Per-file record of a storage migration in <migration_dir>/storage_manifest.jsonl. It is
+// append-only so a run that dies halfway still leaves an accurate record:
+//   { type: 'bucket', bucket, files, settings }  once a bucket's list of files to copy is known;
+//     settings ({ public, fileSizeLimit, allowedMimeTypes }) lets a restore recreate the bucket
+//   { type: 'object', bucket, path, size, etag, contentType, cacheControl, userMetadata, status,
+//     attempts, error, sha256, unpreserved }
+//     first as status 'pending', then again as 'transferred' or 'failed'. The last line per object wins.
+//     sha256 is the hash of the bytes read from the source, when the run computed checksums.
+//     userMetadata and unpreserved ([{ attribute, value }], metadata the upload could not carry over)
+//     are known once the source object's metadata was read.
+const getManifestPath = (migrationDir) => path.join(migrationDir, MANIFEST_FILE);
+
+const manifestError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// details: { sha256, metadata } as passed to transferObjects' onFileDone
+const objectRecord = (bucket, object, status, attempts = 0, error = null, { sha256 = null, metadata = null } = {}) => ({
+    type: 'object',
+    bucket,
+    path: object.path,
+    size: getObjectSize(object),
+    etag: object.etag || object.metadata?.etag || '',
+    contentType: metadata?.contentType || object.metadata?.mimetype || object.metadata?.contentType || null,
+    cacheControl: metadata ? metadata.cacheControl : getCacheControl(object),
+    userMetadata: metadata?.userMetadata || null,
+    status,
+    attempts,
+    error,
+    sha256,
+    unpreserved: metadata?.unpreserved || []
+});
+
+// Fold a manifest into Map bucket -> { files, settings, objects: Map path -> latest object line }.
+// Throws MANIFEST_NOT_FOUND when the directory has no manifest.
+const readManifest = (migrationDir) => {
+    const filePath = getManifestPath(migrationDir);
+    if (!fs.existsSync(filePath)) {
+        throw manifestError('MANIFEST_NOT_FOUND', `No storage manifest in ${migrationDir} (expected ${MANIFEST_FILE})`);
+    }
+    const buckets = new Map();
+    const bucketFor = (name) => {
+        if (!buckets.has(name)) {
+            buckets.set(name, { files: 0, settings: null, objects: new Map() });
+        }
+        return buckets.get(name);
+    };
+    readJsonLines(filePath).forEach((line) => {
+        if (line.type === 'bucket') {
+            const bucketState = bucketFor(line.bucket);
+            bucketState.files = line.files;
+            bucketState.settings = line.settings || bucketState.settings;
+        } else if (line.type === 'object') {
+            bucketFor(line.bucket).objects.set(line.path, line);
+        }
+    });
+    return buckets;
+};
+
+// Objects of a folded bucket that still have to be copied (pending or failed), shaped like
+// storageObjects listing entries; previousAttempts carries the attempts made by earlier runs
+const remainingObjects = (bucketState) => Array.from(bucketState.objects.values())
+    .filter(entry => entry.status !== 'transferred')
+    .map(entry => ({
+        path: entry.path,
+        size: entry.size,
+        etag: entry.etag,
+        metadata: { size: entry.size, etag: entry.etag, mimetype: entry.contentType || undefined, cacheControl: entry.cacheControl || undefined },
+        previousAttempts: entry.attempts || 0
+    }));
+
+// Count objects per status for a folded manifest: { transferred, failed, pending }
+const summarizeManifest = (buckets) => {
+    const summary = { transferred: 0, failed: 0, pending: 0 };
+    buckets.forEach((bucketState) => {
+        bucketState.objects.forEach((entry) => {
+            summary[entry.status] = (summary[entry.status] || 0) + 1;
+        });
+    });
+    return summary;
+};
+
+const createManifestWriter = (migrationDir) => {
+    const filePath = getManifestPath(migrationDir);
+    fs.mkdirSync(migrationDir, { recursive: true });
+    fs.appendFileSync(filePath, '');
+
+    const appendLines = (records) => {
+        if (records.length === 0) {
+            return;
+        }
+        const timestamp = new Date().toISOString();
+        fs.appendFileSync(filePath, records.map(record => `${JSON.stringify({ ...record, timestamp })}\n`).join(''));
+    };
+
+    // Record a bucket's settings and file list (as pending) before any of it is copied
+    const planBucket = (bucket, objects, settings = null) => {
+        appendLines([
+            { type: 'bucket', bucket, files: objects.length, settings },
+            ...objects.map(object => objectRecord(bucket, object, 'pending', object.previousAttempts || 0))
+        ]);
+    };
+
+    // attempts counts this run only; attempts from earlier runs (previousAttempts) are added
+    const recordResult = (bucket, object, status, attempts, error = null, details = {}) => {
+        appendLines([objectRecord(bucket, object, status, (object.previousAttempts || 0) + attempts, error, details)]);
+    };
+
+    // Copy the folded state of another run's manifest, so this run's manifest is complete on its own
+    const seed = (buckets) => {
+        buckets.forEach((bucketState, bucket) => {
+            appendLines([
+                { type: 'bucket', bucket, files: bucketState.files, settings: bucketState.settings },
+                ...Array.from(bucketState.objects.values()).map(({ timestamp, ...entry }) => entry)
+            ]);
+        });
+    };
+
+    return {
+        filePath,
+        planBucket,
+        recordResult,
+        seed
+    };
+};
+
+module.exports = {
+    MANIFEST_FILE,
+    getManifestPath,
+    readManifest,
+    remainingObjects,
+    summarizeManifest,
+    createManifestWriter
+};
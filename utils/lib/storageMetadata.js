@@ -0,0 +1,92 @@
+#!/usr/bin/env node
+
+// Response headers the storage API can return for an object but has no upload option for
+const UNSUPPORTED_HEADERS = ['content-disposition', 'content-encoding', 'content-language'];
+
+const encodeObjectPath = (objectPath) => objectPath.split('/').map(encodeURIComponent).join('/');
+
+const getContentType = (object) => object.metadata?.mimetype || object.metadata?.contentType || 'application/octet-stream';
+
+const getCacheControl = (object) => object.metadata?.cacheControl || object.metadata?.cache_control || null;
+
+// Request to <storage url>/object/<route><bucket>/<path> with the client's own URL, headers and fetch
+const storageRequest = (client, bucket, route, objectPath, method = 'GET') => {
+    const fileApi = client.storage.from(bucket);
+    return fileApi.fetch(`${fileApi.url}/object/${route}${bucket}/${encodeObjectPath(objectPath)}`, {
+        method,
+        headers: fileApi.headers
+    });
+};
+
+const describeFailure = (result) => (result.status === 'rejected'
+    ? result.reason.message || String(result.reason)
+    : `HTTP ${result.value.status}`);
+
+// What an upload can carry over from a source object, and what it cannot:
+// { contentType, cacheControl, userMetadata, unpreserved: [{ attribute, value }] }.
+// Content type and Cache-Control come from the listing entry (and the info endpoint when it
+// answers); user metadata comes from the info endpoint, read directly because supabase-js
+// info() camel-cases the keys of user metadata. Content-Disposition, -Encoding and -Language are
+// read with a HEAD request and always end up in unpreserved, since uploads cannot set them.
+// Never throws: a failed request is recorded in unpreserved instead.
+const readObjectMetadata = async (client, bucket, object) => {
+    const metadata = {
+        contentType: getContentType(object),
+        cacheControl: getCacheControl(object),
+        userMetadata: null,
+        unpreserved: []
+    };
+
+    const [info, head] = await Promise.allSettled([
+        storageRequest(client, bucket, 'info/', object.path),
+        storageRequest(client, bucket, 'authenticated/', object.path, 'HEAD')
+    ]);
+
+    let body = null;
+    if (info.status === 'fulfilled' && info.value.ok) {
+        body = await info.value.json().catch(() => null);
+    }
+    if (body) {
+        metadata.contentType = body.content_type || metadata.contentType;
+        metadata.cacheControl = body.cache_control || metadata.cacheControl;
+        if (body.metadata && typeof body.metadata === 'object' && Object.keys(body.metadata).length > 0) {
+            metadata.userMetadata = body.metadata;
+        }
+    } else {
+        metadata.unpreserved.push({ attribute: 'user metadata', value: `unknown (object info: ${info.status === 'fulfilled' && info.value.ok ? 'invalid JSON' : describeFailure(info)})` });
+    }
+
+    if (head.status === 'fulfilled' && head.value.ok) {
+        UNSUPPORTED_HEADERS.forEach((header) => {
+            const value = head.value.headers.get(header);
+            if (value) {
+                metadata.unpreserved.push({ attribute: header, value });
+            }
+        });
+    } else {
+        metadata.unpreserved.push({ attribute: UNSUPPORTED_HEADERS.join(', '), value: `unknown (HEAD: ${describeFailure(head)})` });
+    }
+
+    return metadata;
+};
+
+// Upload options for supabase-js storage upload(). cacheControl there only takes a max-age in
+// seconds, so the original Cache-Control value is sent as a header instead.
+const toUploadOptions = ({ contentType, cacheControl, userMetadata } = {}) => {
+    const options = { contentType: contentType || 'application/octet-stream', upsert: true };
+    if (cacheControl) {
+        options.headers = { 'cache-control': cacheControl };
+    }
+    if (userMetadata) {
+        options.metadata = userMetadata;
+    }
+    return options;
+};
+
+module.exports = {
+    UNSUPPORTED_HEADERS,
+    getContentType,
+    getCacheControl,
+    readObjectMetadata,
+    toUploadOptions
+};
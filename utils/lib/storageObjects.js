@@ -0,0 +1,83 @@
+#!/usr/bin/env node
+
+// storage.list() returns at most `limit` entries (100 by default) per folder, so every
+// folder has to be read page by page
+const DEFAULT_PAGE_SIZE = 1000;
+
+const joinPath = (folder, name) => (folder ? `${folder}/${name}` : name);
+
+const getObjectSize = (object) => Number(object.metadata?.size ?? object.size ?? 0) || 0;
+
+// Walk every page of every folder in a bucket and yield its objects one at a time as
+// { ...listEntry, path, size }. Folders are entries without an id. A failed page throws
+// (code STORAGE_LIST_FAILED) rather than returning a partial listing.
+async function* enumerateObjects(adminClient, bucketName, { prefix = '', pageSize = DEFAULT_PAGE_SIZE } = {}) {
+    const folders = [prefix];
+    while (folders.length > 0) {
+        const folder = folders.shift();
+        for (let offset = 0; ; offset += pageSize) {
+            const { data, error } = await adminClient.storage.from(bucketName).list(folder, {
+                limit: pageSize,
+                offset,
+                sortBy: { column: 'name', order: 'asc' }
+            });
+            if (error) {
+                const listError = new Error(`Failed to list ${bucketName}/${folder || ''} (offset ${offset}): ${error.message || error}`);
+                listError.code = 'STORAGE_LIST_FAILED';
+                throw listError;
+            }
+
+            const entries = data || [];
+            for (const entry of entries) {
+                const entryPath = joinPath(folder, entry.name);
+                if (entry.id) {
+                    yield { ...entry, path: entryPath, size: getObjectSize(entry) };
+                } else {
+                    folders.push(entryPath);
+                }
+            }
+
+            if (entries.length < pageSize) {
+                break;
+            }
+        }
+    }
+}
+
+// All objects of a bucket plus their totals: { objects, objectCount, totalBytes }.
+// Only objects for which filter(object) is true are kept (and counted) when a filter is given.
+// onProgress(objectCount, totalBytes) is called after every object.
+const listBucketObjects = async (adminClient, bucketName, { onProgress, filter, ...options } = {}) => {
+    const objects = [];
+    let totalBytes = 0;
+    for await (const object of enumerateObjects(adminClient, bucketName, options)) {
+        if (filter && !filter(object)) {
+            continue;
+        }
+        objects.push(object);
+        totalBytes += object.size;
+        if (onProgress) {
+            onProgress(objects.length, totalBytes);
+        }
+    }
+    return { objects, objectCount: objects.length, totalBytes };
+};
+
+// Object count and bytes without keeping the listing in memory
+const summarizeBucket = async (adminClient, bucketName, options = {}) => {
+    let objectCount = 0;
+    let totalBytes = 0;
+    for await (const object of enumerateObjects(adminClient, bucketName, options)) {
+        objectCount += 1;
+        totalBytes += object.size;
+    }
+    return { bucket: bucketName, objectCount, totalBytes };
+};
+
+module.exports = {
+    DEFAULT_PAGE_SIZE,
+    getObjectSize,
+    enumerateObjects,
+    listBucketObjects,
+    summarizeBucket
+};
@@ -0,0 +1,139 @@
+#!/usr/bin/env node
+
+const { runPsqlWithFallback } = require('./psql');
+
+const POLICY_TABLES = ['objects', 'buckets'];
+
+// Every policy on storage.objects / storage.buckets as one JSON array
+const POLICIES_QUERY = `SELECT COALESCE(json_agg(json_build_object(
+    'table', tablename,
+    'name', policyname,
+    'permissive', permissive,
+    'command', cmd,
+    'roles', roles,
+    'using', qual,
+    'withCheck', with_check
+) ORDER BY tablename, policyname), '[]'::json)
+FROM pg_policies
+WHERE schemaname = 'storage' AND tablename IN (${POLICY_TABLES.map(table => `'${table}'`).join(', ')});`;
+
+const policyError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Policies of a project: [{ table, name, permissive, command, roles, using, withCheck }].
+// config is a lib/config entry with dbPassword. Throws PSQL_FAILED or POLICY_QUERY_FAILED.
+const fetchStoragePolicies = (config, options = {}) => {
+    const output = runPsqlWithFallback(config, ['-t', '-A', '-v', 'ON_ERROR_STOP=1', '-c', POLICIES_QUERY], options).trim();
+    try {
+        return JSON.parse(output || '[]');
+    } catch (error) {
+        throw policyError('POLICY_QUERY_FAILED', `Unexpected output from the storage policy query: ${output.slice(0, 200)}`);
+    }
+};
+
+const policyKey = (policy) => `${policy.table}.${policy.name}`;
+
+const normalizeExpression = (expression) => (expression ? expression.replace(/\s+/g, ' ').trim() : null);
+
+// Whether a policy's expressions look at the bucket column (bucket_id on storage.objects, id or
+// name on storage.buckets). Policies that do not apply to every bucket alike.
+const isBucketSpecific = (policy) => {
+    const column = policy.table === 'buckets' ? /\b(id|name)\b/ : /\bbucket_id\b/;
+    return [policy.using, policy.withCheck].some(expression => expression && column.test(expression));
+};
+
+// Bucket names (out of bucketNames) that a policy's expressions mention as string literals,
+// e.g. bucket_id = 'avatars'::text on storage.objects or id = 'avatars' on storage.buckets
+const referencedBuckets = (policy, bucketNames) => {
+    const literals = new Set();
+    [policy.using, policy.withCheck].filter(Boolean).forEach((expression) => {
+        for (const match of expression.matchAll(/'((?:[^']|'')*)'/g)) {
+            literals.add(match[1].replace(/''/g, "'"));
+        }
+    });
+    return bucketNames.filter(name => literals.has(name));
+};
+
+// Fields that have to match for two policies of the same name to count as identical
+const differingFields = (source, target) => {
+    const fields = [];
+    if (source.command !== target.command) fields.push('command');
+    if (source.permissive !== target.permissive) fields.push('permissive');
+    if (JSON.stringify([...(source.roles || [])].sort()) !== JSON.stringify([...(target.roles || [])].sort())) fields.push('roles');
+    if (normalizeExpression(source.using) !== normalizeExpression(target.using)) fields.push('using');
+    if (normalizeExpression(source.withCheck) !== normalizeExpression(target.withCheck)) fields.push('withCheck');
+    return fields;
+};
+
+// Compare the policies inScope(policy) selects on both sides:
+// { create: [source policy], update: [{ source, target, fields }], targetOnly: [target policy], unchanged: [source policy] }
+const diffPolicies = (sourcePolicies, targetPolicies, inScope = () => true) => {
+    const targetByKey = new Map(targetPolicies.filter(inScope).map(policy => [policyKey(policy), policy]));
+    const result = { create: [], update: [], targetOnly: [], unchanged: [] };
+    sourcePolicies.filter(inScope).forEach((policy) => {
+        const target = targetByKey.get(policyKey(policy));
+        targetByKey.delete(policyKey(policy));
+        if (!target) {
+            result.create.push(policy);
+            return;
+        }
+        const fields = differingFields(policy, target);
+        if (fields.length > 0) {
+            result.update.push({ source: policy, target, fields });
+        } else {
+            result.unchanged.push(policy);
+        }
+    });
+    result.targetOnly = Array.from(targetByKey.values());
+    return result;
+};
+
+const quoteIdent = (name) => `"${String(name).replace(/"/g, '""')}"`;
+
+// PUBLIC is a keyword, not a role name, and must stay unquoted
+const quoteRole = (role) => (role === 'public' ? 'public' : quoteIdent(role));
+
+const dropPolicySql = (policy) => `DROP POLICY IF EXISTS ${quoteIdent(policy.name)} ON storage.${policy.table};`;
+
+const createPolicySql = (policy) => [
+    `CREATE POLICY ${quoteIdent(policy.name)} ON storage.${policy.table}`,
+    `    AS ${policy.permissive || 'PERMISSIVE'}`,
+    `    FOR ${policy.command || 'ALL'}`,
+    `    TO ${(policy.roles && policy.roles.length > 0 ? policy.roles : ['public']).map(quoteRole).join(', ')}`,
+    policy.using ? `    USING (${policy.using})` : null,
+    policy.withCheck ? `    WITH CHECK (${policy.withCheck})` : null
+].filter(Boolean).join('\n') + ';';
+
+// One transaction that applies a policy diff: creates, drop-and-recreate for changed policies and,
+// with dropTargetOnly, drops of policies that exist only in the target. header lines become comments.
+const buildPolicySql = (diff, { dropTargetOnly = false, header = [] } = {}) => {
+    const lines = header.map(line => `-- ${line}`);
+    lines.push('BEGIN;', '');
+    diff.create.forEach((policy) => {
+        lines.push(`-- New policy on storage.${policy.table}`, createPolicySql(policy), '');
+    });
+    diff.update.forEach(({ source, fields }) => {
+        lines.push(`-- Changed policy on storage.${source.table} (${fields.join(', ')})`, dropPolicySql(source), createPolicySql(source), '');
+    });
+    if (dropTargetOnly) {
+        diff.targetOnly.forEach((policy) => {
+            lines.push(`-- Policy only in target on storage.${policy.table}`, dropPolicySql(policy), '');
+        });
+    }
+    lines.push('COMMIT;', '');
+    return lines.join('\n');
+};
+
+module.exports = {
+    POLICY_TABLES,
+    fetchStoragePolicies,
+    isBucketSpecific,
+    referencedBuckets,
+    diffPolicies,
+    createPolicySql,
+    dropPolicySql,
+    buildPolicySql
+};
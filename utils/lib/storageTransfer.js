@@ -0,0 +1,340 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable, PassThrough } = require('stream');
+const { finished, pipeline } = require('stream/promises');
+const { getObjectSize } = require('./storageObjects');
+const { getContentType, getCacheControl, readObjectMetadata, toUploadOptions } = require('./storageMetadata');
+
+const DEFAULT_CONCURRENCY = 4;
+const MAX_CONCURRENCY = 32;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY_MS = 1000;
+const DEFAULT_PROGRESS_INTERVAL_MS = 5000;
+
+const transferError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Call attemptFn(attempt) until it succeeds or `retries` retries have failed as well, waiting
+// retryDelayMs, 2x, 4x, ... in between. Resolves with { attempts, error } (error is null on success).
+const retryWithBackoff = async (attemptFn, { retries, retryDelayMs, onRetry }) => {
+    for (let attempt = 1; ; attempt++) {
+        try {
+            await attemptFn(attempt);
+            return { attempts: attempt, error: null };
+        } catch (error) {
+            if (attempt > retries) {
+                return { attempts: attempt, error };
+            }
+            const delayMs = retryDelayMs * 2 ** (attempt - 1);
+            if (onRetry) {
+                onRetry(attempt, error, delayMs);
+            }
+            await sleep(delayMs);
+        }
+    }
+};
+
+// Run worker(item) for every item with at most `concurrency` running at once
+const runPool = async (items, concurrency, worker) => {
+    let next = 0;
+    const run = async () => {
+        while (next < items.length) {
+            const item = items[next++];
+            await worker(item);
+        }
+    };
+    const workers = Math.max(1, Math.min(concurrency, items.length));
+    await Promise.all(Array.from({ length: workers }, run));
+};
+
+// Stream one object from source to target without holding it in memory. When backupPath is set
+// the same bytes are written there; the download only advances as fast as both the upload and the
+// backup file accept data. onBytes(n) is called for every chunk read from the source. With
+// checksum the bytes are also hashed on the way. metadata ({ contentType, cacheControl, userMetadata },
+// see storageMetadata) is applied to the upload; without it the listed content type and
+// Cache-Control are.
+// Resolves with { sha256 } (null without checksum).
+const streamObject = async ({ sourceClient, targetClient, bucket, object, backupPath = null, checksum = false, metadata = null, onBytes = () => {} }) => {
+    const { data, error } = await sourceClient.storage.from(bucket).download(object.path).asStream();
+    if (error) {
+        throw transferError('DOWNLOAD_FAILED', `Failed to download ${object.path}: ${error.message || error}`);
+    }
+
+    const source = data ? Readable.fromWeb(data) : Readable.from([]);
+    const body = new PassThrough();
+    const writers = [body];
+    let backup = null;
+    if (backupPath) {
+        fs.mkdirSync(path.dirname(backupPath), { recursive: true });
+        backup = fs.createWriteStream(backupPath);
+        writers.push(backup);
+    }
+
+    // pipe() does not forward errors: a failed download (or an aborted transfer) tears down both writers
+    source.on('error', (streamError) => writers.forEach(writer => writer.destroy(streamError)));
+    const hash = checksum ? crypto.createHash('sha256') : null;
+    source.on('data', (chunk) => {
+        if (hash) {
+            hash.update(chunk);
+        }
+        onBytes(chunk.length);
+    });
+    writers.forEach((writer) => {
+        // Writer errors surface through the upload / backup promises below
+        writer.on('error', () => {});
+        source.pipe(writer);
+    });
+
+    const abort = (cause) => {
+        source.destroy(cause);
+        throw cause;
+    };
+    const uploading = targetClient.storage.from(bucket)
+        .upload(object.path, body, toUploadOptions(metadata || { contentType: getContentType(object), cacheControl: getCacheControl(object) }))
+        .then(({ error: uploadError }) => {
+            if (uploadError) {
+                abort(transferError('UPLOAD_FAILED', `Failed to upload ${object.path}: ${uploadError.message || uploadError}`));
+            }
+        }, (uploadError) => abort(transferError('UPLOAD_FAILED', `Failed to upload ${object.path}: ${uploadError.message || uploadError}`)));
+    const saving = backup
+        ? finished(backup).catch(backupError => abort(transferError('BACKUP_FAILED', `Failed to write backup ${backupPath}: ${backupError.message}`)))
+        : Promise.resolve();
+
+    // Wait for both sides so a late rejection is never left unhandled
+    const results = await Promise.allSettled([uploading, saving]);
+    const failure = results.find(result => result.status === 'rejected');
+    if (failure) {
+        throw failure.reason;
+    }
+    return { sha256: hash ? hash.digest('hex') : null };
+};
+
+// Copy objects (storageObjects listing entries) from one bucket to the same bucket in the target,
+// with at most `concurrency` transfers in flight. Every file is streamed, written to
+// backupDir/<path> on the way when backupDir is set, and retried up to `retries` times with
+// exponential backoff (retryDelayMs, 2x, 4x, ...). With checksum every file's SHA-256 is computed
+// while it streams. With preserveMetadata each file's metadata is read from the source first and
+// carried over (see storageMetadata.readObjectMetadata).
+//
+// Hooks: onFileDone(object, attempts, { sha256, metadata }), onFileFailed(object, error, attempts), onRetry(object, attempt, error, delayMs)
+// and onProgress(progress) every progressIntervalMs plus once at the end, where progress is
+// { label, done, failed, total, bytes, totalBytes, bytesPerSec, etaSeconds, elapsedSeconds }.
+// Resolves with { transferred, failed: [{ path, error }], bytes }.
+const transferObjects = async (sourceClient, targetClient, bucket, objects, {
+    backupDir = null,
+    checksum = false,
+    preserveMetadata = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    progressIntervalMs = DEFAULT_PROGRESS_INTERVAL_MS,
+    onFileDone,
+    onFileFailed,
+    onRetry,
+    onProgress
+} = {}) => {
+    const total = objects.length;
+    const totalBytes = objects.reduce((sum, object) => sum + getObjectSize(object), 0);
+    const startedAt = Date.now();
+    const failed = [];
+    let transferred = 0;
+    let bytes = 0;
+
+    const snapshot = () => {
+        const elapsedSeconds = (Date.now() - startedAt) / 1000;
+        const bytesPerSec = elapsedSeconds > 0 ? Math.round(bytes / elapsedSeconds) : 0;
+        const finishedFiles = transferred + failed.length;
+        let etaSeconds = null;
+        if (totalBytes > 0 && bytesPerSec > 0) {
+            etaSeconds = Math.round(Math.max(totalBytes - bytes, 0) / bytesPerSec);
+        } else if (totalBytes === 0 && finishedFiles > 0) {
+            // Sizes unknown: estimate from the file rate instead
+            etaSeconds = Math.round((total - finishedFiles) * elapsedSeconds / finishedFiles);
+        }
+        return {
+            label: bucket,
+            done: transferred,
+            failed: failed.length,
+            total,
+            bytes,
+            totalBytes,
+            bytesPerSec,
+            etaSeconds,
+            elapsedSeconds: Math.round(elapsedSeconds)
+        };
+    };
+
+    const transferOne = async (object) => {
+        let sha256 = null;
+        const metadata = preserveMetadata ? await readObjectMetadata(sourceClient, bucket, object) : null;
+        const { attempts, error } = await retryWithBackoff(async () => {
+            let attemptBytes = 0;
+            try {
+                ({ sha256 } = await streamObject({
+                    sourceClient,
+                    targetClient,
+                    bucket,
+                    object,
+                    backupPath: backupDir ? path.join(backupDir, object.path) : null,
+                    checksum,
+                    metadata,
+                    onBytes: (count) => {
+                        attemptBytes += count;
+                        bytes += count;
+                    }
+                }));
+            } catch (attemptError) {
+                // Bytes of a failed attempt are sent again, so they do not count as progress
+                bytes -= attemptBytes;
+                throw attemptError;
+            }
+        }, {
+            retries,
+            retryDelayMs,
+            onRetry: onRetry ? (attempt, attemptError, delayMs) => onRetry(object, attempt, attemptError, delayMs) : null
+        });
+
+        if (error) {
+            failed.push({ path: object.path, error: error.message || String(error) });
+            if (onFileFailed) {
+                onFileFailed(object, error, attempts);
+            }
+            return;
+        }
+        transferred++;
+        if (onFileDone) {
+            onFileDone(object, attempts, { sha256, metadata });
+        }
+    };
+
+    const timer = onProgress ? setInterval(() => onProgress(snapshot()), progressIntervalMs) : null;
+    try {
+        await runPool(objects, concurrency, transferOne);
+    } finally {
+        if (timer) {
+            clearInterval(timer);
+        }
+    }
+    if (onProgress) {
+        onProgress(snapshot());
+    }
+
+    return { transferred, failed, bytes };
+};
+
+// Stream one object into a local file
+const downloadObject = async (client, bucket, object, filePath) => {
+    const { data, error } = await client.storage.from(bucket).download(object.path).asStream();
+    if (error) {
+        throw transferError('DOWNLOAD_FAILED', `Failed to download ${object.path}: ${error.message || error}`);
+    }
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    await pipeline(data ? Readable.fromWeb(data) : Readable.from([]), fs.createWriteStream(filePath));
+};
+
+// SHA-256 (hex) of an object's content, streamed without keeping it in memory
+const hashObject = async (client, bucket, objectPath) => {
+    const { data, error } = await client.storage.from(bucket).download(objectPath).asStream();
+    if (error) {
+        throw transferError('DOWNLOAD_FAILED', `Failed to download ${objectPath}: ${error.message || error}`);
+    }
+    const hash = crypto.createHash('sha256');
+    for await (const chunk of data ? Readable.fromWeb(data) : Readable.from([])) {
+        hash.update(chunk);
+    }
+    return hash.digest('hex');
+};
+
+// Download objects into backupDir/<path> with the same pool and retries as transferObjects.
+// onRetry(object, attempt, error, delayMs). Resolves with { saved: [objects], failed: [{ path, error }] }.
+const backupObjects = async (client, bucket, objects, {
+    backupDir,
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    onRetry
+}) => {
+    const saved = [];
+    const failed = [];
+    await runPool(objects, concurrency, async (object) => {
+        const { error } = await retryWithBackoff(() => downloadObject(client, bucket, object, path.join(backupDir, object.path)), {
+            retries,
+            retryDelayMs,
+            onRetry: onRetry ? (attempt, attemptError, delayMs) => onRetry(object, attempt, attemptError, delayMs) : null
+        });
+        if (error) {
+            failed.push({ path: object.path, error: error.message || String(error) });
+        } else {
+            saved.push(object);
+        }
+    });
+    return { saved, failed };
+};
+
+// Stream a local file into a bucket, overwriting any object at objectPath. metadata is
+// { contentType, cacheControl, userMetadata }; missing parts are left to the storage defaults.
+const uploadFile = async (client, bucket, objectPath, filePath, metadata = {}) => {
+    const { error } = await client.storage.from(bucket)
+        .upload(objectPath, fs.createReadStream(filePath), toUploadOptions(metadata));
+    if (error) {
+        throw transferError('UPLOAD_FAILED', `Failed to upload ${objectPath}: ${error.message || error}`);
+    }
+};
+
+// Upload local files ({ path, filePath, contentType, cacheControl, userMetadata }) with the same pool and retries as transferObjects.
+// Hooks: onFileDone(file, attempts), onFileFailed(file, error, attempts), onRetry(file, attempt, error, delayMs).
+// Resolves with { uploaded, failed: [{ path, error }] }.
+const uploadFiles = async (client, bucket, files, {
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS,
+    onFileDone,
+    onFileFailed,
+    onRetry
+} = {}) => {
+    let uploaded = 0;
+    const failed = [];
+    await runPool(files, concurrency, async (file) => {
+        const { attempts, error } = await retryWithBackoff(() => uploadFile(client, bucket, file.path, file.filePath, file), {
+            retries,
+            retryDelayMs,
+            onRetry: onRetry ? (attempt, attemptError, delayMs) => onRetry(file, attempt, attemptError, delayMs) : null
+        });
+        if (error) {
+            failed.push({ path: file.path, error: error.message || String(error) });
+            if (onFileFailed) {
+                onFileFailed(file, error, attempts);
+            }
+            return;
+        }
+        uploaded++;
+        if (onFileDone) {
+            onFileDone(file, attempts);
+        }
+    });
+    return { uploaded, failed };
+};
+
+module.exports = {
+    DEFAULT_CONCURRENCY,
+    MAX_CONCURRENCY,
+    DEFAULT_RETRIES,
+    DEFAULT_RETRY_DELAY_MS,
+    retryWithBackoff,
+    runPool,
+    streamObject,
+    transferObjects,
+    downloadObject,
+    hashObject,
+    backupObjects,
+    uploadFile,
+    uploadFiles
+};
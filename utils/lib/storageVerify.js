@@ -0,0 +1,116 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const { getObjectSize } = require('./storageObjects');
+const {
+    DEFAULT_CONCURRENCY,
+    DEFAULT_RETRIES,
+    DEFAULT_RETRY_DELAY_MS,
+    retryWithBackoff,
+    runPool,
+    hashObject
+} = require('./storageTransfer');
+
+const VERIFICATION_FILE = 'storage_verification.json';
+
+// Check one bucket after a migration: every expected object (source listing entries) must be in
+// the fresh target listing with the same size, and every object with a known source hash
+// (checksums: Map path -> sha256) is downloaded from the target and hashed. Target objects that
+// were not expected are reported as extra; they only count as a mismatch when strict is set
+// (mirror runs, where the target should hold nothing else).
+// Resolves with { bucket, status: 'ok' | 'mismatch', expected: { count, bytes }, target: { count, bytes },
+// hashed, missing: [path], extra: [path], sizeMismatches: [{ path, expected, actual }],
+// hashMismatches: [{ path, expected, actual }], hashFailures: [{ path, error }] }.
+const verifyBucket = async (targetClient, bucket, expectedObjects, targetObjects, {
+    checksums = new Map(),
+    strict = false,
+    concurrency = DEFAULT_CONCURRENCY,
+    retries = DEFAULT_RETRIES,
+    retryDelayMs = DEFAULT_RETRY_DELAY_MS
+} = {}) => {
+    const targetByPath = new Map(targetObjects.map(object => [object.path, object]));
+    const result = {
+        bucket,
+        status: 'ok',
+        expected: { count: expectedObjects.length, bytes: expectedObjects.reduce((sum, object) => sum + getObjectSize(object), 0) },
+        target: { count: targetObjects.length, bytes: targetObjects.reduce((sum, object) => sum + getObjectSize(object), 0) },
+        hashed: 0,
+        missing: [],
+        extra: [],
+        sizeMismatches: [],
+        hashMismatches: [],
+        hashFailures: []
+    };
+
+    const toHash = [];
+    expectedObjects.forEach((object) => {
+        const targetObject = targetByPath.get(object.path);
+        targetByPath.delete(object.path);
+        if (!targetObject) {
+            result.missing.push(object.path);
+            return;
+        }
+        if (getObjectSize(object) !== getObjectSize(targetObject)) {
+            result.sizeMismatches.push({ path: object.path, expected: getObjectSize(object), actual: getObjectSize(targetObject) });
+            return;
+        }
+        if (checksums.has(object.path)) {
+            toHash.push(object.path);
+        }
+    });
+    result.extra = Array.from(targetByPath.keys());
+
+    await runPool(toHash, concurrency, async (objectPath) => {
+        let actual = null;
+        const { error } = await retryWithBackoff(async () => {
+            actual = await hashObject(targetClient, bucket, objectPath);
+        }, { retries, retryDelayMs });
+        if (error) {
+            result.hashFailures.push({ path: objectPath, error: error.message || String(error) });
+            return;
+        }
+        result.hashed++;
+        if (actual !== checksums.get(objectPath)) {
+            result.hashMismatches.push({ path: objectPath, expected: checksums.get(objectPath), actual });
+        }
+    });
+
+    const problems = result.missing.length + result.sizeMismatches.length + result.hashMismatches.length
+        + result.hashFailures.length + (strict ? result.extra.length : 0);
+    result.status = problems === 0 ? 'ok' : 'mismatch';
+    return result;
+};
+
+// Totals over verifyBucket results (and { bucket, status: 'error', error } entries for buckets
+// that could not be listed)
+const summarizeVerification = (results) => {
+    const count = (key) => results.reduce((sum, result) => sum + (result[key] ? result[key].length : 0), 0);
+    return {
+        buckets: results.length,
+        bucketsMismatched: results.filter(result => result.status === 'mismatch').length,
+        bucketsFailed: results.filter(result => result.status === 'error').length,
+        objectsExpected: results.reduce((sum, result) => sum + (result.expected ? result.expected.count : 0), 0),
+        objectsInTarget: results.reduce((sum, result) => sum + (result.target ? result.target.count : 0), 0),
+        objectsHashed: results.reduce((sum, result) => sum + (result.hashed || 0), 0),
+        missing: count('missing'),
+        extra: count('extra'),
+        sizeMismatches: count('sizeMismatches'),
+        hashMismatches: count('hashMismatches'),
+        hashFailures: count('hashFailures')
+    };
+};
+
+// Write <migration_dir>/storage_verification.json and return its path
+const writeVerificationReport = (migrationDir, report) => {
+    const filePath = path.join(migrationDir, VERIFICATION_FILE);
+    fs.writeFileSync(filePath, JSON.stringify(report, null, 2));
+    return filePath;
+};
+
+module.exports = {
+    VERIFICATION_FILE,
+    verifyBucket,
+    summarizeVerification,
+    writeVerificationReport
+};
@@ -0,0 +1,256 @@
+#!/usr/bin/env node
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'operator', 'admin'];
+const DEFAULT_SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const SCRYPT_KEYLEN = 64;
+
+const roleAtLeast = (role, requiredRole) =>
+    ROLES.includes(role) && ROLES.indexOf(role) >= ROLES.indexOf(requiredRole);
+
+const safeEqual = (a, b) => {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+const hashPassword = (password) => {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(String(password), salt, SCRYPT_KEYLEN).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, storedHash) => {
+    const [scheme, salt, hash] = String(storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+const writeJsonFile = (filePath, data) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), { mode: 0o600 });
+};
+
+// Default users file in the data dir. Older versions kept it in the project root; it is moved
+// on first use so existing accounts keep working. movedFrom is set when that happened.
+const resolveUsersFile = (dataDir, legacyFile) => {
+    const filePath = path.join(dataDir, 'ui_users.json');
+    if (fs.existsSync(filePath) || !legacyFile || !fs.existsSync(legacyFile)) {
+        return { filePath, movedFrom: null };
+    }
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.renameSync(legacyFile, filePath);
+    return { filePath, movedFrom: legacyFile };
+};
+
+// Local users file: { "users": [{ "username", "passwordHash", "role", "disabled" }] }.
+// It is re-read whenever it changes so users managed from the CLI apply without a restart.
+const createUserStore = (filePath) => {
+    let users = [];
+    let loadedMtime = null;
+
+    const read = () => {
+        if (!fs.existsSync(filePath)) {
+            users = [];
+            loadedMtime = null;
+            return users;
+        }
+        const { mtimeMs } = fs.statSync(filePath);
+        if (mtimeMs !== loadedMtime) {
+            const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            users = Array.isArray(data.users) ? data.users : [];
+            loadedMtime = mtimeMs;
+        }
+        return users;
+    };
+
+    const write = (nextUsers) => {
+        writeJsonFile(filePath, { users: nextUsers });
+        users = nextUsers;
+        loadedMtime = fs.statSync(filePath).mtimeMs;
+    };
+
+    const find = (username) => read().find(user => user.username === username) || null;
+
+    const hasUsers = () => read().length > 0;
+
+    // The file decides the auth mode even without accounts in it (nobody can sign in then)
+    const exists = () => fs.existsSync(filePath);
+
+    const list = () => read().map(({ passwordHash, ...user }) => user);
+
+    // Returns { username, role } when the password matches an enabled account
+    const authenticate = (username, password) => {
+        const user = find(username);
+        if (!user || user.disabled || !verifyPassword(password, user.passwordHash)) {
+            return null;
+        }
+        return { username: user.username, role: user.role };
+    };
+
+    const upsert = ({ username, password, role, disabled }) => {
+        if (!username) {
+            throw new Error('username is required');
+        }
+        if (role !== undefined && !ROLES.includes(role)) {
+            throw new Error(`role must be one of: ${ROLES.join(', ')}`);
+        }
+
+        const nextUsers = read().slice();
+        let user = nextUsers.find(entry => entry.username === username);
+        if (!user) {
+            if (!password) {
+                throw new Error(`A password is required to create user ${username}`);
+            }
+            user = { username, role: role || 'viewer', disabled: false, createdAt: new Date().toISOString() };
+            nextUsers.push(user);
+        }
+        if (password) {
+            user.passwordHash = hashPassword(password);
+        }
+        if (role !== undefined) {
+            user.role = role;
+        }
+        if (disabled !== undefined) {
+            user.disabled = Boolean(disabled);
+        }
+        user.updatedAt = new Date().toISOString();
+
+        write(nextUsers);
+        const { passwordHash, ...publicUser } = user;
+        return publicUser;
+    };
+
+    const remove = (username) => {
+        const current = read();
+        const nextUsers = current.filter(user => user.username !== username);
+        if (nextUsers.length === current.length) {
+            return false;
+        }
+        write(nextUsers);
+        return true;
+    };
+
+    return {
+        find,
+        hasUsers,
+        exists,
+        list,
+        authenticate,
+        upsert,
+        remove
+    };
+};
+
+// Signed, expiring session tokens: base64url(JSON payload) + "." + HMAC-SHA256 signature.
+// Revocations (one session on logout, or every session of a user) persist across restarts.
+const createSessionManager = ({ secret, ttlMs = DEFAULT_SESSION_TTL_MS, revocationsPath }) => {
+    if (!secret) {
+        throw new Error('A session secret is required');
+    }
+
+    let revoked = { sessions: {}, users: {} };
+    if (revocationsPath && fs.existsSync(revocationsPath)) {
+        try {
+            revoked = { sessions: {}, users: {}, ...JSON.parse(fs.readFileSync(revocationsPath, 'utf8')) };
+        } catch (error) {
+            console.warn(`Ignoring unreadable session revocation file ${revocationsPath}: ${error.message}`);
+        }
+    }
+
+    const save = () => {
+        // Expired sessions can no longer be used, so their revocations can be dropped
+        const now = Date.now();
+        Object.keys(revoked.sessions).forEach((jti) => {
+            if (revoked.sessions[jti] <= now) {
+                delete revoked.sessions[jti];
+            }
+        });
+        if (revocationsPath) {
+            writeJsonFile(revocationsPath, revoked);
+        }
+    };
+
+    const sign = (data) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+    const issue = ({ username, role }) => {
+        const now = Date.now();
+        const session = {
+            sub: username,
+            role,
+            jti: crypto.randomBytes(12).toString('hex'),
+            iat: now,
+            exp: now + ttlMs
+        };
+        const data = Buffer.from(JSON.stringify(session)).toString('base64url');
+        return {
+            token: `${data}.${sign(data)}`,
+            expiresAt: new Date(session.exp).toISOString(),
+            session
+        };
+    };
+
+    // Returns the session payload, or null for tampered, expired or revoked tokens
+    const verify = (token) => {
+        if (!token || typeof token !== 'string') {
+            return null;
+        }
+        const [data, signature] = token.split('.');
+        if (!data || !signature || !safeEqual(signature, sign(data))) {
+            return null;
+        }
+
+        let session;
+        try {
+            session = JSON.parse(Buffer.from(data, 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+
+        if (!session.exp || session.exp <= Date.now() || revoked.sessions[session.jti]) {
+            return null;
+        }
+        const userRevokedAt = revoked.users[session.sub];
+        if (userRevokedAt && session.iat <= userRevokedAt) {
+            return null;
+        }
+        return session;
+    };
+
+    const revoke = (session) => {
+        revoked.sessions[session.jti] = session.exp;
+        save();
+    };
+
+    // Invalidate every session issued to a user up to now
+    const revokeUser = (username) => {
+        revoked.users[username] = Date.now();
+        save();
+    };
+
+    return {
+        issue,
+        verify,
+        revoke,
+        revokeUser
+    };
+};
+
+module.exports = {
+    ROLES,
+    roleAtLeast,
+    safeEqual,
+    hashPassword,
+    verifyPassword,
+    resolveUsersFile,
+    createUserStore,
+    createSessionManager
+};
@@ -9,6 +9,7 @@ const fs = require('fs');
 const path = require('path');
 const os = require('os');
 const { execSync, spawn } = require('child_process');
+const { loadConfig, getProjectConfig } = require('./lib/config');
 const PROJECT_ROOT = path.resolve(__dirname, '..');
 const LOCAL_FUNCTIONS_DIR = path.join(PROJECT_ROOT, 'supabase', 'functions');
 
@@ -39,30 +40,14 @@ function logWarning(msg) {
     console.log(`${colors.yellow}[WARNING]${colors.reset} ${msg}`);
 }
 
-// Load environment variables
-function loadEnvFile() {
-    const envFiles = ['.env.local', '.env'];
-    for (const envFile of envFiles) {
-        const envPath = path.join(PROJECT_ROOT, envFile);
-        if (fs.existsSync(envPath)) {
-            const content = fs.readFileSync(envPath, 'utf8');
-            content.split('\n').forEach(line => {
-                const trimmed = line.trim();
-                if (trimmed && !trimmed.startsWith('#')) {
-                    const [key, ...valueParts] = trimmed.split('=');
-                    if (key && valueParts.length > 0) {
-                        const value = valueParts.join('=').replace(/^["']|["']$/g, '');
-                        process.env[key.trim()] = value;
-                    }
-                }
-            });
-            break;
-        }
-    }
+// Load environment variables (.env.local / .env, or the file given with --env-file)
+try {
+    loadConfig();
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
 }
 
-loadEnvFile();
-
 // Parse arguments
 const args = process.argv.slice(2);
 let SOURCE_REF = '';
@@ -85,7 +70,7 @@ for (let i = 0; i < args.length; i++) {
 }
 
 if (!SOURCE_REF || !TARGET_REF || !MIGRATION_DIR) {
-    logError('Usage: node migrate-shared-functions.js <source_ref> <target_ref> <migration_dir> [--functions=func1,func2]');
+    logError('Usage: node migrate-shared-functions.js <source_ref> <target_ref> <migration_dir> [--functions=func1,func2] [--env-file <path>]');
     process.exit(1);
 }
 
@@ -641,19 +626,9 @@ async function main() {
     logInfo(`Migration Directory: ${MIGRATION_DIR}`);
     console.log('');
 
-    // Get source config
-    const sourceEnvName = getEnvName(SOURCE_REF);
-    const targetEnvName = getEnvName(TARGET_REF);
-    
-    const sourceConfig = {
-        accessToken: process.env[`SUPABASE_${sourceEnvName}_ACCESS_TOKEN`] || '',
-        dbPassword: process.env[`SUPABASE_${sourceEnvName}_DB_PASSWORD`] || ''
-    };
-
-    const targetConfig = {
-        accessToken: process.env[`SUPABASE_${targetEnvName}_ACCESS_TOKEN`] || '',
-        dbPassword: process.env[`SUPABASE_${targetEnvName}_DB_PASSWORD`] || ''
-    };
+    // Get source and target credentials
+    const sourceConfig = getProjectConfig(SOURCE_REF);
+    const targetConfig = getProjectConfig(TARGET_REF);
 
     // Determine functions to migrate
     let functionsToMigrate = FUNCTION_FILTER;
@@ -1069,17 +1044,6 @@ async function main() {
     }
 }
 
-function getEnvName(ref) {
-    const prodRef = process.env.SUPABASE_PROD_PROJECT_REF || '';
-    const testRef = process.env.SUPABASE_TEST_PROJECT_REF || '';
-    const devRef = process.env.SUPABASE_DEV_PROJECT_REF || '';
-    
-    if (ref === prodRef) return 'PROD';
-    if (ref === testRef) return 'TEST';
-    if (ref === devRef) return 'DEV';
-    return 'BACKUP';
-}
-
 main().catch(error => {
     logError(`Fatal error: ${error.message}`);
     process.exit(1);
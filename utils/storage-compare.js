@@ -0,0 +1,287 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Comparison Utility
+ * Compares storage buckets and objects between two environments without changing either
+ *
+ * Usage: node utils/storage-compare.js <source_env> <target_env> [output_dir] [--env-file <path>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { loadConfig, getEnvironmentConfig } = require('./lib/config');
+const { getObjectSize, listBucketObjects } = require('./lib/storageObjects');
+const { getBucketSettings, diffBucketSettings, diffObjects } = require('./lib/storageDiff');
+const { formatBytes } = require('./lib/progress');
+
+const COLORS = {
+    reset: '\x1b[0m',
+    blue: '\x1b[34m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    red: '\x1b[31m'
+};
+
+// stdout carries the JSON result for the shell wrapper, so everything else goes to stderr
+const logInfo = (msg) => console.error(`${COLORS.blue}[INFO]${COLORS.reset} ${msg}`);
+const logSuccess = (msg) => console.error(`${COLORS.green}[SUCCESS]${COLORS.reset} ${msg}`);
+const logWarning = (msg) => console.error(`${COLORS.yellow}[WARNING]${COLORS.reset} ${msg}`);
+const logError = (msg) => console.error(`${COLORS.red}[ERROR]${COLORS.reset} ${msg}`);
+
+try {
+    loadConfig().forEach(file => logInfo(`Loaded environment variables from ${file}`));
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
+}
+
+const SOURCE_ENV = process.argv[2];
+const TARGET_ENV = process.argv[3];
+const OUTPUT_DIR = path.resolve(process.argv[4] || path.join(process.cwd(), 'migration_plans'));
+
+if (!SOURCE_ENV || !TARGET_ENV) {
+    logError('Usage: node utils/storage-compare.js <source_env> <target_env> [output_dir] [--env-file <path>]');
+    process.exit(1);
+}
+
+if (SOURCE_ENV === TARGET_ENV) {
+    logError('Source and target environments must be different');
+    process.exit(1);
+}
+
+let sourceConfig;
+let targetConfig;
+try {
+    sourceConfig = getEnvironmentConfig(SOURCE_ENV, { required: ['projectRef', 'serviceRoleKey'] });
+    targetConfig = getEnvironmentConfig(TARGET_ENV, { required: ['projectRef', 'serviceRoleKey'] });
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
+}
+
+const createAdminClient = (config) => createClient(config.url, config.serviceRoleKey, {
+    auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false
+    }
+});
+
+const sourceAdmin = createAdminClient(sourceConfig);
+const targetAdmin = createAdminClient(targetConfig);
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const listBuckets = async (adminClient, env) => {
+    const { data, error } = await adminClient.storage.listBuckets();
+    if (error) {
+        throw new Error(`Failed to list buckets in ${env}: ${error.message || error}`);
+    }
+    return data || [];
+};
+
+// { count, bytes } for a list of objects
+const tally = (objects) => ({
+    count: objects.length,
+    bytes: objects.reduce((sum, object) => sum + getObjectSize(object), 0)
+});
+
+// Compare one bucket name across both environments. Either bucket may be missing; a bucket that
+// cannot be listed is reported with an error instead of failing the whole comparison.
+const compareBucket = async (name, sourceBucket, targetBucket) => {
+    const status = sourceBucket && targetBucket ? 'both' : sourceBucket ? 'source_only' : 'target_only';
+    const entry = {
+        bucket: name,
+        status,
+        source_settings: sourceBucket ? getBucketSettings(sourceBucket) : null,
+        target_settings: targetBucket ? getBucketSettings(targetBucket) : null,
+        settings_diff: sourceBucket && targetBucket ? diffBucketSettings(sourceBucket, targetBucket) : [],
+        added: { count: 0, bytes: 0 },
+        changed: { count: 0, bytes: 0 },
+        target_only: { count: 0, bytes: 0 },
+        identical: { count: 0, bytes: 0 },
+        error: null
+    };
+
+    try {
+        const sourceObjects = sourceBucket ? (await listBucketObjects(sourceAdmin, name)).objects : [];
+        const targetObjects = targetBucket ? (await listBucketObjects(targetAdmin, name)).objects : [];
+        const diff = diffObjects(sourceObjects, targetObjects);
+        entry.added = tally(diff.added);
+        entry.changed = tally(diff.changed);
+        entry.target_only = tally(diff.targetOnly);
+        entry.identical = tally(diff.identical);
+        logInfo(`${name}: ${entry.added.count} new, ${entry.changed.count} changed, ${entry.target_only.count} target-only, ${entry.identical.count} identical`);
+    } catch (error) {
+        entry.error = error.message;
+        logWarning(`${name}: ${error.message}`);
+    }
+    return entry;
+};
+
+const summarize = (sourceBuckets, targetBuckets, buckets) => {
+    const total = (key) => buckets.reduce((sum, entry) => sum + entry[key].count, 0);
+    const totalBytes = (key) => buckets.reduce((sum, entry) => sum + entry[key].bytes, 0);
+    return {
+        source_buckets: sourceBuckets.length,
+        target_buckets: targetBuckets.length,
+        buckets_source_only: buckets.filter(entry => entry.status === 'source_only').length,
+        buckets_target_only: buckets.filter(entry => entry.status === 'target_only').length,
+        buckets_settings_differ: buckets.filter(entry => entry.settings_diff.length > 0).length,
+        buckets_failed: buckets.filter(entry => entry.error).length,
+        objects_added: total('added'),
+        objects_changed: total('changed'),
+        objects_target_only: total('target_only'),
+        objects_identical: total('identical'),
+        bytes_added: totalBytes('added'),
+        bytes_changed: totalBytes('changed'),
+        bytes_target_only: totalBytes('target_only')
+    };
+};
+
+const formatSetting = (value) => (value === null || value === undefined ? 'none' : Array.isArray(value) ? value.join(', ') : String(value));
+
+const renderCount = ({ count, bytes }) => (count > 0 ? `${count} <span class="size">(${formatBytes(bytes)})</span>` : '0');
+
+const renderHtml = (payload) => {
+    const { summary, buckets } = payload;
+    const statusBadge = {
+        both: '<span class="badge badge-both">Both</span>',
+        source_only: '<span class="badge badge-add">Source only</span>',
+        target_only: '<span class="badge badge-remove">Target only</span>'
+    };
+    const rows = buckets.map((entry) => {
+        const settings = entry.settings_diff.length
+            ? `<ul>${entry.settings_diff.map(item => `<li>${escapeHtml(item.setting)}: ${escapeHtml(formatSetting(item.source))} → ${escapeHtml(formatSetting(item.target))}</li>`).join('')}</ul>`
+            : '—';
+        return `<tr>
+                    <td>${escapeHtml(entry.bucket)}</td>
+                    <td>${statusBadge[entry.status]}</td>
+                    <td>${settings}</td>
+                    ${entry.error
+                        ? `<td colspan="4" class="error">${escapeHtml(entry.error)}</td>`
+                        : `<td>${renderCount(entry.added)}</td>
+                    <td>${renderCount(entry.changed)}</td>
+                    <td>${renderCount(entry.target_only)}</td>
+                    <td>${entry.identical.count}</td>`}
+                </tr>`;
+    }).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8" />
+<title>Storage Comparison: ${escapeHtml(payload.source_env)} → ${escapeHtml(payload.target_env)}</title>
+<style>
+body { font-family: 'Inter', sans-serif; background: #f8fafc; color: #0f172a; margin: 0; padding: 32px; }
+.container { max-width: 1100px; margin: 0 auto; background: white; border-radius: 24px; box-shadow: 0 24px 48px rgba(15, 23, 42, 0.12); padding: 32px; }
+.metrics { display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 32px; }
+.metric-card { flex: 1 1 160px; background: linear-gradient(135deg, rgba(99,102,241,.1), rgba(129,140,248,.06)); border: 1px solid rgba(99,102,241,.2); border-radius: 16px; padding: 16px; }
+.metric-card h3 { font-size: .85rem; letter-spacing: .04em; color: #4338ca; margin-bottom: 6px; text-transform: uppercase; }
+.metric-card p { font-size: 1.6rem; font-weight: 700; color: #1e1b4b; margin: 0; }
+.metric-card small { color: #475569; }
+.storage-table { width: 100%; border-collapse: collapse; margin-top: 8px; }
+.storage-table th, .storage-table td { border: 1px solid rgba(148,163,184,.35); padding: 12px; text-align: left; vertical-align: top; }
+.storage-table thead { background: rgba(99,102,241,.08); color: #312e81; }
+.storage-table ul { margin: 0; padding-left: 18px; }
+.badge { display: inline-flex; align-items: center; padding: 4px 10px; border-radius: 999px; font-size: .75rem; font-weight: 600; }
+.badge-add { background: rgba(34,197,94,.15); color: #166534; }
+.badge-remove { background: rgba(248,113,113,.15); color: #991b1b; }
+.badge-both { background: rgba(148,163,184,.2); color: #334155; }
+.size { color: #64748b; font-size: .85rem; }
+.error { color: #991b1b; }
+.no-diff { font-size: 1rem; color: #475569; margin-top: 8px; }
+</style>
+</head>
+<body>
+    <div class="container">
+        <h1>Storage Comparison</h1>
+        <p class="meta">Source <strong>${escapeHtml(payload.source_env)}</strong> → Target <strong>${escapeHtml(payload.target_env)}</strong> · Generated ${escapeHtml(payload.generated_at)}</p>
+        <div class="metrics">
+            <div class="metric-card"><h3>Buckets</h3><p>${summary.source_buckets} / ${summary.target_buckets}</p><small>source / target</small></div>
+            <div class="metric-card"><h3>Source-only Buckets</h3><p>${summary.buckets_source_only}</p></div>
+            <div class="metric-card"><h3>Target-only Buckets</h3><p>${summary.buckets_target_only}</p></div>
+            <div class="metric-card"><h3>Settings Differ</h3><p>${summary.buckets_settings_differ}</p></div>
+            <div class="metric-card"><h3>New Objects</h3><p>${summary.objects_added}</p><small>${formatBytes(summary.bytes_added)}</small></div>
+            <div class="metric-card"><h3>Changed Objects</h3><p>${summary.objects_changed}</p><small>${formatBytes(summary.bytes_changed)}</small></div>
+            <div class="metric-card"><h3>Target-only Objects</h3><p>${summary.objects_target_only}</p><small>${formatBytes(summary.bytes_target_only)}</small></div>
+        </div>
+        ${buckets.length ? `<table class="storage-table">
+            <thead>
+                <tr>
+                    <th>Bucket</th>
+                    <th>Exists In</th>
+                    <th>Settings (source → target)</th>
+                    <th>New</th>
+                    <th>Changed</th>
+                    <th>Target-only</th>
+                    <th>Identical</th>
+                </tr>
+            </thead>
+            <tbody>
+                ${rows}
+            </tbody>
+        </table>` : '<p class="no-diff">No buckets found in either environment.</p>'}
+    </div>
+</body>
+</html>`;
+};
+
+(async () => {
+    try {
+        logInfo(`Comparing storage: ${SOURCE_ENV} (${sourceConfig.projectRef}) → ${TARGET_ENV} (${targetConfig.projectRef})`);
+        const sourceBuckets = await listBuckets(sourceAdmin, SOURCE_ENV);
+        const targetBuckets = await listBuckets(targetAdmin, TARGET_ENV);
+        logInfo(`Found ${sourceBuckets.length} bucket(s) in source and ${targetBuckets.length} in target`);
+
+        const sourceByName = new Map(sourceBuckets.map(bucket => [bucket.name, bucket]));
+        const targetByName = new Map(targetBuckets.map(bucket => [bucket.name, bucket]));
+        const names = Array.from(new Set([...sourceByName.keys(), ...targetByName.keys()])).sort();
+
+        const buckets = [];
+        for (const name of names) {
+            buckets.push(await compareBucket(name, sourceByName.get(name), targetByName.get(name)));
+        }
+        const summary = summarize(sourceBuckets, targetBuckets, buckets);
+
+        fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+        const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace(/\..*/, '');
+        const baseName = `storage_diff_${SOURCE_ENV}_to_${TARGET_ENV}_${timestamp}`;
+        const jsonPath = path.join(OUTPUT_DIR, `${baseName}.json`);
+        const htmlPath = path.join(OUTPUT_DIR, `${baseName}.html`);
+
+        const payload = {
+            source_env: SOURCE_ENV,
+            target_env: TARGET_ENV,
+            source_ref: sourceConfig.projectRef,
+            target_ref: targetConfig.projectRef,
+            generated_at: new Date().toISOString(),
+            summary,
+            buckets
+        };
+
+        fs.writeFileSync(jsonPath, JSON.stringify(payload, null, 2), 'utf8');
+        fs.writeFileSync(htmlPath, renderHtml(payload), 'utf8');
+
+        if (summary.buckets_failed > 0) {
+            logWarning(`${summary.buckets_failed} bucket(s) could not be listed; their object counts are missing from the report`);
+        }
+        logSuccess('Storage comparison completed');
+        console.log(JSON.stringify({
+            json_path: jsonPath,
+            html_path: htmlPath,
+            summary,
+            log_status: 'completed'
+        }));
+        process.exit(0);
+    } catch (error) {
+        logError(error.message);
+        console.log(JSON.stringify({ error: error.message, log_status: 'error' }));
+        process.exit(1);
+    }
+})();
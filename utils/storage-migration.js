@@ -4,12 +4,23 @@
  * Migrates storage buckets and files from source to target project
  * Uses @supabase/supabase-js library for all operations
  * 
- * Usage: node utils/storage-migration.js <source_ref> <target_ref> <migration_dir> [--include-files|--exclude-files]
+ * Usage: node utils/storage-migration.js <source_ref> <target_ref> <migration_dir> [--include-files|--exclude-files] [--force-all] [--concurrency=N] [--resume=<migration_dir>] [--mirror [--dry-run]] [--buckets=<globs>] [--include=<globs>] [--exclude=<globs>] [--checksum] [--verify] [--policies] [--env-file <path>]
  */
 
 const { createClient } = require('@supabase/supabase-js');
 const fs = require('fs');
 const path = require('path');
+const { listEnvironments } = require('./lib/environments');
+const { loadConfig, getProjectConfig } = require('./lib/config');
+const { getObjectSize, listBucketObjects } = require('./lib/storageObjects');
+const { DEFAULT_CONCURRENCY, MAX_CONCURRENCY, transferObjects, backupObjects } = require('./lib/storageTransfer');
+const { formatProgressLine, describeProgress } = require('./lib/progress');
+const { readManifest, remainingObjects, summarizeManifest, createManifestWriter } = require('./lib/storageManifest');
+const { getBucketSettings, diffBucketSettings, diffObjects } = require('./lib/storageDiff');
+const { createStorageFilter } = require('./lib/storageFilters');
+const { verifyBucket, summarizeVerification, writeVerificationReport } = require('./lib/storageVerify');
+const { hasPsql, runPsqlWithFallback } = require('./lib/psql');
+const { fetchStoragePolicies, isBucketSpecific, referencedBuckets, diffPolicies, buildPolicySql } = require('./lib/storagePolicies');
 
 // ANSI color codes for console output
 const colors = {
@@ -49,78 +60,46 @@ function logSeparator() {
     console.log('━'.repeat(70));
 }
 
-// Load environment variables from .env.local or .env file
-function loadEnvFile() {
-    const envFiles = ['.env.local', '.env'];
-    let loaded = false;
-    for (const envFile of envFiles) {
-        if (fs.existsSync(envFile)) {
-            const content = fs.readFileSync(envFile, 'utf8');
-            const lines = content.split('\n');
-            let loadedCount = 0;
-            for (const line of lines) {
-                const trimmed = line.trim();
-                if (trimmed && !trimmed.startsWith('#')) {
-                    // Handle key=value format, supporting values with = signs
-                    const equalIndex = trimmed.indexOf('=');
-                    if (equalIndex > 0) {
-                        const cleanKey = trimmed.substring(0, equalIndex).trim();
-                        let value = trimmed.substring(equalIndex + 1).trim();
-                        
-                        // Remove surrounding quotes if present
-                        if ((value.startsWith('"') && value.endsWith('"')) || 
-                            (value.startsWith("'") && value.endsWith("'"))) {
-                            value = value.slice(1, -1);
-                        }
-                        
-                        // Only set if value is not empty (or if it's intentionally empty)
-                        process.env[cleanKey] = value;
-                        loadedCount++;
-                    }
-                }
-            }
-            logInfo(`Loaded ${loadedCount} environment variables from ${envFile}`);
-            loaded = true;
-        }
-    }
-    return loaded;
+// Load environment variables (.env.local / .env, or the file given with --env-file)
+try {
+    loadConfig().forEach(file => logInfo(`Loaded environment variables from ${file}`));
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
 }
 
-// Load environment variables
-loadEnvFile();
-
 // Configuration from arguments
 const SOURCE_REF = process.argv[2];
 const TARGET_REF = process.argv[3];
 const MIGRATION_DIR = process.argv[4];
 const INCLUDE_FILES = process.argv[5] !== '--exclude-files';
 const FORCE_ALL_BUCKETS = process.argv.includes('--force-all') || process.argv.includes('--force') || process.argv.includes('--all-buckets') || process.argv.includes('--migrate-all');
+const CONCURRENCY_ARG = process.argv.find(arg => arg.startsWith('--concurrency='));
+const CONCURRENCY = CONCURRENCY_ARG ? Number(CONCURRENCY_ARG.slice('--concurrency='.length)) : DEFAULT_CONCURRENCY;
+const RESUME_ARG = process.argv.find(arg => arg.startsWith('--resume='));
+const RESUME_DIR = RESUME_ARG ? RESUME_ARG.slice('--resume='.length) : null;
+const MIRROR = process.argv.includes('--mirror');
+const DRY_RUN = process.argv.includes('--dry-run');
+// --checksum hashes every copied file (SHA-256) while it streams and records the hash in the manifest;
+// --verify does the same and then checks the target against the source after the copy
+const VERIFY = process.argv.includes('--verify');
+const CHECKSUM = VERIFY || process.argv.includes('--checksum');
+// --policies also migrates the storage.objects / storage.buckets RLS policies of the run's buckets
+const POLICIES = process.argv.includes('--policies');
+// --buckets=, --include= and --exclude= take comma-separated globs and may be given more than once
+const flagValues = (flag) => process.argv.filter(arg => arg.startsWith(`${flag}=`)).map(arg => arg.slice(flag.length + 1));
+
+// storage.remove() takes a list of paths; deletions are sent in batches of this size
+const DELETE_BATCH_SIZE = 100;
+
+// Object metadata attribute -> number of copied files on which it could not be preserved
+const unpreservedMetadata = new Map();
 
 // Get Supabase URLs and keys from environment
 function getSupabaseConfig(projectRef) {
-    // Determine environment name from project ref
-    let envName = '';
-    const prodRef = process.env.SUPABASE_PROD_PROJECT_REF || '';
-    const testRef = process.env.SUPABASE_TEST_PROJECT_REF || '';
-    const devRef = process.env.SUPABASE_DEV_PROJECT_REF || '';
-    const backupRef = process.env.SUPABASE_BACKUP_PROJECT_REF || '';
-    
-    // Debug: Show what we're comparing
     logInfo(`Matching project ref: ${projectRef}`);
-    logInfo(`  PROD ref: ${prodRef || 'NOT SET'} ${prodRef === projectRef ? '✓ MATCH' : ''}`);
-    logInfo(`  TEST ref: ${testRef || 'NOT SET'} ${testRef === projectRef ? '✓ MATCH' : ''}`);
-    logInfo(`  DEV ref: ${devRef || 'NOT SET'} ${devRef === projectRef ? '✓ MATCH' : ''}`);
-    logInfo(`  BACKUP ref: ${backupRef || 'NOT SET'} ${backupRef === projectRef ? '✓ MATCH' : ''}`);
-    
-    if (prodRef === projectRef) {
-        envName = 'PROD';
-    } else if (testRef === projectRef) {
-        envName = 'TEST';
-    } else if (devRef === projectRef) {
-        envName = 'DEV';
-    } else if (backupRef === projectRef) {
-        envName = 'BACKUP';
-    }
+    const config = getProjectConfig(projectRef);
+    const envName = config.key || '';
     
     // Debug: Log which environment was detected
     if (envName) {
@@ -129,46 +108,10 @@ function getSupabaseConfig(projectRef) {
         logWarning(`✗ Could not determine environment name for project ref: ${projectRef}`);
     }
     
-    // Try to get from environment-specific variables first
-    let url = '';
-    let anonKey = '';
-    let serviceKey = '';
-    let serviceKeySource = '';
-    
-    if (envName) {
-        // Try environment-specific variables
-        // URL: SUPABASE_PROD_URL, SUPABASE_TEST_URL, SUPABASE_DEV_URL
-        const urlKey = `SUPABASE_${envName}_URL`;
-        url = process.env[urlKey] || '';
-        logInfo(`  Checking ${urlKey}: ${url ? 'FOUND' : 'NOT SET'}`);
-        
-        // Anon Key: SUPABASE_PROD_ANON_KEY, SUPABASE_TEST_ANON_KEY, SUPABASE_DEV_ANON_KEY
-        const anonKeyKey = `SUPABASE_${envName}_ANON_KEY`;
-        anonKey = process.env[anonKeyKey] || '';
-        logInfo(`  Checking ${anonKeyKey}: ${anonKey ? 'FOUND' : 'NOT SET'}`);
-        
-        // Service Role Key: SUPABASE_PROD_SERVICE_ROLE_KEY, SUPABASE_TEST_SERVICE_ROLE_KEY, SUPABASE_DEV_SERVICE_ROLE_KEY, SUPABASE_BACKUP_SERVICE_ROLE_KEY
-        const serviceKeyKey = `SUPABASE_${envName}_SERVICE_ROLE_KEY`;
-        
-        logInfo(`  Checking ${serviceKeyKey}: ${process.env[serviceKeyKey] ? 'FOUND (length: ' + process.env[serviceKeyKey].length + ')' : 'NOT SET'}`);
-        
-        if (process.env[serviceKeyKey]) {
-            serviceKey = process.env[serviceKeyKey].trim();
-            serviceKeySource = serviceKeyKey;
-            // Validate JWT format (should start with "eyJ")
-            if (!serviceKey.startsWith('eyJ')) {
-                logWarning(`  ⚠ Service role key does not start with "eyJ" - may not be a valid JWT token`);
-                logWarning(`  Key starts with: ${serviceKey.substring(0, Math.min(10, serviceKey.length))}...`);
-            }
-            logSuccess(`  ✓ Using service role key from: ${serviceKeySource}`);
-        } else {
-            logError(`  ✗ Service role key not found: ${serviceKeyKey}`);
-        }
-    }
-    
-    // Validate URL matches project ref, or construct URL from project ref (standard Supabase format)
-    if (url) {
-        // Extract project ref from URL if it's a Supabase URL
+    // Validate URL matches project ref (URLs are constructed from the project ref when not configured)
+    let url = config.url;
+    if (config.urlSource) {
+        logInfo(`  Using ${config.urlSource}`);
         const urlMatch = url.match(/https:\/\/([^\.]+)\.supabase\.co/);
         if (urlMatch && urlMatch[1] !== projectRef) {
             logWarning(`  URL project ref (${urlMatch[1]}) does not match provided project ref (${projectRef})`);
@@ -176,61 +119,117 @@ function getSupabaseConfig(projectRef) {
             url = `https://${projectRef}.supabase.co`;
         }
     } else {
-        url = `https://${projectRef}.supabase.co`;
         logInfo(`  Constructed URL from project ref: ${url}`);
     }
     
-    // Get anon key from generic variables if env-specific not found
-    if (!anonKey) {
-        anonKey = process.env.SUPABASE_ANON_KEY || '';
-        if (anonKey) {
-            logInfo(`  Using generic SUPABASE_ANON_KEY`);
-        }
+    const anonKey = config.anonKey;
+    if (anonKey) {
+        logInfo(`  Anon key: ${config.sources.anonKey}`);
     }
     
-    // Get service role key from generic variable if env-specific not found
-    if (!serviceKey) {
-        if (process.env.SUPABASE_SERVICE_ROLE_KEY) {
-            serviceKey = process.env.SUPABASE_SERVICE_ROLE_KEY.trim();
-            serviceKeySource = 'SUPABASE_SERVICE_ROLE_KEY (generic)';
-            // Validate JWT format
-            if (!serviceKey.startsWith('eyJ')) {
-                logWarning(`  ⚠ Generic service role key does not start with "eyJ" - may not be a valid JWT token`);
-            }
-            logInfo(`  Using generic SUPABASE_SERVICE_ROLE_KEY`);
-        } else {
-            logError(`  ✗ No service role key found for ${envName || 'project'}`);
+    const serviceKey = config.serviceRoleKey;
+    if (serviceKey) {
+        // Validate JWT format (should start with "eyJ")
+        if (!serviceKey.startsWith('eyJ')) {
+            logWarning(`  ⚠ Service role key does not start with "eyJ" - may not be a valid JWT token`);
+            logWarning(`  Key starts with: ${serviceKey.substring(0, Math.min(10, serviceKey.length))}...`);
         }
+        logSuccess(`  ✓ Using service role key from: ${config.sources.serviceRoleKey}`);
+    } else {
+        logError(`  ✗ No service role key found for ${envName || 'project'}`);
     }
     
-    if (serviceKeySource) {
-        logInfo(`  Final service role key source: ${serviceKeySource}`);
-    }
-    
-    return { url, anonKey, serviceKey, envName };
+    return {
+        url,
+        anonKey,
+        serviceKey,
+        envName,
+        projectRef,
+        dbPassword: config.dbPassword,
+        poolerRegion: config.poolerRegion,
+        poolerPort: config.poolerPort
+    };
 }
 
 // Validate arguments
 if (!SOURCE_REF || !TARGET_REF || !MIGRATION_DIR) {
     logError('Missing required arguments');
-    console.error(`Usage: node utils/storage-migration.js <source_ref> <target_ref> <migration_dir> [--include-files|--exclude-files]`);
+    console.error(`Usage: node utils/storage-migration.js <source_ref> <target_ref> <migration_dir> [--include-files|--exclude-files] [--force-all] [--concurrency=N] [--resume=<migration_dir>] [--mirror [--dry-run]] [--buckets=<globs>] [--include=<globs>] [--exclude=<globs>] [--checksum] [--verify] [--policies] [--env-file <path>]`);
     console.error('');
-    console.error('Environment variables required in .env.local:');
-    console.error('  - SUPABASE_PROD_PROJECT_REF, SUPABASE_TEST_PROJECT_REF, SUPABASE_DEV_PROJECT_REF, SUPABASE_BACKUP_PROJECT_REF');
-    console.error('  - SUPABASE_PROD_URL, SUPABASE_TEST_URL, SUPABASE_DEV_URL, SUPABASE_BACKUP_URL (or auto-constructed)');
-    console.error('  - SUPABASE_PROD_ANON_KEY, SUPABASE_TEST_ANON_KEY, SUPABASE_DEV_ANON_KEY, SUPABASE_BACKUP_ANON_KEY');
-    console.error('  - SUPABASE_PROD_SERVICE_ROLE_KEY, SUPABASE_TEST_SERVICE_ROLE_KEY, SUPABASE_DEV_SERVICE_ROLE_KEY, SUPABASE_BACKUP_SERVICE_ROLE_KEY');
+    console.error(`Environment variables required in .env.local (or --env-file <path>), where <ENV> is one of ${listEnvironments().map(environment => environment.key).join(', ')}:`);
+    console.error('  - SUPABASE_<ENV>_PROJECT_REF');
+    console.error('  - SUPABASE_<ENV>_URL (or auto-constructed)');
+    console.error('  - SUPABASE_<ENV>_ANON_KEY');
+    console.error('  - SUPABASE_<ENV>_SERVICE_ROLE_KEY');
     console.error('');
     console.error('Note: URLs are automatically constructed from project refs as https://<project_ref>.supabase.co if not specified');
     process.exit(1);
 }
 
+if (MIRROR && (!INCLUDE_FILES || RESUME_DIR)) {
+    logError('--mirror compares and copies files itself and cannot be combined with --exclude-files or --resume');
+    process.exit(1);
+}
+if (DRY_RUN && !MIRROR) {
+    logError('--dry-run previews a --mirror run and requires --mirror');
+    process.exit(1);
+}
+if (CHECKSUM && !INCLUDE_FILES) {
+    logError('--checksum and --verify check copied files and cannot be combined with --exclude-files');
+    process.exit(1);
+}
+if (VERIFY && DRY_RUN) {
+    logError('--verify checks the result of a run and cannot be combined with --dry-run');
+    process.exit(1);
+}
+
+if (!Number.isInteger(CONCURRENCY) || CONCURRENCY < 1 || CONCURRENCY > MAX_CONCURRENCY) {
+    logError(`Invalid ${CONCURRENCY_ARG}: expected a whole number of parallel transfers between 1 and ${MAX_CONCURRENCY}`);
+    process.exit(1);
+}
+
+let storageFilter;
+try {
+    storageFilter = createStorageFilter({
+        buckets: flagValues('--buckets'),
+        include: flagValues('--include'),
+        exclude: flagValues('--exclude')
+    });
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
+}
+if (storageFilter.filtersObjects && !INCLUDE_FILES) {
+    logError('--include and --exclude select files and cannot be combined with --exclude-files');
+    process.exit(1);
+}
+
 // Validate migration directory
 if (!fs.existsSync(MIGRATION_DIR)) {
     fs.mkdirSync(MIGRATION_DIR, { recursive: true });
     logInfo(`Created migration directory: ${MIGRATION_DIR}`);
 }
 
+// Every copied file is recorded in <migration_dir>/storage_manifest.jsonl. A resumed run reads the
+// earlier run's manifest and copies only the objects it left pending or failed.
+let resumeState = null;
+if (RESUME_DIR) {
+    if (!INCLUDE_FILES) {
+        logError('--resume continues a file migration and cannot be combined with --exclude-files');
+        process.exit(1);
+    }
+    try {
+        resumeState = readManifest(RESUME_DIR);
+    } catch (error) {
+        logError(error.message);
+        process.exit(1);
+    }
+}
+const manifest = INCLUDE_FILES ? createManifestWriter(MIGRATION_DIR) : null;
+if (resumeState && path.resolve(RESUME_DIR) !== path.resolve(MIGRATION_DIR)) {
+    manifest.seed(resumeState);
+}
+
 // Initialize Supabase clients
 const sourceConfig = getSupabaseConfig(SOURCE_REF);
 const targetConfig = getSupabaseConfig(TARGET_REF);
@@ -253,12 +252,24 @@ logSeparator();
 
 if (!sourceConfig.serviceKey || !targetConfig.serviceKey) {
     logError('Service role keys not found in environment variables');
-    logError('Please ensure service role keys are set in .env.local:');
-    logError('  - SUPABASE_PROD_SERVICE_ROLE_KEY, SUPABASE_TEST_SERVICE_ROLE_KEY, SUPABASE_DEV_SERVICE_ROLE_KEY, SUPABASE_BACKUP_SERVICE_ROLE_KEY');
+    logError('Please ensure service role keys are set in .env.local (or the file passed with --env-file):');
+    logError(`  - SUPABASE_<ENV>_SERVICE_ROLE_KEY, where <ENV> is one of ${listEnvironments().map(environment => environment.key).join(', ')}`);
     logError('  - OR SUPABASE_SERVICE_ROLE_KEY (generic fallback)');
     process.exit(1);
 }
 
+// Policies are read and written through psql with each project's database password
+if (POLICIES) {
+    if (!hasPsql()) {
+        logError('--policies needs the psql command (PostgreSQL client utilities)');
+        process.exit(1);
+    }
+    if (!sourceConfig.dbPassword || !targetConfig.dbPassword) {
+        logError('--policies needs the database password of both projects (SUPABASE_<ENV>_DB_PASSWORD)');
+        process.exit(1);
+    }
+}
+
 // Verify URL format matches project ref
 const sourceUrlMatch = sourceConfig.url.match(/https:\/\/([^\.]+)\.supabase\.co/);
 const targetUrlMatch = targetConfig.url.match(/https:\/\/([^\.]+)\.supabase\.co/);
@@ -342,7 +353,7 @@ async function getBuckets(adminClient, projectName, projectUrl, serviceKey, envN
             if (envName) {
                 logError(`  1. The service role key in .env.local matches the project (SUPABASE_${envName}_SERVICE_ROLE_KEY)`);
             } else {
-                logError(`  1. The service role key in .env.local is set correctly (SUPABASE_PROD_SERVICE_ROLE_KEY, SUPABASE_TEST_SERVICE_ROLE_KEY, SUPABASE_DEV_SERVICE_ROLE_KEY, or SUPABASE_BACKUP_SERVICE_ROLE_KEY)`);
+                logError(`  1. The service role key in .env.local is set correctly (SUPABASE_<ENV>_SERVICE_ROLE_KEY)`);
             }
             logError(`  2. The URL matches the project ref (https://<project_ref>.supabase.co)`);
             logError(`  3. The service role key is a valid JWT token (starts with "eyJ")`);
@@ -564,120 +575,276 @@ async function createBucket(adminClient, projectUrl, serviceKey, bucketConfig) {
     };
 }
 
-// List all files recursively in a bucket
-async function listAllFilesRecursive(adminClient, bucketName, folder = '', files = []) {
-    try {
-        const { data, error } = await adminClient.storage.from(bucketName).list(folder);
-        
-        if (error) {
-            throw error;
-        }
-        
-        if (!data || data.length === 0) {
-            return files;
-        }
-        
-        for (const item of data) {
-            if (item.id) {
-                // It's a file
-                files.push({
-                    ...item,
-                    path: folder ? `${folder}/${item.name}` : item.name
-                });
-            } else {
-                // It's a folder, recursively list its contents
-                const subFolderPath = folder ? `${folder}/${item.name}` : item.name;
-                await listAllFilesRecursive(adminClient, bucketName, subFolderPath, files);
-            }
-        }
-        
-        return files;
-    } catch (error) {
-        logError(`Error listing files recursively in ${folder || 'root'}: ${error.message || error}`);
-        return files;
-    }
+// Format file size for display
+function formatFileSize(bytes) {
+    if (bytes === 0) return '0 B';
+    const k = 1024;
+    const sizes = ['B', 'KB', 'MB', 'GB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
 }
 
-// Download file from source
-async function downloadFile(adminClient, bucketName, filePath) {
-    try {
-        const { data, error } = await adminClient.storage.from(bucketName).download(filePath);
-        
-        if (error) {
-            throw error;
-        }
-        
-        // Convert blob to buffer
-        const arrayBuffer = await data.arrayBuffer();
-        return Buffer.from(arrayBuffer);
-    } catch (error) {
-        throw new Error(`Failed to download file ${filePath}: ${error.message || error}`);
+// Buckets selected by --buckets; the ones left out are logged once
+function selectBuckets(buckets, projectName) {
+    if (!storageFilter.filtersBuckets) {
+        return buckets;
     }
+    const selected = buckets.filter(bucket => bucket.name && storageFilter.matchesBucket(bucket.name));
+    const skipped = buckets.filter(bucket => !selected.includes(bucket)).map(bucket => bucket.name);
+    if (skipped.length > 0) {
+        logInfo(`  ${projectName} buckets not matching --buckets (left alone): ${skipped.join(', ')}`);
+    }
+    return selected;
 }
 
-// Upload file to target
-async function uploadFile(adminClient, bucketName, filePath, fileBuffer, contentType) {
-    try {
-        const { data, error } = await adminClient.storage
-            .from(bucketName)
-            .upload(filePath, fileBuffer, {
-                contentType: contentType || 'application/octet-stream',
-                upsert: true
+// Listing of a bucket restricted to the files selected by --include / --exclude
+function listSelectedObjects(adminClient, bucketName) {
+    return listBucketObjects(adminClient, bucketName, {
+        filter: storageFilter.filtersObjects ? object => storageFilter.matchesObject(bucketName, object.path) : undefined
+    });
+}
+
+// Copy files of one bucket to the target through the transfer pool. Files are streamed
+// source -> target (and into the backup folder) with their content type, Cache-Control and user
+// metadata, and every result is written to the manifest. Metadata the upload cannot carry over is
+// logged per file and counted for the summary.
+// Progress goes out both as a readable line and as a JOB_PROGRESS= line for the web UI.
+async function migrateBucketFiles(bucketName, files) {
+    const backupDir = path.join(MIGRATION_DIR, 'storage_files', bucketName);
+    if (!fs.existsSync(backupDir)) {
+        fs.mkdirSync(backupDir, { recursive: true });
+        logInfo(`  Created backup directory: ${backupDir}`);
+    }
+    
+    logInfo(`  Transferring ${files.length} file(s), ${CONCURRENCY} at a time (backup copy in ${path.relative(MIGRATION_DIR, backupDir)})...`);
+    console.log('');
+    
+    return transferObjects(sourceAdmin, targetAdmin, bucketName, files, {
+        backupDir,
+        checksum: CHECKSUM,
+        preserveMetadata: true,
+        concurrency: CONCURRENCY,
+        onFileDone: (sourceFile, attempts, details) => {
+            manifest.recordResult(bucketName, sourceFile, 'transferred', attempts, null, details);
+            logSuccess(`    ✓ Migrated ${sourceFile.path} (${formatFileSize(getObjectSize(sourceFile))}${details.sha256 ? `, sha256 ${details.sha256.slice(0, 12)}` : ''})`);
+            details.metadata.unpreserved.forEach(({ attribute, value }) => {
+                unpreservedMetadata.set(attribute, (unpreservedMetadata.get(attribute) || 0) + 1);
+                logWarning(`      ⚠ ${attribute} not preserved: ${value}`);
             });
-        
-        if (error) {
-            throw error;
+        },
+        onRetry: (sourceFile, attempt, error, delayMs) => {
+            logWarning(`    ↻ Retrying ${sourceFile.path} in ${delayMs / 1000}s (attempt ${attempt} failed: ${error.message || error})`);
+        },
+        onFileFailed: (sourceFile, error, attempts) => {
+            manifest.recordResult(bucketName, sourceFile, 'failed', attempts, error.message || String(error));
+            logError(`    ✗ Failed ${sourceFile.path}: ${error.message || error}`);
+        },
+        onProgress: (progress) => {
+            console.log(formatProgressLine(progress));
+            logInfo(`  Progress ${describeProgress(progress)}`);
         }
-        
-        return { success: true, data };
-    } catch (error) {
-        throw new Error(`Failed to upload file ${filePath}: ${error.message || error}`);
+    });
+}
+
+// Summary line for metadata that could not be carried over, if any
+function logUnpreservedMetadata() {
+    if (unpreservedMetadata.size === 0) {
+        return;
     }
+    const attributes = Array.from(unpreservedMetadata.entries()).map(([attribute, count]) => `${attribute} on ${count} file(s)`);
+    logWarning(`Metadata not preserved (see unpreserved in ${manifest.filePath}): ${attributes.join('; ')}`);
 }
 
-// Save file to backup folder
-function saveToBackup(backupDir, bucketName, filePath, fileBuffer) {
-    const bucketBackupDir = path.join(backupDir, 'storage_files', bucketName);
-    const fullFilePath = path.join(bucketBackupDir, filePath);
-    const fileDir = path.dirname(fullFilePath);
+// Diff the RLS policies on storage.objects / storage.buckets that concern the run's buckets and
+// apply the difference to the target in one transaction. A policy concerns the run when it checks
+// the bucket column against one of bucketNames, or does not check the bucket at all and --buckets
+// does not limit the run. New and changed policies are (re)created; policies only in the target
+// are dropped with dropTargetOnly and otherwise listed. The SQL is saved as storage_policies.sql
+// (and applied unless dryRun) next to a storage_policies.json summary.
+function migrateStoragePolicies(bucketNames, { dropTargetOnly = false, dryRun = false } = {}) {
+    console.log('');
+    logSeparator();
+    logInfo(`${colors.bright}Storage Policies${dryRun ? ' (dry run)' : ''}${colors.reset}`);
+    logSeparator();
+    
+    const sqlPath = path.join(MIGRATION_DIR, 'storage_policies.sql');
+    const summaryPath = path.join(MIGRATION_DIR, 'storage_policies.json');
+    const result = { success: false, created: 0, updated: 0, dropped: 0, targetOnly: 0, unchanged: 0, applied: false, sqlPath: null, error: null };
+    const inScope = (policy) => (isBucketSpecific(policy)
+        ? referencedBuckets(policy, bucketNames).length > 0
+        : !storageFilter.filtersBuckets);
+    const onEndpointFailed = (endpoint, error) => logWarning(`  ${error.message}`);
     
-    // Create directory structure
-    if (!fs.existsSync(fileDir)) {
-        fs.mkdirSync(fileDir, { recursive: true });
+    let diff;
+    try {
+        logInfo(`Reading storage policies from source and target...`);
+        const sourcePolicies = fetchStoragePolicies(sourceConfig, { onEndpointFailed });
+        const targetPolicies = fetchStoragePolicies(targetConfig, { onEndpointFailed });
+        diff = diffPolicies(sourcePolicies, targetPolicies, inScope);
+        logInfo(`  ${sourcePolicies.filter(inScope).length} source / ${targetPolicies.filter(inScope).length} target policy(ies) concern the migrated bucket(s)`);
+    } catch (error) {
+        result.error = error.message;
+        logError(`  ✗ Could not read storage policies: ${error.message}`);
+        logSeparator();
+        return result;
+    }
+    
+    diff.create.forEach(policy => logInfo(`  + ${policy.name} on storage.${policy.table} (${policy.command})`));
+    diff.update.forEach(({ source, fields }) => logInfo(`  ~ ${source.name} on storage.${source.table} (${fields.join(', ')} differ)`));
+    diff.targetOnly.forEach(policy => (dropTargetOnly
+        ? logWarning(`  - ${policy.name} on storage.${policy.table} (only in target, will be dropped)`)
+        : logInfo(`  ○ ${policy.name} on storage.${policy.table} (only in target, left in place)`)));
+    if (diff.unchanged.length > 0) {
+        logSuccess(`  ✓ ${diff.unchanged.length} policy(ies) already identical`);
     }
     
-    // Save file
-    fs.writeFileSync(fullFilePath, fileBuffer);
-    return fullFilePath;
+    result.created = diff.create.length;
+    result.updated = diff.update.length;
+    result.dropped = dropTargetOnly ? diff.targetOnly.length : 0;
+    result.targetOnly = diff.targetOnly.length;
+    result.unchanged = diff.unchanged.length;
+    const changes = result.created + result.updated + result.dropped;
+    
+    if (changes > 0) {
+        fs.writeFileSync(sqlPath, buildPolicySql(diff, {
+            dropTargetOnly,
+            header: [
+                `Storage policies: ${SOURCE_REF} -> ${TARGET_REF}`,
+                `Generated: ${new Date().toISOString()}`,
+                `Buckets: ${bucketNames.join(', ') || 'none'}`
+            ]
+        }));
+        result.sqlPath = sqlPath;
+        logInfo(`  Policy SQL saved to: ${sqlPath}`);
+        if (!dryRun) {
+            try {
+                runPsqlWithFallback(targetConfig, ['-v', 'ON_ERROR_STOP=1', '-q', '-f', sqlPath], { onEndpointFailed });
+                result.applied = true;
+                logSuccess(`  ✓ Applied ${changes} policy change(s) to the target`);
+            } catch (error) {
+                result.error = error.message;
+                logError(`  ✗ Failed to apply storage policies (no policy was changed): ${error.message}`);
+                logError(`    Review ${sqlPath} and run it in the SQL editor of the target project`);
+            }
+        }
+    } else {
+        logSuccess(`  ✓ No policy changes needed`);
+    }
+    
+    fs.writeFileSync(summaryPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        source: SOURCE_REF,
+        target: TARGET_REF,
+        dryRun,
+        applied: result.applied,
+        buckets: bucketNames,
+        create: diff.create.map(policy => ({ table: policy.table, name: policy.name })),
+        update: diff.update.map(({ source, fields }) => ({ table: source.table, name: source.name, fields })),
+        targetOnly: diff.targetOnly.map(policy => ({ table: policy.table, name: policy.name, dropped: dropTargetOnly })),
+        unchanged: diff.unchanged.map(policy => ({ table: policy.table, name: policy.name })),
+        sqlFile: result.sqlPath ? path.basename(result.sqlPath) : null,
+        error: result.error
+    }, null, 2));
+    result.success = !result.error;
+    logSeparator();
+    return result;
 }
 
-// Format file size for display
-function formatFileSize(bytes) {
-    if (bytes === 0) return '0 B';
-    const k = 1024;
-    const sizes = ['B', 'KB', 'MB', 'GB'];
-    const i = Math.floor(Math.log(bytes) / Math.log(k));
-    return Math.round(bytes / Math.pow(k, i) * 100) / 100 + ' ' + sizes[i];
+// Summary line for a migrateStoragePolicies result
+function logPolicySummary(policies) {
+    if (!policies) {
+        return;
+    }
+    const counts = `${policies.created} created, ${policies.updated} updated, ${policies.dropped} dropped, ${policies.unchanged} unchanged`;
+    if (!policies.success) {
+        logError(`Storage policies: failed (${policies.error})${policies.sqlPath ? ` - SQL in ${policies.sqlPath}` : ''}`);
+    } else if (policies.sqlPath && !policies.applied) {
+        logInfo(`Storage policies (not applied): ${counts} - SQL in ${policies.sqlPath}`);
+    } else {
+        logSuccess(`Storage policies: ${counts}${policies.sqlPath ? ` - SQL in ${policies.sqlPath}` : ''}`);
+    }
 }
 
-function normalizeTimestamp(value) {
-    if (value === null || value === undefined) {
-        return null;
-    }
-    if (typeof value === 'number' && Number.isFinite(value)) {
-        return Math.floor(value);
+// Post-migration verification: re-list each bucket in the target and compare it with what the
+// run expected there (buckets: [{ bucket, objects, strict }]) - counts, sizes and, for files whose
+// source hash is in the manifest, SHA-256 of the target copy. The results are written to
+// <migration_dir>/storage_verification.json for the migration report.
+async function verifyStorage(buckets) {
+    console.log('');
+    logSeparator();
+    logInfo(`${colors.bright}Post-migration Verification${colors.reset}`);
+    logSeparator();
+    
+    let manifestState = new Map();
+    try {
+        manifestState = readManifest(MIGRATION_DIR);
+    } catch (error) {
+        logWarning(`  ${error.message} - comparing counts and sizes only`);
     }
-    if (typeof value === 'string') {
-        const numeric = Number(value);
-        if (!Number.isNaN(numeric) && Number.isFinite(numeric)) {
-            return Math.floor(numeric);
+    
+    const results = [];
+    for (const { bucket, objects, strict } of buckets) {
+        const checksums = new Map();
+        const bucketState = manifestState.get(bucket);
+        if (bucketState) {
+            bucketState.objects.forEach((entry) => {
+                if (entry.status === 'transferred' && entry.sha256) {
+                    checksums.set(entry.path, entry.sha256);
+                }
+            });
+        }
+        
+        let targetListing;
+        try {
+            targetListing = await listSelectedObjects(targetAdmin, bucket);
+        } catch (error) {
+            results.push({ bucket, status: 'error', error: error.message || String(error) });
+            logError(`  ✗ ${bucket}: ${error.message || error}`);
+            continue;
         }
-        const parsed = Date.parse(value);
-        if (!Number.isNaN(parsed)) {
-            return Math.floor(parsed);
+        
+        const result = await verifyBucket(targetAdmin, bucket, objects, targetListing.objects, {
+            checksums,
+            strict,
+            concurrency: CONCURRENCY
+        });
+        results.push(result);
+        
+        const counts = `${result.expected.count} file(s) expected, ${result.target.count} in target (${formatFileSize(result.target.bytes)}), ${result.hashed} checksum(s) compared`;
+        if (result.status === 'ok') {
+            logSuccess(`  ✓ ${bucket}: ${counts}`);
+        } else {
+            logError(`  ✗ ${bucket}: ${counts}`);
+        }
+        result.missing.forEach(filePath => logError(`    missing: ${filePath}`));
+        result.sizeMismatches.forEach(({ path: filePath, expected, actual }) => logError(`    size differs: ${filePath} (${expected} B in source, ${actual} B in target)`));
+        result.hashMismatches.forEach(({ path: filePath, expected, actual }) => logError(`    checksum differs: ${filePath} (source ${expected.slice(0, 12)}, target ${actual.slice(0, 12)})`));
+        result.hashFailures.forEach(({ path: filePath, error }) => logError(`    could not hash: ${filePath}: ${error}`));
+        if (result.extra.length > 0) {
+            const log = strict ? logError : logInfo;
+            log(`    ${result.extra.length} file(s) only in target${strict ? '' : ' (left in place)'}`);
         }
     }
-    return null;
+    
+    const summary = summarizeVerification(results);
+    const reportPath = writeVerificationReport(MIGRATION_DIR, {
+        generatedAt: new Date().toISOString(),
+        source: SOURCE_REF,
+        target: TARGET_REF,
+        mode: MIRROR ? 'mirror' : 'migrate',
+        filters: { buckets: storageFilter.buckets, include: storageFilter.include, exclude: storageFilter.exclude },
+        summary,
+        buckets: results
+    });
+    const problems = summary.bucketsMismatched + summary.bucketsFailed;
+    if (problems === 0) {
+        logSuccess(`Verified ${summary.buckets} bucket(s): ${summary.objectsExpected} file(s) present with matching sizes, ${summary.objectsHashed} checksum(s) match`);
+    } else {
+        logError(`Verification found problems in ${problems} of ${summary.buckets} bucket(s): ${summary.missing} missing, ${summary.sizeMismatches} size and ${summary.hashMismatches} checksum mismatch(es), ${summary.hashFailures} file(s) not hashed`);
+    }
+    logInfo(`Verification report: ${reportPath}`);
+    logSeparator();
+    return { ...summary, success: problems === 0, reportPath };
 }
 
 // Main migration function
@@ -688,6 +855,17 @@ async function migrateStorage() {
     logInfo(`Source: ${SOURCE_REF} (${sourceConfig.url})`);
     logInfo(`Target: ${TARGET_REF} (${targetConfig.url})`);
     logInfo(`Include Files: ${INCLUDE_FILES ? 'Yes' : 'No'}`);
+    if (INCLUDE_FILES) {
+        logInfo(`Parallel transfers: ${CONCURRENCY}`);
+        logInfo(`Transfer manifest: ${manifest.filePath}`);
+        logInfo(`Checksums: ${CHECKSUM ? 'SHA-256' : 'No'}${VERIFY ? ' (verified after the migration)' : ''}`);
+    }
+    logInfo(`Storage policies: ${POLICIES ? 'Yes' : 'No'}`);
+    storageFilter.describe().forEach(line => logInfo(`Filter ${line}`));
+    if (resumeState) {
+        const previous = summarizeManifest(resumeState);
+        logInfo(`Resuming from: ${RESUME_DIR} (${previous.transferred} transferred, ${previous.pending} pending, ${previous.failed} failed in ${resumeState.size} bucket(s))`);
+    }
     logInfo(`Migration Directory: ${MIGRATION_DIR}`);
     logSeparator();
     console.log('');
@@ -699,9 +877,9 @@ async function migrateStorage() {
     logStep(1, INCLUDE_FILES ? 4 : 2, 'Fetching source buckets...');
     let sourceBuckets = [];
     try {
-        sourceBuckets = await getBuckets(sourceAdmin, 'Source', sourceConfig.url, sourceConfig.serviceKey, sourceConfig.envName);
+        sourceBuckets = selectBuckets(await getBuckets(sourceAdmin, 'Source', sourceConfig.url, sourceConfig.serviceKey, sourceConfig.envName), 'Source');
         if (sourceBuckets.length === 0) {
-            logWarning('No buckets found in source project');
+            logWarning(storageFilter.filtersBuckets ? 'No source buckets match --buckets' : 'No buckets found in source project');
         }
     } catch (error) {
         logError('Failed to fetch source buckets - cannot continue migration');
@@ -721,6 +899,36 @@ async function migrateStorage() {
     }
     const targetBucketMap = new Map(targetBuckets.map(b => [b.name, b]));
     
+    // List every source object up front so the totals are known before anything is copied
+    const sourceListings = new Map();
+    const listingFailures = [];
+    if (INCLUDE_FILES && sourceBuckets.length > 0) {
+        console.log('');
+        logInfo(`${colors.bright}Source object inventory${colors.reset}`);
+        let inventoryObjects = 0;
+        let inventoryBytes = 0;
+        for (const sourceBucket of sourceBuckets) {
+            if (!sourceBucket.name) {
+                continue;
+            }
+            if (resumeState && resumeState.has(sourceBucket.name)) {
+                logInfo(`  ${sourceBucket.name}: resumed from the manifest (not listed)`);
+                continue;
+            }
+            try {
+                const listing = await listSelectedObjects(sourceAdmin, sourceBucket.name);
+                sourceListings.set(sourceBucket.name, listing);
+                inventoryObjects += listing.objectCount;
+                inventoryBytes += listing.totalBytes;
+                logInfo(`  ${sourceBucket.name}: ${listing.objectCount} object(s), ${formatFileSize(listing.totalBytes)}`);
+            } catch (error) {
+                listingFailures.push(sourceBucket.name);
+                logError(`  ${sourceBucket.name}: ${error.message || error}`);
+            }
+        }
+        logInfo(`  Total: ${inventoryObjects} object(s), ${formatFileSize(inventoryBytes)} in ${sourceListings.size} bucket(s)`);
+    }
+    
     console.log('');
     logSeparator();
     logInfo(`${colors.bright}Starting Bucket Migration${colors.reset}`);
@@ -729,7 +937,11 @@ async function migrateStorage() {
     
     let migratedCount = 0;
     let filesMigratedCount = 0;
+    let filesFailedCount = 0;
+    let filesAlreadyTransferred = 0;
     let skippedCount = 0;
+    // What each bucket should contain in the target afterwards, for --verify
+    const verifyBuckets = [];
     
     // Step 3: Smart migration - compare buckets and files
     // Default behavior: Only migrate buckets that are new (exist in source but not in target)
@@ -743,6 +955,36 @@ async function migrateStorage() {
             continue;
         }
         
+        // Resumed bucket: the earlier run already fixed its file list, so there is nothing to list
+        // or compare - only the objects that run left pending or failed are copied
+        const resumedBucket = INCLUDE_FILES && resumeState ? resumeState.get(bucketName) : null;
+        if (resumedBucket) {
+            const unfinishedFiles = remainingObjects(resumedBucket);
+            const remainingFiles = unfinishedFiles.filter(file => storageFilter.matchesObject(bucketName, file.path));
+            logInfo(`${colors.bright}Bucket ${i + 1}/${sourceBuckets.length}: ${bucketName}${colors.reset}`);
+            logInfo(`  Resuming: ${remainingFiles.length} of ${resumedBucket.files} file(s) left pending or failed by the previous run`);
+            if (remainingFiles.length < unfinishedFiles.length) {
+                logInfo(`  ${unfinishedFiles.length - remainingFiles.length} unfinished file(s) do not match --include / --exclude and stay pending`);
+            }
+            filesAlreadyTransferred += resumedBucket.objects.size - unfinishedFiles.length;
+            // Only the manifest's files are known for a resumed bucket, so only those are verified
+            verifyBuckets.push({
+                bucket: bucketName,
+                objects: Array.from(resumedBucket.objects.values()).filter(entry => storageFilter.matchesObject(bucketName, entry.path)),
+                strict: false
+            });
+            if (remainingFiles.length > 0) {
+                const transferResult = await migrateBucketFiles(bucketName, remainingFiles);
+                filesMigratedCount += transferResult.transferred;
+                filesFailedCount += transferResult.failed.length;
+                logInfo(`  Summary for ${bucketName}: ${transferResult.transferred} migrated, ${transferResult.failed.length} failed`);
+            } else {
+                logSuccess(`  ✓ Nothing left to transfer`);
+            }
+            console.log('');
+            continue;
+        }
+        
         logInfo(`${colors.bright}Bucket ${i + 1}/${sourceBuckets.length}: ${bucketName}${colors.reset}`);
         logInfo(`  Source Configuration:`);
         logInfo(`    - Public: ${sourceBucket.public || false}`);
@@ -778,7 +1020,7 @@ async function migrateStorage() {
             if (bucketConfigMatches) {
                 logSuccess(`  ✓ Bucket exists in target with matching configuration`);
             } else {
-                logWarning(`  ⚠ Bucket exists in target but configuration differs - note: bucket updates via API are not supported`);
+                logWarning(`  ⚠ Bucket exists in target but configuration differs - settings are only updated with --mirror`);
                 logInfo(`    Continuing with file migration only...`);
             }
             
@@ -803,64 +1045,54 @@ async function migrateStorage() {
         // Step 4: Migrate files if requested
         let bucketFilesMigrated = 0;
         let bucketFilesSkipped = 0;
+        let bucketFilesFailed = 0;
         let bucketCreated = false;
         
         if (INCLUDE_FILES) {
-            // List source files first to get count
-            logInfo(`  Analyzing files in source bucket...`);
-            const sourceFiles = await listAllFilesRecursive(sourceAdmin, bucketName);
+            // Source files were listed in the inventory; a bucket whose listing failed is skipped
+            // rather than migrated from a partial listing
+            const sourceListing = sourceListings.get(bucketName);
+            if (!sourceListing) {
+                logError(`  ✗ Source listing failed - skipping bucket`);
+                console.log('');
+                continue;
+            }
+            const sourceFiles = sourceListing.objects;
             
             // List target files for comparison
-            let targetFiles = [];
+            let targetListing = { objects: [], objectCount: 0, totalBytes: 0 };
             if (existingBucket) {
                 logInfo(`  Analyzing files in target bucket...`);
-                targetFiles = await listAllFilesRecursive(targetAdmin, bucketName);
+                try {
+                    targetListing = await listSelectedObjects(targetAdmin, bucketName);
+                } catch (error) {
+                    listingFailures.push(bucketName);
+                    logError(`  ✗ ${error.message || error} - skipping bucket`);
+                    console.log('');
+                    continue;
+                }
             }
+            const targetFiles = targetListing.objects;
             
             const sourceFileCount = sourceFiles.length;
             const targetFileCount = targetFiles.length;
             
             logInfo(`  File count comparison:`);
-            logInfo(`    Source: ${sourceFileCount} file(s)`);
-            logInfo(`    Target: ${targetFileCount} file(s)`);
-            
-            // Create target file map for comparison
-            const targetFileMap = new Map(targetFiles.map(f => [f.path, { 
-                etag: f.etag || f.metadata?.etag || '', 
-                size: f.metadata?.size ?? f.size ?? 0,
-                updatedAt: normalizeTimestamp(f.updated_at ?? f.updatedAt ?? f.last_accessed_at ?? f.metadata?.last_modified ?? null)
-            }]));
+            logInfo(`    Source: ${sourceFileCount} file(s), ${formatFileSize(sourceListing.totalBytes)}`);
+            logInfo(`    Target: ${targetFileCount} file(s), ${formatFileSize(targetListing.totalBytes)}`);
             
-            // Compare files by ETag
-            let filesToMigrate = [];
-            let identicalFiles = 0;
-            
-            for (const sourceFile of sourceFiles) {
-                const filePath = sourceFile.path;
-                const sourceEtag = sourceFile.etag || sourceFile.metadata?.etag || '';
-                const targetFile = targetFileMap.get(filePath);
-                const targetEtag = targetFile?.etag || '';
-                const sourceSize = sourceFile.metadata?.size ?? sourceFile.size ?? 0;
-                const targetSize = targetFile?.size ?? 0;
-                const sourceUpdated = normalizeTimestamp(sourceFile.updated_at ?? sourceFile.updatedAt ?? sourceFile.last_accessed_at ?? sourceFile.metadata?.last_modified ?? null);
-                const targetUpdated = targetFile?.updatedAt ?? null;
-                
-                const etagMatch = Boolean(targetEtag && sourceEtag && targetEtag === sourceEtag);
-                const sizeMatch = sourceSize === targetSize && sourceSize !== null;
-                const updatedMatch = sourceUpdated !== null && targetUpdated !== null && sourceUpdated === targetUpdated;
-                
-                if (etagMatch || (sizeMatch && updatedMatch)) {
-                    identicalFiles++;
-                } else {
-                    filesToMigrate.push(sourceFile);
-                }
-            }
+            // Compare files by ETag (or size + last-modified time)
+            const fileDiff = diffObjects(sourceFiles, targetFiles);
+            const filesToMigrate = [...fileDiff.added, ...fileDiff.changed];
+            const identicalFiles = fileDiff.identical.length;
             
             // Check if bucket is completely identical
             const filesIdentical = (sourceFileCount === targetFileCount && identicalFiles === sourceFileCount);
             const bucketIdentical = bucketConfigMatches && filesIdentical;
             
             if (bucketIdentical) {
+                verifyBuckets.push({ bucket: bucketName, objects: sourceFiles, strict: false });
+                manifest.planBucket(bucketName, [], getBucketSettings(sourceBucket));
                 logSuccess(`  ✓ Bucket is identical (configuration + ${sourceFileCount} file(s)) - skipping migration`);
                 skippedCount += sourceFileCount;
                 console.log('');
@@ -918,49 +1150,19 @@ async function migrateStorage() {
                 logInfo(`  Bucket exists - will migrate ${filesToMigrate.length} file(s) (${identicalFiles} identical, skipped)`);
             }
             
+            // Record the file list before copying so an interrupted run can be resumed
+            manifest.planBucket(bucketName, filesToMigrate, getBucketSettings(sourceBucket));
+            verifyBuckets.push({ bucket: bucketName, objects: sourceFiles, strict: false });
+            
             // Migrate files if needed
             if (filesToMigrate.length > 0) {
                 console.log('');
                 logStep(4, 4, `Migrating ${filesToMigrate.length} file(s) for bucket: ${bucketName}...`);
-                
-                // Create backup directory
-                const backupDir = path.join(MIGRATION_DIR, 'storage_files', bucketName);
-                if (!fs.existsSync(backupDir)) {
-                    fs.mkdirSync(backupDir, { recursive: true });
-                    logInfo(`  Created backup directory: ${backupDir}`);
-                }
-                
-                logInfo(`  Processing ${filesToMigrate.length} file(s) to migrate...`);
-                console.log('');
-                
-                for (let j = 0; j < filesToMigrate.length; j++) {
-                    const sourceFile = filesToMigrate[j];
-                    const filePath = sourceFile.path;
-                    const sourceSize = sourceFile.metadata?.size || sourceFile.size || 0;
-                    
-                    logInfo(`  [${j + 1}/${filesToMigrate.length}] ${filePath} (${formatFileSize(sourceSize)})`);
-                    
-                    try {
-                        // Download from source
-                        logInfo(`    ↓ Downloading from source...`);
-                        const fileBuffer = await downloadFile(sourceAdmin, bucketName, filePath);
-                        
-                        // Save to backup
-                        const backupPath = saveToBackup(MIGRATION_DIR, bucketName, filePath, fileBuffer);
-                        logInfo(`    💾 Saved to backup: ${path.relative(MIGRATION_DIR, backupPath)}`);
-                        
-                        // Upload to target
-                        logInfo(`    ↑ Uploading to target...`);
-                        const contentType = sourceFile.metadata?.mimetype || sourceFile.metadata?.contentType || 'application/octet-stream';
-                        await uploadFile(targetAdmin, bucketName, filePath, fileBuffer, contentType);
-                        logSuccess(`    ✓ Migrated successfully`);
-                        bucketFilesMigrated++;
-                        filesMigratedCount++;
-                    } catch (error) {
-                        logError(`    ✗ Failed: ${error.message || error}`);
-                    }
-                    console.log('');
-                }
+                const transferResult = await migrateBucketFiles(bucketName, filesToMigrate);
+                bucketFilesMigrated += transferResult.transferred;
+                filesMigratedCount += transferResult.transferred;
+                bucketFilesFailed += transferResult.failed.length;
+                filesFailedCount += transferResult.failed.length;
             } else if (existingBucket) {
                 logSuccess(`  ✓ All files are identical - no file migration needed`);
                 skippedCount += identicalFiles;
@@ -976,6 +1178,9 @@ async function migrateStorage() {
                 if (bucketFilesMigrated > 0) {
                     logSuccess(`    ✓ Files migrated: ${bucketFilesMigrated}`);
                 }
+                if (bucketFilesFailed > 0) {
+                    logError(`    ✗ Files failed after retries: ${bucketFilesFailed}`);
+                }
                 if (identicalFiles > 0) {
                     logInfo(`    ○ Files skipped (identical): ${identicalFiles}`);
                 }
@@ -1078,6 +1283,9 @@ const { data, error } = await supabase.storage
         logInfo(`Created README: ${readmePath}`);
     }
     
+    const policies = POLICIES ? migrateStoragePolicies(sourceBuckets.map(bucket => bucket.name).filter(Boolean)) : null;
+    const verification = VERIFY ? await verifyStorage(verifyBuckets) : null;
+    
     // Generate SQL script file for failed buckets
     if (failedBuckets.length > 0) {
         const sqlFilePath = path.join(MIGRATION_DIR, 'create_buckets.sql');
@@ -1121,23 +1329,292 @@ const { data, error } = await supabase.storage
     if (INCLUDE_FILES) {
         logSuccess(`Files migrated: ${filesMigratedCount}`);
         logInfo(`Files skipped (identical): ${skippedCount}`);
+        if (filesAlreadyTransferred > 0) {
+            logInfo(`Files already transferred by the previous run: ${filesAlreadyTransferred}`);
+        }
+        if (filesFailedCount > 0) {
+            logError(`Files failed after retries: ${filesFailedCount}`);
+        }
+        logUnpreservedMetadata();
+        const manifestSummary = summarizeManifest(readManifest(MIGRATION_DIR));
+        logInfo(`Manifest: ${manifest.filePath} (${manifestSummary.transferred} transferred, ${manifestSummary.pending} pending, ${manifestSummary.failed} failed)`);
+        if (manifestSummary.pending + manifestSummary.failed > 0) {
+            logInfo(`  Re-run with --resume=${MIGRATION_DIR} to copy only the remaining files`);
+        }
+    }
+    if (listingFailures.length > 0) {
+        logError(`Buckets skipped because they could not be listed: ${listingFailures.join(', ')}`);
+    }
+    logPolicySummary(policies);
+    if (verification) {
+        const log = verification.success ? logSuccess : logError;
+        log(`Verification: ${verification.success ? 'passed' : 'failed'} (see ${verification.reportPath})`);
     }
     logSeparator();
     
     return { 
-        success: true, 
-        buckets: migratedCount, 
+        success: listingFailures.length === 0 && failedBuckets.length === 0 && filesFailedCount === 0
+            && (!policies || policies.success) && (!verification || verification.success),
+        buckets: migratedCount,
         files: filesMigratedCount,
+        filesFailed: filesFailedCount,
         failedBuckets: failedBuckets.length,
         sqlScriptPath: failedBuckets.length > 0 ? path.join(MIGRATION_DIR, 'create_buckets.sql') : null
     };
 }
 
+// Update public flag, file size limit and allowed MIME types of an existing bucket
+async function updateBucketSettings(adminClient, bucketName, settings) {
+    const { error } = await adminClient.storage.updateBucket(bucketName, {
+        public: settings.public,
+        fileSizeLimit: settings.fileSizeLimit,
+        allowedMimeTypes: settings.allowedMimeTypes
+    });
+    if (error) {
+        throw new Error(`Failed to update bucket ${bucketName}: ${error.message || error}`);
+    }
+}
+
+// Back up target-only files into <migration_dir>/storage_deleted/<bucket>/ and delete them from
+// the target. A file whose backup failed is kept. Returns { deleted, failed }.
+async function deleteTargetOnlyFiles(bucketName, files) {
+    const backupDir = path.join(MIGRATION_DIR, 'storage_deleted', bucketName);
+    logInfo(`  Backing up ${files.length} target-only file(s) to ${path.relative(MIGRATION_DIR, backupDir)}...`);
+    const backup = await backupObjects(targetAdmin, bucketName, files, {
+        backupDir,
+        concurrency: CONCURRENCY,
+        onRetry: (targetFile, attempt, error, delayMs) => {
+            logWarning(`    ↻ Retrying backup of ${targetFile.path} in ${delayMs / 1000}s (attempt ${attempt} failed: ${error.message || error})`);
+        }
+    });
+    backup.failed.forEach(({ path: filePath, error }) => {
+        logError(`    ✗ Failed to back up ${filePath} - not deleted: ${error}`);
+    });
+    
+    let deleted = 0;
+    let failed = backup.failed.length;
+    for (let i = 0; i < backup.saved.length; i += DELETE_BATCH_SIZE) {
+        const batch = backup.saved.slice(i, i + DELETE_BATCH_SIZE).map(file => file.path);
+        const { error } = await targetAdmin.storage.from(bucketName).remove(batch);
+        if (error) {
+            failed += batch.length;
+            logError(`    ✗ Failed to delete ${batch.length} file(s): ${error.message || error}`);
+            continue;
+        }
+        deleted += batch.length;
+        batch.forEach(filePath => logSuccess(`    ✓ Deleted ${filePath}`));
+    }
+    return { deleted, failed };
+}
+
+const formatSetting = (value) => (value === null || value === undefined ? 'none' : JSON.stringify(value));
+
+// Print every change a mirror run will make
+function printMirrorPlan(plans, targetOnlyBuckets) {
+    const totals = { create: 0, settings: 0, add: 0, update: 0, remove: 0 };
+    plans.forEach((plan) => {
+        const changes = plan.settings.length + plan.added.length + plan.changed.length + plan.targetOnly.length;
+        if (!plan.create && changes === 0) {
+            logSuccess(`  ✓ ${plan.bucket}: identical (${plan.identical.length} file(s))`);
+            return;
+        }
+        logInfo(`  ${colors.bright}${plan.bucket}${colors.reset}${plan.create ? ' (new bucket)' : ''}`);
+        if (plan.create) {
+            const settings = getBucketSettings(plan.sourceBucket);
+            logInfo(`    + create bucket (public: ${settings.public}, file size limit: ${formatSetting(settings.fileSizeLimit)}, allowed MIME types: ${formatSetting(settings.allowedMimeTypes)})`);
+            totals.create++;
+        }
+        plan.settings.forEach(({ setting, source, target }) => {
+            logInfo(`    ~ ${setting}: ${formatSetting(target)} → ${formatSetting(source)}`);
+        });
+        totals.settings += plan.settings.length;
+        plan.added.forEach(file => logInfo(`    + ${file.path} (${formatFileSize(getObjectSize(file))})`));
+        plan.changed.forEach(file => logInfo(`    ~ ${file.path} (${formatFileSize(getObjectSize(file))})`));
+        plan.targetOnly.forEach(file => logWarning(`    - ${file.path} (${formatFileSize(getObjectSize(file))})`));
+        totals.add += plan.added.length;
+        totals.update += plan.changed.length;
+        totals.remove += plan.targetOnly.length;
+    });
+    if (targetOnlyBuckets.length > 0) {
+        logInfo(`  Buckets only in target (left unchanged): ${targetOnlyBuckets.join(', ')}`);
+    }
+    logInfo(`  Total: ${totals.create} bucket(s) to create, ${totals.settings} setting change(s), ${totals.add} file(s) to add, ${totals.update} to update, ${totals.remove} to delete`);
+    return totals;
+}
+
+// Mirror mode: make each source bucket's counterpart in the target identical to it - bucket
+// created or its settings updated, new and changed files copied, and files that exist only in
+// the target backed up into <migration_dir>/storage_deleted and then deleted. The full plan is
+// printed and saved as storage_mirror_plan.json before anything changes; --dry-run stops there.
+async function mirrorStorage() {
+    logSeparator();
+    logInfo(`${colors.bright}Supabase Storage Mirror${DRY_RUN ? ' (dry run)' : ''}${colors.reset}`);
+    logSeparator();
+    logInfo(`Source: ${SOURCE_REF} (${sourceConfig.url})`);
+    logInfo(`Target: ${TARGET_REF} (${targetConfig.url})`);
+    logInfo(`Parallel transfers: ${CONCURRENCY}`);
+    logInfo(`Checksums: ${CHECKSUM ? 'SHA-256' : 'No'}${VERIFY ? ' (verified after the mirror)' : ''}`);
+    logInfo(`Storage policies: ${POLICIES ? 'Yes (target-only policies are dropped)' : 'No'}`);
+    storageFilter.describe().forEach(line => logInfo(`Filter ${line}`));
+    logInfo(`Migration Directory: ${MIGRATION_DIR}`);
+    logSeparator();
+    console.log('');
+    
+    logStep(1, 4, 'Fetching buckets...');
+    const sourceBuckets = selectBuckets(await getBuckets(sourceAdmin, 'Source', sourceConfig.url, sourceConfig.serviceKey, sourceConfig.envName), 'Source');
+    const targetBuckets = selectBuckets(await getBuckets(targetAdmin, 'Target', targetConfig.url, targetConfig.serviceKey, targetConfig.envName), 'Target');
+    const targetBucketMap = new Map(targetBuckets.map(b => [b.name, b]));
+    console.log('');
+    
+    // Compare every bucket before changing anything
+    logStep(2, 4, 'Comparing buckets and files...');
+    const plans = [];
+    const listingFailures = [];
+    for (const sourceBucket of sourceBuckets.filter(bucket => bucket.name)) {
+        const targetBucket = targetBucketMap.get(sourceBucket.name) || null;
+        try {
+            const sourceListing = await listSelectedObjects(sourceAdmin, sourceBucket.name);
+            const targetListing = targetBucket ? await listSelectedObjects(targetAdmin, sourceBucket.name) : { objects: [] };
+            plans.push({
+                bucket: sourceBucket.name,
+                sourceBucket,
+                create: !targetBucket,
+                settings: targetBucket ? diffBucketSettings(sourceBucket, targetBucket) : [],
+                ...diffObjects(sourceListing.objects, targetListing.objects)
+            });
+            logInfo(`  ${sourceBucket.name}: ${sourceListing.objectCount} source / ${targetListing.objects.length} target file(s)`);
+        } catch (error) {
+            listingFailures.push(sourceBucket.name);
+            logError(`  ${sourceBucket.name}: ${error.message || error} - bucket left unchanged`);
+        }
+    }
+    const sourceNames = new Set(sourceBuckets.map(bucket => bucket.name));
+    const targetOnlyBuckets = targetBuckets.map(bucket => bucket.name).filter(name => !sourceNames.has(name));
+    console.log('');
+    
+    logStep(3, 4, 'Mirror plan');
+    const totals = printMirrorPlan(plans, targetOnlyBuckets);
+    const planPath = path.join(MIGRATION_DIR, 'storage_mirror_plan.json');
+    fs.writeFileSync(planPath, JSON.stringify({
+        generatedAt: new Date().toISOString(),
+        source: SOURCE_REF,
+        target: TARGET_REF,
+        dryRun: DRY_RUN,
+        filters: { buckets: storageFilter.buckets, include: storageFilter.include, exclude: storageFilter.exclude },
+        buckets: plans.map(plan => ({
+            bucket: plan.bucket,
+            create: plan.create,
+            settings: plan.settings,
+            add: plan.added.map(file => file.path),
+            update: plan.changed.map(file => file.path),
+            delete: plan.targetOnly.map(file => file.path),
+            identical: plan.identical.length
+        })),
+        targetOnlyBuckets,
+        listingFailures
+    }, null, 2));
+    logInfo(`  Plan saved to: ${planPath}`);
+    console.log('');
+    
+    // Mirrored buckets get exactly the source's policies, so target-only ones are dropped
+    const mirrorPolicies = (dryRun) => migrateStoragePolicies(sourceBuckets.map(bucket => bucket.name).filter(Boolean), { dropTargetOnly: true, dryRun });
+    
+    if (DRY_RUN) {
+        const policies = POLICIES ? mirrorPolicies(true) : null;
+        logPolicySummary(policies);
+        logSuccess('Dry run - no changes were made. Run again without --dry-run to apply this plan.');
+        return { success: listingFailures.length === 0 && (!policies || policies.success), buckets: 0, files: 0, ...totals };
+    }
+    
+    logStep(4, 4, 'Applying mirror plan...');
+    const result = { buckets: 0, settingsUpdated: 0, files: 0, filesFailed: 0, deleted: 0, deleteFailed: 0, bucketFailures: [] };
+    for (const plan of plans) {
+        const files = [...plan.added, ...plan.changed];
+        if (!plan.create && plan.settings.length === 0 && files.length === 0 && plan.targetOnly.length === 0) {
+            continue;
+        }
+        logInfo(`${colors.bright}${plan.bucket}${colors.reset}`);
+        
+        if (plan.create) {
+            const bucketResult = await createBucket(targetAdmin, targetConfig.url, targetConfig.serviceKey, {
+                name: plan.bucket,
+                ...getBucketSettings(plan.sourceBucket)
+            });
+            if (!bucketResult.success) {
+                result.bucketFailures.push(plan.bucket);
+                logError(`  ✗ Failed to create bucket: ${bucketResult.error?.message || bucketResult.error?.dashboardUrl || 'unknown error'} - skipping its files`);
+                console.log('');
+                continue;
+            }
+            result.buckets++;
+            logSuccess(`  ✓ Created bucket`);
+        } else if (plan.settings.length > 0) {
+            try {
+                await updateBucketSettings(targetAdmin, plan.bucket, getBucketSettings(plan.sourceBucket));
+                result.settingsUpdated++;
+                logSuccess(`  ✓ Updated bucket settings: ${plan.settings.map(change => change.setting).join(', ')}`);
+            } catch (error) {
+                result.bucketFailures.push(plan.bucket);
+                logError(`  ✗ ${error.message}`);
+            }
+        }
+        
+        manifest.planBucket(plan.bucket, files, getBucketSettings(plan.sourceBucket));
+        if (files.length > 0) {
+            const transferResult = await migrateBucketFiles(plan.bucket, files);
+            result.files += transferResult.transferred;
+            result.filesFailed += transferResult.failed.length;
+        }
+        if (plan.targetOnly.length > 0) {
+            const deleteResult = await deleteTargetOnlyFiles(plan.bucket, plan.targetOnly);
+            result.deleted += deleteResult.deleted;
+            result.deleteFailed += deleteResult.failed;
+        }
+        console.log('');
+    }
+    
+    const policies = POLICIES ? mirrorPolicies(false) : null;
+    
+    // A mirrored bucket should hold exactly the source files; buckets that could not be created are left out
+    const verification = VERIFY ? await verifyStorage(plans
+        .filter(plan => !(plan.create && result.bucketFailures.includes(plan.bucket)))
+        .map(plan => ({ bucket: plan.bucket, objects: [...plan.added, ...plan.changed, ...plan.identical], strict: true }))) : null;
+    
+    logSeparator();
+    logSuccess(`${colors.bright}Mirror Complete!${colors.reset}`);
+    logSeparator();
+    logSuccess(`Buckets created: ${result.buckets}, settings updated: ${result.settingsUpdated}`);
+    logSuccess(`Files copied: ${result.files}`);
+    logSuccess(`Target-only files deleted: ${result.deleted} (backed up in ${path.join(MIGRATION_DIR, 'storage_deleted')})`);
+    if (result.filesFailed > 0 || result.deleteFailed > 0) {
+        logError(`Files failed: ${result.filesFailed} copy, ${result.deleteFailed} delete`);
+    }
+    logUnpreservedMetadata();
+    logPolicySummary(policies);
+    if (result.bucketFailures.length > 0) {
+        logError(`Buckets that could not be created or updated: ${result.bucketFailures.join(', ')}`);
+    }
+    if (listingFailures.length > 0) {
+        logError(`Buckets skipped because they could not be listed: ${listingFailures.join(', ')}`);
+    }
+    if (verification) {
+        const log = verification.success ? logSuccess : logError;
+        log(`Verification: ${verification.success ? 'passed' : 'failed'} (see ${verification.reportPath})`);
+    }
+    logSeparator();
+    
+    return {
+        success: listingFailures.length === 0 && result.bucketFailures.length === 0 && result.filesFailed === 0 && result.deleteFailed === 0
+            && (!policies || policies.success) && (!verification || verification.success),
+        ...result
+    };
+}
+
 // Run migration
 logInfo('Starting storage migration process...');
 console.log('');
 
-migrateStorage()
+(MIRROR ? mirrorStorage() : migrateStorage())
     .then(result => {
         if (result.success) {
             process.exit(0);
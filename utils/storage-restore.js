@@ -0,0 +1,242 @@
+#!/usr/bin/env node
+
+/**
+ * Storage Restore Utility
+ * Uploads the files a storage migration saved in <migration_dir>/storage_files/<bucket>/ back
+ * into an environment, recreating missing buckets from the settings recorded in the manifest
+ *
+ * Usage: node utils/storage-restore.js <migration_dir> <target_env> [--bucket=<name>] [--prefix=<path>] [--concurrency=N] [--env-file <path>]
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createClient } = require('@supabase/supabase-js');
+const { loadConfig, getEnvironmentConfig } = require('./lib/config');
+const { readManifest } = require('./lib/storageManifest');
+const { DEFAULT_CONCURRENCY, MAX_CONCURRENCY, uploadFiles } = require('./lib/storageTransfer');
+const { formatBytes } = require('./lib/progress');
+
+const COLORS = {
+    reset: '\x1b[0m',
+    bright: '\x1b[1m',
+    blue: '\x1b[34m',
+    green: '\x1b[32m',
+    yellow: '\x1b[33m',
+    red: '\x1b[31m'
+};
+
+const logInfo = (msg) => console.log(`${COLORS.blue}[INFO]${COLORS.reset} ${msg}`);
+const logSuccess = (msg) => console.log(`${COLORS.green}[SUCCESS]${COLORS.reset} ${msg}`);
+const logWarning = (msg) => console.log(`${COLORS.yellow}[WARNING]${COLORS.reset} ${msg}`);
+const logError = (msg) => console.error(`${COLORS.red}[ERROR]${COLORS.reset} ${msg}`);
+
+const USAGE = 'Usage: node utils/storage-restore.js <migration_dir> <target_env> [--bucket=<name>] [--prefix=<path>] [--concurrency=N] [--env-file <path>]';
+const DEFAULT_CONTENT_TYPE = 'application/octet-stream';
+
+try {
+    loadConfig().forEach(file => logInfo(`Loaded environment variables from ${file}`));
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
+}
+
+const flagValue = (flag) => {
+    const arg = process.argv.find(value => value.startsWith(`${flag}=`));
+    return arg ? arg.slice(flag.length + 1) : null;
+};
+
+const positional = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+const MIGRATION_DIR = positional[0];
+const TARGET_ENV = positional[1];
+const BUCKET = flagValue('--bucket');
+// Object paths never start with "/", so a prefix given as "/avatars/2025" still matches
+const PREFIX = (flagValue('--prefix') || '').replace(/^\/+/, '');
+const CONCURRENCY_ARG = flagValue('--concurrency');
+const CONCURRENCY = CONCURRENCY_ARG ? Number(CONCURRENCY_ARG) : DEFAULT_CONCURRENCY;
+
+if (!MIGRATION_DIR || !TARGET_ENV) {
+    logError(USAGE);
+    process.exit(1);
+}
+
+if (!Number.isInteger(CONCURRENCY) || CONCURRENCY < 1 || CONCURRENCY > MAX_CONCURRENCY) {
+    logError(`Invalid --concurrency=${CONCURRENCY_ARG}: expected a whole number of parallel uploads between 1 and ${MAX_CONCURRENCY}`);
+    process.exit(1);
+}
+
+const FILES_ROOT = path.join(MIGRATION_DIR, 'storage_files');
+if (!fs.existsSync(FILES_ROOT)) {
+    logError(`No storage backup in ${MIGRATION_DIR} (expected a storage_files/ folder)`);
+    process.exit(1);
+}
+
+let targetConfig;
+try {
+    targetConfig = getEnvironmentConfig(TARGET_ENV, { required: ['projectRef', 'serviceRoleKey'] });
+} catch (error) {
+    logError(error.message);
+    process.exit(1);
+}
+
+const targetAdmin = createClient(targetConfig.url, targetConfig.serviceRoleKey, {
+    auth: {
+        persistSession: false,
+        autoRefreshToken: false,
+        detectSessionInUrl: false
+    }
+});
+
+// The manifest holds each bucket's settings and each file's content type, Cache-Control, user
+// metadata and final status.
+// Backups made before the manifest existed are restored without it.
+const loadManifest = () => {
+    try {
+        return readManifest(MIGRATION_DIR);
+    } catch (error) {
+        if (error.code !== 'MANIFEST_NOT_FOUND') {
+            throw error;
+        }
+        logWarning(`${error.message} - files are uploaded as ${DEFAULT_CONTENT_TYPE} and missing buckets are created private`);
+        return new Map();
+    }
+};
+
+// Every file below dir as { path (relative, "/"-separated), filePath, size }
+const listLocalFiles = (dir, relative = '') => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = relative ? `${relative}/${entry.name}` : entry.name;
+    const filePath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+        return listLocalFiles(filePath, entryPath);
+    }
+    return entry.isFile() ? [{ path: entryPath, filePath, size: fs.statSync(filePath).size }] : [];
+});
+
+const createBucket = async (bucket, settings) => {
+    const { error } = await targetAdmin.storage.createBucket(bucket, {
+        public: settings.public,
+        fileSizeLimit: settings.fileSizeLimit,
+        allowedMimeTypes: settings.allowedMimeTypes
+    });
+    if (error) {
+        throw new Error(`Failed to create bucket ${bucket}: ${error.message || error}`);
+    }
+};
+
+// Restore one bucket folder. Files the manifest records as not transferred are skipped: the
+// backup copy is written while the file streams, so an interrupted or failed transfer can leave
+// a partial file behind.
+const restoreBucket = async (bucket, bucketState, bucketExists) => {
+    const result = { bucket, created: false, uploaded: 0, failed: 0, skipped: 0, error: null };
+    const objects = bucketState ? bucketState.objects : new Map();
+
+    const files = [];
+    listLocalFiles(path.join(FILES_ROOT, bucket))
+        .filter(file => file.path.startsWith(PREFIX))
+        .forEach((file) => {
+            const entry = objects.get(file.path);
+            if (entry && entry.status !== 'transferred') {
+                result.skipped++;
+                logWarning(`  ○ Skipping ${file.path}: its transfer ${entry.status === 'failed' ? 'failed' : 'never finished'}, so the backup copy may be incomplete`);
+                return;
+            }
+            files.push({
+                ...file,
+                contentType: (entry && entry.contentType) || DEFAULT_CONTENT_TYPE,
+                cacheControl: (entry && entry.cacheControl) || null,
+                userMetadata: (entry && entry.userMetadata) || null
+            });
+        });
+
+    const totalBytes = files.reduce((sum, file) => sum + file.size, 0);
+    logInfo(`  ${files.length} file(s), ${formatBytes(totalBytes)} to upload${PREFIX ? ` under ${PREFIX}` : ''}`);
+    if (files.length === 0) {
+        return result;
+    }
+
+    if (!bucketExists) {
+        const settings = (bucketState && bucketState.settings) || { public: false, fileSizeLimit: null, allowedMimeTypes: null };
+        if (!bucketState || !bucketState.settings) {
+            logWarning(`  No recorded settings for ${bucket} - creating it as a private bucket without limits`);
+        }
+        try {
+            await createBucket(bucket, settings);
+        } catch (error) {
+            result.error = error.message;
+            logError(`  ✗ ${error.message} - skipping its files`);
+            return result;
+        }
+        result.created = true;
+        logSuccess(`  ✓ Created bucket (public: ${settings.public}, file size limit: ${settings.fileSizeLimit || 'none'}, allowed MIME types: ${settings.allowedMimeTypes ? settings.allowedMimeTypes.join(', ') : 'all'})`);
+    }
+
+    const upload = await uploadFiles(targetAdmin, bucket, files, {
+        concurrency: CONCURRENCY,
+        onFileDone: file => logSuccess(`    ✓ Restored ${file.path} (${formatBytes(file.size)}, ${file.contentType})`),
+        onRetry: (file, attempt, error, delayMs) => logWarning(`    ↻ Retrying ${file.path} in ${delayMs / 1000}s (attempt ${attempt} failed: ${error.message || error})`),
+        onFileFailed: (file, error) => logError(`    ✗ Failed ${file.path}: ${error.message || error}`)
+    });
+    result.uploaded = upload.uploaded;
+    result.failed = upload.failed.length;
+    return result;
+};
+
+(async () => {
+    try {
+        logInfo(`${COLORS.bright}Supabase Storage Restore${COLORS.reset}`);
+        logInfo(`Backup: ${FILES_ROOT}`);
+        logInfo(`Target: ${TARGET_ENV} (${targetConfig.projectRef})`);
+        if (BUCKET) logInfo(`Bucket: ${BUCKET}`);
+        if (PREFIX) logInfo(`Prefix: ${PREFIX}`);
+        logInfo(`Parallel uploads: ${CONCURRENCY}`);
+        console.log('');
+
+        const manifest = loadManifest();
+        let buckets = fs.readdirSync(FILES_ROOT, { withFileTypes: true })
+            .filter(entry => entry.isDirectory())
+            .map(entry => entry.name)
+            .sort();
+        if (BUCKET) {
+            if (!buckets.includes(BUCKET)) {
+                throw new Error(`Bucket ${BUCKET} is not in this backup (found: ${buckets.join(', ') || 'none'})`);
+            }
+            buckets = [BUCKET];
+        }
+
+        const { data: targetBuckets, error } = await targetAdmin.storage.listBuckets();
+        if (error) {
+            throw new Error(`Failed to list buckets in ${TARGET_ENV}: ${error.message || error}`);
+        }
+        const existing = new Set((targetBuckets || []).map(bucket => bucket.name));
+
+        const results = [];
+        for (const bucket of buckets) {
+            logInfo(`${COLORS.bright}${bucket}${COLORS.reset}${existing.has(bucket) ? '' : ' (missing in target)'}`);
+            results.push(await restoreBucket(bucket, manifest.get(bucket), existing.has(bucket)));
+            console.log('');
+        }
+
+        const totals = results.reduce((sum, result) => ({
+            created: sum.created + (result.created ? 1 : 0),
+            uploaded: sum.uploaded + result.uploaded,
+            failed: sum.failed + result.failed,
+            skipped: sum.skipped + result.skipped
+        }), { created: 0, uploaded: 0, failed: 0, skipped: 0 });
+        const bucketErrors = results.filter(result => result.error);
+
+        logSuccess(`Buckets created: ${totals.created}`);
+        logSuccess(`Files restored: ${totals.uploaded}`);
+        if (totals.skipped > 0) {
+            logWarning(`Files skipped (incomplete transfer in the original run): ${totals.skipped}`);
+        }
+        if (totals.failed > 0) {
+            logError(`Files failed after retries: ${totals.failed}`);
+        }
+        if (bucketErrors.length > 0) {
+            logError(`Buckets that could not be created: ${bucketErrors.map(result => result.bucket).join(', ')}`);
+        }
+        process.exit(totals.failed === 0 && bucketErrors.length === 0 ? 0 : 1);
+    } catch (error) {
+        logError(error.message);
+        process.exit(1);
+    }
+})();
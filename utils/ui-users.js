@@ -0,0 +1,190 @@
+#!/usr/bin/env node
+
+/**
+ * Web UI Users
+ *
+ * Manages the local user accounts the web UI (server.js) authenticates against.
+ * Passwords are stored as scrypt hashes in the users file (TOOL_UI_USERS_FILE,
+ * default: ui_users.json in the data dir, TOOL_UI_DATA_DIR or data/ in the project root).
+ */
+
+const path = require('path');
+const readline = require('readline');
+const { ROLES, resolveUsersFile, createUserStore } = require('./lib/userAuth');
+const { loadConfig, getDataDir } = require('./lib/config');
+
+const PROJECT_ROOT = path.resolve(__dirname, '..');
+loadConfig();
+
+const USERS_FILE = process.env.TOOL_UI_USERS_FILE || (() => {
+  const { filePath, movedFrom } = resolveUsersFile(getDataDir(), path.join(PROJECT_ROOT, 'ui_users.json'));
+  if (movedFrom) {
+    console.log(`[INFO] Moved the users file from ${movedFrom} to ${filePath}`);
+  }
+  return filePath;
+})();
+
+const args = process.argv.slice(2);
+if (args.length === 0) {
+  printUsage();
+  process.exit(1);
+}
+
+const command = args.shift();
+const { positionalArgs, options } = parseArgs(args);
+
+async function main() {
+  const store = createUserStore(USERS_FILE);
+  try {
+    switch (command) {
+      case 'list': {
+        const users = store.list();
+        if (users.length === 0) {
+          console.log(`[INFO] No users in ${USERS_FILE}`);
+          break;
+        }
+        users.forEach((user) => {
+          const status = user.disabled ? ' (disabled)' : '';
+          console.log(`${user.username.padEnd(24)} ${user.role}${status}`);
+        });
+        break;
+      }
+      case 'add': {
+        const username = requireUsername();
+        if (store.find(username)) {
+          throw new Error(`User ${username} already exists (use set-password or set-role)`);
+        }
+        const role = options.role || 'viewer';
+        const password = await resolvePassword();
+        store.upsert({ username, password, role });
+        console.log(`[SUCCESS] Added ${username} (${role}) to ${USERS_FILE}`);
+        break;
+      }
+      case 'set-password': {
+        const username = requireExistingUser(store);
+        const password = await resolvePassword();
+        store.upsert({ username, password });
+        console.log(`[SUCCESS] Password updated for ${username}`);
+        console.log('[INFO] Existing sessions stay valid until they expire; revoke them with POST /api/auth/revoke');
+        break;
+      }
+      case 'set-role': {
+        const username = requireExistingUser(store);
+        const role = positionalArgs[1] || options.role;
+        if (!role) {
+          throw new Error('set-role command requires <username> <role>');
+        }
+        store.upsert({ username, role });
+        console.log(`[SUCCESS] ${username} is now ${role}`);
+        break;
+      }
+      case 'disable':
+      case 'enable': {
+        const username = requireExistingUser(store);
+        store.upsert({ username, disabled: command === 'disable' });
+        console.log(`[SUCCESS] ${username} ${command}d`);
+        break;
+      }
+      case 'remove': {
+        const username = requireExistingUser(store);
+        store.remove(username);
+        console.log(`[SUCCESS] Removed ${username}`);
+        if (!store.hasUsers()) {
+          console.log(`[WARNING] ${USERS_FILE} has no accounts left: nobody can sign in to the web UI. Delete the file to go back to the access key or development mode.`);
+        }
+        break;
+      }
+      default:
+        throw new Error(`Unknown command: ${command}`);
+    }
+  } catch (error) {
+    console.error(`[ERROR] ${error.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main();
+
+function printUsage() {
+  console.log(`Usage:
+  node utils/ui-users.js list
+  node utils/ui-users.js add <username> [--role=${ROLES.join('|')}] [--password=secret]
+  node utils/ui-users.js set-password <username> [--password=secret]
+  node utils/ui-users.js set-role <username> <${ROLES.join('|')}>
+  node utils/ui-users.js disable <username>
+  node utils/ui-users.js enable <username>
+  node utils/ui-users.js remove <username>
+
+Roles:
+  viewer     Migration plans, snapshots, comparisons, history
+  operator   Viewer plus migrations to non-production targets
+  admin      Operator plus production targets, environment clone, deleting plans
+
+Options:
+  --password=secret  Set the password non-interactively (otherwise you are prompted).
+
+Users file: ${USERS_FILE} (override with TOOL_UI_USERS_FILE)
+`);
+}
+
+function parseArgs(inputArgs) {
+  const positional = [];
+  const opts = {};
+  inputArgs.forEach((arg) => {
+    if (arg.startsWith('--')) {
+      const [key, value] = arg.slice(2).split('=');
+      opts[key] = value !== undefined ? value : true;
+    } else {
+      positional.push(arg);
+    }
+  });
+  return { positionalArgs: positional, options: opts };
+}
+
+function requireUsername() {
+  const username = positionalArgs[0];
+  if (!username) {
+    throw new Error(`${command} command requires <username>`);
+  }
+  return username;
+}
+
+function requireExistingUser(store) {
+  const username = requireUsername();
+  if (!store.find(username)) {
+    throw new Error(`User ${username} not found in ${USERS_FILE}`);
+  }
+  return username;
+}
+
+async function resolvePassword() {
+  if (typeof options.password === 'string' && options.password) {
+    return options.password;
+  }
+  const password = await promptHidden('Password: ');
+  const confirmation = await promptHidden('Confirm password: ');
+  if (!password) {
+    throw new Error('Password cannot be empty');
+  }
+  if (password !== confirmation) {
+    throw new Error('Passwords do not match');
+  }
+  return password;
+}
+
+function promptHidden(question) {
+  return new Promise((resolve) => {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: true });
+    // Echo nothing while the password is typed
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) {
+        rl.output.write(text);
+      }
+    };
+    rl.question(question, (answer) => {
+      rl.close();
+      process.stdout.write('\n');
+      resolve(answer);
+    });
+  });
+}